@@ -0,0 +1,149 @@
+/**
+ * Session guard and role authorization for the management API
+ *
+ * - Every /api route requires a valid x-admin-token from /api/admin/login
+ * - Sessions belong to a users row (its role decides what it may do) or, with
+ *   no user_id, to the ADMIN_PASSWORD login, which is always admin
+ * - admin: everything. editor: playlists, sources, EPG and the rest of the
+ *   content pages, but not accounts, settings, backups, devices or webhooks.
+ *   viewer: read-only guide. user (plain Xtream account): only its own /me page
+ * - Changes (POST/PUT/PATCH/DELETE) are written to the audit log with the actor,
+ *   plus before/after snapshots of the rows for configuration routes (audit.js)
+ * - Client-facing endpoints under /api (playlist M3U/XMLTV feeds, image proxies)
+ *   stay public because IPTV apps and <img> tags can't send the header
+ * - /stream, /live, /player_api.php, /hdhr and /guide.xml are mounted outside /api
+ *   and keep their own credential schemes
+ */
+
+import { randomBytes } from 'node:crypto'
+import db from './db.js'
+import { beginChange, recordChange } from './audit.js'
+
+const PURGE_INTERVAL = 60 * 60 * 1000 // 1 hour
+const SESSION_TTL = 24 * 60 * 60 * 1000 // 24 hours
+
+export const ROLES = ['user', 'viewer', 'editor', 'admin']
+
+// Paths relative to the /api mount
+const PUBLIC_ROUTES = [
+  /^\/admin\/(login|logout|verify)$/,
+  /^\/playlists\/\d+\/(m3u|xmltv)$/,
+  /^\/logo$/,
+  /^\/proxy-image$/,
+]
+
+// Any signed-in account with a users row
+const SELF_ROUTES = [/^\/me(\/|$)/]
+
+// Read-only routes of the EPG guide page
+const VIEWER_ROUTES = [
+  /^\/epg\/(guide|guide-grid|programmes|search)$/,
+  /^\/playlists$/,
+]
+
+// Accounts, configuration and anything that reaches outside the content pages
+const ADMIN_ONLY_ROUTES = [
+  /^\/users(\/|$)/,
+  /^\/audit(\/|$)/,
+  /^\/settings$/,
+  /^\/proxy-settings$/,
+  /^\/vod\/settings$/,
+  /^\/recordings\/settings$/,
+  /^\/backups?(\/|$)/,
+  /^\/restore$/,
+  /^\/webhooks(\/|$)/,
+  /^\/hdhr(\/|$)/,
+  /^\/xtream\//,
+  /^\/scheduler(\/|$)/,
+  /^\/transcode-profiles(\/|$)/,
+  /^\/diagnostics(\/|$)/,
+  /^\/cache\/clear$/,
+]
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE'])
+
+// Prepared on first use: this module is imported before the migrations add the columns
+let selectSessionStmt = null
+
+// expires_at is written as an ISO string (with T/Z), so normalise it before comparing.
+// A user's session also ends once the account is deactivated, expires or is deleted
+// (account expiry is compared like at login, see routes/auth.js)
+export function getSession(token) {
+  if (!token) return null
+  selectSessionStmt ??= db.prepare(`
+    SELECT s.token, s.user_id, s.username, s.role, u.id AS account_id, u.active AS account_active, u.expires_at AS account_expires_at
+    FROM admin_sessions s
+    LEFT JOIN users u ON u.id = s.user_id
+    WHERE s.token = ? AND datetime(s.expires_at) > datetime('now')
+  `)
+  const row = selectSessionStmt.get(token)
+  if (!row) return null
+  const { account_id, account_active, account_expires_at, ...session } = row
+  if (session.user_id != null) {
+    if (!account_id || !account_active) return null
+    if (account_expires_at && new Date(account_expires_at) < new Date()) return null
+  }
+  return session
+}
+
+/**
+ * @param {object|null} user - users row, or null for the ADMIN_PASSWORD login
+ * @returns {string} session token
+ */
+export function createSession(user) {
+  const token = randomBytes(32).toString('hex')
+  const expiresAt = new Date(Date.now() + SESSION_TTL).toISOString()
+  db.prepare('INSERT INTO admin_sessions (token, expires_at, user_id, username, role) VALUES (?, ?, ?, ?, ?)')
+    .run(token, expiresAt, user?.id ?? null, user?.username ?? null, user ? (user.role || 'user') : 'admin')
+  return token
+}
+
+// Signs a user out everywhere, e.g. after a role or password change
+export function endUserSessions(userId) {
+  db.prepare('DELETE FROM admin_sessions WHERE user_id = ?').run(userId)
+}
+
+export function canAccess(session, method, path) {
+  if (SELF_ROUTES.some(re => re.test(path))) return !!session.user_id
+  switch (session.role) {
+    case 'admin':  return true
+    case 'editor': return !ADMIN_ONLY_ROUTES.some(re => re.test(path))
+    case 'viewer': return method === 'GET' && VIEWER_ROUTES.some(re => re.test(path))
+    default:       return false
+  }
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.method === 'OPTIONS') return next()
+  if (PUBLIC_ROUTES.some(re => re.test(req.path))) return next()
+
+  const session = getSession(req.headers['x-admin-token'])
+  if (!session) {
+    return res.status(401).json({ error: 'Admin authentication required' })
+  }
+  if (!canAccess(session, req.method, req.path)) {
+    return res.status(403).json({ error: `Not allowed for the ${session.role} role` })
+  }
+
+  req.session = session
+  req.actor = session.username || 'admin'
+  if (MUTATING_METHODS.has(req.method)) {
+    const change = beginChange(req)
+    res.on('finish', () => recordChange(req, res.statusCode, change))
+  }
+  next()
+}
+
+export function purgeExpiredAdminSessions() {
+  try {
+    const { changes } = db.prepare("DELETE FROM admin_sessions WHERE datetime(expires_at) <= datetime('now')").run()
+    if (changes > 0) console.log(`[admin-auth] Purged ${changes} expired admin session(s)`)
+  } catch (err) {
+    console.error('[admin-auth] Failed to purge expired sessions:', err.message)
+  }
+}
+
+export function startAdminSessionPurge() {
+  purgeExpiredAdminSessions()
+  setInterval(purgeExpiredAdminSessions, PURGE_INTERVAL)
+}
@@ -0,0 +1,402 @@
+/**
+ * Audit log — who changed what through the management API
+ *
+ * - admin-auth.js records every POST/PUT/PATCH/DELETE once its response is
+ *   sent: actor (account name, or "admin" for the ADMIN_PASSWORD login), role,
+ *   method, path and status code
+ * - Routes listed in AUDITED_ROUTES also get before/after snapshots of the rows
+ *   they touch (sources, playlists, playlist channels, EPG mappings, settings,
+ *   users, composite streams, HDHomeRun devices); rows the request left as they
+ *   were are dropped, so an entry only holds what actually changed
+ * - Replacing a playlist's whole channel list is stored as per-group channel
+ *   counts instead of rows; those entries show the diff but can't be reverted
+ * - revertChange() writes the "before" rows back and deletes rows the change
+ *   created, but only when every changed row still exists
+ * - GET /api/audit lists the entries, newest first (admin only)
+ */
+
+import db from './db.js'
+
+// Shown instead of stored passwords (users hold hashes, sources provider passwords)
+const REDACTED_COLUMNS = new Set(['password'])
+const REDACTED = '••••••'
+
+// ── Snapshot scopes ───────────────────────────────────────────────────────────
+// A scope names the rows a request may change: { table, key, where, params, columns? },
+// or { table, where, params, groupBy, summary: true } for bulk channel lists
+
+const rows = (table, where, params, key = 'id', columns = null) => ({ table, key, where, params, columns })
+
+const byId = (table, id) => rows(table, 'id = ?', [id])
+
+// Rows a POST is about to insert: everything above the current highest id
+function created(table) {
+  const { max } = db.prepare(`SELECT COALESCE(MAX(id), 0) AS max FROM ${table}`).get()
+  return rows(table, 'id > ?', [max])
+}
+
+const channelCounts = (where, params, groupBy = 'group_title') =>
+  ({ table: 'playlist_channels', where, params, groupBy, summary: true })
+
+// Settings routes write a handful of keys; unchanged ones are dropped afterwards
+const allSettings = () => [rows('settings', '1 = 1', [], 'key')]
+
+function inList(column, values) {
+  return values.length ? `${column} IN (${values.map(() => '?').join(',')})` : '0 = 1'
+}
+
+// Same tvg-ids DELETE /api/epg-mappings/by-playlist/:id clears
+function playlistTvgIds(playlistId) {
+  return db.prepare(
+    `SELECT DISTINCT COALESCE(NULLIF(custom_tvg_id,''), NULLIF(tvg_id,'')) as tid
+     FROM playlist_channels WHERE playlist_id = ? AND (tvg_id != '' OR custom_tvg_id != '')`
+  ).all(playlistId).map(r => r.tid).filter(Boolean)
+}
+
+// Tables and keys an earlier entry touched — reverting it changes the same rows
+function revertScopes(entryId) {
+  const entry = db.prepare('SELECT before_json, after_json FROM audit_log WHERE id = ?').get(entryId)
+  if (!entry) return []
+  const keys = new Map()
+  for (const snap of [...parseSnapshot(entry.before_json), ...parseSnapshot(entry.after_json)]) {
+    if (snap.summary) continue
+    if (!keys.has(snap.table)) keys.set(snap.table, { key: snap.key, values: new Set() })
+    for (const row of snap.rows) keys.get(snap.table).values.add(row[snap.key])
+  }
+  return [...keys].map(([table, { key, values }]) => rows(table, inList(key, [...values]), [...values], key))
+}
+
+/**
+ * Paths are relative to the /api mount (req.path in requireAdmin).
+ * scope(match, req) runs before the route handler and again, with the same
+ * scopes, after the response is sent.
+ */
+const AUDITED_ROUTES = [
+  // Sources
+  { method: 'POST',   pattern: /^\/sources$/,                        entity: 'source',   scope: () => [created('sources')] },
+  { method: 'PUT',    pattern: /^\/sources\/(\d+)$/,                 entity: 'source',   scope: ([id]) => [byId('sources', id)] },
+  { method: 'DELETE', pattern: /^\/sources\/(\d+)$/,                 entity: 'source',   scope: ([id]) => [byId('sources', id)] },
+
+  // Playlists
+  { method: 'POST',   pattern: /^\/playlists$/,                      entity: 'playlist', scope: () => [created('playlists')] },
+  { method: 'PUT',    pattern: /^\/playlists\/(\d+)$/,               entity: 'playlist', scope: ([id]) => [byId('playlists', id)] },
+  { method: 'PATCH',  pattern: /^\/playlists\/(\d+)\/schedule$/,     entity: 'playlist', scope: ([id]) => [byId('playlists', id)] },
+  { method: 'PUT',    pattern: /^\/playlists\/(\d+)\/group-order$/,  entity: 'playlist', scope: ([id]) => [byId('playlists', id)] },
+  { method: 'DELETE', pattern: /^\/playlists\/(\d+)$/,               entity: 'playlist',
+    scope: ([id]) => [byId('playlists', id), channelCounts('playlist_id = ?', [id])] },
+  { method: 'PUT',    pattern: /^\/playlists\/(\d+)\/(channels|channels-by-groups)$/, entity: 'playlist',
+    scope: ([id]) => [byId('playlists', id), channelCounts('playlist_id = ?', [id])] },
+  { pattern: /^\/playlists\/(\d+)\/smart(?:\/apply|\/pins(?:\/\d+)?)?$/, entity: 'playlist',
+    scope: ([id]) => [byId('playlists', id), rows('playlist_smart_pins', 'playlist_id = ?', [id]), channelCounts('playlist_id = ?', [id])] },
+  { method: 'PUT',    pattern: /^\/playlists\/(\d+)\/number(?:s|ing)$/, entity: 'playlist',
+    scope: ([id]) => [byId('playlists', id), rows('playlist_channel_numbers', 'playlist_id = ?', [id])] },
+  { method: 'POST',   pattern: /^\/playlists\/(\d+)\/numbers\/renumber$/, entity: 'playlist',
+    scope: ([id]) => [rows('playlist_channel_numbers', 'playlist_id = ?', [id])] },
+  { method: 'POST',   pattern: /^\/playlists\/cleanup-orphans$/,     entity: 'playlist',
+    scope: () => [channelCounts('1 = 1', [], 'playlist_id')] },
+
+  // Playlist channels
+  { method: 'DELETE', pattern: /^\/playlist-channels\/(\d+)$/,       entity: 'playlist-channel', scope: ([id]) => [byId('playlist_channels', id)] },
+  { method: 'PATCH',  pattern: /^\/playlist-channels\/(\d+)\//,      entity: 'playlist-channel', scope: ([id]) => [byId('playlist_channels', id)] },
+
+  // EPG mappings — INSERT OR REPLACE gives a replaced mapping a new id, so rows are keyed by source_tvg_id
+  { method: 'POST',   pattern: /^\/epg-mappings$/,                   entity: 'epg-mapping',
+    scope: (m, req) => [rows('epg_mappings', 'source_tvg_id = ?', [String(req.body?.source_tvg_id ?? '')], 'source_tvg_id')] },
+  { method: 'POST',   pattern: /^\/epg-mappings\/bulk$/,             entity: 'epg-mapping',
+    scope: (m, req) => {
+      const ids = (Array.isArray(req.body?.mappings) ? req.body.mappings : []).map(r => String(r?.source_tvg_id ?? '')).filter(Boolean)
+      return [rows('epg_mappings', inList('source_tvg_id', ids), ids, 'source_tvg_id')]
+    } },
+  { method: 'DELETE', pattern: /^\/epg-mappings\/(\d+)$/,            entity: 'epg-mapping',
+    scope: ([id]) => [rows('epg_mappings', 'id = ?', [id], 'source_tvg_id')] },
+  { method: 'DELETE', pattern: /^\/epg-mappings\/by-playlist\/(\d+)$/, entity: 'playlist',
+    scope: ([id]) => {
+      const tvgIds = playlistTvgIds(id)
+      return [
+        rows('epg_mappings', inList('source_tvg_id', tvgIds), tvgIds, 'source_tvg_id'),
+        rows('playlist_channels', 'playlist_id = ?', [id], 'id', ['id', 'custom_tvg_id']),
+      ]
+    } },
+
+  // Settings
+  { method: 'PUT',    pattern: /^\/(?:settings|proxy-settings|vod\/settings|recordings\/settings|transcode-profiles\/settings|backups\/settings)$/,
+    entity: 'settings', scope: allSettings },
+
+  // Users
+  { method: 'POST',   pattern: /^\/users$/,                          entity: 'user', scope: () => [created('users')] },
+  { method: 'PUT',    pattern: /^\/users\/(\d+)$/,                   entity: 'user', scope: ([id]) => [byId('users', id)] },
+  { method: 'DELETE', pattern: /^\/users\/(\d+)$/,                   entity: 'user', scope: ([id]) => [byId('users', id)] },
+  { pattern: /^\/users\/(\d+)\/favorites(\/|$)/,                     entity: 'user',
+    scope: ([id]) => [rows('user_favorites', 'user_id = ?', [id])] },
+
+  // Composite streams (mounted at /api/composite-streams)
+  { method: 'POST',   pattern: /^\/composite-streams\/?$/,           entity: 'composite-stream',
+    scope: () => [created('composite_streams'), created('composite_stream_sources')] },
+  { pattern: /^\/composite-streams\/(\d+)$/,                         entity: 'composite-stream',
+    scope: ([id]) => [byId('composite_streams', id), rows('composite_stream_sources', 'composite_stream_id = ?', [id])] },
+
+  // HDHomeRun virtual devices
+  { method: 'POST',   pattern: /^\/hdhr\/virtual-devices$/,          entity: 'hdhr-device', scope: () => [created('hdhr_devices')] },
+  { pattern: /^\/hdhr\/virtual-devices\/(\d+)(\/channel-map)?$/,     entity: 'hdhr-device', scope: ([id]) => [byId('hdhr_devices', id)] },
+
+  // Reverts are audited (and revertable) like any other change
+  { method: 'POST',   pattern: /^\/audit\/(\d+)\/revert$/,           entity: 'audit', scope: ([id]) => revertScopes(id) },
+]
+
+function matchRoute(method, path) {
+  for (const route of AUDITED_ROUTES) {
+    if (route.method && route.method !== method) continue
+    const match = route.pattern.exec(path)
+    if (match) return { route, params: match.slice(1) }
+  }
+  return null
+}
+
+function takeSnapshot(scope) {
+  if (scope.summary) {
+    const groups = db.prepare(
+      `SELECT ${scope.groupBy} AS name, COUNT(*) AS n FROM ${scope.table} WHERE ${scope.where} GROUP BY ${scope.groupBy}`
+    ).all(...scope.params)
+    return {
+      table: scope.table,
+      summary: {
+        count:   groups.reduce((sum, g) => sum + g.n, 0),
+        groupBy: scope.groupBy,
+        groups:  Object.fromEntries(groups.map(g => [g.name ?? '', g.n])),
+      },
+    }
+  }
+  const cols = scope.columns ? scope.columns.join(', ') : '*'
+  return {
+    table: scope.table,
+    key:   scope.key,
+    rows:  db.prepare(`SELECT ${cols} FROM ${scope.table} WHERE ${scope.where}`).all(...scope.params),
+  }
+}
+
+function parseSnapshot(json) {
+  if (!json) return []
+  try { return JSON.parse(json) } catch { return [] }
+}
+
+// Drops rows (and summaries) that are identical before and after the request
+function trimUnchanged(before, after) {
+  const keep = { before: [], after: [] }
+  before.forEach((b, i) => {
+    const a = after[i]
+    if (b.summary) {
+      if (JSON.stringify(b.summary) !== JSON.stringify(a.summary)) { keep.before.push(b); keep.after.push(a) }
+      return
+    }
+    const afterByKey = new Map(a.rows.map(r => [r[a.key], r]))
+    const beforeKeys = new Set(b.rows.map(r => r[b.key]))
+    const changedBefore = b.rows.filter(r => JSON.stringify(r) !== JSON.stringify(afterByKey.get(r[b.key])))
+    const changedKeys = new Set(changedBefore.map(r => r[b.key]))
+    const changedAfter = a.rows.filter(r => changedKeys.has(r[a.key]) || !beforeKeys.has(r[a.key]))
+    if (changedBefore.length || changedAfter.length) {
+      keep.before.push({ ...b, rows: changedBefore })
+      keep.after.push({ ...a, rows: changedAfter })
+    }
+  })
+  return keep
+}
+
+/**
+ * Called by requireAdmin before a mutating request reaches its route.
+ * @returns {object|null} change context for recordChange(), or null when the route isn't snapshotted
+ */
+export function beginChange(req) {
+  const matched = matchRoute(req.method, req.path)
+  if (!matched) return null
+  try {
+    const scopes = matched.route.scope(matched.params, req)
+    return {
+      entity:   matched.route.entity,
+      entityId: matched.params[0] ?? null,
+      scopes,
+      before:   scopes.map(takeSnapshot),
+    }
+  } catch (err) {
+    console.error('[audit] Failed to snapshot before change:', err.message)
+    return null
+  }
+}
+
+// Reverting only rewrites rows that still exist, so a change that deleted rows can't be undone
+function removesRows(before, after) {
+  return before.some((b, i) => {
+    const afterKeys = new Set(after[i].rows.map(r => r[b.key]))
+    return b.rows.some(r => !afterKeys.has(r[b.key]))
+  })
+}
+
+export function recordChange(req, status, change = null) {
+  try {
+    let entity = change?.entity ?? null
+    let entityId = change?.entityId ?? null
+    let before = null
+    let after = null
+    let canRevert = 0
+    if (change && status < 400) {
+      const trimmed = trimUnchanged(change.before, change.scopes.map(takeSnapshot))
+      if (trimmed.before.length) {
+        before = JSON.stringify(trimmed.before)
+        after = JSON.stringify(trimmed.after)
+        canRevert = trimmed.before.some(s => s.summary) || removesRows(trimmed.before, trimmed.after) ? 0 : 1
+      }
+      // A create only learns its id now
+      if (!entityId) entityId = trimmed.after.find(s => !s.summary && s.rows.length)?.rows[0]?.id?.toString() ?? null
+    }
+    db.prepare(`
+      INSERT INTO audit_log (actor, role, method, path, status, ip, entity, entity_id, before_json, after_json, can_revert, revert_of)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(req.actor, req.session.role, req.method, req.originalUrl.split('?')[0], status, req.ip || null,
+      entity, entityId, before, after, canRevert, req.auditRevertOf ?? null)
+  } catch (err) {
+    console.error('[audit] Failed to record change:', err.message)
+  }
+}
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+
+function redactRow(row) {
+  const out = { ...row }
+  for (const col of REDACTED_COLUMNS) if (out[col] != null) out[col] = REDACTED
+  return out
+}
+
+function redactSnapshot(snapshots) {
+  return snapshots.map(s => (s.summary ? s : { ...s, rows: s.rows.map(redactRow) }))
+}
+
+/**
+ * Field-level diff of one entry: per table, each changed row as created,
+ * deleted or updated with { column: { before, after } }
+ */
+export function diffChange(entry) {
+  const before = parseSnapshot(entry.before_json)
+  const after = parseSnapshot(entry.after_json)
+  return before.map((b, i) => {
+    const a = after[i]
+    if (b.summary) return { table: b.table, summary: { before: b.summary, after: a.summary } }
+
+    const afterByKey = new Map(a.rows.map(r => [r[a.key], r]))
+    const beforeKeys = new Set(b.rows.map(r => r[b.key]))
+    const rowsOut = []
+    for (const row of b.rows) {
+      const next = afterByKey.get(row[b.key])
+      if (!next) { rowsOut.push({ key: row[b.key], action: 'deleted', before: redactRow(row) }); continue }
+      const fields = {}
+      for (const col of new Set([...Object.keys(row), ...Object.keys(next)])) {
+        if (JSON.stringify(row[col]) === JSON.stringify(next[col])) continue
+        fields[col] = REDACTED_COLUMNS.has(col)
+          ? { before: REDACTED, after: REDACTED }
+          : { before: row[col] ?? null, after: next[col] ?? null }
+      }
+      rowsOut.push({ key: row[b.key], action: 'updated', fields })
+    }
+    for (const row of a.rows) {
+      if (!beforeKeys.has(row[a.key])) rowsOut.push({ key: row[a.key], action: 'created', after: redactRow(row) })
+    }
+    return { table: b.table, key: b.key, rows: rowsOut }
+  })
+}
+
+const LIST_COLUMNS = `id, actor, role, method, path, status, ip, created_at, entity, entity_id,
+  can_revert, reverted_at, reverted_by, revert_of, before_json IS NOT NULL AS has_diff`
+
+/**
+ * @param {object} filters - { actor, role, method, path (substring), entity, entity_id,
+ *   since, until (datetimes), changed (only entries with a diff), limit, before (id for paging) }
+ */
+export function listAuditEntries({ actor, role, method, path, entity, entity_id, since, until, changed, limit = 100, before } = {}) {
+  const where = []
+  const params = []
+  if (actor)     { where.push('actor = ?'); params.push(actor) }
+  if (role)      { where.push('role = ?'); params.push(role) }
+  if (method)    { where.push('method = ?'); params.push(String(method).toUpperCase()) }
+  if (path)      { where.push('path LIKE ?'); params.push(`%${path}%`) }
+  if (entity)    { where.push('entity = ?'); params.push(entity) }
+  if (entity_id) { where.push('entity_id = ?'); params.push(String(entity_id)) }
+  if (since)     { where.push('datetime(created_at) >= datetime(?)'); params.push(since) }
+  if (until)     { where.push('datetime(created_at) <= datetime(?)'); params.push(until) }
+  if (changed)   { where.push('before_json IS NOT NULL') }
+  if (before)    { where.push('id < ?'); params.push(Number(before)) }
+  const sql = `SELECT ${LIST_COLUMNS} FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`
+  return db.prepare(sql).all(...params, Math.min(Math.max(Number(limit) || 100, 1), 1000))
+    .map(e => ({ ...e, can_revert: !!e.can_revert, has_diff: !!e.has_diff }))
+}
+
+export function getAuditEntry(id) {
+  const entry = db.prepare('SELECT * FROM audit_log WHERE id = ?').get(id)
+  if (!entry) return null
+  const { before_json, after_json, ...rest } = entry
+  return {
+    ...rest,
+    can_revert: !!entry.can_revert,
+    before:     redactSnapshot(parseSnapshot(before_json)),
+    after:      redactSnapshot(parseSnapshot(after_json)),
+    changes:    diffChange(entry),
+  }
+}
+
+// ── Revert ────────────────────────────────────────────────────────────────────
+
+/**
+ * Puts the rows an entry changed back the way they were: "before" rows are
+ * written back, rows the change created are deleted. Refuses when a changed
+ * row no longer exists (it was deleted, by this change or a later one).
+ * @returns {{ error: string, status: number } | { steps: { table, key, restored: any[], deleted: any[] }[] }}
+ */
+export function revertChange(id, actor) {
+  const entry = db.prepare('SELECT * FROM audit_log WHERE id = ?').get(id)
+  if (!entry) return { error: 'Audit entry not found', status: 404 }
+  if (entry.reverted_at) return { error: `Already reverted by ${entry.reverted_by} at ${entry.reverted_at}`, status: 409 }
+  if (!entry.before_json) return { error: 'This entry has no recorded changes to revert', status: 400 }
+  if (!entry.can_revert) return { error: 'Deletions and bulk channel list changes (recorded as counts only) cannot be reverted', status: 400 }
+
+  const before = parseSnapshot(entry.before_json)
+  const after = parseSnapshot(entry.after_json)
+
+  const plan = before.map((b, i) => {
+    const beforeKeys = new Set(b.rows.map(r => r[b.key]))
+    return {
+      table:   b.table,
+      key:     b.key,
+      restore: b.rows,
+      remove:  after[i].rows.map(r => r[b.key]).filter(k => !beforeKeys.has(k)),
+    }
+  })
+
+  const missing = []
+  for (const step of plan) {
+    const exists = db.prepare(`SELECT 1 FROM ${step.table} WHERE ${step.key} = ?`)
+    for (const row of step.restore) {
+      if (!exists.get(row[step.key])) missing.push(`${step.table} ${row[step.key]}`)
+    }
+  }
+  if (missing.length) return { error: `Rows no longer exist: ${missing.join(', ')}`, status: 409 }
+
+  db.transaction(() => {
+    for (const step of plan) {
+      const tableCols = new Set(db.prepare(`PRAGMA table_info(${step.table})`).all().map(c => c.name))
+      for (const row of step.restore) {
+        const cols = Object.keys(row).filter(c => tableCols.has(c))
+        db.prepare(`UPDATE ${step.table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE ${step.key} = ?`)
+          .run(...cols.map(c => row[c]), row[step.key])
+      }
+      const del = db.prepare(`DELETE FROM ${step.table} WHERE ${step.key} = ?`)
+      for (const key of step.remove) del.run(key)
+    }
+    db.prepare("UPDATE audit_log SET reverted_at = datetime('now'), reverted_by = ? WHERE id = ?").run(actor, id)
+  })()
+
+  return {
+    steps: plan.map(step => ({
+      table:    step.table,
+      key:      step.key,
+      restored: step.restore.map(r => r[step.key]),
+      deleted:  step.remove,
+    })),
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * Backups — bundles, scheduled backup files, retention and selective restore
+ *
+ * - A bundle is a gzipped JSON object with the rows of BACKUP_TABLES, their
+ *   schema, the migration version and the EPG XML files / .env
+ * - The "backup" scheduler job writes one to DATA_DIR/backups (setting
+ *   backup_schedule); bulky tables that a source refresh rebuilds anyway can
+ *   be left out (backup_exclude_tables, comma separated)
+ * - Retention keeps the newest backup of each of the last backup_keep_daily
+ *   days and backup_keep_weekly ISO weeks and deletes the rest; the newest
+ *   backup is always kept
+ * - planRestore() turns a selection — whole tables, or entities such as one
+ *   playlist with its channels — into steps; diffRestore() previews them as
+ *   inserted/updated/deleted rows and applyRestore() writes them
+ */
+
+import path from 'node:path'
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'node:fs'
+import { gzipSync, gunzipSync } from 'node:zlib'
+import db from './db.js'
+import { getSettingValue } from './settings-cache.js'
+import { getServerTimezone } from './services/scheduler.js'
+
+const DATA_DIR = process.env.DATA_DIR || '/data'
+export const BACKUP_DIR = path.join(DATA_DIR, 'backups')
+
+const FILE_PREFIX = 'm3u4prox-backup-'
+const FILE_PATTERN = /^m3u4prox-backup-[0-9A-Za-z_-]+\.json\.gz$/
+
+// Parents before children — also the order a full restore writes them in
+export const BACKUP_TABLES = [
+  'sources',
+  'transcode_profiles',
+  'epg_mappings',
+  'epg_channel_precedence',
+  'settings',
+  'playlists',
+  'playlist_channels',
+  'playlist_smart_pins',
+  'playlist_channel_numbers',
+  'epg_site_channels',
+  'epg_selected_channels',
+  'users',
+  'user_favorites',
+  'stream_history',
+  'stream_stats_daily',
+  'admin_sessions',
+  'failed_streams',
+  'source_channels',
+  'source_refresh_history',
+  'epg_cache',
+  'epg_channels',
+  'epg_programmes',
+  'hdhr_devices',
+  'composite_streams',
+  'composite_stream_sources',
+  'webhooks',
+  'recording_rules',
+  'recordings',
+  'channel_health',
+  'channel_health_checks',
+  'scheduler_jobs',
+  'tmdb_enrichment',
+  'tmdb_episodes',
+  'audit_log',
+]
+
+// Rebuilt by source refreshes, EPG grabs and health checks — candidates for exclusion
+export const BULKY_TABLES = ['source_channels', 'epg_cache', 'epg_channels', 'epg_programmes', 'channel_health_checks', 'stream_history']
+
+export const DEFAULT_BACKUP_SCHEDULE = '30 3 * * *'
+const DEFAULT_EXCLUDED = ['source_channels', 'epg_cache', 'epg_programmes']
+
+// Selective restore: a row plus the rows that belong to it
+export const RESTORE_ENTITIES = {
+  'playlist':         { table: 'playlists', label: 'name', children: [{ table: 'playlist_channels', column: 'playlist_id' }, { table: 'playlist_smart_pins', column: 'playlist_id' }, { table: 'playlist_channel_numbers', column: 'playlist_id' }] },
+  'source':           { table: 'sources', label: 'name', children: [{ table: 'source_channels', column: 'source_id' }, { table: 'source_refresh_history', column: 'source_id' }] },
+  'user':             { table: 'users', label: 'username', children: [{ table: 'user_favorites', column: 'user_id' }] },
+  'composite-stream': { table: 'composite_streams', label: 'name', children: [{ table: 'composite_stream_sources', column: 'composite_stream_id' }] },
+  'hdhr-device':      { table: 'hdhr_devices', label: 'name', children: [] },
+  'webhook':          { table: 'webhooks', label: 'name', children: [] },
+}
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+function parseTableList(value) {
+  return String(value).split(',').map(t => t.trim()).filter(t => BACKUP_TABLES.includes(t))
+}
+
+export function getBackupSettings() {
+  const excluded = getSettingValue('backup_exclude_tables')
+  return {
+    schedule:       getSettingValue('backup_schedule', DEFAULT_BACKUP_SCHEDULE),
+    keep_daily:     parseInt(getSettingValue('backup_keep_daily', '7'), 10),
+    keep_weekly:    parseInt(getSettingValue('backup_keep_weekly', '4'), 10),
+    exclude_tables: excluded === null ? DEFAULT_EXCLUDED : parseTableList(excluded),
+  }
+}
+
+// Returns an error message, or null
+export function validateBackupSettings(body) {
+  for (const key of ['keep_daily', 'keep_weekly']) {
+    if (body[key] === undefined) continue
+    const n = Number(body[key])
+    if (!Number.isInteger(n) || n < 0 || n > 365) return `${key} must be a whole number from 0 to 365`
+  }
+  if (body.exclude_tables !== undefined) {
+    if (!Array.isArray(body.exclude_tables)) return 'exclude_tables must be an array'
+    const unknown = body.exclude_tables.filter(t => !BACKUP_TABLES.includes(t))
+    if (unknown.length) return `Unknown tables: ${unknown.join(', ')}`
+  }
+  return null
+}
+
+// Settings shape → settings rows, for setSettingsValues()
+export function backupSettingsValues(body) {
+  const values = {}
+  if (body.schedule !== undefined) values.backup_schedule = String(body.schedule || '').trim()
+  if (body.keep_daily !== undefined) values.backup_keep_daily = String(Number(body.keep_daily))
+  if (body.keep_weekly !== undefined) values.backup_keep_weekly = String(Number(body.keep_weekly))
+  if (body.exclude_tables !== undefined) values.backup_exclude_tables = body.exclude_tables.join(',')
+  return values
+}
+
+// ── Bundles ───────────────────────────────────────────────────────────────────
+function schemaVersion() {
+  try {
+    return db.prepare('SELECT MAX(id) as version FROM migrations').get()?.version || 0
+  } catch {
+    return 0
+  }
+}
+
+/**
+ * @param {object} options - { exclude: table names to leave out }
+ */
+export function buildBackup({ exclude = [] } = {}) {
+  const bundle = {
+    version: 3,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: schemaVersion(),
+    excluded: BACKUP_TABLES.filter(t => exclude.includes(t)),
+    tables: {},
+    schema: {},
+    files: {},
+  }
+
+  for (const table of BACKUP_TABLES) {
+    if (exclude.includes(table)) continue
+    try {
+      bundle.tables[table] = db.prepare(`SELECT * FROM ${table}`).all()
+      bundle.schema[table] = db.prepare(`PRAGMA table_info(${table})`).all().map(col => ({
+        name: col.name,
+        type: col.type,
+        notnull: col.notnull,
+        dflt_value: col.dflt_value,
+        pk: col.pk,
+      }))
+    } catch {
+      bundle.tables[table] = []
+      bundle.schema[table] = []
+    }
+  }
+
+  const epgDir = path.join(DATA_DIR, 'epg')
+  for (const file of ['channels.xml', 'guide.xml']) {
+    const filePath = path.join(epgDir, file)
+    if (existsSync(filePath)) bundle.files[file] = readFileSync(filePath, 'base64')
+  }
+
+  const envPath = path.join(process.cwd(), '.env')
+  if (existsSync(envPath)) bundle.files['.env'] = readFileSync(envPath, 'base64')
+
+  return bundle
+}
+
+export function encodeBackup(bundle) {
+  return gzipSync(Buffer.from(JSON.stringify(bundle)))
+}
+
+// Returns null when the buffer isn't a backup bundle
+export function decodeBackup(buffer) {
+  try {
+    const bundle = JSON.parse(gunzipSync(buffer).toString('utf8'))
+    return bundle?.version && bundle.tables ? bundle : null
+  } catch {
+    return null
+  }
+}
+
+// Table row counts and the entities a selective restore can pick from
+export function describeBackup(bundle) {
+  const entities = {}
+  for (const [type, def] of Object.entries(RESTORE_ENTITIES)) {
+    const rows = bundle.tables[def.table]
+    if (rows?.length) entities[type] = rows.map(r => ({ id: r.id, name: r[def.label] ?? `#${r.id}` }))
+  }
+  return {
+    version:       bundle.version,
+    exportedAt:    bundle.exportedAt,
+    schemaVersion: bundle.schemaVersion ?? null,
+    excluded:      bundle.excluded || [],
+    tables:        Object.fromEntries(Object.entries(bundle.tables).map(([t, rows]) => [t, rows.length])),
+    files:         Object.keys(bundle.files || {}),
+    entities,
+  }
+}
+
+// ── Backup files ──────────────────────────────────────────────────────────────
+export function backupFilePath(name) {
+  return FILE_PATTERN.test(name) ? path.join(BACKUP_DIR, name) : null
+}
+
+function readBackupFiles() {
+  if (!existsSync(BACKUP_DIR)) return []
+  return readdirSync(BACKUP_DIR)
+    .filter(name => FILE_PATTERN.test(name))
+    .map(name => {
+      const stat = statSync(path.join(BACKUP_DIR, name))
+      return { name, size: stat.size, created_at: stat.mtime.toISOString() }
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+}
+
+// YYYY-MM-DD in the server timezone
+function localDay(iso) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: getServerTimezone(), year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(iso))
+}
+
+// ISO 8601 week of a YYYY-MM-DD day, e.g. "2026-W42"
+function isoWeek(day) {
+  const date = new Date(`${day}T00:00:00Z`)
+  const weekday = date.getUTCDay() || 7
+  date.setUTCDate(date.getUTCDate() + 4 - weekday)
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1))
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7)
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+/**
+ * Why each backup is kept: the newest of one of the last keep_daily days
+ * and/or keep_weekly weeks. Files (newest first) without a reason are pruned.
+ */
+function retentionReasons(files, { keep_daily, keep_weekly }) {
+  const reasons = new Map(files.map(f => [f.name, []]))
+  const days = new Set()
+  const weeks = new Set()
+  for (const file of files) {
+    const day = localDay(file.created_at)
+    const week = isoWeek(day)
+    if (!days.has(day) && days.size < keep_daily) reasons.get(file.name).push('daily')
+    if (!weeks.has(week) && weeks.size < keep_weekly) reasons.get(file.name).push('weekly')
+    days.add(day)
+    weeks.add(week)
+  }
+  if (files.length && !reasons.get(files[0].name).length) reasons.get(files[0].name).push('latest')
+  return reasons
+}
+
+export function listBackups() {
+  const files = readBackupFiles()
+  const reasons = retentionReasons(files, getBackupSettings())
+  return files.map(f => ({ ...f, kept_as: reasons.get(f.name) }))
+}
+
+export function pruneBackups() {
+  const files = readBackupFiles()
+  const reasons = retentionReasons(files, getBackupSettings())
+  const removed = []
+  for (const file of files) {
+    if (reasons.get(file.name).length) continue
+    try {
+      unlinkSync(path.join(BACKUP_DIR, file.name))
+      removed.push(file.name)
+    } catch (err) {
+      console.error(`[backup] Failed to delete ${file.name}:`, err.message)
+    }
+  }
+  if (removed.length) console.log(`[backup] Retention removed ${removed.length} old backup(s)`)
+  return removed
+}
+
+/**
+ * Writes a bundle to BACKUP_DIR with the configured exclusions, then applies retention.
+ * Used by the "backup" scheduler job and POST /api/backups.
+ */
+export function createBackupFile() {
+  const { exclude_tables } = getBackupSettings()
+  mkdirSync(BACKUP_DIR, { recursive: true })
+  const stamp = new Date().toISOString().replace(/\..+$/, '').replace(/:/g, '-')
+  const name = `${FILE_PREFIX}${stamp}.json.gz`
+  const data = encodeBackup(buildBackup({ exclude: exclude_tables }))
+  writeFileSync(path.join(BACKUP_DIR, name), data)
+  console.log(`[backup] Wrote ${name} (${(data.length / 1024 / 1024).toFixed(1)} MB)`)
+  return { file: name, size: data.length, excluded: exclude_tables.length, pruned: pruneBackups().length }
+}
+
+// ── Restore ───────────────────────────────────────────────────────────────────
+function keyColumns(table) {
+  const pk = db.prepare(`PRAGMA table_info(${table})`).all().filter(c => c.pk).sort((a, b) => a.pk - b.pk).map(c => c.name)
+  return pk.length ? pk : ['rowid']
+}
+
+const rowKey = (row, cols) => JSON.stringify(cols.map(c => row[c]))
+
+/**
+ * Selection: null for everything in the bundle, or { tables: [...], entities: [{ type, id }] }.
+ * A full restore leaves tables that are empty in the backup alone, as it always has.
+ * @returns {{ error: string } | { steps: object[] }}
+ */
+export function planRestore(bundle, selection = null) {
+  const steps = []
+
+  if (!selection) {
+    for (const table of BACKUP_TABLES) {
+      const rows = bundle.tables[table]
+      if (!rows?.length) continue
+      steps.push({ table, label: table, where: '1 = 1', params: [], rows })
+    }
+    return { steps }
+  }
+
+  for (const table of selection.tables || []) {
+    if (!BACKUP_TABLES.includes(table)) return { error: `Unknown table: ${table}` }
+    if (!bundle.tables[table]) return { error: `Table ${table} is not in this backup` }
+    steps.push({ table, label: table, where: '1 = 1', params: [], rows: bundle.tables[table] })
+  }
+
+  for (const { type, id } of selection.entities || []) {
+    const def = RESTORE_ENTITIES[type]
+    if (!def) return { error: `Unknown entity type: ${type}` }
+    const row = (bundle.tables[def.table] || []).find(r => String(r.id) === String(id))
+    if (!row) return { error: `${type} ${id} is not in this backup` }
+    const label = `${type} "${row[def.label] ?? id}"`
+    steps.push({ table: def.table, label, where: 'id = ?', params: [row.id], rows: [row] })
+    for (const child of def.children) {
+      // Excluded tables (e.g. source_channels) are skipped rather than emptied
+      if (!bundle.tables[child.table]) continue
+      steps.push({
+        table:  child.table,
+        label,
+        where:  `${child.column} = ?`,
+        params: [row.id],
+        rows:   bundle.tables[child.table].filter(r => String(r[child.column]) === String(row.id)),
+      })
+    }
+  }
+
+  if (!steps.length) return { error: 'Nothing selected to restore' }
+  return { steps }
+}
+
+function rowName(row) {
+  return row.name ?? row.tvg_name ?? row.username ?? row.key ?? row.source_tvg_id ?? row.id ?? null
+}
+
+/**
+ * Dry run: per step, how many rows would be inserted, updated, deleted or stay
+ * unchanged, with up to 5 example names of each
+ */
+export function diffRestore(steps) {
+  return steps.map(step => {
+    const current = db.prepare(`PRAGMA table_info(${step.table})`).all().map(c => c.name)
+    const keys = keyColumns(step.table)
+    const existing = new Map(
+      db.prepare(`SELECT ${keys.includes('rowid') ? 'rowid, ' : ''}* FROM ${step.table} WHERE ${step.where}`).all(...step.params)
+        .map(r => [rowKey(r, keys), r])
+    )
+    const counts = { insert: 0, update: 0, delete: 0, unchanged: 0 }
+    const samples = { insert: [], update: [], delete: [] }
+    const note = (kind, row) => {
+      counts[kind]++
+      if (samples[kind] && samples[kind].length < 5) samples[kind].push(rowName(row))
+    }
+
+    const seen = new Set()
+    for (const row of step.rows) {
+      const key = rowKey(row, keys)
+      seen.add(key)
+      const cur = existing.get(key)
+      if (!cur) { note('insert', row); continue }
+      const cols = current.filter(c => c in row)
+      const changed = cols.some(c => JSON.stringify(cur[c]) !== JSON.stringify(row[c]))
+      note(changed ? 'update' : 'unchanged', row)
+    }
+    for (const [key, row] of existing) {
+      if (!seen.has(key)) note('delete', row)
+    }
+    return { table: step.table, label: step.label, ...counts, samples }
+  })
+}
+
+/**
+ * Writes the steps in one transaction with foreign keys off (a REPLACE would
+ * otherwise cascade into child rows). Rows in a step's scope that the backup
+ * doesn't have are deleted.
+ * @returns {Record<string, number>} rows written per table
+ */
+export function applyRestore(steps) {
+  const written = {}
+  db.exec('PRAGMA foreign_keys = OFF')
+  try {
+    db.transaction(() => {
+      for (const step of steps) {
+        try {
+          const currentColumns = new Set(db.prepare(`PRAGMA table_info(${step.table})`).all().map(c => c.name))
+          db.prepare(`DELETE FROM ${step.table} WHERE ${step.where}`).run(...step.params)
+          written[step.table] = (written[step.table] || 0)
+          if (!step.rows.length) continue
+
+          const validColumns = Object.keys(step.rows[0]).filter(col => currentColumns.has(col))
+          if (!validColumns.length) continue
+          const insert = db.prepare(
+            `INSERT OR REPLACE INTO ${step.table} (${validColumns.join(',')}) VALUES (${validColumns.map(() => '?').join(',')})`
+          )
+          for (const row of step.rows) insert.run(validColumns.map(c => row[c]))
+          written[step.table] += step.rows.length
+        } catch (e) {
+          console.error(`[restore] Error restoring table ${step.table}:`, e.message)
+        }
+      }
+    })()
+  } finally {
+    db.exec('PRAGMA foreign_keys = ON')
+  }
+  return written
+}
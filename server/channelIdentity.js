@@ -0,0 +1,100 @@
+/**
+ * Stable channel identity across source refreshes
+ *
+ * Providers rotate tokens or credentials inside stream URLs, so the URL alone
+ * can't tell a changed channel from a removed one plus a new one. A refresh
+ * matches the incoming channels against the stored ones, in order:
+ *
+ * - the same URL
+ * - the same stable key: the Xtream stream id (from the channel or from a
+ *   /live|movie|series/user/pass/<id> URL), else tvg-id + normalized name
+ * - fuzzy fallbacks, each only when the match is unambiguous on both sides:
+ *   the URL without its query string, normalized name + group, normalized name
+ *
+ * Everything left over on the incoming side is new, on the stored side removed.
+ */
+
+const XTREAM_URL_RE = /\/(live|movie|series)\/[^/]+\/[^/]+\/(\d+)(?:\.\w+)?(?:\?.*)?$/
+
+export function channelStableKey({ streamId = null, url = '', tvgId = '', normalizedName = '' }) {
+  const xtream = url.match(XTREAM_URL_RE)
+  if (streamId !== null && streamId !== undefined && streamId !== '') return `xtream:${xtream?.[1] || 'stream'}:${streamId}`
+  if (xtream) return `xtream:${xtream[1]}:${xtream[2]}`
+  if (tvgId && normalizedName) return `tvg:${String(tvgId).toLowerCase()}:${normalizedName}`
+  return null
+}
+
+function urlWithoutQuery(url) {
+  return url.replace(/[?#].*$/, '')
+}
+
+// Pairs up the unmatched entries of both sides that share exactly one key value
+function matchUnique(stored, incoming, keyOf, matches) {
+  const group = (items) => {
+    const map = new Map()
+    for (const item of items) {
+      const key = keyOf(item)
+      if (!key) continue
+      if (!map.has(key)) map.set(key, [])
+      map.get(key).push(item)
+    }
+    return map
+  }
+  const storedByKey = group(stored.filter(s => !s.matched))
+  const incomingByKey = group(incoming.filter(i => !i.matched))
+
+  for (const [key, candidates] of incomingByKey) {
+    const counterpart = storedByKey.get(key)
+    if (candidates.length !== 1 || counterpart?.length !== 1) continue
+    candidates[0].matched = true
+    counterpart[0].matched = true
+    matches.push({ stored: counterpart[0].row, incoming: candidates[0].row })
+  }
+}
+
+/**
+ * Match stored source_channels rows ({ url, tvg_name, group_title, normalized_name, stable_key })
+ * against incoming prepared channels ({ url, cleanedName, groupTitle, normalizedName, stableKey }).
+ * @returns {{ matches: Array<{stored, incoming}>, added: Array, removed: Array }}
+ */
+export function reconcileChannels(storedRows, incomingChannels) {
+  const stored = storedRows.map(row => ({
+    row,
+    matched: false,
+    url: row.url,
+    key: row.stable_key || channelStableKey({ url: row.url, tvgId: row.tvg_id, normalizedName: row.normalized_name }),
+    name: row.normalized_name || '',
+    group: row.group_title || '',
+  }))
+  // Repeated URLs (the same VOD item listed twice) are one channel
+  const seenUrls = new Set()
+  const incoming = incomingChannels.filter(row => !seenUrls.has(row.url) && seenUrls.add(row.url)).map(row => ({
+    row,
+    matched: false,
+    url: row.url,
+    key: row.stableKey,
+    name: row.normalizedName || '',
+    group: row.groupTitle || '',
+  }))
+
+  const matches = []
+  const storedByUrl = new Map(stored.map(s => [s.url, s]))
+  for (const item of incoming) {
+    const same = storedByUrl.get(item.url)
+    if (!same || same.matched) continue
+    same.matched = true
+    item.matched = true
+    matches.push({ stored: same.row, incoming: item.row })
+  }
+
+  matchUnique(stored, incoming, s => s.key, matches)
+  matchUnique(stored, incoming, s => urlWithoutQuery(s.url), matches)
+  matchUnique(stored, incoming, s => s.name && `${s.group}\n${s.name}`, matches)
+  matchUnique(stored, incoming, s => s.name, matches)
+
+  return {
+    matches,
+    added: incoming.filter(i => !i.matched).map(i => i.row),
+    removed: stored.filter(s => !s.matched).map(s => s.row),
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Channel numbering — stable numbers for the channels of a live playlist
+ *
+ * - Numbers are stored per channel in playlist_channel_numbers and survive
+ *   reordering, channel list saves and source refreshes. A channel is keyed by
+ *   its normalized name, so the variants deduplication picks between share one
+ *   number, or by URL when it has none
+ * - Numbers set by hand are locked; sub-channel numbers like "5.1" are allowed
+ * - Channels without a number get the lowest free one in their group's block
+ *   (channel_number_blocks, e.g. Sports at 200-299) or, outside blocks, from
+ *   channel_number_start upwards, skipping every block's range. With
+ *   channel_number_from_source the provider's tvg-chno is taken when it's free
+ * - Stored automatic numbers that no longer fit (block or start changed, or a
+ *   locked number took them) are given a new one; two channels locked to the
+ *   same number are reported as a collision, a full block as an overflow
+ * - M3U tvg-chno, Xtream num, HDHomeRun GuideNumber and XMLTV channel-number/lcn
+ *   all read the number through withChannelNumbers()
+ */
+
+import db from './db.js'
+
+const NUMBER_RE = /^(\d+)(?:\.(\d+))?$/
+
+// "007" → "7", "5.01" → "5.1"; null when it isn't a channel number
+export function normalizeChannelNumber(value) {
+  const match = String(value ?? '').trim().match(NUMBER_RE)
+  if (!match) return null
+  const major = Number(match[1])
+  if (major < 1) return null
+  return match[2] !== undefined ? `${major}.${Number(match[2])}` : String(major)
+}
+
+function parseBlocks(json) {
+  try {
+    const blocks = JSON.parse(json || '[]')
+    return Array.isArray(blocks) ? blocks : []
+  } catch {
+    return []
+  }
+}
+
+export function getNumberingConfig(playlist) {
+  return {
+    start: playlist.channel_number_start || 1,
+    blocks: parseBlocks(playlist.channel_number_blocks),
+    from_source: Boolean(playlist.channel_number_from_source),
+  }
+}
+
+/**
+ * Validate numbering settings from the API — returns [error, config].
+ */
+export function normalizeNumberingConfig(input) {
+  if (!input || typeof input !== 'object') return ['numbering settings required', null]
+  const start = input.start === undefined ? 1 : parseInt(input.start, 10)
+  if (!(start >= 1)) return ['start must be a number of at least 1', null]
+
+  const blocks = []
+  for (const [i, block] of (Array.isArray(input.blocks) ? input.blocks : []).entries()) {
+    const group = String(block?.group ?? '')
+    const from = parseInt(block?.start, 10)
+    const to = parseInt(block?.end, 10)
+    if (!(from >= 1) || !(to >= from)) return [`blocks[${i}]: start and end must be numbers with start ≤ end`, null]
+    if (blocks.some(b => b.group === group)) return [`Group "${group}" has more than one block`, null]
+    const overlap = blocks.find(b => from <= b.end && to >= b.start)
+    if (overlap) return [`Block ${from}-${to} of "${group}" overlaps ${overlap.start}-${overlap.end} of "${overlap.group}"`, null]
+    blocks.push({ group, start: from, end: to })
+  }
+  return [null, { start, blocks, from_source: Boolean(input.from_source) }]
+}
+
+function channelKey(row) {
+  return row.normalized_name ? `name:${row.normalized_name}` : `url:${row.url}`
+}
+
+/**
+ * Number a playlist's channels, storing numbers for channels that had none.
+ * @param {number|string} playlistId
+ * @returns {{ byChannelId: Map<number, string>, channels: Array, collisions: Array, overflow: Array }}
+ *   channels: one entry per numbered channel { key, ids, name, group, number, locked }
+ */
+export function assignChannelNumbers(playlistId) {
+  const empty = { byChannelId: new Map(), channels: [], collisions: [], overflow: [] }
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId)
+  if (!playlist || playlist.playlist_type !== 'live') return empty
+  const { start, blocks, from_source } = getNumberingConfig(playlist)
+
+  const rows = db.prepare(`
+    SELECT pc.id, pc.url, pc.tvg_name, pc.group_title, pc.tvg_chno, MAX(sc.normalized_name) AS normalized_name
+    FROM playlist_channels pc
+    LEFT JOIN source_channels sc ON sc.url = pc.url
+    WHERE pc.playlist_id = ? AND COALESCE(pc.content_type, 'live') = 'live'
+    GROUP BY pc.id
+    ORDER BY pc.sort_order, pc.id
+  `).all(playlist.id)
+
+  // One entry per channel key, in playlist order; the first variant names it
+  const byKey = new Map()
+  for (const row of rows) {
+    const key = channelKey(row)
+    if (!byKey.has(key)) byKey.set(key, { key, ids: [], name: row.tvg_name, group: row.group_title || '', tvgChno: row.tvg_chno, number: null, locked: false })
+    byKey.get(key).ids.push(row.id)
+  }
+  const channels = [...byKey.values()]
+  const stored = new Map(
+    db.prepare('SELECT channel_key, number, locked FROM playlist_channel_numbers WHERE playlist_id = ?').all(playlist.id)
+      .map(r => [r.channel_key, r])
+  )
+
+  const blockOf = new Map(blocks.map(b => [b.group, b]))
+  const inAnyBlock = n => blocks.some(b => n >= b.start && n <= b.end)
+  const fits = (number, group) => {
+    const n = Math.floor(Number(number))
+    const block = blockOf.get(group)
+    return block ? n >= block.start && n <= block.end : n >= start && !inAnyBlock(n)
+  }
+
+  const taken = new Map() // number → channel
+  const collisions = []
+  const overflow = []
+  const take = (ch, number, locked = false) => {
+    ch.number = number
+    ch.locked = locked
+    taken.set(number, ch)
+  }
+
+  // Locked numbers first: they win over automatic ones
+  for (const ch of channels) {
+    const s = stored.get(ch.key)
+    if (!s?.locked) continue
+    const holder = taken.get(s.number)
+    if (holder) collisions.push({ number: s.number, channels: [holder.name, ch.name] })
+    take(ch, s.number, true)
+  }
+  // Automatic numbers from earlier runs that still fit
+  for (const ch of channels) {
+    const s = stored.get(ch.key)
+    if (ch.number || !s || taken.has(s.number) || !fits(s.number, ch.group)) continue
+    take(ch, s.number)
+  }
+  // The provider's numbers, when asked for
+  if (from_source) {
+    for (const ch of channels) {
+      const number = normalizeChannelNumber(ch.tvgChno)
+      if (ch.number || !number || taken.has(number) || !fits(number, ch.group)) continue
+      take(ch, number)
+    }
+  }
+  // Everything else: the lowest free number in the block, or in the general range
+  const cursors = new Map()
+  const nextFree = (from, to, cursorKey, skipBlocks) => {
+    let n = Math.max(cursors.get(cursorKey) ?? from, from)
+    while (n <= to && (taken.has(String(n)) || (skipBlocks && inAnyBlock(n)))) n++
+    cursors.set(cursorKey, n)
+    return n <= to ? String(n) : null
+  }
+  for (const ch of channels) {
+    if (ch.number) continue
+    const block = blockOf.get(ch.group)
+    let number = block ? nextFree(block.start, block.end, `block:${ch.group}`, false) : null
+    if (block && !number) overflow.push({ group: ch.group, channel: ch.name })
+    number ??= nextFree(start, Infinity, 'general', true)
+    take(ch, number)
+  }
+
+  const upsert = db.prepare(`
+    INSERT INTO playlist_channel_numbers (playlist_id, channel_key, number, locked) VALUES (?, ?, ?, 0)
+    ON CONFLICT(playlist_id, channel_key) DO UPDATE SET number = excluded.number, locked = 0, assigned_at = datetime('now')
+  `)
+  // Automatic numbers of channels no longer in the playlist are kept for their
+  // return, unless another channel holds that number now
+  const dropStale = db.prepare('DELETE FROM playlist_channel_numbers WHERE playlist_id = ? AND channel_key = ? AND locked = 0')
+  const changed = channels.filter(ch => !ch.locked && stored.get(ch.key)?.number !== ch.number)
+  const stale = [...stored.values()].filter(s => !s.locked && !byKey.has(s.channel_key) && taken.has(s.number))
+  if (changed.length || stale.length) {
+    db.transaction(() => {
+      for (const ch of changed) upsert.run(playlist.id, ch.key, ch.number)
+      for (const s of stale) dropStale.run(playlist.id, s.channel_key)
+    })()
+  }
+
+  const byChannelId = new Map()
+  for (const ch of channels) for (const id of ch.ids) byChannelId.set(id, ch.number)
+  return { byChannelId, channels, collisions, overflow }
+}
+
+/**
+ * Set channel_number on playlist channel rows (composite streams and VOD rows are
+ * left without one). Rows carry playlist_id, or all belong to playlistId.
+ */
+export function withChannelNumbers(channels, playlistId = null) {
+  const numbers = new Map()
+  for (const ch of channels) {
+    if (ch.is_composite) continue
+    const pid = Number(playlistId ?? ch.playlist_id)
+    if (!pid) continue
+    if (!numbers.has(pid)) numbers.set(pid, assignChannelNumbers(pid).byChannelId)
+    const number = numbers.get(pid).get(ch.id)
+    if (number) ch.channel_number = number
+  }
+  return channels
+}
+
+/**
+ * Lock (or with null, unlock) the numbers of playlist channels.
+ * @param {Object} numbers - { [playlistChannelId]: "5" | "5.1" | null }
+ * @returns {string|null} error message
+ */
+export function setLockedNumbers(playlistId, numbers) {
+  const rows = db.prepare(`
+    SELECT pc.id, pc.url, MAX(sc.normalized_name) AS normalized_name
+    FROM playlist_channels pc LEFT JOIN source_channels sc ON sc.url = pc.url
+    WHERE pc.playlist_id = ? GROUP BY pc.id
+  `).all(playlistId)
+  const byId = new Map(rows.map(r => [r.id, r]))
+
+  const changes = []
+  for (const [id, value] of Object.entries(numbers || {})) {
+    const row = byId.get(Number(id))
+    if (!row) return `Channel ${id} is not in this playlist`
+    const number = value === null || value === '' ? null : normalizeChannelNumber(value)
+    if (value !== null && value !== '' && !number) return `"${value}" is not a channel number (e.g. 5 or 5.1)`
+    changes.push({ key: channelKey(row), number })
+  }
+
+  const lock = db.prepare(`
+    INSERT INTO playlist_channel_numbers (playlist_id, channel_key, number, locked) VALUES (?, ?, ?, 1)
+    ON CONFLICT(playlist_id, channel_key) DO UPDATE SET number = excluded.number, locked = 1, assigned_at = datetime('now')
+  `)
+  const unlock = db.prepare('UPDATE playlist_channel_numbers SET locked = 0 WHERE playlist_id = ? AND channel_key = ?')
+  db.transaction(() => {
+    for (const { key, number } of changes) {
+      if (number) lock.run(playlistId, key, number)
+      else unlock.run(playlistId, key)
+    }
+  })()
+  return null
+}
+
+// Drop the automatic numbers so the next assignment numbers the playlist afresh, in order
+export function resetAutomaticNumbers(playlistId) {
+  return db.prepare('DELETE FROM playlist_channel_numbers WHERE playlist_id = ? AND locked = 0').run(playlistId).changes
+}
@@ -0,0 +1,270 @@
+/**
+ * Per-channel HTTP headers and player options from M3U sources
+ *
+ * - parseM3UText() feeds every #EXTVLCOPT, #KODIPROP and #EXTHTTP line of an
+ *   entry through applyOptionLine(); user agent and referrer options become
+ *   request headers, everything else is kept per player in stream_options
+ * - Kodi-style "url|User-Agent=...&Referer=..." suffixes are split off the URL
+ * - Upstream requests send DEFAULT_USER_AGENT, overridden by the source's
+ *   http_headers, overridden by the channel's own http_headers
+ * - Header names are matched case-insensitively; CR/LF is stripped from values
+ *   so nothing can be smuggled into ffmpeg's -headers block
+ * - Only the #EXTVLCOPT options in SAFE_VLC_OPTIONS are kept or replayed: VLC
+ *   input options can override the global --sout, so a source could otherwise
+ *   make cvlc write files anywhere the server can
+ */
+
+import db from './db.js'
+
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; M3UManager/1.0)'
+
+const HEADER_NAME_RE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/
+const CANONICAL_HEADERS = {
+  'user-agent': 'User-Agent',
+  'referer':    'Referer',
+  'referrer':   'Referer',
+  'origin':     'Origin',
+  'cookie':     'Cookie',
+}
+// #EXTVLCOPT options that are really request headers
+const VLC_HEADER_OPTIONS = {
+  'http-user-agent': 'User-Agent',
+  'http-referrer':   'Referer',
+  'http-referer':    'Referer',
+  'http-origin':     'Origin',
+  'http-cookie':     'Cookie',
+}
+// #EXTVLCOPT options a source may set on the VLC input — everything else is dropped
+const SAFE_VLC_OPTIONS = new Set(['network-caching', 'live-caching', 'http-reconnect', 'http-continuous'])
+
+export function isSafeVlcOption(key, value) {
+  return SAFE_VLC_OPTIONS.has(String(key).trim().toLowerCase()) && /^[\w.-]*$/.test(String(value ?? ''))
+}
+
+// Only the safe #EXTVLCOPT options of a stored stream_options.vlc object
+export function safeVlcOptions(vlcOptions) {
+  return Object.fromEntries(Object.entries(vlcOptions || {}).filter(([key, value]) => isSafeVlcOption(key, value)))
+}
+
+// #KODIPROP options carrying "Name=value&Name=value" headers for inputstream.adaptive
+const KODI_HEADER_OPTIONS = ['inputstream.adaptive.stream_headers', 'inputstream.adaptive.manifest_headers']
+
+function canonicalHeaderName(name) {
+  const trimmed = String(name).trim()
+  return CANONICAL_HEADERS[trimmed.toLowerCase()] || trimmed
+}
+
+function setHeader(headers, name, value) {
+  const key = canonicalHeaderName(name)
+  if (!HEADER_NAME_RE.test(key) || value === undefined || value === null) return
+  for (const existing of Object.keys(headers)) {
+    if (existing.toLowerCase() === key.toLowerCase()) delete headers[existing]
+  }
+  headers[key] = String(value).replace(/[\r\n]+/g, ' ').trim()
+}
+
+// "User-Agent=abc&Referer=https%3A%2F%2Fx" → { 'User-Agent': 'abc', Referer: 'https://x' }
+function parseHeaderQuery(text) {
+  const headers = {}
+  for (const pair of String(text).split('&')) {
+    const eq = pair.indexOf('=')
+    if (eq <= 0) continue
+    let value = pair.slice(eq + 1)
+    try { value = decodeURIComponent(value) } catch {}
+    setHeader(headers, pair.slice(0, eq), value)
+  }
+  return headers
+}
+
+export function createChannelOptions() {
+  return { headers: {}, vlc: {}, kodi: {} }
+}
+
+/**
+ * Collect one #EXTVLCOPT / #KODIPROP / #EXTHTTP line into opts.
+ * Returns false for lines that aren't player options.
+ */
+export function applyOptionLine(opts, line) {
+  const colon = line.indexOf(':')
+  if (colon < 0) return false
+  const tag = line.slice(0, colon).toUpperCase()
+  const body = line.slice(colon + 1).trim()
+
+  if (tag === '#EXTHTTP') {
+    try {
+      const parsed = JSON.parse(body)
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        for (const [name, value] of Object.entries(parsed)) setHeader(opts.headers, name, value)
+      }
+    } catch {}
+    return true
+  }
+
+  if (tag !== '#EXTVLCOPT' && tag !== '#KODIPROP') return false
+  const eq = body.indexOf('=')
+  if (eq <= 0) return true
+  const key = body.slice(0, eq).trim()
+  const value = body.slice(eq + 1).trim()
+
+  if (tag === '#EXTVLCOPT') {
+    const header = VLC_HEADER_OPTIONS[key.toLowerCase()]
+    if (header) setHeader(opts.headers, header, value)
+    else if (isSafeVlcOption(key, value)) opts.vlc[key.toLowerCase()] = value
+  } else {
+    opts.kodi[key] = value
+    if (KODI_HEADER_OPTIONS.includes(key.toLowerCase())) {
+      for (const [name, headerValue] of Object.entries(parseHeaderQuery(value))) {
+        if (!Object.keys(opts.headers).some(h => h.toLowerCase() === name.toLowerCase())) setHeader(opts.headers, name, headerValue)
+      }
+    }
+  }
+  return true
+}
+
+// Kodi appends headers to the URL after a "|"; fetch and ffmpeg need them split off
+export function splitUrlHeaders(url, opts) {
+  const pipe = url.indexOf('|')
+  if (pipe < 0) return url
+  for (const [name, value] of Object.entries(parseHeaderQuery(url.slice(pipe + 1)))) setHeader(opts.headers, name, value)
+  return url.slice(0, pipe).trim()
+}
+
+// tvg-chno and catchup / catchup-source / catchup-days (or timeshift) from an #EXTINF line
+export function extinfChannelAttributes(extinf) {
+  const attr = (name) => extinf.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'))?.[1]?.trim() || null
+  const type = attr('catchup') || attr('catchup-type')
+  const source = attr('catchup-source')
+  const days = parseInt(attr('catchup-days') || attr('timeshift') || '', 10)
+  const catchup = type || source || days > 0
+    ? { type: type || 'default', source: source || null, days: days > 0 ? days : null }
+    : null
+  return { tvg_chno: attr('tvg-chno'), catchup }
+}
+
+// Column values for source_channels / playlist_channels, null when nothing was set
+export function channelOptionColumns(opts) {
+  const streamOptions = {}
+  if (Object.keys(opts.vlc).length) streamOptions.vlc = opts.vlc
+  if (Object.keys(opts.kodi).length) streamOptions.kodi = opts.kodi
+  return {
+    http_headers:   Object.keys(opts.headers).length ? JSON.stringify(opts.headers) : null,
+    stream_options: Object.keys(streamOptions).length ? JSON.stringify(streamOptions) : null,
+  }
+}
+
+export function parseJsonObject(value) {
+  if (!value) return {}
+  if (typeof value === 'object') return value
+  try {
+    const parsed = JSON.parse(value)
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Validate user-entered headers (sources form) — returns [error, json]
+ * where json is null for an empty object.
+ */
+export function normalizeHeaderInput(input) {
+  if (input === undefined || input === null || input === '') return [null, null]
+  let parsed = input
+  if (typeof input === 'string') {
+    try { parsed = JSON.parse(input) } catch { return ['http_headers must be a JSON object', null] }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return ['http_headers must be a JSON object', null]
+
+  const headers = {}
+  for (const [name, value] of Object.entries(parsed)) {
+    if (!HEADER_NAME_RE.test(canonicalHeaderName(name))) return [`Invalid header name "${name}"`, null]
+    if (value === null || typeof value === 'object') return [`Header "${name}" must have a text value`, null]
+    if (String(value).trim() === '') continue
+    setHeader(headers, name, value)
+  }
+  return [null, Object.keys(headers).length ? JSON.stringify(headers) : null]
+}
+
+export function mergeHeaders(...layers) {
+  const merged = {}
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(parseJsonObject(layer))) setHeader(merged, name, value)
+  }
+  return merged
+}
+
+// The stored options of the channel being fetched: the playlist row when the URL
+// still matches it (failover can move a session to another source's variant),
+// otherwise the source_channels row for that URL
+function channelRow(channelId, url, sourceId) {
+  if (channelId) {
+    const row = db.prepare('SELECT http_headers, stream_options FROM playlist_channels WHERE id = ? AND url = ?').get(channelId, url)
+    if (row) return row
+  }
+  if (!sourceId) return db.prepare('SELECT http_headers, stream_options FROM source_channels WHERE url = ? LIMIT 1').get(url) || null
+  return db.prepare('SELECT http_headers, stream_options FROM source_channels WHERE source_id = ? AND url = ?').get(sourceId, url) || null
+}
+
+/**
+ * Request headers and player options for an upstream URL.
+ * base lets a fetcher keep its own defaults (e.g. a browser UA for VOD).
+ */
+export function getUpstreamOptions({ channelId = null, url, sourceId = null, base = null }) {
+  const source = sourceId ? db.prepare('SELECT http_headers FROM sources WHERE id = ?').get(sourceId) : null
+  const channel = channelRow(channelId, url, sourceId)
+  return {
+    headers: mergeHeaders({ 'User-Agent': DEFAULT_USER_AGENT }, base, source?.http_headers, channel?.http_headers),
+    options: parseJsonObject(channel?.stream_options),
+  }
+}
+
+export function getUpstreamHeaders(params) {
+  return getUpstreamOptions(params).headers
+}
+
+// Headers go right before the "-i" that reads the upstream URL
+export function withFfmpegInputHeaders(args, input, headers) {
+  const headerArgs = []
+  const extra = []
+  for (const [name, value] of Object.entries(headers)) {
+    if (name === 'User-Agent') headerArgs.push('-user_agent', value)
+    else extra.push(`${name}: ${value}\r\n`)
+  }
+  if (extra.length) headerArgs.push('-headers', extra.join(''))
+  if (!headerArgs.length) return args
+
+  const inputIndex = args.findIndex((arg, i) => arg === '-i' && args[i + 1] === input)
+  if (inputIndex < 0) return [...headerArgs, ...args]
+  return [...args.slice(0, inputIndex), ...headerArgs, ...args.slice(inputIndex)]
+}
+
+// VLC takes per-input ":option=value" items after the MRL; it can only send UA and referrer
+export function withVlcInputOptions(args, input, headers, vlcOptions = {}) {
+  const items = []
+  for (const [name, value] of Object.entries(headers)) {
+    if (name === 'User-Agent') items.push(`:http-user-agent=${value}`)
+    else if (name === 'Referer') items.push(`:http-referrer=${value}`)
+  }
+  for (const [key, value] of Object.entries(safeVlcOptions(vlcOptions))) items.push(`:${key}=${value}`)
+
+  const inputIndex = args.indexOf(input)
+  if (inputIndex < 0 || !items.length) return args
+  return [...args.slice(0, inputIndex + 1), ...items, ...args.slice(inputIndex + 1)]
+}
+
+/**
+ * Copy the parsed options from source_channels onto playlist_channels rows with
+ * the same source and URL — for a playlist after its channels are saved, or for
+ * every playlist of a source after a refresh.
+ */
+export function syncPlaylistChannelOptions({ playlistId = null, sourceId = null } = {}) {
+  const scope = playlistId ? 'playlist_channels.playlist_id = ?' : 'playlist_channels.source_id = ?'
+  return db.prepare(`
+    UPDATE playlist_channels
+    SET http_headers = sc.http_headers, stream_options = sc.stream_options,
+        tvg_chno = sc.tvg_chno, catchup = sc.catchup
+    FROM source_channels sc
+    WHERE sc.source_id = playlist_channels.source_id AND sc.url = playlist_channels.url
+      AND ${scope}
+  `).run(playlistId ?? sourceId).changes
+}
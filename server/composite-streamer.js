@@ -3,6 +3,8 @@ import { spawn } from 'node:child_process'
 import { mkdirSync, existsSync, rmSync, writeFileSync } from 'node:fs'
 import { join } from 'node:path'
 import { connectClient } from './streamer.js'
+import { getUpstreamHeaders } from './channelOptions.js'
+import { publish } from './liveEvents.js'
 
 // Active composite sessions map
 const compositeSessions = new Map()
@@ -82,6 +84,7 @@ export class CompositeSession extends EventEmitter {
       await this.startFFmpeg()
 
       console.log(`[composite-${this.compositeId}] Session started successfully`)
+      publish('composite.started', { compositeId: this.compositeId, name: this.config.name, username: this.username })
     } catch (error) {
       console.error(`[composite-${this.compositeId}] Failed to start:`, error.message)
       await this.destroy()
@@ -110,6 +113,7 @@ export class CompositeSession extends EventEmitter {
       try {
         const testResponse = await fetch(source.url, {
           method: 'GET',
+          headers: getUpstreamHeaders({ channelId: source.source_channel_id, url: source.url, sourceId: source.source_id }),
           signal: AbortSignal.timeout(5000)
         })
         if (!testResponse.ok && testResponse.status !== 405) {
@@ -405,6 +409,7 @@ export class CompositeSession extends EventEmitter {
 
     // Remove from sessions map
     compositeSessions.delete(this.compositeId)
+    publish('composite.stopped', { compositeId: this.compositeId, name: this.config.name, username: this.username })
 
     if (this._hlsViewerCleanup) {
       clearInterval(this._hlsViewerCleanup)
@@ -0,0 +1,156 @@
+/**
+ * Cron expressions for the job scheduler
+ *
+ * - Standard 5-field syntax: minute hour day-of-month month day-of-week, with
+ *   lists, ranges, steps and month/weekday names (7 is Sunday too)
+ * - When both day fields are restricted, either one matching is enough
+ *   (classic cron semantics)
+ * - A leading seconds field (6-field node-cron style) is accepted but jobs
+ *   still run at whole minutes
+ * - Times are evaluated in an IANA timezone, so DST changes move runs with the
+ *   wall clock
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 },
+]
+
+// Give up looking for a next run after this long (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 86_400_000
+
+function parseValue(text, field) {
+  const name = field.names?.indexOf(text.toLowerCase())
+  if (name !== undefined && name !== -1) return name + field.offset
+  if (!/^\d+$/.test(text)) throw new Error(`Invalid ${field.name} value "${text}"`)
+  const value = Number(text)
+  if (value < field.min || value > field.max) throw new Error(`${field.name} ${value} is out of range ${field.min}-${field.max}`)
+  return value
+}
+
+function parseField(text, field) {
+  const values = new Set()
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/')
+    if (extra !== undefined || !range) throw new Error(`Invalid ${field.name} field "${text}"`)
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid ${field.name} step "${stepText}"`)
+
+    let lo, hi
+    if (range === '*') {
+      lo = field.min
+      hi = field.max
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-')
+      lo = parseValue(a, field)
+      hi = parseValue(b, field)
+      if (lo > hi) throw new Error(`Invalid ${field.name} range "${range}"`)
+    } else {
+      lo = parseValue(range, field)
+      hi = stepText === undefined ? lo : field.max
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v)
+  }
+  if (field.name === 'weekday' && values.delete(7)) values.add(0)
+  return values
+}
+
+/**
+ * @param {string} expression - e.g. "0 4 * * 0"
+ * @returns {{ minute: Set, hour: Set, day: Set, month: Set, weekday: Set, anyDay: boolean, anyWeekday: boolean }}
+ * @throws {Error} describing the first invalid field
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/)
+  if (parts.length === 6) parseField(parts.shift(), { name: 'second', min: 0, max: 59 })
+  if (parts.length !== 5) throw new Error('Cron expressions need 5 fields: minute hour day month weekday')
+  const cron = {}
+  FIELDS.forEach((field, i) => { cron[field.name] = parseField(parts[i], field) })
+  cron.anyDay = parts[2].startsWith('*')
+  cron.anyWeekday = parts[4].startsWith('*')
+  return cron
+}
+
+export function isValidCron(expression) {
+  try {
+    parseCron(expression)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// ── Timezone-aware evaluation ─────────────────────────────────────────────────
+const formatters = new Map()
+
+function localParts(ms, timezone) {
+  let fmt = formatters.get(timezone)
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    })
+    formatters.set(timezone, fmt)
+  }
+  const parts = {}
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) parts[type] = value
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+  }
+}
+
+function dayMatches(cron, p) {
+  const dom = cron.day.has(p.day)
+  const dow = cron.weekday.has(p.weekday)
+  if (cron.anyDay && cron.anyWeekday) return true
+  if (cron.anyDay) return dow
+  if (cron.anyWeekday) return dom
+  return dom || dow
+}
+
+/**
+ * First time strictly after `after` (at a whole minute) the expression matches.
+ *
+ * @param {string|Object} expression - cron string or parseCron() result
+ * @param {string} timezone - IANA zone, e.g. "Africa/Johannesburg"
+ * @param {Date} [after]
+ * @returns {Date|null} null when nothing matches within five years
+ */
+export function nextCronRun(expression, timezone, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression
+  const minutes = [...cron.minute].sort((a, b) => a - b)
+  let t = Math.floor(after.getTime() / 60_000) * 60_000 + 60_000
+  const limit = t + MAX_LOOKAHEAD_MS
+
+  // Non-matching days are skipped to 23:00 local and then an hour at a time,
+  // hours an hour at a time (both stay correct across DST changes), then jump
+  // to the next matching minute
+  while (t < limit) {
+    const p = localParts(t, timezone)
+    if (!cron.month.has(p.month) || !dayMatches(cron, p)) {
+      t += Math.max(60 - p.minute, (23 - p.hour) * 60 - p.minute) * 60_000
+      continue
+    }
+    if (!cron.hour.has(p.hour)) {
+      t += (60 - p.minute) * 60_000
+      continue
+    }
+    const minute = minutes.find(m => m >= p.minute)
+    if (minute === undefined) {
+      t += (60 - p.minute) * 60_000
+      continue
+    }
+    return new Date(t + (minute - p.minute) * 60_000)
+  }
+  return null
+}
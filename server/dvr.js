@@ -0,0 +1,441 @@
+/**
+ * Local DVR
+ *
+ * - Recording rules come from epg_programmes rows: 'once' records a single airing,
+ *   'series' records every upcoming airing of the same title on that channel
+ * - A recorder joins the shared proxy session like any other client, so a recording
+ *   and live viewers of the same channel use one upstream connection (and respect max_streams)
+ * - Finished recordings are written to DATA_DIR/recordings with an NFO sidecar and
+ *   published as movies in the "Recordings" VOD playlist for Xtream clients
+ */
+
+import { EventEmitter } from 'node:events'
+import { createWriteStream, mkdirSync, existsSync, statSync, rmSync, writeFileSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import db from './db.js'
+import { connectClient } from './streamer.js'
+import { connectFfmpegClient, connectVlcClient, getStreamBufferMode } from './ffmpeg-streamer.js'
+import { getSettingValue, setSettingValue } from './settings-cache.js'
+
+const DATA_DIR = process.env.DATA_DIR || join(process.cwd(), 'data')
+export const RECORDINGS_DIR = join(DATA_DIR, 'recordings')
+export const RECORDING_URL_PREFIX = 'dvr://recording/'
+
+const TICK_INTERVAL = 30 * 1000
+const DVR_USERNAME = 'dvr'
+const RECORDINGS_GROUP = 'Movie: Recordings'
+
+const activeRecorders = new Map() // recordingId -> Recorder
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function sanitizeFilename(name) {
+  return String(name || 'Untitled').replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, ' ').trim() || 'Untitled'
+}
+
+function escapeXml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function minutesToMs(minutes) {
+  return Math.max(0, parseInt(minutes, 10) || 0) * 60 * 1000
+}
+
+export function getDefaultPadding() {
+  return {
+    before: parseInt(getSettingValue('dvr_padding_before', '2'), 10) || 0,
+    after:  parseInt(getSettingValue('dvr_padding_after', '5'), 10) || 0,
+  }
+}
+
+// Same precedence as the guide grid: custom tvg-id, then EPG mapping, then tvg-id
+export function getChannelEpgId(channel) {
+  if (channel.custom_tvg_id) return channel.custom_tvg_id
+  const mapping = db.prepare('SELECT target_tvg_id FROM epg_mappings WHERE source_tvg_id = ?').get(channel.tvg_id || '')
+  return mapping?.target_tvg_id || channel.tvg_id || ''
+}
+
+// Playlist rebuilds replace playlist_channels rows, so fall back to any live
+// channel carrying the same EPG id when the original row is gone
+function resolveChannel(recording) {
+  const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(recording.channel_id)
+  if (row) return row
+  if (!recording.epg_channel_id) return null
+  return db.prepare(`
+    SELECT pc.* FROM playlist_channels pc
+    LEFT JOIN epg_mappings em ON em.source_tvg_id = pc.tvg_id
+    WHERE (pc.custom_tvg_id = ? OR em.target_tvg_id = ? OR pc.tvg_id = ?)
+      AND COALESCE(pc.content_type, 'live') = 'live'
+    ORDER BY pc.id LIMIT 1
+  `).get(recording.epg_channel_id, recording.epg_channel_id, recording.epg_channel_id) || null
+}
+
+// ── Scheduling ────────────────────────────────────────────────────────────────
+function scheduleProgramme(rule, programme, channel) {
+  const start = new Date(programme.start).getTime()
+  const stop = new Date(programme.stop).getTime()
+  if (!Number.isFinite(start) || !Number.isFinite(stop) || stop <= Date.now()) return false
+
+  const { changes } = db.prepare(`
+    INSERT OR IGNORE INTO recordings
+      (rule_id, channel_id, channel_name, epg_channel_id, title, description, icon, episode_num,
+       programme_start, programme_stop, start_at, stop_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    rule.id,
+    channel.id,
+    channel.tvg_name,
+    rule.epg_channel_id,
+    programme.title || rule.title,
+    programme.desc || null,
+    programme.icon || null,
+    programme.episode_num || null,
+    new Date(start).toISOString(),
+    new Date(stop).toISOString(),
+    new Date(start - minutesToMs(rule.padding_before)).toISOString(),
+    new Date(stop + minutesToMs(rule.padding_after)).toISOString()
+  )
+  return changes > 0
+}
+
+function expandSeriesRule(rule) {
+  const channel = resolveChannel(rule)
+  if (!channel) return 0
+
+  const programmes = db.prepare('SELECT * FROM epg_programmes WHERE channel_id = ? AND title = ?')
+    .all(rule.epg_channel_id, rule.title)
+
+  let added = 0
+  for (const programme of programmes) {
+    if (scheduleProgramme(rule, programme, channel)) added++
+  }
+  if (added > 0) console.log(`[dvr] Series rule "${rule.title}" scheduled ${added} new recording(s)`)
+  return added
+}
+
+/**
+ * Create a recording rule for an EPG programme.
+ * @param {Object} programme - epg_programmes row
+ * @param {Object} channel   - playlist_channels row to record from
+ * @param {Object} opts
+ * @param {'once'|'series'} [opts.type]
+ * @param {number} [opts.paddingBefore] - minutes to start early
+ * @param {number} [opts.paddingAfter]  - minutes to keep recording after the programme ends
+ */
+export function createRecordingRule(programme, channel, opts = {}) {
+  const defaults = getDefaultPadding()
+  const type = opts.type === 'series' ? 'series' : 'once'
+  const paddingBefore = opts.paddingBefore ?? defaults.before
+  const paddingAfter = opts.paddingAfter ?? defaults.after
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO recording_rules (type, title, channel_id, epg_channel_id, padding_before, padding_after)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(type, programme.title || 'Untitled', channel.id, programme.channel_id, paddingBefore, paddingAfter)
+
+  const rule = db.prepare('SELECT * FROM recording_rules WHERE id = ?').get(lastInsertRowid)
+  if (type === 'series') expandSeriesRule(rule)
+  else scheduleProgramme(rule, programme, channel)
+
+  console.log(`[dvr] Added ${type} rule for "${rule.title}" on "${channel.tvg_name}"`)
+
+  // A programme that is already on air starts recording straight away
+  tick()
+  return rule
+}
+
+export function deleteRecordingRule(ruleId) {
+  db.prepare("DELETE FROM recordings WHERE rule_id = ? AND status = 'scheduled'").run(ruleId)
+  return db.prepare('DELETE FROM recording_rules WHERE id = ?').run(ruleId).changes > 0
+}
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+// Minimal stand-in for an HTTP response so a recorder can join a proxy session
+// like any other client and write its chunks to disk
+class RecorderFeed extends EventEmitter {
+  constructor(recorder) {
+    super()
+    this.recorder = recorder
+    this.headersSent = false
+    this.writableEnded = false
+    this.statusCode = 200
+  }
+
+  setHeader() {}
+  flushHeaders() { this.headersSent = true }
+
+  status(code) {
+    this.statusCode = code
+    return this
+  }
+
+  // The proxy answers with res.status(503).json() when the source is at max_streams
+  json(body) {
+    this.recorder.startError = new Error(body?.error || `Upstream refused with HTTP ${this.statusCode}`)
+    this.end()
+  }
+
+  write(chunk) {
+    if (this.writableEnded) return false
+    this.recorder.bytes += chunk.length
+    return this.recorder.file.write(chunk)
+  }
+
+  end() {
+    if (this.writableEnded) return
+    this.writableEnded = true
+    this.emit('close')
+    this.recorder.onFeedEnded()
+  }
+}
+
+class Recorder {
+  constructor(recording, channel) {
+    this.recording = recording
+    this.channel = channel
+    this.bytes = 0
+    this.file = null
+    this.feed = null
+    this.startError = null
+    this.stopping = false
+    this.finished = false
+    this._stopTimer = null
+
+    const aired = new Date(recording.programme_start).toISOString()
+    const stamp = `${aired.slice(0, 10)} ${aired.slice(11, 16).replace(':', '')}`
+    const dir = join(RECORDINGS_DIR, sanitizeFilename(recording.title))
+    this.basePath = join(dir, `${sanitizeFilename(recording.title)} - ${stamp} - ${sanitizeFilename(channel.tvg_name)}`)
+    this.filePath = `${this.basePath}.ts`
+  }
+
+  async start() {
+    console.log(`[dvr] Recording "${this.recording.title}" from "${this.channel.tvg_name}"`)
+
+    mkdirSync(dirname(this.filePath), { recursive: true })
+    this.file = createWriteStream(this.filePath, { flags: 'a' })
+    this.file.on('error', (err) => this.finish('failed', `Write error: ${err.message}`))
+
+    db.prepare(`UPDATE recordings SET status = 'recording', file_path = ?, started_at = datetime('now'), error = NULL WHERE id = ?`)
+      .run(this.filePath, this.recording.id)
+
+    this._stopTimer = setTimeout(() => this.stop(), Math.max(0, new Date(this.recording.stop_at).getTime() - Date.now()))
+
+    // Join the channel the same way /stream/:id does so viewers and the recording share a session
+    this.feed = new RecorderFeed(this)
+    const channelId = String(this.channel.id)
+    const args = [channelId, this.channel.url, this.channel.tvg_name, this.feed, this.channel.source_id || null, DVR_USERNAME]
+    const mode = getStreamBufferMode()
+    if (mode === 'ffmpeg') await connectFfmpegClient(...args)
+    else if (mode === 'vlc') await connectVlcClient(...args)
+    else await connectClient(...args)
+
+    if (this.startError) this.finish('failed', this.startError.message)
+  }
+
+  stop() {
+    this.stopping = true
+    if (this.feed) this.feed.end()
+    else this.finish('completed')
+  }
+
+  onFeedEnded() {
+    if (this.startError) return
+    if (this.stopping) this.finish('completed')
+    else this.finish('failed', 'Stream ended before the scheduled stop time')
+  }
+
+  finish(status, error = null) {
+    if (this.finished) return
+    this.finished = true
+    if (this._stopTimer) {
+      clearTimeout(this._stopTimer)
+      this._stopTimer = null
+    }
+    if (this.feed && !this.feed.writableEnded) {
+      this.stopping = true
+      this.feed.end()
+    }
+
+    const done = () => {
+      const size = existsSync(this.filePath) ? statSync(this.filePath).size : 0
+      const finalStatus = status === 'completed' && size === 0 ? 'failed' : status
+      const finalError = finalStatus === 'failed' ? (error || 'No data received from upstream') : null
+      if (size === 0) rmSync(this.filePath, { force: true })
+
+      db.prepare(`UPDATE recordings SET status = ?, error = ?, file_path = ?, file_size = ?, finished_at = datetime('now') WHERE id = ?`)
+        .run(finalStatus, finalError, size > 0 ? this.filePath : null, size, this.recording.id)
+
+      if (finalStatus === 'completed') {
+        try {
+          writeNfo(this.recording, this.channel, `${this.basePath}.nfo`)
+          publishRecording(this.recording)
+        } catch (err) {
+          console.error(`[dvr] Failed to publish "${this.recording.title}":`, err.message)
+        }
+      }
+
+      console.log(`[dvr] Recording "${this.recording.title}" ${finalStatus} (${(size / 1024 / 1024).toFixed(1)} MB)${finalError ? `: ${finalError}` : ''}`)
+      activeRecorders.delete(this.recording.id)
+    }
+
+    if (this.file && !this.file.destroyed) this.file.end(done)
+    else done()
+  }
+}
+
+function writeNfo(recording, channel, nfoPath) {
+  const aired = recording.programme_start.slice(0, 10)
+  const runtime = Math.round((new Date(recording.programme_stop) - new Date(recording.programme_start)) / 60000)
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<movie>',
+    `  <title>${escapeXml(recording.title)}</title>`,
+    recording.description ? `  <plot>${escapeXml(recording.description)}</plot>` : null,
+    `  <premiered>${aired}</premiered>`,
+    `  <aired>${aired}</aired>`,
+    `  <runtime>${runtime}</runtime>`,
+    `  <studio>${escapeXml(channel.tvg_name)}</studio>`,
+    recording.icon ? `  <thumb aspect="poster">${escapeXml(recording.icon)}</thumb>` : null,
+    recording.episode_num ? `  <episode>${escapeXml(recording.episode_num)}</episode>` : null,
+    '  <tag>Recording</tag>',
+    '</movie>',
+  ].filter(Boolean).join('\n')
+  writeFileSync(nfoPath, xml + '\n', 'utf-8')
+}
+
+function startRecording(recording) {
+  if (activeRecorders.has(recording.id)) return
+
+  const channel = resolveChannel(recording)
+  if (!channel) {
+    db.prepare(`UPDATE recordings SET status = 'failed', error = ?, finished_at = datetime('now') WHERE id = ?`)
+      .run('Channel no longer exists in any playlist', recording.id)
+    return
+  }
+
+  const recorder = new Recorder(recording, channel)
+  activeRecorders.set(recording.id, recorder)
+  recorder.start().catch(err => recorder.finish('failed', err.message))
+}
+
+export function stopRecording(recordingId) {
+  const recorder = activeRecorders.get(Number(recordingId))
+  if (!recorder) return false
+  recorder.stop()
+  return true
+}
+
+// ── VOD publishing ────────────────────────────────────────────────────────────
+// The "Recordings" VOD playlist, or null before the first recording is published.
+// Every user with VOD access gets it (see getUserVodPlaylistIds in xtream.js)
+export function getExistingRecordingsPlaylistId() {
+  const saved = parseInt(getSettingValue('dvr_playlist_id', ''), 10)
+  return saved && db.prepare('SELECT id FROM playlists WHERE id = ?').get(saved) ? saved : null
+}
+
+function getRecordingsPlaylistId() {
+  const saved = getExistingRecordingsPlaylistId()
+  if (saved) return saved
+
+  const { lastInsertRowid } = db.prepare("INSERT INTO playlists (name, playlist_type) VALUES ('Recordings', 'vod')").run()
+  setSettingValue('dvr_playlist_id', String(lastInsertRowid))
+  console.log(`[dvr] Created "Recordings" VOD playlist (id ${lastInsertRowid})`)
+  return Number(lastInsertRowid)
+}
+
+function publishRecording(recording) {
+  const playlistId = getRecordingsPlaylistId()
+  const name = `${recording.title} (${recording.programme_start.slice(0, 10)})`
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO playlist_channels (playlist_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, content_type)
+    VALUES (?, '', ?, ?, ?, ?, '', 'movie')
+  `).run(playlistId, name, recording.icon || '', RECORDINGS_GROUP, `${RECORDING_URL_PREFIX}${recording.id}.ts`)
+  db.prepare('UPDATE recordings SET playlist_channel_id = ? WHERE id = ?').run(lastInsertRowid, recording.id)
+}
+
+export function isRecordingUrl(url) {
+  return typeof url === 'string' && url.startsWith(RECORDING_URL_PREFIX)
+}
+
+// res.sendFile handles Range requests, so players can seek within recordings
+export function sendRecording(url, res) {
+  const id = parseInt(url.slice(RECORDING_URL_PREFIX.length), 10)
+  const recording = db.prepare("SELECT file_path FROM recordings WHERE id = ? AND status = 'completed'").get(id)
+  if (!recording?.file_path || !existsSync(recording.file_path)) return res.status(404).send('Recording not found')
+  res.sendFile(recording.file_path, { headers: { 'Content-Type': 'video/mp2t' } })
+}
+
+// Scheduled or in-progress recordings are cancelled (the row stays so series rules
+// don't schedule them again); finished ones are removed along with their files
+export function deleteRecording(recordingId) {
+  const recording = db.prepare('SELECT * FROM recordings WHERE id = ?').get(recordingId)
+  if (!recording) return false
+
+  const recorder = activeRecorders.get(recording.id)
+  if (recorder) {
+    recorder.stopping = true
+    recorder.finish('cancelled')
+  }
+
+  if (recording.file_path) {
+    const basePath = recording.file_path.replace(/\.ts$/, '')
+    rmSync(recording.file_path, { force: true })
+    rmSync(`${basePath}.nfo`, { force: true })
+  }
+  if (recording.playlist_channel_id) {
+    db.prepare('DELETE FROM playlist_channels WHERE id = ?').run(recording.playlist_channel_id)
+  }
+
+  if (recording.status === 'scheduled' || recording.status === 'recording') {
+    db.prepare(`UPDATE recordings SET status = 'cancelled', file_path = NULL, file_size = 0, playlist_channel_id = NULL WHERE id = ?`).run(recording.id)
+  } else {
+    db.prepare('DELETE FROM recordings WHERE id = ?').run(recording.id)
+  }
+  return true
+}
+
+export function getActiveRecordings() {
+  return [...activeRecorders.values()].map(r => ({
+    id: r.recording.id,
+    title: r.recording.title,
+    channelName: r.channel.tvg_name,
+    bytes: r.bytes,
+    stopAt: r.recording.stop_at,
+  }))
+}
+
+// ── Scheduler ─────────────────────────────────────────────────────────────────
+function tick() {
+  try {
+    for (const rule of db.prepare("SELECT * FROM recording_rules WHERE type = 'series' AND enabled = 1").all()) {
+      expandSeriesRule(rule)
+    }
+
+    const now = new Date().toISOString()
+    const { changes: missed } = db.prepare(`
+      UPDATE recordings SET status = 'failed', error = 'Missed: the programme ended before recording could start', finished_at = datetime('now')
+      WHERE status = 'scheduled' AND stop_at <= ?
+    `).run(now)
+    if (missed > 0) console.log(`[dvr] Marked ${missed} missed recording(s) as failed`)
+
+    const due = db.prepare(`SELECT * FROM recordings WHERE status = 'scheduled' AND start_at <= ? AND stop_at > ? ORDER BY start_at`).all(now, now)
+    for (const recording of due) startRecording(recording)
+  } catch (err) {
+    console.error('[dvr] Scheduler tick failed:', err.message)
+  }
+}
+
+export function startDvrScheduler() {
+  // Anything still marked as recording was cut off by a restart
+  const { changes } = db.prepare(`
+    UPDATE recordings SET status = 'failed', error = 'Interrupted by a server restart', finished_at = datetime('now')
+    WHERE status = 'recording'
+  `).run()
+  if (changes > 0) console.log(`[dvr] Marked ${changes} interrupted recording(s) as failed`)
+
+  tick()
+  setInterval(tick, TICK_INTERVAL)
+}
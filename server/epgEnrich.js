@@ -1,7 +1,7 @@
 /**
  * EPG Enrichment via TMDB
  *
- * Two persistent DB tables survive daily epg_cache refreshes:
+ * Two persistent DB tables survive daily EPG source refreshes:
  *   tmdb_enrichment  — show/movie level: title → tmdb_id, media_type, poster, desc
  *   tmdb_episodes    — episode level:    show_title + season + episode → poster, desc
  *
@@ -10,7 +10,7 @@
  *   2. Look up tmdb_episodes(show_title, season, episode) → episode still + desc
  *   3. Fall back to tmdb_enrichment(title) → show poster + desc
  *
- * epg_cache is NEVER mutated.
+ * epg_programmes is NEVER mutated.
  *
  * Requires TMDB_API_KEY in .env
  */
@@ -218,7 +218,9 @@ export function injectEnrichment(progBlock, poster, desc) {
 }
 
 // ── Main enrichment function ──────────────────────────────────────────────────
-export async function enrichGuide(_unused, { onProgress } = {}) {
+// onProgress gets every log line, onStep (titlesDone, titlesTotal); aborting
+// signal stops between titles
+export async function enrichGuide(_unused, { onProgress, onStep, signal } = {}) {
   if (!tmdbKey()) {
     addLog('TMDB_API_KEY not set — skipping enrichment.')
     return { skipped: true, reason: 'no_api_key' }
@@ -226,8 +228,8 @@ export async function enrichGuide(_unused, { onProgress } = {}) {
 
   if (enrichState.inProgress) return { already: true }
 
-  const cacheRows = db.prepare('SELECT source_id, content FROM epg_cache WHERE content IS NOT NULL').all()
-  if (!cacheRows.length) return { skipped: true, reason: 'no_epg_cache' }
+  const { sourceCount } = db.prepare('SELECT COUNT(*) AS sourceCount FROM epg_cache WHERE programme_count > 0').get()
+  if (!sourceCount) return { skipped: true, reason: 'no_epg_cache' }
 
   enrichState.inProgress = true
   enrichState.lastError  = null
@@ -254,29 +256,20 @@ export async function enrichGuide(_unused, { onProgress } = {}) {
     db.prepare("SELECT custom_tvg_id FROM playlist_channels WHERE custom_tvg_id IS NOT NULL AND (group_title LIKE '%news%' OR group_title LIKE '%sport%')").all()
       .forEach(r => excludedChannels.add(r.custom_tvg_id))
 
-    log(`${mappedIds.size} mapped channel entries · ${excludedChannels.size} excluded news/sports channels · ${cacheRows.length} EPG source(s)`)
+    log(`${mappedIds.size} mapped channel entries · ${excludedChannels.size} excluded news/sports channels · ${sourceCount} EPG source(s)`)
 
-    // Collect unique titles from ALL programmes in epg_cache
+    // Collect unique titles from ALL programmes in epg_programmes
     // (XML channel IDs use a different format to epg_mappings so we enrich everything)
-    const progRe    = /<programme\b[^>]*channel="([^"]*)"[^>]*>[\s\S]*?<\/programme>/g
     const allTitles = new Set()
     let skippedNewsAndSports = 0
 
-    for (const row of cacheRows) {
-      progRe.lastIndex = 0
-      let m
-      while ((m = progRe.exec(row.content)) !== null) {
-        const channelId = m[1]
-
-        // Skip news and sports channels
-        if (excludedChannels.has(channelId)) {
-          skippedNewsAndSports++
-          continue
-        }
-
-        const t = extractTitle(m[0])
-        if (t) allTitles.add(t)
+    for (const row of db.prepare('SELECT channel_id, title FROM epg_programmes WHERE title IS NOT NULL').iterate()) {
+      // Skip news and sports channels
+      if (excludedChannels.has(row.channel_id)) {
+        skippedNewsAndSports++
+        continue
       }
+      allTitles.add(row.title)
     }
 
     log(`Skipped ${skippedNewsAndSports} programmes from news and sports channels`)
@@ -317,6 +310,8 @@ export async function enrichGuide(_unused, { onProgress } = {}) {
     let tmdbHits = 0
 
     for (let i = 0; i < needsFetch.length; i++) {
+      signal?.throwIfAborted()
+      onStep?.(i, needsFetch.length)
       const title = needsFetch[i]
       if (i > 0 && i % 40 === 0) {
         log(`  ${i}/${needsFetch.length} titles processed…`)
@@ -378,13 +373,14 @@ export async function enrichGuide(_unused, { onProgress } = {}) {
       log(`Used local NFO files for ${nfoHits} titles (saved ${nfoHits} TMDB API calls)`)
     }
 
+    onStep?.(needsFetch.length, needsFetch.length)
     enrichState.lastRun = new Date().toISOString()
     log(`Done. ${enrichState.enriched} titles enriched, ${enrichState.skipped} not found on TMDB.`)
 
     return { ok: true, enriched: enrichState.enriched, skipped: enrichState.skipped }
   } catch (e) {
-    enrichState.lastError = e.message
-    log(`Error: ${e.message}`)
+    enrichState.lastError = signal?.aborted ? 'Cancelled' : e.message
+    log(signal?.aborted ? 'Enrichment cancelled' : `Error: ${e.message}`)
     throw e
   } finally {
     enrichState.inProgress = false
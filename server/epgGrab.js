@@ -15,6 +15,8 @@ import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from '
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { SITES_DIR } from './epgSync.js'
+import { notify } from './notifications.js'
+import { publish } from './liveEvents.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
@@ -44,8 +46,10 @@ export const grabState = {
 
 function addLog(msg) {
   console.log(`[epg-grab] ${msg}`)
-  grabState.log.push(`${new Date().toISOString().slice(11, 19)} ${msg}`)
+  const line = `${new Date().toISOString().slice(11, 19)} ${msg}`
+  grabState.log.push(line)
   if (grabState.log.length > 500) grabState.log.shift()
+  publish('epg.grab.log', { line, progress: grabState.progress })
 }
 
 // ── Parse channels.xml ────────────────────────────────────────────────────────
@@ -119,7 +123,7 @@ function injectChannelIcons(xml, channelLogoMap) {
 }
 
 // ── Spawn epg-grabber CLI for one site ────────────────────────────────────────
-function spawnGrabber(configPath, channelsFile, outputFile, onLine) {
+function spawnGrabber(configPath, channelsFile, outputFile, onLine, signal) {
   return new Promise((resolve) => {
     const args = [
       '--config', configPath,
@@ -138,7 +142,8 @@ function spawnGrabber(configPath, channelsFile, outputFile, onLine) {
       NODE_OPTIONS: undefined // Clear NODE_OPTIONS
     }
 
-    const proc = spawn('node', [EPG_GRABBER_BIN, ...args], { env })
+    // Aborting the signal kills the grabber (the grab was cancelled)
+    const proc = spawn('node', [EPG_GRABBER_BIN, ...args], { env, signal })
 
     let buf = ''
     const onData = (d) => {
@@ -153,7 +158,10 @@ function spawnGrabber(configPath, channelsFile, outputFile, onLine) {
       if (buf.trim()) onLine(buf)
       resolve({ code })
     })
-    proc.on('error', (err) => { onLine(err.message); resolve({ code: -1 }) })
+    proc.on('error', (err) => {
+      if (err.name !== 'AbortError') onLine(err.message)
+      resolve({ code: -1 })
+    })
 
     // Safety timeout — 30 min per site (large sites can have hundreds of channels × days)
     const killer = setTimeout(() => { try { proc.kill('SIGTERM') } catch { } }, 30 * 60 * 1000)
@@ -244,7 +252,13 @@ function mergeXmltvFiles(files, channelLogoMap, preserveExisting = false) {
 }
 
 // ── Main grab function ────────────────────────────────────────────────────────
-export async function runGrab({ onProgress } = {}) {
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (message) => void, for every log line
+ * @param {Function} [options.onStep] - (sitesDone, sitesTotal) => void
+ * @param {AbortSignal} [options.signal] - stops the grab after killing the running grabber
+ */
+export async function runGrab({ onProgress, onStep, signal } = {}) {
   if (grabState.inProgress) return { already: true }
 
   grabState.inProgress = true
@@ -277,6 +291,7 @@ export async function runGrab({ onProgress } = {}) {
 
     const sites = [...bySite.keys()]
     grabState.progress.total = sites.length
+    onStep?.(0, sites.length)
     log(`Starting EPG grab for ${allChannels.length} channels across ${sites.length} sites, ${GRAB_DAYS} days…`)
 
     mkdirSync(EPG_DIR, { recursive: true })
@@ -284,6 +299,7 @@ export async function runGrab({ onProgress } = {}) {
     mkdirSync(tmpDir, { recursive: true })
 
     const outputFiles = []
+    const failedSites = []
     const channelLogoMap = new Map()
 
     for (const ch of allChannels) {
@@ -300,7 +316,7 @@ export async function runGrab({ onProgress } = {}) {
         const merged = mergeXmltvFiles(outputFiles, channelLogoMap, true) // Preserve existing data
         writeFileSync(GUIDE_XML, merged, 'utf8')
         grabState.guideExists = true
-        grabState.guideUrl = '/guide.xml'
+        grabState.guideUrl = '/guide.xml?source=grabber'
         const ch = (merged.match(/<channel\b/g) || []).length
         const pr = (merged.match(/<programme\b/g) || []).length
         grabState.progress.partialChannels = ch
@@ -308,14 +324,21 @@ export async function runGrab({ onProgress } = {}) {
       } catch { }
     }
 
+    const siteDone = () => {
+      grabState.progress.done++
+      onStep?.(grabState.progress.done, sites.length)
+    }
+
     for (const [site, channels] of bySite.entries()) {
+      signal?.throwIfAborted()
       grabState.progress.site = site
       log(`Grabbing ${site} (${channels.length} channels)…`)
 
       const configPath = path.join(SITES_DIR, site, `${site}.config.js`)
       if (!existsSync(configPath)) {
         log(`⚠ No config found for ${site} at ${configPath} — skipping (run a sync first)`)
-        grabState.progress.done++
+        failedSites.push(site)
+        siteDone()
         continue
       }
 
@@ -332,8 +355,10 @@ export async function runGrab({ onProgress } = {}) {
             grabState.progress.channelTotal = parseInt(m[2])
           }
           log(`  [${site}] ${line}`)
-        }
+        },
+        signal
       )
+      signal?.throwIfAborted()
 
       if (existsSync(siteOutputFile)) {
         outputFiles.push(siteOutputFile)
@@ -341,9 +366,10 @@ export async function runGrab({ onProgress } = {}) {
         flushGuide()
       } else {
         log(`✗ ${site}: exited with code ${code}, no output produced`)
+        failedSites.push(site)
       }
 
-      grabState.progress.done++
+      siteDone()
     }
 
     // Check if any sites produced output
@@ -360,17 +386,24 @@ export async function runGrab({ onProgress } = {}) {
     for (const f of outputFiles) { try { unlinkSync(f) } catch { } }
 
     grabState.guideExists = true
-    grabState.guideUrl = `/guide.xml`
+    grabState.guideUrl = '/guide.xml?source=grabber'
 
     const chanCount = (merged.match(/<channel\b/g) || []).length
     const progCount = (merged.match(/<programme\b/g) || []).length
     log(`guide.xml: ${chanCount} channels, ${progCount} programmes.`)
 
     grabState.lastFinished = new Date().toISOString()
+    notify('epg.grab_completed', { ok: true, channels: chanCount, programmes: progCount, sites: sites.length, failed_sites: failedSites })
     return { ok: true, channels: chanCount, programmes: progCount }
   } catch (e) {
+    if (signal?.aborted) {
+      grabState.lastError = 'Cancelled'
+      log('Grab cancelled')
+      throw e
+    }
     grabState.lastError = e.message
     log(`Error: ${e.message}`)
+    notify('epg.grab_completed', { ok: false, error: e.message })
     throw e
   } finally {
     grabState.inProgress = false
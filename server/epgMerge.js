@@ -0,0 +1,244 @@
+/**
+ * EPG merge engine
+ *
+ * - Builds one guide per channel out of every EPG source that carries it
+ * - Source precedence is per channel (epg_channel_precedence); sources not
+ *   listed there follow in global priority order (sources.priority, then id)
+ * - The preferred source's programmes are kept as-is; overlaps inside one
+ *   source are resolved by cutting the earlier programme short at the start
+ *   of the next one
+ * - Lower-priority sources only fill gaps: a programme that fits a gap is
+ *   added whole, one that overlaps the timeline is clipped to the largest
+ *   free stretch it covers, and dropped if that stretch is under 5 minutes
+ */
+
+import db from './db.js'
+
+const MIN_GAP_FILL_MS = 5 * 60 * 1000
+
+// ── XMLTV times ───────────────────────────────────────────────────────────────
+// "20261019120000 +0200" or an ISO string (how epg_programmes stores times)
+// → epoch ms (NaN when unparseable)
+export function parseXmltvTime(value) {
+  const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*([+-])?(\d{2})?(\d{2})?/)
+  if (!m) return Date.parse(value)
+  const [, y, mo, d, h, mi, s, sign = '+', oh = '00', om = '00'] = m
+  const offset = (Number(oh) * 60 + Number(om)) * 60_000 * (sign === '-' ? -1 : 1)
+  return Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)) - offset
+}
+
+export function formatXmltvTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000'
+}
+
+// ── Precedence ────────────────────────────────────────────────────────────────
+export function getDefaultSourceOrder() {
+  return db.prepare("SELECT id FROM sources WHERE category = 'epg' ORDER BY COALESCE(priority, 999), id").all().map(r => r.id)
+}
+
+export function getChannelPrecedence(channelId) {
+  const row = db.prepare('SELECT source_ids FROM epg_channel_precedence WHERE channel_id = ?').get(channelId)
+  return row ? parseSourceIds(row.source_ids) : null
+}
+
+export function setChannelPrecedence(channelId, sourceIds) {
+  db.prepare(`
+    INSERT INTO epg_channel_precedence (channel_id, source_ids, updated_at) VALUES (?, ?, datetime('now'))
+    ON CONFLICT(channel_id) DO UPDATE SET source_ids = excluded.source_ids, updated_at = excluded.updated_at
+  `).run(channelId, JSON.stringify(sourceIds))
+}
+
+export function clearChannelPrecedence(channelId) {
+  return db.prepare('DELETE FROM epg_channel_precedence WHERE channel_id = ?').run(channelId).changes > 0
+}
+
+function parseSourceIds(json) {
+  try {
+    const ids = JSON.parse(json)
+    return Array.isArray(ids) ? ids.map(Number).filter(Number.isFinite) : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Snapshot of all precedence settings. orderFor(channelId) returns the full
+ * source order for one channel: its own list first, then the global order.
+ */
+export function loadPrecedence() {
+  const defaultOrder = getDefaultSourceOrder()
+  const overrides = new Map(
+    db.prepare('SELECT channel_id, source_ids FROM epg_channel_precedence').all()
+      .map(r => [r.channel_id, parseSourceIds(r.source_ids)])
+  )
+  return {
+    defaultOrder,
+    overrides,
+    orderFor(channelId) {
+      const own = overrides.get(channelId)
+      if (!own?.length) return defaultOrder
+      return [...own, ...defaultOrder.filter(id => !own.includes(id))]
+    },
+  }
+}
+
+// Changes whenever the global order or any override changes — part of XMLTV cache keys
+export function getPrecedenceSignature() {
+  const order = getDefaultSourceOrder().join(',')
+  const row = db.prepare('SELECT COUNT(*) AS n, MAX(updated_at) AS last FROM epg_channel_precedence').get()
+  return `${order}|${row.n}|${row.last || ''}`
+}
+
+// ── Channel list ──────────────────────────────────────────────────────────────
+// In-memory EPG channel cache — rebuilt when EPG data changes
+let _epgListCache = null
+let _epgListCacheKey = null
+
+// A channel listed by several sources is attributed to the first one in its
+// precedence order
+export function getEpgList() {
+  const cacheRows = db.prepare(`
+    SELECT source_id, last_fetched FROM epg_cache ORDER BY last_fetched DESC
+  `).all()
+  const cacheKey = cacheRows.map(r => `${r.source_id}:${r.last_fetched}`).join('|') + `|${getPrecedenceSignature()}`
+  if (_epgListCache && _epgListCacheKey === cacheKey) return _epgListCache
+
+  const rows = db.prepare(`
+    SELECT ec.channel_id AS id, ec.name, ec.icon, ec.source_id, s.name AS source_name
+    FROM epg_channels ec JOIN sources s ON s.id = ec.source_id
+    WHERE ec.name != ''
+  `).all()
+
+  const precedence = loadPrecedence()
+  const byId = new Map()
+  for (const row of rows) {
+    if (!byId.has(row.id)) byId.set(row.id, [])
+    byId.get(row.id).push({ ...row, icon: row.icon || '' })
+  }
+
+  const epgList = []
+  for (const [id, candidates] of byId) {
+    const order = precedence.orderFor(id)
+    const rank = c => { const i = order.indexOf(c.source_id); return i === -1 ? order.length : i }
+    epgList.push(candidates.reduce((best, c) => rank(c) < rank(best) ? c : best))
+  }
+  _epgListCache = epgList
+  _epgListCacheKey = cacheKey
+  return epgList
+}
+
+// Invalidate EPG cache when EPG data is refreshed
+export function invalidateEpgCache() { _epgListCache = null; _epgListCacheKey = null }
+
+// ── Merge ─────────────────────────────────────────────────────────────────────
+function withTimes(row) {
+  return { ...row, start_ms: parseXmltvTime(row.start), stop_ms: parseXmltvTime(row.stop), clipped: false }
+}
+
+// Sort one source's programmes and cut each one short where the next begins;
+// of two programmes starting together the first one listed wins
+function resolveOverlaps(programmes) {
+  const sorted = programmes
+    .filter(p => p.stop_ms > p.start_ms)
+    .sort((a, b) => a.start_ms - b.start_ms)
+  const out = []
+  for (const p of sorted) {
+    const prev = out[out.length - 1]
+    if (prev && p.start_ms < prev.stop_ms) {
+      if (p.start_ms === prev.start_ms) continue
+      prev.stop_ms = p.start_ms
+      prev.clipped = true
+    }
+    out.push(p)
+  }
+  return out
+}
+
+// Largest stretch of [start, stop) not covered by the sorted timeline
+function largestFreeStretch(timeline, start, stop) {
+  let best = null
+  let cursor = start
+  for (const t of timeline) {
+    if (t.stop_ms <= cursor) continue
+    if (t.start_ms >= stop) break
+    if (t.start_ms > cursor && (!best || t.start_ms - cursor > best[1] - best[0])) best = [cursor, t.start_ms]
+    cursor = Math.max(cursor, t.stop_ms)
+    if (cursor >= stop) break
+  }
+  if (cursor < stop && (!best || stop - cursor > best[1] - best[0])) best = [cursor, stop]
+  return best
+}
+
+function insertSorted(timeline, p) {
+  let i = timeline.length
+  while (i > 0 && timeline[i - 1].start_ms > p.start_ms) i--
+  timeline.splice(i, 0, p)
+}
+
+/**
+ * Merge the programme rows of one channel from several sources.
+ *
+ * @param {Object[]} rows - epg_programmes rows (source_id, start, stop, raw, …)
+ * @param {number[]} sourceOrder - source ids, most preferred first; sources
+ *   missing from the list rank after it
+ * @returns {Object[]} programmes sorted by start, with start_ms/stop_ms, and
+ *   start/stop (ISO) and raw rewritten for programmes that were clipped
+ */
+export function mergeProgrammes(rows, sourceOrder = []) {
+  const bySource = new Map()
+  for (const row of rows) {
+    if (!bySource.has(row.source_id)) bySource.set(row.source_id, [])
+    bySource.get(row.source_id).push(withTimes(row))
+  }
+
+  const rank = id => {
+    const i = sourceOrder.indexOf(id)
+    return i === -1 ? sourceOrder.length + id : i
+  }
+  const sources = [...bySource.keys()].sort((a, b) => rank(a) - rank(b))
+
+  let timeline = []
+  for (const [index, sourceId] of sources.entries()) {
+    const programmes = resolveOverlaps(bySource.get(sourceId))
+    if (index === 0) {
+      timeline = programmes
+      continue
+    }
+    for (const p of programmes) {
+      const stretch = largestFreeStretch(timeline, p.start_ms, p.stop_ms)
+      if (!stretch) continue
+      const [start, stop] = stretch
+      const whole = start === p.start_ms && stop === p.stop_ms
+      if (!whole && stop - start < MIN_GAP_FILL_MS) continue
+      insertSorted(timeline, { ...p, start_ms: start, stop_ms: stop, clipped: p.clipped || !whole, gap_fill: true })
+    }
+  }
+
+  for (const p of timeline) {
+    if (!p.clipped) continue
+    p.start = new Date(p.start_ms).toISOString()
+    p.stop = new Date(p.stop_ms).toISOString()
+    if (p.raw) {
+      p.raw = p.raw
+        .replace(/^(<programme\b[^>]*?\bstart=")[^"]*"/, `$1${formatXmltvTime(p.start_ms)}"`)
+        .replace(/^(<programme\b[^>]*?\bstop=")[^"]*"/, `$1${formatXmltvTime(p.stop_ms)}"`)
+    }
+  }
+  return timeline
+}
+
+/**
+ * Merged programmes for one output channel.
+ *
+ * @param {string} channelId - the guide's channel id (precedence is keyed on it)
+ * @param {string[]} [aliasIds] - other EPG ids whose programmes belong to it
+ */
+export function getMergedProgrammes(channelId, aliasIds = [], precedence = loadPrecedence()) {
+  const ids = [...new Set([channelId, ...aliasIds].filter(Boolean))]
+  if (!ids.length) return []
+  const rows = db.prepare(`
+    SELECT id, source_id, channel_id, start, stop, title, desc, icon, episode_num, raw
+    FROM epg_programmes WHERE channel_id IN (${ids.map(() => '?').join(',')})
+  `).all(...ids)
+  return mergeProgrammes(rows, precedence.orderFor(channelId))
+}
@@ -124,13 +124,15 @@ async function* streamZipEntries(readable, filterFn) {
 }
 
 // ── Main sync function ────────────────────────────────────────────────────────
-export async function syncEpgSites(db, { onProgress } = {}) {
+// Aborting signal cancels the download; the DB is only written at the end
+export async function syncEpgSites(db, { onProgress, signal } = {}) {
   const log = (msg) => { console.log(`[epg-sync] ${msg}`); onProgress?.(msg) }
 
   log('Downloading iptv-org/epg zip…')
+  const timeout = AbortSignal.timeout(120_000)
   const res = await fetch(ZIP_URL, {
     headers: { 'User-Agent': 'm3u4prox' },
-    signal: AbortSignal.timeout(120_000),
+    signal: signal ? AbortSignal.any([timeout, signal]) : timeout,
   })
   if (!res.ok) throw new Error(`Failed to download zip: ${res.status}`)
 
@@ -151,6 +153,7 @@ export async function syncEpgSites(db, { onProgress } = {}) {
 
   // Use the streaming zip extractor
   for await (const entry of streamZipEntries(stream, wantFile)) {
+    signal?.throwIfAborted()
     const { path: fname, data: fileBuf } = entry
 
     try {
@@ -190,6 +193,7 @@ export async function syncEpgSites(db, { onProgress } = {}) {
     }
   }
 
+  signal?.throwIfAborted()
   log(`Parsed ${fileCount} channel files, ${allChannels.length} channels. Wrote ${configCount} config files. Writing to DB…`)
 
   // Bulk insert into DB in a transaction
@@ -0,0 +1,66 @@
+/**
+ * Per-user favorites and viewing history
+ *
+ * - Favorites are stored in user_favorites as one comma-separated id list per user
+ *   and content type, the same format the MAG portal's set_fav/get_fav_ids use
+ * - "Recently watched" is derived from stream_history (most recent first)
+ */
+
+import db from './db.js'
+
+export const FAVORITE_TYPES = ['itv', 'vod', 'series']
+export const RECENTLY_WATCHED_LIMIT = 20
+
+export function parseIdList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',')
+  const ids = list.map(id => parseInt(id, 10)).filter(id => Number.isInteger(id) && id > 0)
+  return [...new Set(ids)]
+}
+
+export function getFavoriteIds(userId, type = 'itv') {
+  const row = db.prepare('SELECT channel_ids FROM user_favorites WHERE user_id = ? AND content_type = ?').get(userId, type)
+  return parseIdList(row?.channel_ids)
+}
+
+export function setFavoriteIds(userId, type, ids) {
+  const list = parseIdList(ids)
+  db.prepare(`
+    INSERT INTO user_favorites (user_id, content_type, channel_ids, updated_at)
+    VALUES (?, ?, ?, strftime('%s', 'now'))
+    ON CONFLICT(user_id, content_type)
+    DO UPDATE SET channel_ids = excluded.channel_ids, updated_at = excluded.updated_at
+  `).run(userId, type, list.join(','))
+  return list
+}
+
+export function addFavorite(userId, type, channelId) {
+  const ids = getFavoriteIds(userId, type)
+  return setFavoriteIds(userId, type, [...ids, channelId])
+}
+
+export function removeFavorite(userId, type, channelId) {
+  const ids = getFavoriteIds(userId, type)
+  return setFavoriteIds(userId, type, ids.filter(id => id !== Number(channelId)))
+}
+
+export function getRecentlyWatchedIds(username, limit = RECENTLY_WATCHED_LIMIT) {
+  return db.prepare(`
+    SELECT channel_id, MAX(started_at) AS last_watched
+    FROM stream_history
+    WHERE username = ? AND channel_id IS NOT NULL
+    GROUP BY channel_id
+    ORDER BY last_watched DESC
+    LIMIT ?
+  `).all(username, limit).map(r => Number(r.channel_id))
+}
+
+// Resolve ids to playlist_channels rows, keeping the order of the id list
+export function getChannelsByIds(ids) {
+  if (!ids.length) return []
+  const rows = db.prepare(`
+    SELECT id, tvg_name, tvg_logo, group_title, content_type
+    FROM playlist_channels WHERE id IN (${ids.map(() => '?').join(',')})
+  `).all(...ids)
+  const byId = new Map(rows.map(r => [r.id, r]))
+  return ids.map(id => byId.get(id)).filter(Boolean)
+}
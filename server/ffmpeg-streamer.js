@@ -4,6 +4,11 @@ import db from './db.js'
 import { getBufferSeconds } from './streamer.js'
 import { getSettingValue } from './settings-cache.js'
 import { flushSession } from './stats-flusher.js'
+import { notify } from './notifications.js'
+import { abortProbesForSource, activeSessionCount } from './healthCheck.js'
+import { publish, streamEventData } from './liveEvents.js'
+import { buildTranscodeArgs, getTranscodeBudget, transcodeCost } from './transcodeProfiles.js'
+import { getUpstreamOptions, withFfmpegInputHeaders, withVlcInputOptions } from './channelOptions.js'
 
 const MAX_RECONNECTS = parseInt(process.env.STREAM_MAX_RECONNECTS || '5')
 const RECONNECT_DELAY = parseInt(process.env.STREAM_RECONNECT_DELAY || '2000')
@@ -44,13 +49,18 @@ function parseCliArgs(optionString) {
   })
 }
 
-function buildProcessConfig(mode, upstreamUrl) {
+// upstream: { headers, options } for the channel, see channelOptions.js
+function buildProcessConfig(mode, upstreamUrl, profile, upstream) {
+  if (mode === 'transcode') {
+    return { command: 'ffmpeg', args: withFfmpegInputHeaders(buildTranscodeArgs(profile, upstreamUrl), upstreamUrl, upstream.headers), env: process.env }
+  }
+
   if (mode === 'vlc') {
     const args = parseCliArgs(getConfiguredVlcOptions())
       .map(arg => arg.replaceAll('{input}', upstreamUrl).replaceAll('{output}', '-'))
     return {
       command: 'cvlc',
-      args,
+      args: withVlcInputOptions(args, upstreamUrl, upstream.headers, upstream.options.vlc),
       env: {
         ...process.env,
         HOME: process.env.HOME || '/tmp',
@@ -62,11 +72,17 @@ function buildProcessConfig(mode, upstreamUrl) {
 
   const args = parseCliArgs(getConfiguredFfmpegOptions())
     .map(arg => arg.replaceAll('{input}', upstreamUrl).replaceAll('{output}', 'pipe:1'))
-  return { command: 'ffmpeg', args, env: process.env }
+  return { command: 'ffmpeg', args: withFfmpegInputHeaders(args, upstreamUrl, upstream.headers), env: process.env }
 }
 
+// Keyed by channel id, or `${channelId}:t${profileId}` for transcoded sessions so
+// each profile gets its own encode shared by everyone watching with that profile
 const sessions = new Map()
 
+function sessionKey(channelId, profile) {
+  return profile ? `${channelId}:t${profile.id}` : String(channelId)
+}
+
 function getRollingBufferSize() {
   const bufferSecs = getBufferSeconds()
   if (bufferSecs === 0) return 0
@@ -79,13 +95,28 @@ function checkMaxStreams(sourceId) {
   if (!sourceId) return null
   const source = db.prepare('SELECT max_streams FROM sources WHERE id = ?').get(sourceId)
   if (!source || !source.max_streams) return null
-  const active = [...sessions.values()].filter(s => s.sourceId === sourceId).length
+  const active = activeSessionCount(sourceId)
   if (active >= source.max_streams) {
     return `Source has reached its limit of ${source.max_streams} concurrent streams`
   }
   return null
 }
 
+export function getTranscodeLoad() {
+  return [...sessions.values()]
+    .filter(s => s.profile)
+    .reduce((sum, s) => sum + transcodeCost(s.profile), 0)
+}
+
+function checkTranscodeBudget(profile) {
+  const budget = getTranscodeBudget()
+  const load = getTranscodeLoad()
+  if (load + transcodeCost(profile) > budget) {
+    return `Transcoding capacity reached (${load.toFixed(1)} of ${budget} cores in use)`
+  }
+  return null
+}
+
 export function isFfmpegRemuxEnabled() {
   try {
     return getStreamBufferMode() === 'ffmpeg'
@@ -95,9 +126,11 @@ export function isFfmpegRemuxEnabled() {
 }
 
 class FfmpegSession extends EventEmitter {
-  constructor(channelId, upstreamUrl, channelName, sourceId, username, mode = 'ffmpeg') {
+  constructor(channelId, upstreamUrl, channelName, sourceId, username, mode = 'ffmpeg', profile = null) {
     super()
     this.setMaxListeners(200)
+    this.key = sessionKey(channelId, profile)
+    this.profile = profile
     this.channelId = channelId
     this.upstreamUrl = upstreamUrl
     this.channelName = channelName
@@ -158,7 +191,8 @@ class FfmpegSession extends EventEmitter {
     }
 
     flushSession(this)
-    sessions.delete(this.channelId)
+    sessions.delete(this.key)
+    publish('stream.stopped', streamEventData(this.mode, this))
 
     if (this.username) {
       try {
@@ -206,8 +240,11 @@ function attachClient(session, res) {
 }
 
 function startProcess(session) {
-  const processConfig = buildProcessConfig(session.mode, session.upstreamUrl)
-  console.log(`[buffer-stream] Starting ${session.mode} remux for "${session.channelName}"`)
+  const upstream = getUpstreamOptions({ channelId: session.channelId, url: session.upstreamUrl, sourceId: session.sourceId })
+  const processConfig = buildProcessConfig(session.mode, session.upstreamUrl, session.profile, upstream)
+  console.log(session.profile
+    ? `[buffer-stream] Starting transcode (${session.profile.name}) for "${session.channelName}"`
+    : `[buffer-stream] Starting ${session.mode} remux for "${session.channelName}"`)
   session.process = spawn(processConfig.command, processConfig.args, {
     stdio: ['ignore', 'pipe', 'pipe'],
     env: processConfig.env,
@@ -237,6 +274,7 @@ function startProcess(session) {
       session.bitrate = Math.round((session.bytesIn - session._lastBytes) / elapsed)
       session._lastBytes = session.bytesIn
       session._lastTick = now
+      publish('stream.stats', streamEventData(session.mode, session))
     }
 
     const bufSecs = getBufferSeconds()
@@ -299,6 +337,14 @@ async function pump(session) {
     session.reconnects++
     if (session.reconnects > MAX_RECONNECTS) {
       console.error(`[buffer-stream] Max reconnects reached for "${session.channelName}" — giving up`)
+      notify('stream.failed', {
+        channel_id: session.channelId,
+        channel:    session.channelName,
+        source_id:  session.sourceId,
+        mode:       session.mode,
+        reconnects: MAX_RECONNECTS,
+        clients:    session.clients.size,
+      }, session.channelId)
       break
     }
     if (session.clients.size === 0) break
@@ -319,13 +365,14 @@ async function pump(session) {
   }
 }
 
-async function connectProcessClient(channelId, upstreamUrl, channelName, res, sourceId = null, username = null, mode = 'ffmpeg') {
+async function connectProcessClient(channelId, upstreamUrl, channelName, res, sourceId = null, username = null, mode = 'ffmpeg', profile = null) {
   if (res.headersSent) {
     throw new Error('Response headers already sent')
   }
 
-  if (sessions.has(channelId)) {
-    const session = sessions.get(channelId)
+  const key = sessionKey(channelId, profile)
+  if (sessions.has(key)) {
+    const session = sessions.get(key)
     console.log(`[buffer-stream] ✓ Client joining "${session.channelName}" (${session.clients.size + 1} clients)`)
     attachClient(session, res)
     return
@@ -338,13 +385,22 @@ async function connectProcessClient(channelId, upstreamUrl, channelName, res, so
     return
   }
 
+  const budgetErr = profile && checkTranscodeBudget(profile)
+  if (budgetErr) {
+    console.log(`[buffer-stream] Cannot start transcode: ${budgetErr}`)
+    res.status(503).json({ error: budgetErr })
+    return
+  }
+
   const bufferSecs = getBufferSeconds()
   console.log(`[buffer-stream] Opening "${channelName}" via ${mode} (buffer: ${bufferSecs}s)`)
 
-  const session = new FfmpegSession(channelId, upstreamUrl, channelName, sourceId, username, mode)
-  sessions.set(channelId, session)
+  if (sourceId) abortProbesForSource(sourceId)
+  const session = new FfmpegSession(channelId, upstreamUrl, channelName, sourceId, username, mode, profile)
+  sessions.set(key, session)
 
   attachClient(session, res)
+  publish('stream.started', streamEventData(mode, session))
   pump(session)
 }
 
@@ -356,11 +412,19 @@ export async function connectVlcClient(channelId, upstreamUrl, channelName, res,
   await connectProcessClient(channelId, upstreamUrl, channelName, res, sourceId, username, 'vlc')
 }
 
+// Transcoded with a profile from transcodeProfiles.js; shared per channel and profile
+export async function connectTranscodeClient(channelId, upstreamUrl, channelName, res, sourceId = null, username = null, profile) {
+  await connectProcessClient(channelId, upstreamUrl, channelName, res, sourceId, username, 'transcode', profile)
+}
+
 export function getActiveFfmpegSessions() {
   return [...sessions.values()].map(session => ({
+    key: session.key,
     channelId: session.channelId,
     channelName: session.channelName,
     mode: session.mode,
+    profileId: session.profile?.id ?? null,
+    profileName: session.profile?.name ?? null,
     sourceId: session.sourceId,
     username: session.username,
     clients: session.clients.size,
@@ -373,7 +437,9 @@ export function getActiveFfmpegSessions() {
   }))
 }
 
+// Stops the channel's remux session and any transcodes of it
 export function killFfmpegSession(channelId) {
-  const session = sessions.get(channelId)
-  if (session) session.destroy()
+  for (const session of [...sessions.values()]) {
+    if (String(session.channelId) === String(channelId)) session.destroy()
+  }
 }
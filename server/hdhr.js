@@ -1,6 +1,14 @@
 /**
  * HDHomeRun network tuner simulation — one virtual device per playlist
  *
+ * Virtual devices (hdhr_devices) run on their own port with their own lineup:
+ * optional group filter, channel-number range and per-channel number overrides.
+ * Their /stream/:id and /auto/v<number> endpoints hold one tuner per client and
+ * answer 503 "805 All Tuners In Use" once tuner_count clients are watching,
+ * and are transcoded with the device's transcode profile when it has one.
+ * lineup_status.json reports a scan while refresh jobs for the lineup's sources
+ * run; POST lineup.post?scan=start|abort starts or cancels them.
+ *
  * Per-playlist endpoints (add each as a separate tuner in Plex/Emby/Jellyfin):
  *   GET /hdhr/:playlistId/discover.json
  *   GET /hdhr/:playlistId/device.xml
@@ -18,6 +26,11 @@ import { createHash } from 'node:crypto'
 import http from 'node:http'
 import express from 'express'
 import db from './db.js'
+import { applyDeadChannelPolicy } from './healthCheck.js'
+import { withChannelNumbers } from './channelNumbers.js'
+import { streamChannel } from './routes/streams.js'
+import { enqueueJob, cancelJob, listQueueJobs } from './services/jobQueue.js'
+import { resolveTranscodeProfile } from './transcodeProfiles.js'
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function getSetting(key, fallback = null) {
@@ -102,7 +115,8 @@ function getPlaylistChannels(playlistId) {
     return a.id - b.id
   })
 
-  return channels
+  const playlist = db.prepare('SELECT dead_channel_action, dead_channel_threshold FROM playlists WHERE id = ?').get(playlistId)
+  return withChannelNumbers(applyDeadChannelPolicy(channels, playlist), playlistId)
 }
 
 // Stable 8-char device ID derived from playlist ID — same across restarts
@@ -110,6 +124,12 @@ function deviceIdForPlaylist(playlistId) {
   return createHash('md5').update(`hdhr-playlist-${playlistId}`).digest('hex').slice(0, 8).toUpperCase()
 }
 
+function deviceIdForDevice(device) {
+  return device.playlist_id
+    ? deviceIdForPlaylist(device.playlist_id)
+    : createHash('md5').update(`hdhr-device-${device.id}`).digest('hex').slice(0, 8).toUpperCase()
+}
+
 function getTunerCount() {
   const setting = Number(getSetting('hdhr_tuner_count', '4'))
   const sources = db.prepare('SELECT max_streams FROM sources WHERE max_streams > 0 AND category != ?').all('epg')
@@ -137,15 +157,14 @@ function buildDiscover(base, playlist, tunerCount) {
   }
 }
 
-function buildDeviceXml(base, playlist) {
-  const deviceId = deviceIdForPlaylist(playlist.id)
+function buildDeviceXml(urlBase, deviceId, friendlyName) {
   return `<?xml version="1.0" encoding="UTF-8"?>
 <root xmlns="urn:schemas-upnp-org:device-1-0">
   <specVersion><major>1</major><minor>0</minor></specVersion>
-  <URLBase>${base}/hdhr/${playlist.id}</URLBase>
+  <URLBase>${urlBase}</URLBase>
   <device>
     <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>
-    <friendlyName>M3u4Proxy — ${playlist.name}</friendlyName>
+    <friendlyName>${friendlyName}</friendlyName>
     <manufacturer>Silicondust</manufacturer>
     <manufacturerURL>https://github.com/brycelarge/m3u4prox</manufacturerURL>
     <modelDescription>M3u4Proxy IPTV Tuner</modelDescription>
@@ -158,19 +177,65 @@ function buildDeviceXml(base, playlist) {
 </root>`
 }
 
-function buildLineupJson(base, playlistId) {
-  const channels = getPlaylistChannels(playlistId)
+// ── Lineups ──────────────────────────────────────────────────────────────────
+// Playlist numbering: the playlist's channel number (channelNumbers.js), else
+// sort_order when set, otherwise position in the lineup
+function numberPlaylistChannels(channels) {
+  return channels.map((ch, idx) => ({ ...ch, guide_number: ch.channel_number ?? String(ch.sort_order > 0 ? ch.sort_order : idx + 1) }))
+}
+
+function parseJson(value, fallback) {
+  try { return value ? JSON.parse(value) : fallback } catch { return fallback }
+}
+
+/**
+ * A virtual device's lineup: the playlist filtered to the device's groups and
+ * numbered into its channel range. Channels with an override in channel_map keep
+ * that number; the rest are numbered from channel_start upwards, skipping
+ * numbers taken by overrides. Channels numbered past channel_end are left out.
+ */
+export function getDeviceChannels(device) {
+  if (!device.playlist_id) return []
+  const groups = parseJson(device.group_filter, [])
+  const overrides = parseJson(device.channel_map, {})
+  let channels = getPlaylistChannels(device.playlist_id)
+  if (groups.length) {
+    const allowed = new Set(groups)
+    channels = channels.filter(ch => allowed.has(ch.group_title || ''))
+  }
+
+  const taken = new Set(Object.values(overrides).map(String))
+  let next = device.channel_start
+  const numbered = numberPlaylistChannels(channels).map(ch => {
+    const override = ch.is_composite ? null : overrides[ch.id]
+    if (override != null && override !== '') return { ...ch, guide_number: String(override) }
+    if (next == null) return ch
+    while (taken.has(String(next))) next++
+    return { ...ch, guide_number: String(next++) }
+  })
+
+  return device.channel_end != null
+    ? numbered.filter(ch => Number(ch.guide_number) <= device.channel_end)
+    : numbered
+}
+
+// Composite streams are only served by the main app, so a device server passes its base URL
+function channelUrl(base, ch, appBase = base) {
+  return ch.is_composite
+    ? `${appBase}/composite-stream/${ch.id}/playlist.m3u8`
+    : `${base}/stream/${ch.id}`
+}
+
+function buildLineupJson(base, channels, appBase = base) {
   const epgRows = db.prepare('SELECT * FROM epg_mappings').all()
   const epgMap = new Map(epgRows.map(r => [r.source_tvg_id, r.target_tvg_id]))
-  return channels.map((ch, idx) => {
+  return channels.map(ch => {
     const tvgId = ch.custom_tvg_id || ch.tvg_id || ''
     const epgId = epgMap.get(tvgId) || tvgId
     const entry = {
-      GuideNumber: ch.sort_order > 0 ? String(ch.sort_order) : String(idx + 1),
+      GuideNumber: ch.guide_number,
       GuideName: ch.tvg_name,
-      URL: ch.is_composite
-        ? `${base}/composite-stream/${ch.id}/playlist.m3u8`
-        : `${base}/stream/${ch.id}`,
+      URL: channelUrl(base, ch, appBase),
       HD: 1,
       Favorite: 0,
     }
@@ -179,77 +244,159 @@ function buildLineupJson(base, playlistId) {
   })
 }
 
-function buildLineupM3u(base, playlistId) {
-  const channels = getPlaylistChannels(playlistId)
+function buildLineupM3u(base, channels, appBase = base) {
   const epgRows = db.prepare('SELECT * FROM epg_mappings').all()
   const epgMap = new Map(epgRows.map(r => [r.source_tvg_id, r.target_tvg_id]))
-  const lines = [`#EXTM3U url-tvg="${base}/guide.xml"`]
-  channels.forEach((ch, idx) => {
+  const lines = [`#EXTM3U url-tvg="${appBase}/guide.xml"`]
+  for (const ch of channels) {
     const tvgId = epgMap.get(ch.tvg_id) || ch.custom_tvg_id || ch.tvg_id || ''
-    const chno = ch.sort_order > 0 ? ch.sort_order : idx + 1
-    const logo = ch.tvg_logo ? ` tvg-logo="${base}/api/logo?url=${encodeURIComponent(ch.tvg_logo)}"` : ''
+    const logo = ch.tvg_logo ? ` tvg-logo="${appBase}/api/logo?url=${encodeURIComponent(ch.tvg_logo)}"` : ''
     const group = ch.group_title ? ` group-title="${ch.group_title}"` : ''
-    lines.push(`#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${ch.tvg_name}" tvg-chno="${chno}"${logo}${group},${ch.tvg_name}`)
-    lines.push(ch.is_composite
-      ? `${base}/composite-stream/${ch.id}/playlist.m3u8`
-      : `${base}/stream/${ch.id}`
-    )
-  })
+    lines.push(`#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${ch.tvg_name}" tvg-chno="${ch.guide_number}"${logo}${group},${ch.tvg_name}`)
+    lines.push(channelUrl(base, ch, appBase))
+  }
   return lines.join('\n')
 }
 
+// ── Scan state ───────────────────────────────────────────────────────────────
+// A "channel scan" is a refresh of the sources the playlist's channels come from
+function getPlaylistSourceIds(playlistId) {
+  return db.prepare(
+    'SELECT DISTINCT source_id FROM playlist_channels WHERE playlist_id = ? AND source_id IS NOT NULL'
+  ).all(playlistId).map(r => r.source_id)
+}
+
+function getScanJobs(playlistId) {
+  const sourceIds = new Set(getPlaylistSourceIds(playlistId))
+  return [
+    ...listQueueJobs({ type: 'source-refresh', status: 'running' }),
+    ...listQueueJobs({ type: 'source-refresh', status: 'queued' }),
+  ].filter(job => sourceIds.has(job.params?.source_id))
+}
+
+function buildLineupStatus(playlistId, channelCount) {
+  const jobs = playlistId ? getScanJobs(playlistId) : []
+  if (jobs.length) {
+    const done = jobs.reduce((sum, job) => sum + (job.progress?.total ? job.progress.done / job.progress.total : 0), 0)
+    return { ScanInProgress: 1, Progress: Math.round((done / jobs.length) * 100), Found: channelCount }
+  }
+  return { ScanInProgress: 0, ScanPossible: playlistId ? 1 : 0, Source: 'Cable', SourceList: ['Cable'], ChannelScanSize: channelCount }
+}
+
+// POST /lineup.post?scan=start refreshes the lineup's sources, ?scan=abort cancels that
+function handleLineupPost(playlistId, req, res) {
+  const scan = req.query.scan
+  if (playlistId && scan === 'start') {
+    for (const sourceId of getPlaylistSourceIds(playlistId)) {
+      enqueueJob('source-refresh', { source_id: sourceId }, { trigger: 'hdhr' })
+    }
+    console.log(`[hdhr] Channel scan requested for playlist ${playlistId}`)
+  } else if (playlistId && scan === 'abort') {
+    for (const job of getScanJobs(playlistId)) cancelJob(job.id)
+  }
+  res.json({})
+}
+
+// ── Tuners ───────────────────────────────────────────────────────────────────
+const tunersInUse = new Map() // device id → Set of client responses
+
+function acquireTuner(device, res) {
+  let clients = tunersInUse.get(device.id)
+  if (!clients) tunersInUse.set(device.id, clients = new Set())
+  if (clients.size >= device.tuner_count) return false
+  clients.add(res)
+  res.on('close', () => clients.delete(res))
+  return true
+}
+
+export function getTunersInUse(deviceId) {
+  return tunersInUse.get(deviceId)?.size || 0
+}
+
 // ── Per-device port server management ────────────────────────────────────────
 const deviceServers = new Map() // deviceId → http.Server
 
-function buildDeviceApp(device) {
+function buildDeviceApp(deviceId) {
   const sub = express()
-  const pid = device.playlist_id
+  // Re-read per request so lineup and tuner changes apply without a restart
+  const getDevice = () => db.prepare('SELECT * FROM hdhr_devices WHERE id = ?').get(deviceId)
+  const deviceBase = (req) => `http://${req.headers.host}`
+  const appBase = (req) => `http://${(req.headers.host || '').split(':')[0]}:${process.env.PORT || 3005}`
+
+  sub.use((req, res, next) => {
+    req.device = getDevice()
+    if (!req.device) return res.status(404).end()
+    next()
+  })
 
   sub.get('/discover.json', (req, res) => {
-    const base = `http://${req.headers.host}`
-    const playlist = pid ? db.prepare('SELECT * FROM playlists WHERE id = ?').get(pid) : null
+    const { device } = req
+    const base = deviceBase(req)
+    const playlist = device.playlist_id ? db.prepare('SELECT * FROM playlists WHERE id = ?').get(device.playlist_id) : null
     if (!playlist) {
       return res.json({
         FriendlyName: device.name, Manufacturer: 'Silicondust',
         ModelNumber: 'HDTC-2US', FirmwareName: 'hdhomerun4_atsc',
-        FirmwareVersion: '20200101', DeviceID: createHash('md5').update(`hdhr-device-${device.id}`).digest('hex').slice(0, 8).toUpperCase(),
+        FirmwareVersion: '20200101', DeviceID: deviceIdForDevice(device),
         DeviceAuth: '', BaseURL: base, LineupURL: `${base}/lineup.json`, TunerCount: device.tuner_count,
       })
     }
     res.json({
       ...buildDiscover(base, playlist, device.tuner_count),
       FriendlyName: device.name || `M3u4Proxy — ${playlist.name}`,
+      BaseURL: base,
+      LineupURL: `${base}/lineup.json`,
     })
   })
 
   sub.get('/device.xml', (req, res) => {
-    const base = `http://${req.headers.host}`
-    const playlist = pid ? db.prepare('SELECT * FROM playlists WHERE id = ?').get(pid) : null
-    if (!playlist) return res.status(404).end()
+    const { device } = req
     res.setHeader('Content-Type', 'application/xml')
-    res.send(buildDeviceXml(base, playlist))
+    res.send(buildDeviceXml(deviceBase(req), deviceIdForDevice(device), device.name))
   })
 
   sub.get('/lineup_status.json', (req, res) => {
-    const channels = pid ? getPlaylistChannels(pid) : []
-    res.json({ ScanInProgress: 0, ScanPossible: 0, Source: 'Cable', SourceList: ['Cable'], ChannelScanSize: channels.length })
+    res.json(buildLineupStatus(req.device.playlist_id, getDeviceChannels(req.device).length))
   })
 
   sub.get('/lineup.json', (req, res) => {
-    if (!pid) return res.json([])
-    const base = `http://${req.headers.host}`
-    res.json(buildLineupJson(base, pid))
+    res.json(buildLineupJson(deviceBase(req), getDeviceChannels(req.device), appBase(req)))
   })
 
   sub.get('/lineup.m3u', (req, res) => {
-    if (!pid) { res.setHeader('Content-Type', 'application/x-mpegurl'); return res.send('#EXTM3U\n') }
-    const base = `http://${req.headers.host}`
     res.setHeader('Content-Type', 'application/x-mpegurl; charset=utf-8')
-    res.send(buildLineupM3u(base, pid))
+    res.send(buildLineupM3u(deviceBase(req), getDeviceChannels(req.device), appBase(req)))
   })
 
-  sub.post('/lineup.post', (req, res) => res.json({}))
-  sub.get('/lineup.post', (req, res) => res.json({}))
+  sub.post('/lineup.post', (req, res) => handleLineupPost(req.device.playlist_id, req, res))
+  sub.get('/lineup.post', (req, res) => handleLineupPost(req.device.playlist_id, req, res))
+
+  // Streams hold a tuner for as long as the client stays connected
+  const tunerGuard = (req, res, next) => {
+    if (acquireTuner(req.device, res)) {
+      req.username = req.username || `hdhr:${req.device.name}`
+      req.transcodeProfile = resolveTranscodeProfile(req.device.transcode_profile_id)
+      return next()
+    }
+    console.log(`[hdhr] "${req.device.name}": all ${req.device.tuner_count} tuners busy`)
+    res.setHeader('X-HDHomeRun-Error', '805 All Tuners In Use')
+    res.status(503).send('All tuners busy')
+  }
+
+  sub.get('/stream/:channelId', (req, res, next) => {
+    const inLineup = getDeviceChannels(req.device).some(ch => !ch.is_composite && String(ch.id) === req.params.channelId)
+    if (!inLineup) return res.status(404).send('Channel not in this lineup')
+    next()
+  }, tunerGuard, streamChannel)
+
+  // HDHomeRun-style tuning by guide number, e.g. /auto/v101
+  sub.get('/auto/v:guideNumber', (req, res, next) => {
+    const ch = getDeviceChannels(req.device).find(c => c.guide_number === req.params.guideNumber)
+    if (!ch) return res.status(404).send('Unknown channel')
+    if (ch.is_composite) return res.redirect(channelUrl(deviceBase(req), ch, appBase(req)))
+    req.params.channelId = String(ch.id)
+    next()
+  }, tunerGuard, streamChannel)
 
   return sub
 }
@@ -260,7 +407,7 @@ export function startDeviceServer(deviceId) {
     if (!device || !device.active) return resolve()
     if (deviceServers.has(deviceId)) return resolve() // already running
 
-    const subApp = buildDeviceApp(device)
+    const subApp = buildDeviceApp(device.id)
     const server = http.createServer(subApp)
     server.listen(device.port, () => {
       console.log(`[hdhr] Device "${device.name}" listening on port ${device.port}`)
@@ -297,6 +444,23 @@ export async function startAllDeviceServers() {
   }
 }
 
+// Devices announced over SSDP / UDP 65001 (see hdhrDiscovery.js): every active
+// virtual device, or the root device on the main port when there are none
+export function getDiscoverableDevices() {
+  const devices = db.prepare('SELECT * FROM hdhr_devices WHERE active = 1 ORDER BY port').all()
+  if (devices.length) {
+    return devices.map(d => ({ deviceId: deviceIdForDevice(d), name: d.name, port: d.port, tunerCount: d.tuner_count }))
+  }
+  const playlistId = getSetting('hdhr_playlist_id') || db.prepare('SELECT id FROM playlists ORDER BY id LIMIT 1').get()?.id
+  if (!playlistId) return []
+  return [{
+    deviceId: deviceIdForPlaylist(playlistId),
+    name: getSetting('hdhr_device_name', 'M3u4Proxy'),
+    port: Number(process.env.PORT || 3005),
+    tunerCount: getTunerCount(),
+  }]
+}
+
 // ── Route registration ────────────────────────────────────────────────────────
 export function registerHdhrRoutes(app) {
 
@@ -311,25 +475,25 @@ export function registerHdhrRoutes(app) {
     const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(req.params.pid)
     if (!playlist) return res.status(404).json({ error: 'Playlist not found' })
     res.setHeader('Content-Type', 'application/xml')
-    res.send(buildDeviceXml(getBaseUrl(req), playlist))
+    res.send(buildDeviceXml(`${getBaseUrl(req)}/hdhr/${playlist.id}`, deviceIdForPlaylist(playlist.id), `M3u4Proxy — ${playlist.name}`))
   })
 
   app.get('/hdhr/:pid/lineup_status.json', (req, res) => {
     const channels = getPlaylistChannels(req.params.pid)
-    res.json({ ScanInProgress: 0, ScanPossible: 0, Source: 'Cable', SourceList: ['Cable'], ChannelScanSize: channels.length })
+    res.json(buildLineupStatus(req.params.pid, channels.length))
   })
 
   app.get('/hdhr/:pid/lineup.json', (req, res) => {
-    res.json(buildLineupJson(getBaseUrl(req), req.params.pid))
+    res.json(buildLineupJson(getBaseUrl(req), numberPlaylistChannels(getPlaylistChannels(req.params.pid))))
   })
 
   app.get('/hdhr/:pid/lineup.m3u', (req, res) => {
     res.setHeader('Content-Type', 'application/x-mpegurl; charset=utf-8')
-    res.send(buildLineupM3u(getBaseUrl(req), req.params.pid))
+    res.send(buildLineupM3u(getBaseUrl(req), numberPlaylistChannels(getPlaylistChannels(req.params.pid))))
   })
 
-  app.post('/hdhr/:pid/lineup.post', (req, res) => res.json({}))
-  app.get('/hdhr/:pid/lineup.post', (req, res) => res.json({}))
+  app.post('/hdhr/:pid/lineup.post', (req, res) => handleLineupPost(req.params.pid, req, res))
+  app.get('/hdhr/:pid/lineup.post', (req, res) => handleLineupPost(req.params.pid, req, res))
 
   // ── Root endpoints — point to primary (first) playlist ───────────────────
   function getPrimaryPlaylistId() {
@@ -359,30 +523,30 @@ export function registerHdhrRoutes(app) {
     if (!playlistId) return res.status(404).end()
     const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId)
     res.setHeader('Content-Type', 'application/xml')
-    res.send(buildDeviceXml(getBaseUrl(req), playlist))
+    res.send(buildDeviceXml(`${getBaseUrl(req)}/hdhr/${playlist.id}`, deviceIdForPlaylist(playlist.id), `M3u4Proxy — ${playlist.name}`))
   })
 
   app.get('/lineup_status.json', (req, res) => {
     const playlistId = getPrimaryPlaylistId()
     const channels = playlistId ? getPlaylistChannels(playlistId) : []
-    res.json({ ScanInProgress: 0, ScanPossible: 0, Source: 'Cable', SourceList: ['Cable'], ChannelScanSize: channels.length })
+    res.json(buildLineupStatus(playlistId, channels.length))
   })
 
   app.get('/lineup.json', (req, res) => {
     const playlistId = getPrimaryPlaylistId()
     if (!playlistId) return res.json([])
-    res.json(buildLineupJson(getBaseUrl(req), playlistId))
+    res.json(buildLineupJson(getBaseUrl(req), numberPlaylistChannels(getPlaylistChannels(playlistId))))
   })
 
   app.get('/lineup.m3u', (req, res) => {
     const playlistId = getPrimaryPlaylistId()
     if (!playlistId) { res.setHeader('Content-Type', 'application/x-mpegurl'); return res.send('#EXTM3U\n') }
     res.setHeader('Content-Type', 'application/x-mpegurl; charset=utf-8')
-    res.send(buildLineupM3u(getBaseUrl(req), playlistId))
+    res.send(buildLineupM3u(getBaseUrl(req), numberPlaylistChannels(getPlaylistChannels(playlistId))))
   })
 
-  app.post('/lineup.post', (req, res) => res.json({}))
-  app.get('/lineup.post', (req, res) => res.json({}))
+  app.post('/lineup.post', (req, res) => handleLineupPost(getPrimaryPlaylistId(), req, res))
+  app.get('/lineup.post', (req, res) => handleLineupPost(getPrimaryPlaylistId(), req, res))
 
   // ── API: list all virtual devices ────────────────────────────────────────
   app.get('/api/hdhr/devices', (req, res) => {
@@ -0,0 +1,187 @@
+/**
+ * HDHomeRun network discovery — lets Plex, Emby and Jellyfin find the virtual
+ * tuners without typing in an address
+ *
+ * - UDP 65001: the SiliconDust discovery protocol. A discover request (type 2)
+ *   is answered with one reply (type 3) per device: device type, device ID,
+ *   tuner count, base URL and lineup URL
+ * - SSDP (UDP 1900, 239.255.255.250): M-SEARCH requests for root devices or
+ *   media servers are answered with each device's device.xml location
+ * - The advertised address is the hdhr_advertise_host setting, else HOST_IP,
+ *   else the local interface on the requester's subnet
+ * - Turned off with the hdhr_discovery_enabled setting. Inside Docker the
+ *   broadcasts only arrive with host networking
+ */
+
+import dgram from 'node:dgram'
+import os from 'node:os'
+import { crc32 } from 'node:zlib'
+import { getSettingValue } from './settings-cache.js'
+import { getDiscoverableDevices } from './hdhr.js'
+
+const HDHR_PORT = 65001
+const SSDP_PORT = 1900
+const SSDP_ADDRESS = '239.255.255.250'
+
+const TYPE_DISCOVER_REQ = 0x0002
+const TYPE_DISCOVER_RPY = 0x0003
+const TAG_DEVICE_TYPE = 0x01
+const TAG_DEVICE_ID = 0x02
+const TAG_TUNER_COUNT = 0x10
+const TAG_LINEUP_URL = 0x27
+const TAG_BASE_URL = 0x2A
+const DEVICE_TYPE_TUNER = 0x00000001
+const DEVICE_TYPE_WILDCARD = 0xFFFFFFFF
+const DEVICE_ID_WILDCARD = 0xFFFFFFFF
+
+const SSDP_TARGETS = new Set(['ssdp:all', 'upnp:rootdevice', 'urn:schemas-upnp-org:device:MediaServer:1'])
+
+function isEnabled() {
+  return getSettingValue('hdhr_discovery_enabled', 'true') !== 'false'
+}
+
+// ── Advertised address ────────────────────────────────────────────────────────
+function ipToInt(ip) {
+  return ip.split('.').reduce((n, part) => (n << 8) + Number(part), 0) >>> 0
+}
+
+function localAddressFor(remote) {
+  const configured = getSettingValue('hdhr_advertise_host', '') || process.env.HOST_IP
+  if (configured) return configured
+
+  const candidates = Object.values(os.networkInterfaces()).flat()
+    .filter(a => a && a.family === 'IPv4' && !a.internal)
+  const sameSubnet = candidates.find(a => {
+    const mask = ipToInt(a.netmask)
+    return (ipToInt(a.address) & mask) === (ipToInt(remote) & mask)
+  })
+  return (sameSubnet || candidates[0])?.address || '127.0.0.1'
+}
+
+// ── SiliconDust discovery protocol (UDP 65001) ────────────────────────────────
+function encodeLength(length) {
+  return length <= 127
+    ? Buffer.from([length])
+    : Buffer.from([(length & 0x7F) | 0x80, length >> 7])
+}
+
+function tag(type, value) {
+  return Buffer.concat([Buffer.from([type]), encodeLength(value.length), value])
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4)
+  buf.writeUInt32BE(value >>> 0)
+  return buf
+}
+
+function buildPacket(type, payload) {
+  const header = Buffer.alloc(4)
+  header.writeUInt16BE(type, 0)
+  header.writeUInt16BE(payload.length, 2)
+  const body = Buffer.concat([header, payload])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32LE(crc32(body))
+  return Buffer.concat([body, crc])
+}
+
+// Returns the request's tags as Map(tag → Buffer), or null if it isn't a valid discover request
+function parseDiscoverRequest(msg) {
+  if (msg.length < 8) return null
+  const type = msg.readUInt16BE(0)
+  const length = msg.readUInt16BE(2)
+  if (type !== TYPE_DISCOVER_REQ || msg.length < 4 + length + 4) return null
+  if (crc32(msg.subarray(0, 4 + length)) !== msg.readUInt32LE(4 + length)) return null
+
+  const tags = new Map()
+  let pos = 4
+  const end = 4 + length
+  while (pos + 2 <= end) {
+    const tagType = msg[pos++]
+    let tagLength = msg[pos++]
+    if (tagLength & 0x80) tagLength = (tagLength & 0x7F) | (msg[pos++] << 7)
+    tags.set(tagType, msg.subarray(pos, pos + tagLength))
+    pos += tagLength
+  }
+  return tags
+}
+
+function handleDiscover(socket, msg, rinfo) {
+  if (!isEnabled()) return
+  const tags = parseDiscoverRequest(msg)
+  if (!tags) return
+
+  const wantedType = tags.get(TAG_DEVICE_TYPE)?.length === 4 ? tags.get(TAG_DEVICE_TYPE).readUInt32BE(0) : DEVICE_TYPE_WILDCARD
+  const wantedId = tags.get(TAG_DEVICE_ID)?.length === 4 ? tags.get(TAG_DEVICE_ID).readUInt32BE(0) : DEVICE_ID_WILDCARD
+  if (wantedType !== DEVICE_TYPE_WILDCARD && wantedType !== DEVICE_TYPE_TUNER) return
+
+  const host = localAddressFor(rinfo.address)
+  for (const device of getDiscoverableDevices()) {
+    const deviceId = parseInt(device.deviceId, 16)
+    if (wantedId !== DEVICE_ID_WILDCARD && wantedId !== deviceId) continue
+    const base = `http://${host}:${device.port}`
+    const reply = buildPacket(TYPE_DISCOVER_RPY, Buffer.concat([
+      tag(TAG_DEVICE_TYPE, uint32(DEVICE_TYPE_TUNER)),
+      tag(TAG_DEVICE_ID, uint32(deviceId)),
+      tag(TAG_TUNER_COUNT, Buffer.from([Math.min(device.tunerCount, 255)])),
+      tag(TAG_BASE_URL, Buffer.from(base)),
+      tag(TAG_LINEUP_URL, Buffer.from(`${base}/lineup.json`)),
+    ]))
+    socket.send(reply, rinfo.port, rinfo.address)
+  }
+}
+
+// ── SSDP (UDP 1900) ───────────────────────────────────────────────────────────
+function handleSsdp(socket, msg, rinfo) {
+  if (!isEnabled()) return
+  const text = msg.toString()
+  if (!text.startsWith('M-SEARCH')) return
+  const st = text.match(/^ST:\s*(.+?)\s*$/im)?.[1]
+  if (!st) return
+
+  const host = localAddressFor(rinfo.address)
+  for (const device of getDiscoverableDevices()) {
+    const uuid = `uuid:${device.deviceId}`
+    if (!SSDP_TARGETS.has(st) && st !== uuid) continue
+    const target = st === 'ssdp:all' ? 'upnp:rootdevice' : st
+    const reply = [
+      'HTTP/1.1 200 OK',
+      'CACHE-CONTROL: max-age=1800',
+      'EXT:',
+      `LOCATION: http://${host}:${device.port}/device.xml`,
+      'SERVER: Linux/3.x UPnP/1.0 HDHomeRun/1.0',
+      `ST: ${target}`,
+      `USN: ${target === uuid ? uuid : `${uuid}::${target}`}`,
+      '', '',
+    ].join('\r\n')
+    socket.send(reply, rinfo.port, rinfo.address)
+  }
+}
+
+// ── Startup ───────────────────────────────────────────────────────────────────
+function bind(port, onMessage, onListening) {
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+  socket.on('message', (msg, rinfo) => {
+    try { onMessage(socket, msg, rinfo) } catch (e) {
+      console.error(`[hdhr-discovery] Failed to answer ${rinfo.address} on port ${port}:`, e.message)
+    }
+  })
+  socket.on('error', (e) => {
+    console.error(`[hdhr-discovery] UDP ${port} unavailable: ${e.message}`)
+    socket.close()
+  })
+  socket.bind(port, () => {
+    onListening?.(socket)
+    console.log(`[hdhr-discovery] Listening on UDP ${port}`)
+  })
+  return socket
+}
+
+export function startHdhrDiscovery() {
+  bind(HDHR_PORT, handleDiscover)
+  bind(SSDP_PORT, handleSsdp, (socket) => {
+    try { socket.addMembership(SSDP_ADDRESS) } catch (e) {
+      console.error(`[hdhr-discovery] Could not join SSDP multicast group: ${e.message}`)
+    }
+  })
+}
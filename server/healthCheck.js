@@ -0,0 +1,303 @@
+/**
+ * Channel health checker
+ *
+ * - Probes a sample of live playlist channels per source, least recently checked
+ *   first: GET the stream, time the first byte and look for MPEG-TS sync bytes
+ *   or a valid HLS manifest at the start of the body
+ * - Never takes a viewer's slot: a probe only starts when the source is below
+ *   max_streams, and a running probe is aborted as soon as a viewer opens a new
+ *   session on that source
+ * - Results land in channel_health (current state per URL), channel_health_checks
+ *   (history) and failed_streams (the dead channel report)
+ * - applyDeadChannelPolicy() hides or demotes channels that failed a playlist's
+ *   threshold of consecutive checks in M3U, Xtream and HDHR output
+ */
+
+import db from './db.js'
+import { getSettingValue } from './settings-cache.js'
+import { DEFAULT_USER_AGENT, getUpstreamHeaders } from './channelOptions.js'
+import { getActiveSessions } from './streamer.js'
+import { getActiveFfmpegSessions } from './ffmpeg-streamer.js'
+
+const TS_PACKET = 188
+const PROBE_BYTES = TS_PACKET * 64
+const PROBE_TIMEOUT = 10_000
+const PROBE_DELAY = 500
+const HISTORY_RETENTION_DAYS = 30
+
+export const DEAD_CHANNEL_ACTIONS = ['none', 'hide', 'demote']
+
+// ── State ─────────────────────────────────────────────────────────────────────
+export const healthState = {
+  inProgress: false,
+  lastStarted: null,
+  lastFinished: null,
+  lastError: null,
+  progress: { done: 0, total: 0, source: '' },
+  lastResult: null,
+}
+
+// sourceId → AbortController of the probe currently holding one of its slots
+const probeControllers = new Map()
+
+export function getHealthCheckSampleSize() {
+  return parseInt(getSettingValue('health_check_sample_size', '25'), 10) || 25
+}
+
+/**
+ * Called by the streamers when a viewer opens a new upstream session, so an
+ * in-flight probe hands its slot back immediately.
+ */
+export function abortProbesForSource(sourceId) {
+  probeControllers.get(Number(sourceId))?.abort()
+}
+
+// ── Probe ─────────────────────────────────────────────────────────────────────
+function hasTsSync(buf) {
+  const last = Math.min(TS_PACKET, buf.length - TS_PACKET * 2)
+  for (let i = 0; i < last; i++) {
+    if (buf[i] === 0x47 && buf[i + TS_PACKET] === 0x47 && buf[i + TS_PACKET * 2] === 0x47) return true
+  }
+  return false
+}
+
+function classify(buf) {
+  const text = buf.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '').trimStart()
+  if (text.startsWith('#EXTM3U')) {
+    const manifest = buf.toString('utf8')
+    return /#EXTINF|#EXT-X-STREAM-INF/.test(manifest)
+      ? { ok: true, streamType: 'hls' }
+      : { ok: false, streamType: 'hls', error: 'HLS manifest lists no segments or variants' }
+  }
+  if (hasTsSync(buf)) return { ok: true, streamType: 'ts' }
+  if (buf.length === 0) return { ok: false, error: 'Empty response' }
+  return { ok: false, error: 'No MPEG-TS sync bytes or HLS manifest in response' }
+}
+
+/**
+ * Fetch the first bytes of a stream and decide whether it is playable.
+ * @param {string} url
+ * @param {AbortSignal} [signal] - aborts the probe without counting it as a failure
+ * @param {Object} [headers] - request headers, see getUpstreamHeaders()
+ * @returns {Promise<{ok: boolean, aborted?: boolean, streamType?: string, httpStatus?: number, ttfbMs?: number, error?: string}>}
+ */
+export async function probeUrl(url, signal, headers = { 'User-Agent': DEFAULT_USER_AGENT }) {
+  const started = Date.now()
+  const ctrl = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => { timedOut = true; ctrl.abort() }, PROBE_TIMEOUT)
+  const onAbort = () => ctrl.abort()
+  signal?.addEventListener('abort', onAbort)
+
+  let reader = null
+  try {
+    const resp = await fetch(url, {
+      signal: ctrl.signal,
+      headers: {
+        'Accept': '*/*',
+        ...headers,
+      },
+    })
+    if (!resp.ok) return { ok: false, httpStatus: resp.status, error: `HTTP ${resp.status}` }
+
+    reader = resp.body.getReader()
+    const chunks = []
+    let size = 0
+    let ttfbMs = null
+    while (size < PROBE_BYTES) {
+      const { done, value } = await reader.read()
+      if (done) break
+      if (ttfbMs === null) ttfbMs = Date.now() - started
+      chunks.push(value)
+      size += value.length
+    }
+    return { ...classify(Buffer.concat(chunks)), httpStatus: resp.status, ttfbMs }
+  } catch (e) {
+    if (signal?.aborted) return { ok: false, aborted: true }
+    if (timedOut) return { ok: false, error: `No data within ${PROBE_TIMEOUT / 1000}s` }
+    return { ok: false, error: e.cause?.message || e.message }
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+    reader?.cancel().catch(() => {})
+    ctrl.abort()
+  }
+}
+
+// ── Recording results ─────────────────────────────────────────────────────────
+function recordFailedStreams(url, error, httpStatus) {
+  const channels = db.prepare('SELECT id, playlist_id, tvg_name, group_title FROM playlist_channels WHERE url = ?').all(url)
+  for (const ch of channels) {
+    const existing = db.prepare('SELECT id FROM failed_streams WHERE channel_id = ? AND url = ?').get(ch.id, url)
+    if (existing) {
+      db.prepare(`
+        UPDATE failed_streams
+        SET fail_count = fail_count + 1, error = ?, http_status = ?, last_failed = datetime('now')
+        WHERE id = ?
+      `).run(error, httpStatus, existing.id)
+    } else {
+      db.prepare(`
+        INSERT INTO failed_streams (channel_id, playlist_id, tvg_name, group_title, url, error, http_status)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(ch.id, ch.playlist_id, ch.tvg_name, ch.group_title, url, error, httpStatus)
+    }
+  }
+}
+
+const recordResult = db.transaction((url, sourceId, result) => {
+  db.prepare(`
+    INSERT INTO channel_health_checks (url, source_id, ok, stream_type, http_status, ttfb_ms, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(url, sourceId, result.ok ? 1 : 0, result.streamType || null, result.httpStatus || null, result.ttfbMs ?? null, result.error || null)
+
+  if (result.ok) {
+    db.prepare(`
+      INSERT INTO channel_health (url, source_id, status, consecutive_failures, stream_type, ttfb_ms, last_error, last_checked, last_ok)
+      VALUES (?, ?, 'ok', 0, ?, ?, NULL, datetime('now'), datetime('now'))
+      ON CONFLICT(url) DO UPDATE SET
+        source_id = excluded.source_id, status = 'ok', consecutive_failures = 0, stream_type = excluded.stream_type,
+        ttfb_ms = excluded.ttfb_ms, last_error = NULL, last_checked = excluded.last_checked, last_ok = excluded.last_ok
+    `).run(url, sourceId, result.streamType, result.ttfbMs ?? null)
+    // The channel works again, so it no longer belongs in the dead channel report
+    db.prepare('DELETE FROM failed_streams WHERE url = ?').run(url)
+  } else {
+    db.prepare(`
+      INSERT INTO channel_health (url, source_id, status, consecutive_failures, stream_type, last_error, last_checked)
+      VALUES (?, ?, 'dead', 1, ?, ?, datetime('now'))
+      ON CONFLICT(url) DO UPDATE SET
+        source_id = excluded.source_id, status = 'dead', consecutive_failures = consecutive_failures + 1,
+        stream_type = COALESCE(excluded.stream_type, stream_type), last_error = excluded.last_error,
+        last_checked = excluded.last_checked
+    `).run(url, sourceId, result.streamType || null, result.error)
+    recordFailedStreams(url, `Health check: ${result.error}`, result.httpStatus || null)
+  }
+})
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+// Upstream connections a source has open: buffer sessions (streamer.js) plus
+// ffmpeg/VLC/transcode sessions (ffmpeg-streamer.js). Both enforce max_streams with it
+export function activeSessionCount(sourceId) {
+  return [...getActiveSessions(), ...getActiveFfmpegSessions()]
+    .filter(s => Number(s.sourceId) === Number(sourceId)).length
+}
+
+function hasFreeSlot(source) {
+  return !source.max_streams || activeSessionCount(source.id) < source.max_streams
+}
+
+function selectChannels(sourceId, limit) {
+  return db.prepare(`
+    SELECT pc.url, MIN(pc.tvg_name) AS tvg_name
+    FROM playlist_channels pc
+    JOIN playlists p ON p.id = pc.playlist_id
+    LEFT JOIN channel_health h ON h.url = pc.url
+    WHERE pc.source_id = ?
+      AND COALESCE(pc.content_type, 'live') = 'live'
+      AND COALESCE(p.playlist_type, 'live') != 'vod'
+      AND pc.url LIKE 'http%'
+    GROUP BY pc.url
+    ORDER BY MAX(h.last_checked IS NOT NULL), MAX(h.last_checked)
+    LIMIT ?
+  `).all(sourceId, limit)
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Probe a sample of channels of every playlist source (or just one).
+ * @param {{sourceId?: number}} [options]
+ */
+export async function runHealthCheck({ sourceId = null } = {}) {
+  if (healthState.inProgress) return { already: true }
+
+  healthState.inProgress = true
+  healthState.lastStarted = new Date().toISOString()
+  healthState.lastError = null
+  healthState.progress = { done: 0, total: 0, source: '' }
+  const result = { checked: 0, ok: 0, failed: 0, skipped: 0 }
+
+  try {
+    const sources = db.prepare(`
+      SELECT id, name, max_streams FROM sources
+      WHERE (category != 'epg' OR category IS NULL) ${sourceId ? 'AND id = ?' : ''}
+    `).all(...(sourceId ? [sourceId] : []))
+
+    const sampleSize = getHealthCheckSampleSize()
+    const plan = sources
+      .map(source => ({ source, channels: selectChannels(source.id, sampleSize) }))
+      .filter(p => p.channels.length > 0)
+    healthState.progress.total = plan.reduce((n, p) => n + p.channels.length, 0)
+    console.log(`[health] Checking ${healthState.progress.total} channels across ${plan.length} sources`)
+
+    for (const { source, channels } of plan) {
+      healthState.progress.source = source.name
+      for (let i = 0; i < channels.length; i++) {
+        if (!hasFreeSlot(source)) {
+          const remaining = channels.length - i
+          console.log(`[health] "${source.name}" is at max_streams — skipping ${remaining} channels`)
+          result.skipped += remaining
+          healthState.progress.done += remaining
+          break
+        }
+
+        const ctrl = new AbortController()
+        if (source.max_streams) probeControllers.set(source.id, ctrl)
+        const headers = getUpstreamHeaders({ url: channels[i].url, sourceId: source.id })
+        const probe = await probeUrl(channels[i].url, ctrl.signal, headers)
+        probeControllers.delete(source.id)
+        healthState.progress.done++
+
+        if (probe.aborted) {
+          console.log(`[health] Probe of "${channels[i].tvg_name}" yielded its slot to a viewer`)
+          result.skipped++
+          continue
+        }
+
+        recordResult(channels[i].url, source.id, probe)
+        result.checked++
+        if (probe.ok) {
+          result.ok++
+        } else {
+          result.failed++
+          console.log(`[health] ✗ "${channels[i].tvg_name}" (${source.name}): ${probe.error}`)
+        }
+        await sleep(PROBE_DELAY)
+      }
+    }
+
+    db.prepare(`DELETE FROM channel_health_checks WHERE checked_at < datetime('now', '-${HISTORY_RETENTION_DAYS} days')`).run()
+    console.log(`[health] Done: ${result.checked} checked, ${result.ok} ok, ${result.failed} failed, ${result.skipped} skipped`)
+    healthState.lastResult = result
+    return { ok: true, ...result }
+  } catch (e) {
+    healthState.lastError = e.message
+    console.error('[health] Health check failed:', e.message)
+    throw e
+  } finally {
+    healthState.inProgress = false
+    healthState.lastFinished = new Date().toISOString()
+  }
+}
+
+// ── Output policy ─────────────────────────────────────────────────────────────
+/**
+ * Hide or demote (move to the end, order otherwise kept) channels whose URL
+ * failed at least the playlist's dead_channel_threshold consecutive checks.
+ * @param {Array<{url: string, is_composite?: boolean}>} channels
+ * @param {{dead_channel_action?: string, dead_channel_threshold?: number}} playlist
+ */
+export function applyDeadChannelPolicy(channels, playlist) {
+  const action = playlist?.dead_channel_action
+  if (!action || action === 'none' || channels.length === 0) return channels
+
+  const dead = new Set(
+    db.prepare('SELECT url FROM channel_health WHERE consecutive_failures >= ?')
+      .all(playlist.dead_channel_threshold || 3)
+      .map(r => r.url)
+  )
+  if (dead.size === 0) return channels
+
+  const isDead = ch => !ch.is_composite && dead.has(ch.url)
+  const alive = channels.filter(ch => !isDead(ch))
+  return action === 'hide' ? alive : [...alive, ...channels.filter(isDead)]
+}
@@ -0,0 +1,252 @@
+/**
+ * Native HLS output for live channels
+ *
+ * - One ffmpeg segmenter per channel (-c copy, no re-encode), shared by all HLS viewers
+ * - Fed from the shared streamer.js session, so HLS and raw MPEG-TS viewers of the
+ *   same channel still use a single upstream connection (and respect max_streams)
+ * - Shuts down once no viewer has polled the playlist for HLS_IDLE_TIMEOUT ms
+ */
+
+import { EventEmitter } from 'node:events'
+import { spawn } from 'node:child_process'
+import { mkdirSync, existsSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { connectClient } from './streamer.js'
+
+const HLS_SEGMENT_SECONDS = parseInt(process.env.HLS_SEGMENT_SECONDS || '4')
+const HLS_LIST_SIZE       = parseInt(process.env.HLS_LIST_SIZE || '6')
+const HLS_IDLE_TIMEOUT    = parseInt(process.env.HLS_IDLE_TIMEOUT || '30000')
+const VIEWER_TTL          = 15000
+
+export const HLS_PLAYLIST_NAME = 'index.m3u8'
+export const HLS_SEGMENT_PATTERN = /^seg_\d+\.ts$/
+
+const hlsSessions = new Map()
+
+// Minimal stand-in for an HTTP response so the segmenter can join a streamer.js
+// session like any other client and receive its chunks
+class SegmenterFeed extends EventEmitter {
+  constructor(session) {
+    super()
+    this.session = session
+    this.headersSent = false
+    this.writableEnded = false
+    this.statusCode = 200
+  }
+
+  setHeader() {}
+  flushHeaders() { this.headersSent = true }
+
+  status(code) {
+    this.statusCode = code
+    return this
+  }
+
+  // streamer.js answers with res.status(503).json() when the source is at max_streams
+  json(body) {
+    this.session.startError = new Error(body?.error || `Upstream refused with HTTP ${this.statusCode}`)
+    this.end()
+  }
+
+  write(chunk) {
+    const stdin = this.session.ffmpegProcess?.stdin
+    if (this.writableEnded || !stdin || stdin.destroyed) return false
+    return stdin.write(chunk)
+  }
+
+  end() {
+    if (this.writableEnded) return
+    this.writableEnded = true
+    const stdin = this.session.ffmpegProcess?.stdin
+    if (stdin && !stdin.destroyed) stdin.end()
+    this.emit('close')
+  }
+}
+
+export class HlsSession extends EventEmitter {
+  constructor(channel, username = null) {
+    super()
+    this.channelId = String(channel.id)
+    this.channelName = channel.tvg_name
+    this.upstreamUrl = channel.url
+    this.sourceId = channel.source_id || null
+    this.username = username
+    this.outputPath = join(process.env.TRANSCODE_DIR || '/transcode', 'hls-live', this.channelId)
+    this.ffmpegProcess = null
+    this.feed = null
+    this.viewers = new Map() // clientId -> lastSeenTimestamp
+    this.lastPoll = Date.now()
+    this.startedAt = new Date()
+    this.startError = null
+    this.dead = false
+    this._idleTimer = null
+  }
+
+  async start() {
+    console.log(`[hls] Starting HLS session for "${this.channelName}"`)
+
+    rmSync(this.outputPath, { recursive: true, force: true })
+    mkdirSync(this.outputPath, { recursive: true })
+
+    this.startFFmpeg()
+
+    this.feed = new SegmenterFeed(this)
+    await connectClient(this.channelId, this.upstreamUrl, this.channelName, this.feed, this.sourceId, this.username)
+    if (this.startError) throw this.startError
+
+    await this.waitForPlaylist()
+
+    this._idleTimer = setInterval(() => {
+      if (Date.now() - this.lastPoll > HLS_IDLE_TIMEOUT) {
+        console.log(`[hls] No playlist polls for "${this.channelName}" in ${HLS_IDLE_TIMEOUT / 1000}s — shutting down`)
+        this.destroy()
+      }
+    }, 5000)
+  }
+
+  startFFmpeg() {
+    const args = [
+      '-loglevel', 'error',
+      '-fflags', '+genpts',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      '-map', '0:v:0?',
+      '-map', '0:a?',
+      '-c', 'copy',
+      '-f', 'hls',
+      '-hls_time', String(HLS_SEGMENT_SECONDS),
+      '-hls_list_size', String(HLS_LIST_SIZE),
+      '-hls_flags', 'delete_segments+omit_endlist+independent_segments',
+      '-hls_segment_filename', join(this.outputPath, 'seg_%05d.ts'),
+      join(this.outputPath, HLS_PLAYLIST_NAME),
+    ]
+
+    this.ffmpegProcess = spawn('ffmpeg', args, { stdio: ['pipe', 'ignore', 'pipe'] })
+
+    // EPIPE when ffmpeg exits while the shared session is still writing
+    this.ffmpegProcess.stdin.on('error', (err) => {
+      if (err.code !== 'EPIPE') console.error(`[hls] stdin error for "${this.channelName}":`, err.message)
+    })
+
+    this.ffmpegProcess.stderr.on('data', (data) => {
+      const msg = data.toString().trim()
+      if (msg) console.error(`[hls] ffmpeg for "${this.channelName}": ${msg}`)
+    })
+
+    this.ffmpegProcess.on('error', (err) => {
+      if (this.dead) return
+      console.error(`[hls] ffmpeg process error for "${this.channelName}":`, err.message)
+      this.startError = err
+      this.destroy()
+    })
+
+    this.ffmpegProcess.on('exit', (code, signal) => {
+      if (this.dead) return
+      console.log(`[hls] ffmpeg exited for "${this.channelName}": code=${code}, signal=${signal}`)
+      this.destroy()
+    })
+  }
+
+  async waitForPlaylist(timeout = 30000) {
+    const playlistPath = join(this.outputPath, HLS_PLAYLIST_NAME)
+    const startTime = Date.now()
+
+    while (!existsSync(playlistPath)) {
+      if (this.dead) throw this.startError || new Error('HLS session ended before the playlist was ready')
+      if (Date.now() - startTime > timeout) throw new Error('Timeout waiting for HLS playlist')
+      await new Promise(resolve => setTimeout(resolve, 200))
+    }
+
+    console.log(`[hls] Playlist ready for "${this.channelName}" after ${Date.now() - startTime}ms`)
+  }
+
+  trackViewer(clientId) {
+    const now = Date.now()
+    this.lastPoll = now
+    this.viewers.set(clientId, now)
+    for (const [id, ts] of this.viewers) {
+      if (ts < now - VIEWER_TTL) this.viewers.delete(id)
+    }
+  }
+
+  destroy() {
+    if (this.dead) return
+    this.dead = true
+
+    console.log(`[hls] Destroying HLS session for "${this.channelName}"`)
+
+    if (this._idleTimer) {
+      clearInterval(this._idleTimer)
+      this._idleTimer = null
+    }
+
+    // Leaving the shared session lets streamer.js close the upstream if we were the last client
+    if (this.feed) this.feed.end()
+
+    if (this.ffmpegProcess) {
+      try { this.ffmpegProcess.kill('SIGKILL') } catch {}
+      this.ffmpegProcess = null
+    }
+
+    try {
+      rmSync(this.outputPath, { recursive: true, force: true })
+    } catch (error) {
+      console.error(`[hls] Failed to clean up output for "${this.channelName}":`, error.message)
+    }
+
+    if (hlsSessions.get(this.channelId)?.session === this) hlsSessions.delete(this.channelId)
+    this.emit('dead')
+    this.removeAllListeners()
+  }
+
+  getStatus() {
+    const cutoff = Date.now() - VIEWER_TTL
+    return {
+      channelId: this.channelId,
+      channelName: this.channelName,
+      mode: 'hls',
+      sourceId: this.sourceId,
+      username: this.username,
+      viewers: [...this.viewers.values()].filter(ts => ts >= cutoff).length,
+      startedAt: this.startedAt,
+      lastPoll: new Date(this.lastPoll),
+    }
+  }
+}
+
+// Get or create the HLS session for a channel row. Concurrent first requests
+// share the same startup promise instead of spawning two segmenters.
+export async function getHlsSession(channel, username = null) {
+  const channelId = String(channel.id)
+  let entry = hlsSessions.get(channelId)
+
+  if (!entry || entry.session.dead) {
+    const session = new HlsSession(channel, username)
+    entry = { session, ready: null }
+    hlsSessions.set(channelId, entry)
+    entry.ready = session.start().catch(err => {
+      session.destroy()
+      throw err
+    })
+  }
+
+  await entry.ready
+  return entry.session
+}
+
+// Segments are only served from a session a playlist request already started
+export function getRunningHlsSession(channelId) {
+  const entry = hlsSessions.get(String(channelId))
+  return entry && !entry.session.dead ? entry.session : null
+}
+
+export function getActiveHlsSessions() {
+  return [...hlsSessions.values()]
+    .filter(entry => !entry.session.dead)
+    .map(entry => entry.session.getStatus())
+}
+
+export function killHlsSession(channelId) {
+  const entry = hlsSessions.get(String(channelId))
+  if (entry) entry.session.destroy()
+}
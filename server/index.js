@@ -4,13 +4,23 @@ import path, { join } from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { existsSync, mkdirSync, readdirSync, statSync, rmSync } from 'node:fs'
 import os from 'node:os'
+import { createHash } from 'node:crypto'
 
 import db from './db.js'
 import { runMigrations } from './migrate.js'
 import { startStatsFlusher } from './stats-flusher.js'
+import { requireAdmin, startAdminSessionPurge } from './admin-auth.js'
 import { registerHdhrRoutes, startAllDeviceServers } from './hdhr.js'
+import { startHdhrDiscovery } from './hdhrDiscovery.js'
 import { registerXtreamRoutes } from './xtream.js'
-import { startContentUpdateScheduler, startEpgGrabCron, startEnrichCron } from './services/scheduler.js'
+import { startDvrScheduler } from './dvr.js'
+import { registerMetricsRoute } from './metrics.js'
+import { startNotificationScheduler } from './notifications.js'
+import { getEpgList, getPrecedenceSignature } from './epgMerge.js'
+import { generateXmltv } from './services/xmltv.js'
+import { streamToXmltvCache, getPlaylistXmltvCachePath } from './services/xmltvCache.js'
+import { startScheduler } from './services/scheduler.js'
+import { startJobQueue } from './services/jobQueue.js'
 
 // Import Routers
 import authRoutes from './routes/auth.js'
@@ -27,9 +37,19 @@ import diagnosticsRoutes from './routes/diagnostics.js'
 import tmdbRoutes from './routes/tmdb.js'
 import sourceChannelsRoutes from './routes/source-channels.js'
 import playlistChannelsRoutes from './routes/playlist-channels.js'
+import smartPlaylistsRoutes from './routes/smart-playlists.js'
+import channelNumbersRoutes from './routes/channel-numbers.js'
 import strmNfoRoutes from './routes/strm-nfo.js'
 import portalRoutes from './routes/portal.js'
 import streamStatsRoutes from './routes/stream-stats.js'
+import recordingsRoutes from './routes/recordings.js'
+import webhooksRoutes from './routes/webhooks.js'
+import schedulerRoutes from './routes/scheduler.js'
+import jobsRoutes from './routes/jobs.js'
+import eventsRoutes from './routes/events.js'
+import transcodeProfilesRoutes from './routes/transcode-profiles.js'
+import meRoutes from './routes/me.js'
+import auditRoutes from './routes/audit.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const app = express()
@@ -42,6 +62,9 @@ app.use(express.json({ limit: '50mb' }))
 const distPath = path.join(__dirname, '../dist')
 app.use(express.static(distPath))
 
+// Every /api route below requires an admin session (see admin-auth.js for public exceptions)
+app.use('/api', requireAdmin)
+
 // Mount API Routes
 app.use('/api', systemRoutes)
 app.use('/api', authRoutes)
@@ -58,33 +81,68 @@ app.use('/api', diagnosticsRoutes)
 app.use('/api', tmdbRoutes)
 app.use('/api', sourceChannelsRoutes)
 app.use('/api', playlistChannelsRoutes)
+app.use('/api', smartPlaylistsRoutes)
+app.use('/api', channelNumbersRoutes)
 app.use('/api', strmNfoRoutes)
+app.use('/api', recordingsRoutes)
+app.use('/api', webhooksRoutes)
+app.use('/api', schedulerRoutes)
+app.use('/api', jobsRoutes)
+app.use('/api', eventsRoutes)
+app.use('/api', transcodeProfilesRoutes)
+app.use('/api', meRoutes)
+app.use('/api', auditRoutes)
 
 // The proxy endpoints from streams need to be mounted at root
 // to match existing URL structures like /stream/:id
 import { default as streamsRootRouter } from './routes/streams.js'
 app.use('/', streamsRootRouter) // Mounts /stream and /stream-web
 
-// Serve guide.xml at ROOT (not under /api) for EPG feed compatibility
+// Serve guide.xml at ROOT (not under /api) for EPG feed compatibility. It is the
+// merged guide of every EPG source (see epgMerge.js); ?source=grabber, and any
+// request made before EPG sources have data, gets the raw epg-grabber output
 app.get('/guide.xml', async (req, res) => {
-  const { existsSync } = await import('node:fs')
   const { GUIDE_XML } = await import('./epgGrab.js')
-  if (!existsSync(GUIDE_XML)) return res.status(404).send('guide.xml not yet generated. Run an EPG grab first.')
+  const sendGrabberOutput = () => {
+    if (!existsSync(GUIDE_XML)) return res.status(404).send('guide.xml not yet generated. Run an EPG grab first.')
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8')
+    res.sendFile(GUIDE_XML)
+  }
+  if (req.query.source === 'grabber') return sendGrabberOutput()
+
+  const sourceIds = db.prepare('SELECT DISTINCT source_id FROM epg_programmes').all().map(r => r.source_id)
+  const channels = getEpgList().map(c => ({ epg_id: c.id, tvg_name: c.name, tvg_logo: c.icon }))
+  if (!sourceIds.length || !channels.length) return sendGrabberOutput()
+
+  const proto = req.headers['x-forwarded-proto'] || req.protocol
+  const host = req.headers['x-forwarded-host'] || req.headers.host
+  const baseUrl = `${proto}://${host}`
+  const fetched = db.prepare('SELECT source_id, last_fetched FROM epg_cache ORDER BY source_id').all()
+  const mappings = db.prepare('SELECT source_tvg_id, target_tvg_id FROM epg_mappings ORDER BY id').all()
+  const cacheKey = createHash('sha1')
+    .update(JSON.stringify({ baseUrl, sourceIds, fetched, mappings, precedence: getPrecedenceSignature() }))
+    .digest('hex')
+
   res.setHeader('Content-Type', 'application/xml; charset=utf-8')
-  res.sendFile(GUIDE_XML)
+  const cachedPath = getPlaylistXmltvCachePath('guide', cacheKey)
+  if (cachedPath) return res.sendFile(cachedPath)
+  const generator = generateXmltv(db, channels, sourceIds, baseUrl)
+  res.sendFile(await streamToXmltvCache('guide', cacheKey, generator, false, sourceIds))
 })
 
-// Run migrations on startup
-runMigrations(db)
+// Run migrations on startup (the DVR, webhook and job schedulers and the job queue need their tables)
+runMigrations(db).then(() => {
+  startDvrScheduler()
+  startNotificationScheduler()
+  startJobQueue()
+  startScheduler()
+})
 startStatsFlusher()
+startAdminSessionPurge()
 
-// Start device servers
+// Start device servers and answer Plex/Emby/Jellyfin tuner discovery
 startAllDeviceServers(db)
-
-// Start content update scheduler
-startContentUpdateScheduler()
-startEpgGrabCron()
-startEnrichCron()
+startHdhrDiscovery()
 
 // Xtream UI / API routes
 registerXtreamRoutes(app, db)
@@ -95,6 +153,9 @@ app.use('/', portalRoutes)
 // HDHomeRun routes
 registerHdhrRoutes(app, db)
 
+// Prometheus metrics
+registerMetricsRoute(app)
+
 // Cleanup old temp directories on startup
 function cleanupOnStartup() {
   const tmpdir = os.tmpdir()
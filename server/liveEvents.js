@@ -0,0 +1,39 @@
+/**
+ * Live dashboard events
+ *
+ * - publish(event, data) is called from wherever something happens; GET /api/events
+ *   relays every event to the connected admin pages as Server-Sent Events
+ * - stream.started / stream.stopped when a live, ffmpeg/vlc, transcode or VOD session opens
+ *   or closes; stream.stats about once a second per session with bytes, bitrate
+ *   and client count; composite.started / composite.stopped for composite streams
+ * - epg.grab.log for every line the EPG grabber logs, with the current progress
+ * - Job queue events (source refresh progress, grabs, syncs, exports and their
+ *   completion) are relayed by the route as job.queued / job.started /
+ *   job.progress / job.finished
+ */
+
+import { EventEmitter } from 'node:events'
+
+export const liveEvents = new EventEmitter()
+liveEvents.setMaxListeners(0)
+
+export function publish(event, data) {
+  if (liveEvents.listenerCount('event') === 0) return
+  liveEvents.emit('event', { event, data })
+}
+
+// Shared shape for the streamers' session events
+export function streamEventData(kind, session) {
+  return {
+    kind,
+    key:         session.key ?? String(session.channelId),
+    channelId:   session.channelId,
+    channelName: session.channelName,
+    sourceId:    session.sourceId ?? null,
+    username:    session.username,
+    clients:     session.clients.size,
+    bytesIn:     session.bytesIn ?? 0,
+    bytesOut:    session.bytesOut,
+    bitrate:     session.bitrate ?? 0,
+  }
+}
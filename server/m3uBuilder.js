@@ -1,5 +1,6 @@
-import { writeFileSync, mkdirSync } from 'node:fs'
+import { writeFileSync, mkdirSync, existsSync } from 'node:fs'
 import path from 'node:path'
+import { createChannelOptions, applyOptionLine, splitUrlHeaders, extinfChannelAttributes, channelOptionColumns, parseJsonObject, mergeHeaders, safeVlcOptions, DEFAULT_USER_AGENT } from './channelOptions.js'
 
 /**
  * Build M3U content from playlist channels, applying EPG mappings.
@@ -49,19 +50,44 @@ export function buildM3U(channels, epgMap = new Map(), opts = {}) {
 
     const logo   = rawLogo ? ` tvg-logo="${rawLogo}"` : ''
     const group  = (nfoData?.genre || ch.group_title) ? ` group-title="${nfoData?.genre || ch.group_title}"` : ''
-    const chno   = ch.sort_order > 0 ? ` tvg-chno="${ch.sort_order}"` : ''
+    const chnoValue = ch.channel_number ?? (ch.sort_order > 0 ? ch.sort_order : ch.tvg_chno)
+    const chno   = chnoValue ? ` tvg-chno="${chnoValue}"` : ''
     const catchup = catchupSrc
       ? ` catchup="default" catchup-source="${catchupSrc}" catchup-days="${catchupDays}"`
-      : ''
+      : (!baseUrl ? sourceCatchupAttrs(ch.catchup) : '')
     const streamUrl = ch.is_composite
       ? `${baseUrl}/composite-stream/${ch.id}/playlist.m3u8`
       : (baseUrl ? `${baseUrl}/stream/${ch.id}` : ch.url)
     lines.push(`#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${displayName}"${chno}${logo}${group}${catchup},${displayName}`)
+    // Proxied streams get their headers from the server; direct URLs need the player to send them
+    if (!baseUrl && !ch.is_composite) lines.push(...playerOptionLines(ch))
     lines.push(streamUrl)
   }
   return lines.join('\n')
 }
 
+// The provider's own catchup attributes, only meaningful against its direct URLs
+function sourceCatchupAttrs(catchupJson) {
+  const catchup = parseJsonObject(catchupJson)
+  if (!catchup.type) return ''
+  return ` catchup="${catchup.type}"`
+    + (catchup.source ? ` catchup-source="${catchup.source}"` : '')
+    + (catchup.days ? ` catchup-days="${catchup.days}"` : '')
+}
+
+// #EXTVLCOPT / #KODIPROP / #EXTHTTP lines that reproduce what the source sent
+function playerOptionLines(ch) {
+  const headers = parseJsonObject(ch.http_headers)
+  const options = parseJsonObject(ch.stream_options)
+  const lines = []
+  if (headers['User-Agent']) lines.push(`#EXTVLCOPT:http-user-agent=${headers['User-Agent']}`)
+  if (headers.Referer) lines.push(`#EXTVLCOPT:http-referrer=${headers.Referer}`)
+  for (const [key, value] of Object.entries(safeVlcOptions(options.vlc))) lines.push(`#EXTVLCOPT:${key}=${value}`)
+  for (const [key, value] of Object.entries(options.kodi || {})) lines.push(`#KODIPROP:${key}=${value}`)
+  if (Object.keys(headers).length) lines.push(`#EXTHTTP:${JSON.stringify(headers)}`)
+  return lines
+}
+
 /**
  * Write M3U to disk at the given output path.
  * Creates parent directories if needed.
@@ -70,9 +96,9 @@ export function writeM3U(outputPath, content) {
   try {
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath)
-    if (!fs.existsSync(outputDir)) {
+    if (!existsSync(outputDir)) {
       try {
-        fs.mkdirSync(outputDir, { recursive: true })
+        mkdirSync(outputDir, { recursive: true })
       } catch (mkdirErr) {
         if (mkdirErr.code === 'EACCES' || mkdirErr.code === 'EPERM') {
           throw new Error(`Permission denied creating directory '${outputDir}'. Ensure the output path is writable by the m3u4prox user. Current path: ${outputPath}`)
@@ -80,7 +106,7 @@ export function writeM3U(outputPath, content) {
         throw mkdirErr
       }
     }
-    fs.writeFileSync(outputPath, content, 'utf-8')
+    writeFileSync(outputPath, content, 'utf-8')
   } catch (e) {
     throw new Error(`Failed to write M3U to ${outputPath}: ${e.message}`)
   }
@@ -111,9 +137,10 @@ export function shouldSkipByRules(name, skipRules) {
 
 /**
  * Fetch and parse an M3U URL, returning raw channel objects.
+ * headers are the source's default request headers.
  */
-export async function fetchAndParseM3U(url) {
-  const res = await fetch(url)
+export async function fetchAndParseM3U(url, signal, headers = {}) {
+  const res = await fetch(url, { signal, headers: mergeHeaders({ 'User-Agent': DEFAULT_USER_AGENT }, headers) })
   if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`)
   const text = await res.text()
   return parseM3UText(text)
@@ -122,10 +149,12 @@ export async function fetchAndParseM3U(url) {
 /**
  * Fetch channels from Xtream Codes API.
  * Fetches Live TV, VOD (movies), and Series based on refresh flags.
+ * options.headers are the source's default request headers, sent on every API call.
  */
 export async function fetchXtreamChannels(url, username, password, skipRules = [], options = {}) {
   const { refreshLive = true, refreshMovies = true, refreshSeries = true } = options
   const base = url.replace(/\/$/, '')
+  const init = { headers: mergeHeaders({ 'User-Agent': DEFAULT_USER_AGENT }, options.headers) }
 
   let liveChannels = []
   let vodChannels = []
@@ -136,7 +165,7 @@ export async function fetchXtreamChannels(url, username, password, skipRules = [
 
   if (refreshLive) {
     fetchPromises.push(
-      fetchLiveStreams(base, username, password).catch(() => []).then(ch => { liveChannels = ch })
+      fetchLiveStreams(base, username, password, init).catch(() => []).then(ch => { liveChannels = ch })
     )
   } else {
     console.log('[xtream] Skipping Live TV refresh - using existing cached content')
@@ -144,7 +173,7 @@ export async function fetchXtreamChannels(url, username, password, skipRules = [
 
   if (refreshMovies) {
     fetchPromises.push(
-      fetchVodStreams(base, username, password).catch(() => []).then(ch => { vodChannels = ch })
+      fetchVodStreams(base, username, password, init).catch(() => []).then(ch => { vodChannels = ch })
     )
   } else {
     console.log('[xtream] Skipping Movies refresh - using existing cached content')
@@ -152,7 +181,7 @@ export async function fetchXtreamChannels(url, username, password, skipRules = [
 
   if (refreshSeries) {
     fetchPromises.push(
-      fetchSeriesStreams(base, username, password, skipRules).catch(() => []).then(ch => { seriesChannels = ch })
+      fetchSeriesStreams(base, username, password, skipRules, init).catch(() => []).then(ch => { seriesChannels = ch })
     )
   } else {
     console.log('[xtream] Skipping Series refresh - using existing cached content')
@@ -171,11 +200,11 @@ export async function fetchXtreamChannels(url, username, password, skipRules = [
 /**
  * Fetch Live TV streams from Xtream API
  */
-async function fetchLiveStreams(base, username, password) {
+async function fetchLiveStreams(base, username, password, init = {}) {
   const apiUrl = `${base}/player_api.php?username=${username}&password=${password}&action=get_live_streams`
   const catUrl = `${base}/player_api.php?username=${username}&password=${password}&action=get_live_categories`
 
-  const [streamsRes, catsRes] = await Promise.all([fetch(apiUrl), fetch(catUrl)])
+  const [streamsRes, catsRes] = await Promise.all([fetch(apiUrl, init), fetch(catUrl, init)])
   if (!streamsRes.ok) throw new Error(`Xtream API error: ${streamsRes.status}`)
 
   const streams = await streamsRes.json()
@@ -188,6 +217,11 @@ async function fetchLiveStreams(base, username, password) {
     tvg_logo:    s.stream_icon || '',
     group_title: catMap[s.category_id] || 'Ungrouped',
     url:         `${base}/live/${username}/${password}/${s.stream_id}.ts`,
+    stream_id:   s.stream_id,
+    // Keep the provider's archive flags so catch-up can be offered and proxied
+    meta:        Number(s.tv_archive) === 1
+      ? { stream_id: s.stream_id, tv_archive: 1, tv_archive_duration: Number(s.tv_archive_duration) || 0 }
+      : null,
     raw_extinf:  `#EXTINF:-1 tvg-id="${s.epg_channel_id || ''}" tvg-name="${s.name}" tvg-logo="${s.stream_icon || ''}" group-title="${catMap[s.category_id] || 'Ungrouped'}",${s.name}`,
   }))
 }
@@ -195,11 +229,11 @@ async function fetchLiveStreams(base, username, password) {
 /**
  * Fetch VOD (movie) streams from Xtream API
  */
-async function fetchVodStreams(base, username, password) {
+async function fetchVodStreams(base, username, password, init = {}) {
   const apiUrl = `${base}/player_api.php?username=${username}&password=${password}&action=get_vod_streams`
   const catUrl = `${base}/player_api.php?username=${username}&password=${password}&action=get_vod_categories`
 
-  const [streamsRes, catsRes] = await Promise.all([fetch(apiUrl), fetch(catUrl)])
+  const [streamsRes, catsRes] = await Promise.all([fetch(apiUrl, init), fetch(catUrl, init)])
   if (!streamsRes.ok) throw new Error(`Xtream VOD API error: ${streamsRes.status}`)
 
   const streams = await streamsRes.json()
@@ -219,6 +253,7 @@ async function fetchVodStreams(base, username, password) {
       tvg_logo:    s.stream_icon || s.cover || '',
       group_title: prefixedGroup,
       url:         `${base}/movie/${username}/${password}/${s.stream_id}.mkv`,
+      stream_id:   s.stream_id,
       meta:        hasUsefulMeta ? s : null, // Only store if has useful data
       raw_extinf:  `#EXTINF:-1 tvg-id="${s.tmdb_id || ''}" tvg-name="${s.name || s.title || 'Unknown'}" tvg-logo="${s.stream_icon || s.cover || ''}" group-title="${prefixedGroup}",${s.name || s.title || 'Unknown'}`,
     }
@@ -228,11 +263,11 @@ async function fetchVodStreams(base, username, password) {
 /**
  * Fetch Series streams from Xtream API and expand each series into individual episodes.
  */
-async function fetchSeriesStreams(base, username, password, skipRules = []) {
+async function fetchSeriesStreams(base, username, password, skipRules = [], init = {}) {
   const apiUrl = `${base}/player_api.php?username=${username}&password=${password}&action=get_series`
   const catUrl = `${base}/player_api.php?username=${username}&password=${password}&action=get_series_categories`
 
-  const [streamsRes, catsRes] = await Promise.all([fetch(apiUrl), fetch(catUrl)])
+  const [streamsRes, catsRes] = await Promise.all([fetch(apiUrl, init), fetch(catUrl, init)])
   if (!streamsRes.ok) throw new Error(`Xtream Series API error: ${streamsRes.status}`)
 
   const allSeries = await streamsRes.json()
@@ -310,7 +345,7 @@ async function fetchSeriesStreams(base, username, password, skipRules = []) {
         let infoRes
         let retries = 0
         while (retries < 3) {
-          infoRes = await fetch(infoUrl)
+          infoRes = await fetch(infoUrl, init)
           if (infoRes.ok) break
           retries++
           if (retries < 3) {
@@ -418,6 +453,7 @@ async function fetchSeriesStreams(base, username, password, skipRules = []) {
               tvg_logo:     episode.info?.movie_image || s.cover || '',
               group_title:  prefixedGroup,
               url:          `${base}/series/${username}/${password}/${episode.id}.mkv`,
+              stream_id:    episode.id,
               meta:         hasUsefulMeta ? s : null, // Only store if has useful data
               raw_extinf:   `#EXTINF:-1 tvg-id="${episode.info?.tmdb_id || s.tmdb_id || ''}" tvg-name="${episodeName}" tvg-logo="${episode.info?.movie_image || s.cover || ''}" group-title="${prefixedGroup}",${episodeTitle}`,
             })
@@ -490,12 +526,16 @@ async function fetchSeriesStreams(base, username, password, skipRules = []) {
 }
 
 /**
- * Fetch and parse an M3U URL, returning raw channel objects.
+ * Parse M3U text into raw channel objects.
+ * #EXTVLCOPT / #KODIPROP / #EXTHTTP lines around an #EXTINF (up to its URL)
+ * become http_headers and stream_options, see channelOptions.js.
  */
 export function parseM3UText(text) {
   const lines = text.split(/\r?\n/)
   const channels = []
   let current = null
+  // Option lines may also come before the #EXTINF they belong to
+  let pendingOptions = createChannelOptions()
 
   for (const line of lines) {
     const trimmed = line.trim()
@@ -511,11 +551,18 @@ export function parseM3UText(text) {
         group_title: (groupAttr && groupAttr.trim()) ? groupAttr.trim() : inferGroup(name),
         raw_extinf:  trimmed,
         url:         '',
+        ...extinfChannelAttributes(trimmed),
+        options:     pendingOptions,
       }
-    } else if (!trimmed.startsWith('#') && current) {
-      current.url = trimmed
+    } else if (trimmed.startsWith('#')) {
+      applyOptionLine(current ? current.options : pendingOptions, trimmed)
+    } else if (current) {
+      current.url = splitUrlHeaders(trimmed, current.options)
+      Object.assign(current, channelOptionColumns(current.options))
+      delete current.options
       channels.push(current)
       current = null
+      pendingOptions = createChannelOptions()
     }
   }
   return channels
@@ -0,0 +1,170 @@
+/**
+ * Prometheus metrics (text exposition format 0.0.4)
+ *
+ * - Everything is read at scrape time from the live session maps, the sources
+ *   and users tables, refreshSourceCache stats, the job queue and the EPG
+ *   grab/enrich state
+ * - Per-session byte and reconnect counters belong to the session, so they
+ *   reset when a channel's session ends; the channel labels identify it
+ * - Set METRICS_TOKEN to require `Authorization: Bearer <token>` on /metrics
+ */
+
+import db from './db.js'
+import { getActiveSessions } from './streamer.js'
+import { getActiveFfmpegSessions } from './ffmpeg-streamer.js'
+import { getActiveVodSessions } from './vod-streamer.js'
+import { getActiveHlsSessions } from './hls-streamer.js'
+import { getActiveSessions as getActiveCompositeSessions } from './composite-streamer.js'
+import { getSourceRefreshStats } from './services/sourceManager.js'
+import { grabState } from './epgGrab.js'
+import { enrichState } from './epgEnrich.js'
+import { getQueueStats } from './services/jobQueue.js'
+
+const SESSION_MODES = ['buffer', 'ffmpeg', 'vlc', 'transcode', 'hls', 'vod', 'composite']
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function toSeconds(date) {
+  if (!date) return 0
+  const ms = new Date(date).getTime()
+  return Number.isFinite(ms) ? ms / 1000 : 0
+}
+
+// Collects samples grouped per metric so HELP/TYPE are written once
+function createRegistry() {
+  const metrics = new Map()
+  return {
+    add(name, type, help, labels, value) {
+      if (!metrics.has(name)) metrics.set(name, { type, help, samples: [] })
+      metrics.get(name).samples.push({ labels, value: Number(value) || 0 })
+    },
+    render() {
+      const lines = []
+      for (const [name, { type, help, samples }] of metrics) {
+        lines.push(`# HELP ${name} ${help}`)
+        lines.push(`# TYPE ${name} ${type}`)
+        for (const { labels, value } of samples) {
+          const entries = Object.entries(labels || {})
+          const labelStr = entries.length
+            ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`
+            : ''
+          lines.push(`${name}${labelStr} ${value}`)
+        }
+      }
+      return lines.join('\n') + '\n'
+    },
+  }
+}
+
+function collectSessions() {
+  const live = getActiveSessions().map(s => ({ ...s, mode: 'buffer' }))
+  const proc = getActiveFfmpegSessions() // mode is 'ffmpeg', 'vlc' or 'transcode'
+  const hls  = getActiveHlsSessions().map(s => ({ ...s, clients: s.viewers }))
+  const vod  = getActiveVodSessions().map(s => ({ ...s, mode: 'vod' }))
+  const composite = getActiveCompositeSessions().map(s => ({
+    ...s, mode: 'composite', channelId: `composite:${s.compositeId}`, channelName: '',
+  }))
+  return [...live, ...proc, ...hls, ...vod, ...composite]
+}
+
+export function renderMetrics() {
+  const reg = createRegistry()
+  const sessions = collectSessions()
+
+  // ── Sessions ──
+  for (const mode of SESSION_MODES) {
+    reg.add('m3u4proxy_active_sessions', 'gauge', 'Active upstream sessions by streaming mode',
+      { mode }, sessions.filter(s => s.mode === mode).length)
+  }
+  for (const s of sessions) {
+    const labels = { mode: s.mode, channel_id: s.channelId, channel: s.channelName || '' }
+    if (s.profileName) labels.profile = s.profileName
+    reg.add('m3u4proxy_session_clients', 'gauge', 'Clients attached to a session', labels, s.clients)
+    if (s.bitrate !== undefined) {
+      reg.add('m3u4proxy_session_bitrate_bytes_per_second', 'gauge', 'Rolling upstream bitrate of a session', labels, s.bitrate)
+    }
+    if (s.bytesIn !== undefined) {
+      reg.add('m3u4proxy_session_bytes_in_total', 'counter', 'Bytes received from upstream by a session', labels, s.bytesIn)
+    }
+    if (s.bytesOut !== undefined) {
+      reg.add('m3u4proxy_session_bytes_out_total', 'counter', 'Bytes sent to clients by a session', labels, s.bytesOut)
+    }
+    if (s.reconnects !== undefined) {
+      reg.add('m3u4proxy_session_reconnects_total', 'counter', 'Upstream reconnects of a session', labels, s.reconnects)
+    }
+    if (s.failovers !== undefined) {
+      reg.add('m3u4proxy_session_failovers_total', 'counter', 'Failovers to alternate channel variants', labels, s.failovers)
+    }
+    if (s.startedAt) {
+      reg.add('m3u4proxy_session_start_timestamp_seconds', 'gauge', 'When a session started', labels, toSeconds(s.startedAt))
+    }
+  }
+
+  // ── Sources ──
+  const sources = db.prepare("SELECT id, name, max_streams FROM sources WHERE category != 'epg' OR category IS NULL").all()
+  for (const src of sources) {
+    const labels = { source_id: src.id, source: src.name }
+    reg.add('m3u4proxy_source_active_streams', 'gauge', 'Live sessions currently pulling from a source',
+      labels, sessions.filter(s => Number(s.sourceId) === src.id).length)
+    reg.add('m3u4proxy_source_max_streams', 'gauge', 'Configured max_streams of a source (0 = unlimited)',
+      labels, src.max_streams || 0)
+  }
+
+  const sourceNames = new Map(db.prepare('SELECT id, name FROM sources').all().map(s => [s.id, s.name]))
+  for (const stats of getSourceRefreshStats()) {
+    const labels = { source_id: stats.sourceId, source: sourceNames.get(stats.sourceId) || '' }
+    reg.add('m3u4proxy_source_refresh_total', 'counter', 'Source refreshes since startup', labels, stats.runs)
+    reg.add('m3u4proxy_source_refresh_failures_total', 'counter', 'Failed source refreshes since startup', labels, stats.failures)
+    reg.add('m3u4proxy_source_refresh_duration_seconds_total', 'counter', 'Total time spent refreshing a source', labels, stats.totalSeconds)
+    reg.add('m3u4proxy_source_refresh_last_duration_seconds', 'gauge', 'Duration of the latest refresh of a source', labels, stats.lastSeconds)
+    reg.add('m3u4proxy_source_refresh_last_success_timestamp_seconds', 'gauge', 'When a source last refreshed successfully',
+      labels, toSeconds(stats.lastSuccessAt))
+  }
+
+  // ── Users ──
+  const connections = new Map()
+  for (const s of sessions) {
+    if (s.username) connections.set(s.username, (connections.get(s.username) || 0) + 1)
+  }
+  for (const user of db.prepare('SELECT username, max_connections FROM users WHERE active = 1').all()) {
+    reg.add('m3u4proxy_user_connections', 'gauge', 'Active connections per user', { username: user.username },
+      connections.get(user.username) || 0)
+    reg.add('m3u4proxy_user_max_connections', 'gauge', 'Connection limit per user', { username: user.username },
+      user.max_connections || 0)
+  }
+
+  // ── Background jobs ──
+  for (const { type, running, queued, concurrency } of getQueueStats()) {
+    reg.add('m3u4proxy_jobs_running', 'gauge', 'Running background jobs per type', { type }, running)
+    reg.add('m3u4proxy_jobs_queued', 'gauge', 'Queued background jobs per type', { type }, queued)
+    reg.add('m3u4proxy_jobs_concurrency', 'gauge', 'Concurrency limit per background job type', { type }, concurrency)
+  }
+
+  reg.add('m3u4proxy_epg_grab_in_progress', 'gauge', 'Whether an EPG grab is running', {}, grabState.inProgress ? 1 : 0)
+  reg.add('m3u4proxy_epg_grab_progress_done', 'gauge', 'Channels grabbed in the current EPG grab', {}, grabState.progress?.done)
+  reg.add('m3u4proxy_epg_grab_progress_total', 'gauge', 'Channels to grab in the current EPG grab', {}, grabState.progress?.total)
+  reg.add('m3u4proxy_epg_grab_last_start_timestamp_seconds', 'gauge', 'When the last EPG grab started', {}, toSeconds(grabState.lastStarted))
+  reg.add('m3u4proxy_epg_grab_last_finish_timestamp_seconds', 'gauge', 'When the last EPG grab finished', {}, toSeconds(grabState.lastFinished))
+  reg.add('m3u4proxy_epg_grab_last_failed', 'gauge', 'Whether the last EPG grab ended with an error', {}, grabState.lastError ? 1 : 0)
+
+  reg.add('m3u4proxy_epg_enrich_in_progress', 'gauge', 'Whether EPG enrichment is running', {}, enrichState.inProgress ? 1 : 0)
+  reg.add('m3u4proxy_epg_enrich_last_run_timestamp_seconds', 'gauge', 'When EPG enrichment last ran', {}, toSeconds(enrichState.lastRun))
+  reg.add('m3u4proxy_epg_enrich_enriched', 'gauge', 'Programmes enriched by the last enrichment run', {}, enrichState.enriched)
+  reg.add('m3u4proxy_epg_enrich_skipped', 'gauge', 'Programmes skipped by the last enrichment run', {}, enrichState.skipped)
+  reg.add('m3u4proxy_epg_enrich_last_failed', 'gauge', 'Whether the last enrichment run ended with an error', {}, enrichState.lastError ? 1 : 0)
+
+  return reg.render()
+}
+
+export function registerMetricsRoute(app) {
+  app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).send('Unauthorized')
+    }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+    res.send(renderMetrics())
+  })
+}
@@ -0,0 +1,54 @@
+export function up(db) {
+  console.log('[Migration 020] Adding recording_rules and recordings tables for the DVR')
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recording_rules (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      type           TEXT NOT NULL DEFAULT 'once' CHECK(type IN ('once', 'series')),
+      title          TEXT NOT NULL,
+      channel_id     INTEGER NOT NULL,
+      epg_channel_id TEXT NOT NULL,
+      padding_before INTEGER NOT NULL DEFAULT 2,
+      padding_after  INTEGER NOT NULL DEFAULT 5,
+      enabled        INTEGER NOT NULL DEFAULT 1,
+      created_at     TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS recordings (
+      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id             INTEGER REFERENCES recording_rules(id) ON DELETE SET NULL,
+      channel_id          INTEGER NOT NULL,
+      channel_name        TEXT,
+      epg_channel_id      TEXT,
+      title               TEXT NOT NULL,
+      description         TEXT,
+      icon                TEXT,
+      episode_num         TEXT,
+      programme_start     TEXT NOT NULL,
+      programme_stop      TEXT NOT NULL,
+      start_at            TEXT NOT NULL,
+      stop_at             TEXT NOT NULL,
+      status              TEXT NOT NULL DEFAULT 'scheduled'
+                          CHECK(status IN ('scheduled', 'recording', 'completed', 'failed', 'cancelled')),
+      file_path           TEXT,
+      file_size           INTEGER DEFAULT 0,
+      error               TEXT,
+      playlist_channel_id INTEGER,
+      started_at          TEXT,
+      finished_at         TEXT,
+      created_at          TEXT DEFAULT (datetime('now')),
+      UNIQUE(channel_id, programme_start)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_recordings_status_start ON recordings(status, start_at);
+  `)
+
+  console.log('[Migration 020] ✓ Created recording_rules and recordings tables')
+}
+
+export function down(db) {
+  console.log('[Migration 020] Removing DVR tables')
+  db.exec('DROP INDEX IF EXISTS idx_recordings_status_start')
+  db.exec('DROP TABLE IF EXISTS recordings')
+  db.exec('DROP TABLE IF EXISTS recording_rules')
+}
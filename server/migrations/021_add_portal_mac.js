@@ -0,0 +1,29 @@
+export function up(db) {
+  console.log('[Migration 021] Adding MAC address login and portal sessions for MAG/Stalker clients')
+
+  const cols = db.prepare('PRAGMA table_info(users)').all().map(c => c.name)
+  if (!cols.includes('mac_address')) {
+    db.exec('ALTER TABLE users ADD COLUMN mac_address TEXT')
+  }
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_mac_address ON users(mac_address) WHERE mac_address IS NOT NULL;
+
+    CREATE TABLE IF NOT EXISTS portal_sessions (
+      token       TEXT PRIMARY KEY,
+      user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      mac_address TEXT NOT NULL,
+      created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at  TEXT NOT NULL
+    );
+  `)
+
+  console.log('[Migration 021] ✓ Added users.mac_address and portal_sessions table')
+}
+
+export function down(db) {
+  console.log('[Migration 021] Removing portal sessions')
+  db.exec('DROP TABLE IF EXISTS portal_sessions')
+  db.exec('DROP INDEX IF EXISTS idx_users_mac_address')
+  // SQLite doesn't support DROP COLUMN on older versions; mac_address is left in place
+}
@@ -0,0 +1,48 @@
+export function up(db) {
+  console.log('[Migration 022] Adding webhooks and webhook_deliveries tables')
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      name       TEXT NOT NULL,
+      url        TEXT NOT NULL,
+      format     TEXT NOT NULL DEFAULT 'generic'
+                 CHECK(format IN ('generic', 'discord', 'slack', 'ntfy', 'gotify')),
+      events     TEXT NOT NULL DEFAULT '[]',
+      token      TEXT,
+      enabled    INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id   INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event        TEXT NOT NULL,
+      status       TEXT NOT NULL DEFAULT 'pending'
+                   CHECK(status IN ('pending', 'delivered', 'failed')),
+      attempts     INTEGER NOT NULL DEFAULT 0,
+      response     TEXT,
+      created_at   TEXT DEFAULT (datetime('now')),
+      delivered_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+  `)
+
+  // Remembers which expiry date a user was already notified about
+  const cols = db.prepare('PRAGMA table_info(users)').all().map(c => c.name)
+  if (!cols.includes('expiry_notified_for')) {
+    db.exec('ALTER TABLE users ADD COLUMN expiry_notified_for TEXT')
+  }
+  // Accounts that expired before notifications existed shouldn't all fire at once
+  db.exec("UPDATE users SET expiry_notified_for = expires_at WHERE expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now')")
+
+  console.log('[Migration 022] ✓ Created webhook tables')
+}
+
+export function down(db) {
+  console.log('[Migration 022] Removing webhook tables')
+  db.exec('DROP INDEX IF EXISTS idx_webhook_deliveries_webhook')
+  db.exec('DROP TABLE IF EXISTS webhook_deliveries')
+  db.exec('DROP TABLE IF EXISTS webhooks')
+}
@@ -0,0 +1,52 @@
+export function up(db) {
+  console.log('[Migration 023] Adding channel health tables')
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS channel_health (
+      url                  TEXT PRIMARY KEY,
+      source_id            INTEGER,
+      status               TEXT NOT NULL DEFAULT 'ok' CHECK(status IN ('ok', 'dead')),
+      consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      stream_type          TEXT,
+      ttfb_ms              INTEGER,
+      last_error           TEXT,
+      last_checked         TEXT,
+      last_ok              TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS channel_health_checks (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      url         TEXT NOT NULL,
+      source_id   INTEGER,
+      ok          INTEGER NOT NULL,
+      stream_type TEXT,
+      http_status INTEGER,
+      ttfb_ms     INTEGER,
+      error       TEXT,
+      checked_at  TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_channel_health_source ON channel_health(source_id, status);
+    CREATE INDEX IF NOT EXISTS idx_channel_health_checks_url ON channel_health_checks(url, checked_at);
+  `)
+
+  // Per-playlist handling of channels that keep failing health checks
+  const cols = db.prepare('PRAGMA table_info(playlists)').all().map(c => c.name)
+  if (!cols.includes('dead_channel_action')) {
+    db.exec("ALTER TABLE playlists ADD COLUMN dead_channel_action TEXT NOT NULL DEFAULT 'none'")
+  }
+  if (!cols.includes('dead_channel_threshold')) {
+    db.exec('ALTER TABLE playlists ADD COLUMN dead_channel_threshold INTEGER NOT NULL DEFAULT 3')
+  }
+
+  console.log('[Migration 023] ✓ Created channel health tables')
+}
+
+export function down(db) {
+  console.log('[Migration 023] Removing channel health tables')
+  db.exec('DROP INDEX IF EXISTS idx_channel_health_checks_url')
+  db.exec('DROP INDEX IF EXISTS idx_channel_health_source')
+  db.exec('DROP TABLE IF EXISTS channel_health_checks')
+  db.exec('DROP TABLE IF EXISTS channel_health')
+  // SQLite doesn't support DROP COLUMN on older versions; the playlist columns are left in place
+}
@@ -0,0 +1,28 @@
+export function up(db) {
+  console.log('[Migration 024] Adding per-channel EPG source precedence')
+
+  // source_ids is a JSON array of EPG source ids, most preferred first. Sources
+  // not listed follow in their global priority order (sources.priority).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS epg_channel_precedence (
+      channel_id TEXT PRIMARY KEY,
+      source_ids TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `)
+
+  // /guide.xml now serves the merged guide; the source registered from the EPG
+  // scraper must keep reading the raw grabber output or it would ingest itself
+  const moved = db.prepare(`
+    UPDATE sources SET url = url || '?source=grabber'
+    WHERE category = 'epg' AND name = 'EPG Grabber (guide.xml)' AND url LIKE '%/guide.xml'
+  `).run().changes
+  if (moved) console.log(`[Migration 024] Pointed ${moved} EPG scraper source(s) at /guide.xml?source=grabber`)
+
+  console.log('[Migration 024] ✓ Created epg_channel_precedence table')
+}
+
+export function down(db) {
+  console.log('[Migration 024] Removing per-channel EPG source precedence')
+  db.exec('DROP TABLE IF EXISTS epg_channel_precedence')
+}
@@ -0,0 +1,69 @@
+export function up(db) {
+  console.log('[Migration 025] Moving EPG channels out of epg_cache blobs')
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS epg_channels (
+      source_id  INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      channel_id TEXT NOT NULL,
+      name       TEXT NOT NULL DEFAULT '',
+      icon       TEXT,
+      raw        TEXT NOT NULL,
+      PRIMARY KEY (source_id, channel_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_epg_channels_channel ON epg_channels(channel_id);
+  `)
+
+  // epg_cache keeps one row of refresh metadata per EPG source
+  const cols = db.prepare('PRAGMA table_info(epg_cache)').all().map(c => c.name)
+  if (!cols.includes('programme_count')) {
+    db.exec('ALTER TABLE epg_cache ADD COLUMN programme_count INTEGER DEFAULT 0')
+  }
+
+  // Backfill channels from the stored blobs, then drop the blobs
+  const insertChannel = db.prepare(`
+    INSERT OR IGNORE INTO epg_channels (source_id, channel_id, name, icon, raw) VALUES (?, ?, ?, ?, ?)
+  `)
+  const decode = s => s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+  let channelCount = 0
+  for (const { source_id } of db.prepare('SELECT source_id FROM epg_cache WHERE content IS NOT NULL').all()) {
+    const { content } = db.prepare('SELECT content FROM epg_cache WHERE source_id = ?').get(source_id)
+    for (const match of content.matchAll(/<channel\b[^>]*>[\s\S]*?<\/channel>/g)) {
+      const block = match[0]
+      const id = block.match(/^<channel\b[^>]*\bid="([^"]*)"/)?.[1]
+      if (!id) continue
+      const name = block.match(/<display-name[^>]*>([^<]*)<\/display-name>/)?.[1]?.trim() || ''
+      const icon = block.match(/<icon\s[^>]*src="([^"]*)"/)?.[1] || null
+      channelCount += insertChannel.run(source_id, decode(id), decode(name), icon ? decode(icon) : null, block).changes
+    }
+  }
+  db.exec(`
+    UPDATE epg_cache SET content = NULL,
+      programme_count = (SELECT COUNT(*) FROM epg_programmes p WHERE p.source_id = epg_cache.source_id)
+  `)
+  console.log(`[Migration 025] Moved ${channelCount} channels into epg_channels`)
+
+  // Rows backfilled by migration 017 kept raw XMLTV times; everything else
+  // (DVR, Xtream, the portal) expects the ISO times a refresh stores
+  const toIso = value => {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*([+-])?(\d{2})?(\d{2})?/)
+    if (!m) return value
+    const [, y, mo, d, h, mi, s, sign = '+', oh = '00', om = '00'] = m
+    const offset = (Number(oh) * 60 + Number(om)) * 60_000 * (sign === '-' ? -1 : 1)
+    return new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)) - offset).toISOString()
+  }
+  const legacy = db.prepare("SELECT id, start, stop FROM epg_programmes WHERE start NOT LIKE '____-%'").all()
+  const updateTimes = db.prepare('UPDATE epg_programmes SET start = ?, stop = ? WHERE id = ?')
+  for (const row of legacy) updateTimes.run(toIso(row.start), toIso(row.stop), row.id)
+  if (legacy.length) console.log(`[Migration 025] Converted ${legacy.length} programme times to ISO`)
+
+  console.log('[Migration 025] ✓ Created epg_channels table')
+}
+
+export function down(db) {
+  console.log('[Migration 025] Removing epg_channels table')
+  db.exec('DROP INDEX IF EXISTS idx_epg_channels_channel')
+  db.exec('DROP TABLE IF EXISTS epg_channels')
+  // SQLite doesn't support DROP COLUMN on older versions; programme_count is left in place.
+  // The dropped blobs are restored by the next EPG source refresh.
+}
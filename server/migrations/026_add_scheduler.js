@@ -0,0 +1,44 @@
+export function up(db) {
+  console.log('[Migration 026] Adding scheduler job state and run history')
+
+  // scheduler_jobs holds per-job overrides plus the next run time the job was
+  // scheduled for, which is how runs missed while the server was down are found
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduler_jobs (
+      job_id      TEXT PRIMARY KEY,
+      timezone    TEXT,
+      catch_up    INTEGER NOT NULL DEFAULT 1,
+      next_run_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id      TEXT NOT NULL,
+      trigger     TEXT NOT NULL CHECK(trigger IN ('schedule', 'manual', 'catch-up')),
+      status      TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'success', 'failed', 'skipped')),
+      started_at  TEXT NOT NULL,
+      finished_at TEXT,
+      duration_ms INTEGER,
+      result      TEXT,
+      error       TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_id, id);
+  `)
+
+  // Every job used to run in Africa/Johannesburg. Keep existing installs on it
+  // so their schedules don't shift; new installs default to the server's zone
+  const existing = db.prepare('SELECT COUNT(*) AS n FROM sources').get().n > 0
+  if (existing) {
+    db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES ('scheduler_timezone', 'Africa/Johannesburg')").run()
+  }
+
+  console.log('[Migration 026] ✓ Created scheduler_jobs and job_runs tables')
+}
+
+export function down(db) {
+  console.log('[Migration 026] Removing scheduler tables')
+  db.exec('DROP INDEX IF EXISTS idx_job_runs_job')
+  db.exec('DROP TABLE IF EXISTS job_runs')
+  db.exec('DROP TABLE IF EXISTS scheduler_jobs')
+}
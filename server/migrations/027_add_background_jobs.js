@@ -0,0 +1,39 @@
+export function up(db) {
+  console.log('[Migration 027] Adding background job history')
+
+  // One row per job the queue has seen. dedupe_key is type + params, which is
+  // how identical queued jobs are found; log holds the last lines the job wrote
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS background_jobs (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      type           TEXT NOT NULL,
+      dedupe_key     TEXT NOT NULL,
+      label          TEXT NOT NULL,
+      params         TEXT,
+      trigger        TEXT NOT NULL DEFAULT 'manual',
+      status         TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'success', 'failed', 'cancelled')),
+      progress_done  INTEGER,
+      progress_total INTEGER,
+      message        TEXT,
+      result         TEXT,
+      error          TEXT,
+      log            TEXT,
+      created_at     TEXT NOT NULL,
+      started_at     TEXT,
+      finished_at    TEXT,
+      duration_ms    INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_background_jobs_type ON background_jobs(type, id);
+    CREATE INDEX IF NOT EXISTS idx_background_jobs_status ON background_jobs(status);
+  `)
+
+  console.log('[Migration 027] ✓ Created background_jobs table')
+}
+
+export function down(db) {
+  console.log('[Migration 027] Removing background job history')
+  db.exec('DROP INDEX IF EXISTS idx_background_jobs_status')
+  db.exec('DROP INDEX IF EXISTS idx_background_jobs_type')
+  db.exec('DROP TABLE IF EXISTS background_jobs')
+}
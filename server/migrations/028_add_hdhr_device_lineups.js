@@ -0,0 +1,19 @@
+export function up(db) {
+  console.log('[Migration 028] Adding per-device HDHomeRun lineup options')
+
+  // channel_start/channel_end renumber a device's lineup into its own range,
+  // channel_map holds per-channel overrides ({ playlist channel id: guide number })
+  // and group_filter limits the lineup to a list of group titles
+  const cols = db.prepare('PRAGMA table_info(hdhr_devices)').all().map(c => c.name)
+  if (!cols.includes('channel_start')) db.exec('ALTER TABLE hdhr_devices ADD COLUMN channel_start INTEGER')
+  if (!cols.includes('channel_end'))   db.exec('ALTER TABLE hdhr_devices ADD COLUMN channel_end INTEGER')
+  if (!cols.includes('channel_map'))   db.exec('ALTER TABLE hdhr_devices ADD COLUMN channel_map TEXT')
+  if (!cols.includes('group_filter'))  db.exec('ALTER TABLE hdhr_devices ADD COLUMN group_filter TEXT')
+
+  console.log('[Migration 028] ✓ Added hdhr_devices lineup columns')
+}
+
+export function down(db) {
+  console.log('[Migration 028] Removing per-device HDHomeRun lineup options')
+  // SQLite doesn't support DROP COLUMN on older versions; the columns are left in place
+}
@@ -0,0 +1,49 @@
+export function up(db) {
+  console.log('[Migration 029] Adding transcode_profiles table')
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcode_profiles (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      name          TEXT NOT NULL UNIQUE,
+      video_codec   TEXT NOT NULL DEFAULT 'h264'
+                    CHECK(video_codec IN ('copy', 'h264', 'none')),
+      max_height    INTEGER,
+      video_bitrate INTEGER,
+      preset        TEXT NOT NULL DEFAULT 'veryfast',
+      audio_codec   TEXT NOT NULL DEFAULT 'aac'
+                    CHECK(audio_codec IN ('copy', 'aac')),
+      audio_bitrate INTEGER,
+      created_at    TEXT DEFAULT (datetime('now'))
+    );
+  `)
+
+  // A user's profile applies to their Xtream/portal/stream URLs, a device's to everything tuned through it
+  const userCols = db.prepare('PRAGMA table_info(users)').all().map(c => c.name)
+  if (!userCols.includes('transcode_profile_id')) {
+    db.exec('ALTER TABLE users ADD COLUMN transcode_profile_id INTEGER REFERENCES transcode_profiles(id) ON DELETE SET NULL')
+  }
+  const deviceCols = db.prepare('PRAGMA table_info(hdhr_devices)').all().map(c => c.name)
+  if (!deviceCols.includes('transcode_profile_id')) {
+    db.exec('ALTER TABLE hdhr_devices ADD COLUMN transcode_profile_id INTEGER REFERENCES transcode_profiles(id) ON DELETE SET NULL')
+  }
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM transcode_profiles').get()
+  if (count === 0) {
+    const insert = db.prepare(`
+      INSERT INTO transcode_profiles (name, video_codec, max_height, video_bitrate, preset, audio_codec, audio_bitrate)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `)
+    insert.run('Passthrough',        'copy', null, null, 'veryfast', 'copy', null)
+    insert.run('720p · 2.5 Mbps',    'h264', 720,  2500, 'veryfast', 'aac',  128)
+    insert.run('480p · 1 Mbps',      'h264', 480,  1000, 'veryfast', 'aac',  96)
+    insert.run('Audio only',         'none', null, null, 'veryfast', 'aac',  96)
+  }
+
+  console.log('[Migration 029] ✓ Created transcode_profiles table')
+}
+
+export function down(db) {
+  console.log('[Migration 029] Removing transcode_profiles table')
+  // The users/hdhr_devices columns are left in place (no DROP COLUMN on older SQLite)
+  db.exec('DROP TABLE IF EXISTS transcode_profiles')
+}
@@ -0,0 +1,40 @@
+export function up(db) {
+  console.log('[Migration 030] Adding web UI roles, session owners and audit_log')
+
+  // users.role: 'user' = Xtream/portal only (personal page), 'viewer' | 'editor' | 'admin' = web UI accounts
+  const userCols = db.prepare('PRAGMA table_info(users)').all().map(c => c.name)
+  if (!userCols.includes('role')) db.exec("ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'user'")
+  db.exec("UPDATE users SET role = 'user' WHERE role IS NULL OR role NOT IN ('user', 'viewer', 'editor', 'admin')")
+
+  // Sessions without a user_id come from the ADMIN_PASSWORD login
+  const sessionCols = db.prepare('PRAGMA table_info(admin_sessions)').all().map(c => c.name)
+  if (!sessionCols.includes('user_id')) db.exec('ALTER TABLE admin_sessions ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE')
+  if (!sessionCols.includes('username')) db.exec('ALTER TABLE admin_sessions ADD COLUMN username TEXT')
+  if (!sessionCols.includes('role')) db.exec("ALTER TABLE admin_sessions ADD COLUMN role TEXT NOT NULL DEFAULT 'admin'")
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor      TEXT NOT NULL,
+      role       TEXT NOT NULL,
+      method     TEXT NOT NULL,
+      path       TEXT NOT NULL,
+      status     INTEGER,
+      ip         TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, created_at);
+  `)
+
+  console.log('[Migration 030] ✓ Added roles and audit_log')
+}
+
+export function down(db) {
+  console.log('[Migration 030] Removing audit_log')
+  // The users/admin_sessions columns are left in place (no DROP COLUMN on older SQLite)
+  db.exec('DROP INDEX IF EXISTS idx_audit_log_actor')
+  db.exec('DROP INDEX IF EXISTS idx_audit_log_created')
+  db.exec('DROP TABLE IF EXISTS audit_log')
+}
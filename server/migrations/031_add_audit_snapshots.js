@@ -0,0 +1,26 @@
+export function up(db) {
+  console.log('[Migration 031] Adding before/after snapshots to audit_log')
+
+  const cols = db.prepare('PRAGMA table_info(audit_log)').all().map(c => c.name)
+  // entity/entity_id: what the route changed, e.g. 'playlist' / '3'
+  if (!cols.includes('entity')) db.exec('ALTER TABLE audit_log ADD COLUMN entity TEXT')
+  if (!cols.includes('entity_id')) db.exec('ALTER TABLE audit_log ADD COLUMN entity_id TEXT')
+  // JSON arrays of { table, key, rows } (or { table, summary } for bulk channel changes)
+  if (!cols.includes('before_json')) db.exec('ALTER TABLE audit_log ADD COLUMN before_json TEXT')
+  if (!cols.includes('after_json')) db.exec('ALTER TABLE audit_log ADD COLUMN after_json TEXT')
+  // 1 when every changed row was snapshotted in full
+  if (!cols.includes('can_revert')) db.exec('ALTER TABLE audit_log ADD COLUMN can_revert INTEGER NOT NULL DEFAULT 0')
+  if (!cols.includes('reverted_at')) db.exec('ALTER TABLE audit_log ADD COLUMN reverted_at TEXT')
+  if (!cols.includes('reverted_by')) db.exec('ALTER TABLE audit_log ADD COLUMN reverted_by TEXT')
+  if (!cols.includes('revert_of')) db.exec('ALTER TABLE audit_log ADD COLUMN revert_of INTEGER')
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id)')
+
+  console.log('[Migration 031] ✓ Added audit snapshots')
+}
+
+export function down(db) {
+  console.log('[Migration 031] Removing audit entity index')
+  // The columns are left in place (no DROP COLUMN on older SQLite)
+  db.exec('DROP INDEX IF EXISTS idx_audit_log_entity')
+}
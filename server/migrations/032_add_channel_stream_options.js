@@ -0,0 +1,27 @@
+const CHANNEL_TABLES = ['source_channels', 'playlist_channels']
+
+export function up(db) {
+  console.log('[Migration 032] Adding per-channel HTTP headers and player options')
+
+  for (const table of CHANNEL_TABLES) {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name)
+    // JSON object of request headers, e.g. { "User-Agent": "...", "Referer": "..." }
+    if (!cols.includes('http_headers')) db.exec(`ALTER TABLE ${table} ADD COLUMN http_headers TEXT`)
+    // JSON { vlc: { "network-caching": "1000" }, kodi: { "inputstream.adaptive.manifest_type": "hls" } }
+    if (!cols.includes('stream_options')) db.exec(`ALTER TABLE ${table} ADD COLUMN stream_options TEXT`)
+    if (!cols.includes('tvg_chno')) db.exec(`ALTER TABLE ${table} ADD COLUMN tvg_chno TEXT`)
+    // JSON { type, source, days } from the catchup="" attributes
+    if (!cols.includes('catchup')) db.exec(`ALTER TABLE ${table} ADD COLUMN catchup TEXT`)
+  }
+
+  // Default headers sent for every channel of the source, overridden per channel
+  const sourceCols = db.prepare('PRAGMA table_info(sources)').all().map(c => c.name)
+  if (!sourceCols.includes('http_headers')) db.exec('ALTER TABLE sources ADD COLUMN http_headers TEXT')
+
+  console.log('[Migration 032] ✓ Added channel stream options')
+}
+
+export function down(db) {
+  console.log('[Migration 032] Nothing to roll back')
+  // The columns are left in place (no DROP COLUMN on older SQLite)
+}
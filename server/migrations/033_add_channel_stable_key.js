@@ -0,0 +1,17 @@
+export function up(db) {
+  console.log('[Migration 033] Adding stable channel keys to source_channels')
+
+  const cols = db.prepare('PRAGMA table_info(source_channels)').all().map(c => c.name)
+  // Xtream stream id or tvg-id + normalized name, see channelIdentity.js; filled on the next refresh
+  if (!cols.includes('stable_key')) db.exec('ALTER TABLE source_channels ADD COLUMN stable_key TEXT')
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_source_channels_stable_key ON source_channels(source_id, stable_key)')
+
+  console.log('[Migration 033] ✓ Added stable channel keys')
+}
+
+export function down(db) {
+  console.log('[Migration 033] Removing stable key index')
+  // The column is left in place (no DROP COLUMN on older SQLite)
+  db.exec('DROP INDEX IF EXISTS idx_source_channels_stable_key')
+}
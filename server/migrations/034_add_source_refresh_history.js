@@ -0,0 +1,36 @@
+export function up(db) {
+  console.log('[Migration 034] Adding source refresh history')
+
+  // One row per successful playlist source refresh: counts plus capped name lists (details JSON)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS source_refresh_history (
+      id                         INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id                  INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      refreshed_at               TEXT NOT NULL DEFAULT (datetime('now')),
+      channel_count              INTEGER NOT NULL DEFAULT 0,
+      added                      INTEGER NOT NULL DEFAULT 0,
+      removed                    INTEGER NOT NULL DEFAULT 0,
+      renamed                    INTEGER NOT NULL DEFAULT 0,
+      regrouped                  INTEGER NOT NULL DEFAULT 0,
+      url_changed                INTEGER NOT NULL DEFAULT 0,
+      groups_added               INTEGER NOT NULL DEFAULT 0,
+      groups_removed             INTEGER NOT NULL DEFAULT 0,
+      playlist_channels_relinked INTEGER NOT NULL DEFAULT 0,
+      auto_added                 INTEGER NOT NULL DEFAULT 0,
+      details                    TEXT
+    )
+  `)
+  db.exec('CREATE INDEX IF NOT EXISTS idx_source_refresh_history_source ON source_refresh_history(source_id, refreshed_at)')
+
+  // Live playlists can pick up new channels from groups they selected as a whole
+  const cols = db.prepare('PRAGMA table_info(playlists)').all().map(c => c.name)
+  if (!cols.includes('auto_add_new_channels')) db.exec('ALTER TABLE playlists ADD COLUMN auto_add_new_channels INTEGER NOT NULL DEFAULT 0')
+
+  console.log('[Migration 034] ✓ Added source refresh history')
+}
+
+export function down(db) {
+  console.log('[Migration 034] Removing source refresh history')
+  db.exec('DROP INDEX IF EXISTS idx_source_refresh_history_source')
+  db.exec('DROP TABLE IF EXISTS source_refresh_history')
+}
@@ -0,0 +1,32 @@
+export function up(db) {
+  console.log('[Migration 035] Adding smart playlists')
+
+  // JSON { include: [condition], exclude: [condition], order: [key] }; NULL for hand-picked playlists
+  const cols = db.prepare('PRAGMA table_info(playlists)').all().map(c => c.name)
+  if (!cols.includes('smart_rules')) db.exec('ALTER TABLE playlists ADD COLUMN smart_rules TEXT')
+  if (!cols.includes('smart_evaluated_at')) db.exec('ALTER TABLE playlists ADD COLUMN smart_evaluated_at TEXT')
+
+  // Channels forced into (include) or out of (exclude) a smart playlist, whatever the rules say
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playlist_smart_pins (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+      source_id   INTEGER,
+      url         TEXT NOT NULL,
+      tvg_name    TEXT NOT NULL DEFAULT '',
+      action      TEXT NOT NULL CHECK(action IN ('include', 'exclude')),
+      created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(playlist_id, url)
+    )
+  `)
+  db.exec('CREATE INDEX IF NOT EXISTS idx_playlist_smart_pins_url ON playlist_smart_pins(url)')
+
+  console.log('[Migration 035] ✓ Added smart playlists')
+}
+
+export function down(db) {
+  console.log('[Migration 035] Removing smart playlist pins')
+  db.exec('DROP INDEX IF EXISTS idx_playlist_smart_pins_url')
+  db.exec('DROP TABLE IF EXISTS playlist_smart_pins')
+  // The playlists columns are left in place (no DROP COLUMN on older SQLite)
+}
@@ -0,0 +1,32 @@
+export function up(db) {
+  console.log('[Migration 036] Adding channel numbering')
+
+  const cols = db.prepare('PRAGMA table_info(playlists)').all().map(c => c.name)
+  if (!cols.includes('channel_number_start')) db.exec('ALTER TABLE playlists ADD COLUMN channel_number_start INTEGER NOT NULL DEFAULT 1')
+  // JSON [{ group, start, end }] — number ranges reserved for a group
+  if (!cols.includes('channel_number_blocks')) db.exec('ALTER TABLE playlists ADD COLUMN channel_number_blocks TEXT')
+  // Take the provider's tvg-chno for new channels when it's free
+  if (!cols.includes('channel_number_from_source')) db.exec('ALTER TABLE playlists ADD COLUMN channel_number_from_source INTEGER NOT NULL DEFAULT 0')
+
+  // Sticky numbers per playlist channel. channel_key is "name:<normalized name>"
+  // (variants of a channel share a number) or "url:<stream url>"; locked = set by hand
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playlist_channel_numbers (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+      channel_key TEXT NOT NULL,
+      number      TEXT NOT NULL,
+      locked      INTEGER NOT NULL DEFAULT 0,
+      assigned_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(playlist_id, channel_key)
+    )
+  `)
+
+  console.log('[Migration 036] ✓ Added channel numbering')
+}
+
+export function down(db) {
+  console.log('[Migration 036] Removing channel numbers')
+  db.exec('DROP TABLE IF EXISTS playlist_channel_numbers')
+  // The playlists columns are left in place (no DROP COLUMN on older SQLite)
+}
@@ -0,0 +1,31 @@
+export function up(db) {
+  console.log('[Migration 037] Marking audit entries that deleted rows as not revertable')
+
+  // Reverting only rewrites rows that still exist, so entries whose "before" rows are
+  // missing from the "after" snapshot could never be reverted (audit.js recordChange)
+  const entries = db.prepare('SELECT id, before_json, after_json FROM audit_log WHERE can_revert = 1 AND before_json IS NOT NULL').all()
+  const clear = db.prepare('UPDATE audit_log SET can_revert = 0 WHERE id = ?')
+  let cleared = 0
+  db.transaction(() => {
+    for (const entry of entries) {
+      let before, after
+      try {
+        before = JSON.parse(entry.before_json)
+        after = JSON.parse(entry.after_json || '[]')
+      } catch {
+        continue
+      }
+      const removesRows = before.some((b, i) => {
+        const afterKeys = new Set((after[i]?.rows || []).map(r => r[b.key]))
+        return (b.rows || []).some(r => !afterKeys.has(r[b.key]))
+      })
+      if (removesRows) cleared += clear.run(entry.id).changes
+    }
+  })()
+
+  console.log(`[Migration 037] ✓ ${cleared} audit entr${cleared === 1 ? 'y' : 'ies'} updated`)
+}
+
+export function down() {
+  // Nothing to undo: those entries could never be reverted anyway
+}
@@ -0,0 +1,224 @@
+/**
+ * Outgoing webhooks for operational events
+ *
+ * - notify(event, data) fans an event out to every enabled webhook subscribed to
+ *   it (an empty event list means all events)
+ * - Payloads are shaped per webhook format: generic JSON, Discord, Slack, ntfy, Gotify
+ * - Failed deliveries are retried with backoff; every attempt is logged in
+ *   webhook_deliveries. Retries pending at shutdown are marked failed on startup
+ * - Noisy events (connection limits, stream failures) are rate-limited per key
+ */
+
+import db from './db.js'
+import { getSettingValue } from './settings-cache.js'
+
+export const WEBHOOK_EVENTS = {
+  'source.refresh_failed': 'Source refresh failed',
+  'source.channel_drop':   'Source lost channels on refresh',
+  'stream.failed':         'Stream gave up after max reconnects',
+  'user.connection_limit': 'User hit their connection limit',
+  'user.expired':          'User account expired',
+  'epg.grab_completed':    'EPG grab finished',
+}
+
+export const WEBHOOK_FORMATS = ['generic', 'discord', 'slack', 'ntfy', 'gotify']
+
+const RETRY_DELAYS = [10_000, 60_000, 5 * 60_000, 15 * 60_000]
+const SEND_TIMEOUT = 10_000
+const EXPIRY_CHECK_INTERVAL = 10 * 60 * 1000
+const DELIVERY_RETENTION_DAYS = 30
+const COOLDOWNS = {
+  'user.connection_limit': 10 * 60 * 1000,
+  'stream.failed':         5 * 60 * 1000,
+}
+const lastSent = new Map()
+
+export function getChannelDropPercent() {
+  return parseInt(getSettingValue('webhook_channel_drop_percent', '20'), 10) || 20
+}
+
+// ── Messages ──────────────────────────────────────────────────────────────────
+function buildMessage(event, data) {
+  switch (event) {
+    case 'source.refresh_failed':
+      return { severity: 'error', title: `Source refresh failed: ${data.source}`, text: data.error }
+    case 'source.channel_drop':
+      return {
+        severity: 'warning',
+        title: `Channel count dropped: ${data.source}`,
+        text: `${data.before} → ${data.after} channels (-${data.drop_percent}%)`,
+      }
+    case 'stream.failed':
+      return {
+        severity: 'error',
+        title: `Stream failed: ${data.channel}`,
+        text: `Gave up after ${data.reconnects} reconnects${data.reason ? ` — ${data.reason}` : ''}`,
+      }
+    case 'user.connection_limit':
+      return {
+        severity: 'warning',
+        title: `Connection limit reached: ${data.username}`,
+        text: `${data.active}/${data.max_connections} connections in use`,
+      }
+    case 'user.expired':
+      return { severity: 'info', title: `User expired: ${data.username}`, text: `Account expired on ${data.expires_at}` }
+    case 'epg.grab_completed':
+      if (!data.ok) return { severity: 'error', title: 'EPG grab failed', text: data.error }
+      return {
+        severity: data.failed_sites?.length ? 'warning' : 'info',
+        title: 'EPG grab completed',
+        text: `${data.channels} channels, ${data.programmes} programmes` +
+          (data.failed_sites?.length ? `\nFailed sites: ${data.failed_sites.join(', ')}` : ''),
+      }
+    case 'test':
+      return { severity: 'info', title: 'Test notification', text: 'Webhook is configured correctly.' }
+    default:
+      return { severity: 'info', title: event, text: '' }
+  }
+}
+
+const DISCORD_COLORS  = { error: 0xe74c3c, warning: 0xf1c40f, info: 0x3498db }
+const NTFY_PRIORITY   = { error: '4', warning: '3', info: '3' }
+const GOTIFY_PRIORITY = { error: 8, warning: 5, info: 3 }
+
+// Returns the fetch() url and options for a webhook's format
+function buildRequest(hook, event, data, message) {
+  const json = body => ({ 'Content-Type': 'application/json', ...body })
+  const auth = hook.token ? { Authorization: `Bearer ${hook.token}` } : {}
+
+  switch (hook.format) {
+    case 'discord':
+      return [hook.url, { headers: json({}), body: JSON.stringify({
+        username: 'M3u4Proxy',
+        embeds: [{ title: message.title, description: message.text, color: DISCORD_COLORS[message.severity], timestamp: new Date().toISOString() }],
+      }) }]
+    case 'slack':
+      return [hook.url, { headers: json({}), body: JSON.stringify({ text: `*${message.title}*\n${message.text}` }) }]
+    case 'ntfy':
+      return [hook.url, {
+        headers: { Title: message.title, Priority: NTFY_PRIORITY[message.severity], Tags: event, ...auth },
+        body: message.text || message.title,
+      }]
+    case 'gotify': {
+      const url = /\/message\/?$/.test(hook.url) ? hook.url : `${hook.url.replace(/\/+$/, '')}/message`
+      return [url, {
+        headers: json(hook.token ? { 'X-Gotify-Key': hook.token } : {}),
+        body: JSON.stringify({ title: message.title, message: message.text, priority: GOTIFY_PRIORITY[message.severity] }),
+      }]
+    }
+    default:
+      return [hook.url, { headers: json(auth), body: JSON.stringify({
+        event, ...message, data, timestamp: new Date().toISOString(),
+      }) }]
+  }
+}
+
+async function send(hook, event, data) {
+  const [url, options] = buildRequest(hook, event, data, buildMessage(event, data))
+  try {
+    const resp = await fetch(url, { method: 'POST', ...options, signal: AbortSignal.timeout(SEND_TIMEOUT) })
+    const body = (await resp.text().catch(() => '')).slice(0, 200)
+    return { ok: resp.ok, response: `HTTP ${resp.status}${body ? ` ${body}` : ''}` }
+  } catch (e) {
+    return { ok: false, response: e.message }
+  }
+}
+
+// ── Delivery ──────────────────────────────────────────────────────────────────
+function isSubscribed(hook, event) {
+  try {
+    const events = JSON.parse(hook.events || '[]')
+    return events.length === 0 || events.includes(event)
+  } catch {
+    return true
+  }
+}
+
+async function deliver(hook, deliveryId, event, data, attempt = 0) {
+  const result = await send(hook, event, data)
+  if (result.ok) {
+    db.prepare("UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response = ?, delivered_at = datetime('now') WHERE id = ?")
+      .run(attempt + 1, result.response, deliveryId)
+    return result
+  }
+
+  if (attempt < RETRY_DELAYS.length) {
+    db.prepare('UPDATE webhook_deliveries SET attempts = ?, response = ? WHERE id = ?').run(attempt + 1, result.response, deliveryId)
+    setTimeout(() => {
+      // The webhook may have been disabled or deleted in the meantime
+      const current = db.prepare('SELECT * FROM webhooks WHERE id = ? AND enabled = 1').get(hook.id)
+      if (!current) {
+        db.prepare("UPDATE webhook_deliveries SET status = 'failed', response = 'Webhook disabled' WHERE id = ?").run(deliveryId)
+        return
+      }
+      deliver(current, deliveryId, event, data, attempt + 1)
+    }, RETRY_DELAYS[attempt]).unref()
+  } else {
+    db.prepare("UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response = ? WHERE id = ?")
+      .run(attempt + 1, result.response, deliveryId)
+    console.error(`[webhooks] Giving up on "${hook.name}" for ${event}: ${result.response}`)
+  }
+  return result
+}
+
+/**
+ * Fire an event at every subscribed webhook. Never throws — callers are in
+ * streaming and refresh paths that must not fail because of a notification.
+ * @param {string} event - key of WEBHOOK_EVENTS
+ * @param {Object} data - event details, included in generic payloads
+ * @param {string} [key] - rate-limit key for events listed in COOLDOWNS
+ */
+export function notify(event, data = {}, key = '') {
+  try {
+    const cooldown = COOLDOWNS[event]
+    if (cooldown) {
+      const cooldownKey = `${event}:${key}`
+      if (Date.now() - (lastSent.get(cooldownKey) || 0) < cooldown) return
+      lastSent.set(cooldownKey, Date.now())
+    }
+
+    const hooks = db.prepare('SELECT * FROM webhooks WHERE enabled = 1').all().filter(h => isSubscribed(h, event))
+    for (const hook of hooks) {
+      const { lastInsertRowid } = db.prepare('INSERT INTO webhook_deliveries (webhook_id, event) VALUES (?, ?)').run(hook.id, event)
+      deliver(hook, lastInsertRowid, event, data).catch(e => console.error('[webhooks] Delivery error:', e.message))
+    }
+  } catch (e) {
+    console.error(`[webhooks] Failed to dispatch ${event}:`, e.message)
+  }
+}
+
+// Single attempt, no retries — used by the test button
+export async function sendTestNotification(hook) {
+  const { lastInsertRowid } = db.prepare('INSERT INTO webhook_deliveries (webhook_id, event) VALUES (?, ?)').run(hook.id, 'test')
+  const result = await send(hook, 'test', {})
+  db.prepare(`UPDATE webhook_deliveries SET status = ?, attempts = 1, response = ?, delivered_at = CASE WHEN ? THEN datetime('now') END WHERE id = ?`)
+    .run(result.ok ? 'delivered' : 'failed', result.response, result.ok ? 1 : 0, lastInsertRowid)
+  return result
+}
+
+// ── User expiry ───────────────────────────────────────────────────────────────
+function checkExpiredUsers() {
+  const now = new Date()
+  const users = db.prepare('SELECT id, username, expires_at, expiry_notified_for FROM users WHERE expires_at IS NOT NULL').all()
+  for (const user of users) {
+    if (new Date(user.expires_at) > now || user.expiry_notified_for === user.expires_at) continue
+    db.prepare('UPDATE users SET expiry_notified_for = ? WHERE id = ?').run(user.expires_at, user.id)
+    notify('user.expired', { username: user.username, expires_at: user.expires_at })
+  }
+}
+
+export function startNotificationScheduler() {
+  const { changes } = db.prepare("UPDATE webhook_deliveries SET status = 'failed', response = 'Interrupted by restart' WHERE status = 'pending'").run()
+  if (changes > 0) console.log(`[webhooks] Marked ${changes} interrupted deliveries as failed`)
+
+  const tick = () => {
+    try {
+      checkExpiredUsers()
+      db.prepare(`DELETE FROM webhook_deliveries WHERE created_at < datetime('now', '-${DELIVERY_RETENTION_DAYS} days')`).run()
+    } catch (e) {
+      console.error('[webhooks] Scheduler error:', e.message)
+    }
+  }
+  tick()
+  setInterval(tick, EXPIRY_CHECK_INTERVAL)
+}
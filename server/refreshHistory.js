@@ -0,0 +1,143 @@
+/**
+ * Source refresh history — what changed in a playlist source between refreshes
+ *
+ * - reconcileSourceChannels() (services/sourceManager.js) fills a diff from
+ *   createRefreshDiff(): channels added, removed, renamed, moved between groups
+ *   or given a new URL, and groups that appeared or vanished
+ * - recordRefreshHistory() stores one source_refresh_history row per refresh —
+ *   the counts as columns, up to DETAIL_LIMIT names per kind in details — and
+ *   keeps the newest HISTORY_KEEP rows per source
+ * - Live playlists with auto_add_new_channels get the new channels of groups
+ *   they selected as a whole ("__all__" in group_selections)
+ */
+
+import db from './db.js'
+
+export const HISTORY_KEEP = 100
+const DETAIL_LIMIT = 200
+
+export const CHANGE_KINDS = ['added', 'removed', 'renamed', 'regrouped', 'url_changed', 'groups_added', 'groups_removed']
+const COUNT_COLUMNS = [...CHANGE_KINDS, 'playlist_channels_relinked', 'auto_added']
+
+export function createRefreshDiff() {
+  return {
+    // "changed" (any kept channel that differs) is only reported, not stored
+    counts: Object.fromEntries([...COUNT_COLUMNS, 'changed'].map(k => [k, 0])),
+    details: Object.fromEntries(CHANGE_KINDS.map(k => [k, []])),
+    // Every new channel (not just the first DETAIL_LIMIT), for auto-add
+    addedChannels: [],
+  }
+}
+
+export function noteChange(diff, kind, entry) {
+  diff.counts[kind]++
+  if (diff.details[kind].length < DETAIL_LIMIT) diff.details[kind].push(entry)
+}
+
+export function recordRefreshHistory(sourceId, channelCount, diff) {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO source_refresh_history (source_id, channel_count, ${COUNT_COLUMNS.join(', ')}, details)
+    VALUES (?, ?, ${COUNT_COLUMNS.map(() => '?').join(', ')}, ?)
+  `).run(sourceId, channelCount, ...COUNT_COLUMNS.map(k => diff.counts[k]), JSON.stringify(diff.details))
+
+  db.prepare(`
+    DELETE FROM source_refresh_history
+    WHERE source_id = ? AND id NOT IN (
+      SELECT id FROM source_refresh_history WHERE source_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(sourceId, sourceId, HISTORY_KEEP)
+  return Number(lastInsertRowid)
+}
+
+/**
+ * Refreshes of a source, newest first, without the name lists.
+ * @param {Object} [opts] - { limit, before (entry id), changed: only refreshes that changed something }
+ */
+export function listRefreshHistory(sourceId, { limit = 20, before = null, changed = false } = {}) {
+  const where = ['source_id = ?']
+  const params = [sourceId]
+  if (before) { where.push('id < ?'); params.push(Number(before)) }
+  if (changed) where.push(`(${CHANGE_KINDS.join(' + ')}) > 0`)
+  const max = Math.min(Math.max(parseInt(limit, 10) || 20, 1), HISTORY_KEEP)
+  return db.prepare(`
+    SELECT id, source_id, refreshed_at, channel_count, ${COUNT_COLUMNS.join(', ')}
+    FROM source_refresh_history
+    WHERE ${where.join(' AND ')}
+    ORDER BY id DESC LIMIT ?
+  `).all(...params, max)
+}
+
+export function getRefreshHistoryEntry(sourceId, id) {
+  const row = db.prepare('SELECT * FROM source_refresh_history WHERE source_id = ? AND id = ?').get(sourceId, id)
+  if (!row) return null
+  let details = {}
+  try { details = JSON.parse(row.details || '{}') } catch {}
+  return { ...row, details }
+}
+
+// Latest refresh per source, for the Sources page cards
+export function latestRefreshBySource() {
+  const rows = db.prepare(`
+    SELECT h.* FROM source_refresh_history h
+    JOIN (SELECT source_id, MAX(id) AS id FROM source_refresh_history GROUP BY source_id) latest ON latest.id = h.id
+  `).all()
+  return new Map(rows.map(({ details, ...row }) => [row.source_id, row]))
+}
+
+// Group titles a playlist selected in full for this source. channels-by-groups
+// stores "Source › Group" keys when no single source was picked
+function fullySelectedGroups(selectionsJson, sourceId) {
+  let selections
+  try { selections = JSON.parse(selectionsJson || 'null') } catch { return [] }
+  if (!selections?.groups) return []
+  if (selections.sourceId !== null && selections.sourceId !== undefined && Number(selections.sourceId) !== Number(sourceId)) return []
+
+  return Object.entries(selections.groups)
+    .filter(([, sel]) => sel === '__all__')
+    .map(([key]) => {
+      if (selections.sourceId !== null && selections.sourceId !== undefined) return key
+      const parts = key.split(' › ')
+      return parts[parts.length - 1]
+    })
+}
+
+/**
+ * Append this refresh's new live channels to the playlists that want them.
+ * Runs inside the refresh transaction, after the channels are stored.
+ * @returns {number} playlist entries added
+ */
+export function autoAddNewChannels(sourceId, diff) {
+  const live = diff.addedChannels.filter(ch => ch.contentType === 'live')
+  if (!live.length) return 0
+
+  const playlists = db.prepare(`
+    SELECT id, name, group_selections FROM playlists
+    WHERE auto_add_new_channels = 1 AND playlist_type = 'live' AND group_selections IS NOT NULL AND smart_rules IS NULL
+  `).all()
+  const selectSourceChannel = db.prepare('SELECT * FROM source_channels WHERE source_id = ? AND url = ?')
+  const existsInPlaylist = db.prepare('SELECT 1 FROM playlist_channels WHERE playlist_id = ? AND url = ?')
+  const maxSortOrder = db.prepare('SELECT COALESCE(MAX(sort_order), 0) AS n FROM playlist_channels WHERE playlist_id = ?')
+  const insert = db.prepare(
+    'INSERT INTO playlist_channels (playlist_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, custom_tvg_id, sort_order, source_id, epg_source_id, content_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  )
+
+  let total = 0
+  for (const playlist of playlists) {
+    const groups = new Set(fullySelectedGroups(playlist.group_selections, sourceId))
+    if (!groups.size) continue
+
+    let sortOrder = maxSortOrder.get(playlist.id).n
+    let added = 0
+    for (const ch of live) {
+      if (!groups.has(ch.groupTitle) || existsInPlaylist.get(playlist.id, ch.url)) continue
+      const sc = selectSourceChannel.get(sourceId, ch.url)
+      if (!sc) continue
+      insert.run(playlist.id, sc.tvg_id || '', sc.tvg_name, sc.tvg_logo || '', sc.group_title || '', sc.url, sc.raw_extinf || '', '', ++sortOrder, sourceId, null, 'live')
+      added++
+    }
+    if (added) console.log(`[source] Auto-added ${added} new channel(s) to playlist "${playlist.name}"`)
+    total += added
+  }
+  diff.counts.auto_added = total
+  return total
+}
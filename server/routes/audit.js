@@ -0,0 +1,58 @@
+import express from 'express'
+import { listAuditEntries, getAuditEntry, revertChange } from '../audit.js'
+import { endUserSessions } from '../admin-auth.js'
+import { refreshSettingValue } from '../settings-cache.js'
+import { invalidateAllPlaylistXmltvCache } from '../services/xmltvCache.js'
+import { syncJobs } from '../services/scheduler.js'
+import { restartDeviceServer, stopDeviceServer } from '../hdhr.js'
+
+const router = express.Router()
+
+// GET /api/audit?actor=&role=&method=&path=&entity=&entity_id=&since=&until=&changed=1&limit=&before=
+// — recorded changes, newest first
+router.get('/audit', (req, res) => {
+  const { actor, role, method, path, entity, entity_id, since, until, changed, limit, before } = req.query
+  res.json(listAuditEntries({
+    actor, role, method, path, entity, entity_id, since, until,
+    changed: changed === '1' || changed === 'true',
+    limit, before,
+  }))
+})
+
+// GET /api/audit/:id — one entry with its before/after rows and a field-level diff
+router.get('/audit/:id', (req, res) => {
+  const entry = getAuditEntry(req.params.id)
+  if (!entry) return res.status(404).json({ error: 'Audit entry not found' })
+  res.json(entry)
+})
+
+// Caches and running services that read the reverted tables, as the original routes refresh them
+async function applyReverted(steps) {
+  const tables = new Set(steps.map(s => s.table))
+  if (['sources', 'playlists', 'playlist_channels', 'epg_mappings'].some(t => tables.has(t))) invalidateAllPlaylistXmltvCache()
+  if (tables.has('sources') || tables.has('playlists') || tables.has('settings')) syncJobs()
+  for (const step of steps) {
+    if (step.table === 'settings') [...step.restored, ...step.deleted].forEach(refreshSettingValue)
+    if (step.table === 'users') [...step.restored, ...step.deleted].forEach(endUserSessions)
+    if (step.table === 'hdhr_devices') {
+      for (const id of step.restored) await restartDeviceServer(Number(id))
+      for (const id of step.deleted) await stopDeviceServer(Number(id))
+    }
+  }
+}
+
+// POST /api/audit/:id/revert — put the changed rows back (recorded as a change of its own)
+router.post('/audit/:id/revert', async (req, res) => {
+  req.auditRevertOf = Number(req.params.id)
+  try {
+    const { error, status, steps } = revertChange(req.params.id, req.actor)
+    if (error) return res.status(status).json({ error })
+    await applyReverted(steps)
+    console.log(`[audit] ${req.actor} reverted change #${req.params.id}`)
+    res.json({ ok: true, reverted: steps })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+export default router
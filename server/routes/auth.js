@@ -1,22 +1,33 @@
 import express from 'express'
-import { randomBytes } from 'node:crypto'
 import db from '../db.js'
-import { hashPassword } from '../auth.js'
+import { hashPassword, verifyPassword } from '../auth.js'
+import { ROLES, createSession, endUserSessions, getSession } from '../admin-auth.js'
+import { normalizeMac } from './portal.js'
+import { getTranscodeProfile } from '../transcodeProfiles.js'
+import { FAVORITE_TYPES, getFavoriteIds, setFavoriteIds, addFavorite, removeFavorite, getRecentlyWatchedIds, getChannelsByIds } from '../favorites.js'
 
 const router = express.Router()
 
-// Admin login
-router.post('/admin/login', (req, res) => {
-  const { password } = req.body
+// Login — { username, password } signs in a users row (web UI roles, or the personal
+// page for plain Xtream users); a password alone, or username "admin" without such an
+// account, is checked against ADMIN_PASSWORD
+router.post('/admin/login', async (req, res) => {
+  const { username, password } = req.body || {}
+  if (!password) return res.status(400).json({ error: 'password required' })
+
+  const name = String(username || '').trim()
+  if (name) {
+    const user = db.prepare('SELECT * FROM users WHERE username = ? AND active = 1').get(name)
+    const expired = user?.expires_at && new Date(user.expires_at) < new Date()
+    if (user && !expired && await verifyPassword(password, user.password)) {
+      return res.json({ token: createSession(user), username: user.username, role: user.role || 'user' })
+    }
+    if (user || name !== 'admin') return res.status(401).json({ error: 'Invalid username or password' })
+  }
+
   const adminPassword = process.env.ADMIN_PASSWORD || 'admin'
   if (password !== adminPassword) return res.status(401).json({ error: 'Invalid password' })
-
-  // Create session
-  const token = randomBytes(32).toString('hex')
-  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-  db.prepare('INSERT INTO admin_sessions (token, expires_at) VALUES (?, ?)').run(token, expiresAt)
-
-  res.json({ token })
+  res.json({ token: createSession(null), username: 'admin', role: 'admin' })
 })
 
 // Logout
@@ -30,30 +41,73 @@ router.post('/admin/logout', (req, res) => {
 
 // Verify session
 router.get('/admin/verify', (req, res) => {
-  const token = req.headers['x-admin-token']
-  if (!token) return res.status(401).json({ valid: false })
-
-  const session = db.prepare("SELECT * FROM admin_sessions WHERE token = ? AND expires_at > datetime('now')").get(token)
+  const session = getSession(req.headers['x-admin-token'])
   if (!session) return res.status(401).json({ valid: false })
 
-  res.json({ valid: true })
+  res.json({ valid: true, username: session.username || 'admin', role: session.role })
 })
 
 // ── User Management ───────────────────────────────────────────────────────────
+// MAC address for MAG/Stalker portal login — empty clears it. Sends a 400/409 and
+// returns false when the value is invalid or already assigned to another user.
+function parseMacInput(value, res, userId = null) {
+  if (!value) return null
+  const mac = normalizeMac(value)
+  if (!mac) {
+    res.status(400).json({ error: 'Invalid MAC address' })
+    return false
+  }
+  const owner = db.prepare('SELECT id FROM users WHERE mac_address = ?').get(mac)
+  if (owner && owner.id !== Number(userId)) {
+    res.status(409).json({ error: 'MAC address is already assigned to another user' })
+    return false
+  }
+  return mac
+}
+
+// Role for the web UI — 'user' (the default) can only open the personal page.
+// Sends a 400 and returns false for unknown roles.
+function parseRoleInput(value, res) {
+  if (value === '' || value == null) return 'user'
+  if (!ROLES.includes(value)) {
+    res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` })
+    return false
+  }
+  return value
+}
+
+// Transcode profile for the user's streams — empty means passthrough. Sends a 400
+// and returns false when the profile doesn't exist.
+function parseProfileInput(value, res) {
+  if (value === '' || value == null) return null
+  if (!getTranscodeProfile(value)) {
+    res.status(400).json({ error: 'Transcode profile not found' })
+    return false
+  }
+  return Number(value)
+}
+
 router.get('/users', (req, res) => {
   const users = db.prepare(`
-    SELECT u.*, p.name AS playlist_name, vp.name AS vod_playlist_name
+    SELECT u.*, p.name AS playlist_name, vp.name AS vod_playlist_name, tp.name AS transcode_profile_name
     FROM users u
     LEFT JOIN playlists p ON u.playlist_id = p.id
     LEFT JOIN playlists vp ON u.vod_playlist_id = vp.id
+    LEFT JOIN transcode_profiles tp ON u.transcode_profile_id = tp.id
     ORDER BY u.username
   `).all()
   res.json(users)
 })
 
 router.post('/users', async (req, res) => {
-  const { username, password, playlist_ids, vod_playlist_ids, max_connections, expires_at, active, notes } = req.body
+  const { username, password, playlist_ids, vod_playlist_ids, max_connections, expires_at, active, notes, mac_address } = req.body
   if (!username || !password) return res.status(400).json({ error: 'username and password required' })
+  const mac = parseMacInput(mac_address, res)
+  if (mac === false) return
+  const profileId = parseProfileInput(req.body.transcode_profile_id, res)
+  if (profileId === false) return
+  const role = parseRoleInput(req.body.role, res)
+  if (role === false) return
   try {
     const hashed = await hashPassword(password)
 
@@ -64,8 +118,8 @@ router.post('/users', async (req, res) => {
     const vodPlaylistId = vodIds.length > 0 ? vodIds[0] : null
 
     const result = db.prepare(
-      'INSERT INTO users (username, password, playlist_id, vod_playlist_id, playlist_ids, vod_playlist_ids, max_connections, expires_at, active, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
-    ).run(username, hashed, playlistId, vodPlaylistId, JSON.stringify(liveIds), JSON.stringify(vodIds), Number(max_connections) || 1, expires_at, active ? 1 : 0, notes)
+      'INSERT INTO users (username, password, playlist_id, vod_playlist_id, playlist_ids, vod_playlist_ids, max_connections, expires_at, active, notes, mac_address, transcode_profile_id, role) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).run(username, hashed, playlistId, vodPlaylistId, JSON.stringify(liveIds), JSON.stringify(vodIds), Number(max_connections) || 1, expires_at, active ? 1 : 0, notes, mac, profileId, role)
     res.json({ id: result.lastInsertRowid })
   } catch (e) {
     res.status(500).json({ error: e.message })
@@ -73,10 +127,16 @@ router.post('/users', async (req, res) => {
 })
 
 router.put('/users/:id', async (req, res) => {
-  const { username, password, playlist_ids, vod_playlist_ids, max_connections, expires_at, active, notes } = req.body
+  const { username, password, playlist_ids, vod_playlist_ids, max_connections, expires_at, active, notes, mac_address } = req.body
   if (!username) return res.status(400).json({ error: 'username required' })
   const existing = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id)
   if (!existing) return res.status(404).json({ error: 'User not found' })
+  const mac = mac_address === undefined ? existing.mac_address : parseMacInput(mac_address, res, existing.id)
+  if (mac === false) return
+  const profileId = req.body.transcode_profile_id === undefined ? existing.transcode_profile_id : parseProfileInput(req.body.transcode_profile_id, res)
+  if (profileId === false) return
+  const role = req.body.role === undefined ? (existing.role || 'user') : parseRoleInput(req.body.role, res)
+  if (role === false) return
 
   try {
     let hashed = existing.password
@@ -89,8 +149,11 @@ router.put('/users/:id', async (req, res) => {
     const vodPlaylistId = vodIds.length > 0 ? vodIds[0] : null
 
     db.prepare(
-      'UPDATE users SET username=?, password=?, playlist_id=?, vod_playlist_id=?, playlist_ids=?, vod_playlist_ids=?, max_connections=?, expires_at=?, active=?, notes=? WHERE id=?'
-    ).run(username, hashed, playlistId, vodPlaylistId, JSON.stringify(liveIds), JSON.stringify(vodIds), Number(max_connections) || 1, expires_at, active ? 1 : 0, notes, req.params.id)
+      'UPDATE users SET username=?, password=?, playlist_id=?, vod_playlist_id=?, playlist_ids=?, vod_playlist_ids=?, max_connections=?, expires_at=?, active=?, notes=?, mac_address=?, transcode_profile_id=?, role=? WHERE id=?'
+    ).run(username, hashed, playlistId, vodPlaylistId, JSON.stringify(liveIds), JSON.stringify(vodIds), Number(max_connections) || 1, expires_at, active ? 1 : 0, notes, mac, profileId, role, req.params.id)
+
+    // Web sessions carry the username and role they were created with
+    if (password || !active || role !== existing.role || username !== existing.username) endUserSessions(existing.id)
     res.json({ ok: true })
   } catch (e) {
     res.status(500).json({ error: e.message })
@@ -98,8 +161,59 @@ router.put('/users/:id', async (req, res) => {
 })
 
 router.delete('/users/:id', (req, res) => {
+  endUserSessions(req.params.id)
   db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id)
   res.json({ ok: true })
 })
 
+// ── Favorites / Recently watched ──────────────────────────────────────────────
+// ?type=itv|vod|series (default itv); ids are playlist_channels ids
+function getFavoritesContext(req, res) {
+  const user = db.prepare('SELECT id, username FROM users WHERE id = ?').get(req.params.id)
+  if (!user) {
+    res.status(404).json({ error: 'User not found' })
+    return null
+  }
+  const type = req.query.type || req.body?.type || 'itv'
+  if (!FAVORITE_TYPES.includes(type)) {
+    res.status(400).json({ error: `type must be one of ${FAVORITE_TYPES.join(', ')}` })
+    return null
+  }
+  return { user, type }
+}
+
+router.get('/users/:id/favorites', (req, res) => {
+  const ctx = getFavoritesContext(req, res)
+  if (!ctx) return
+  res.json(getChannelsByIds(getFavoriteIds(ctx.user.id, ctx.type)))
+})
+
+router.put('/users/:id/favorites', (req, res) => {
+  const ctx = getFavoritesContext(req, res)
+  if (!ctx) return
+  const ids = setFavoriteIds(ctx.user.id, ctx.type, req.body?.channel_ids || [])
+  res.json(getChannelsByIds(ids))
+})
+
+router.post('/users/:id/favorites/:channelId', (req, res) => {
+  const ctx = getFavoritesContext(req, res)
+  if (!ctx) return
+  if (!db.prepare('SELECT id FROM playlist_channels WHERE id = ?').get(req.params.channelId)) {
+    return res.status(404).json({ error: 'Channel not found' })
+  }
+  res.json(getChannelsByIds(addFavorite(ctx.user.id, ctx.type, req.params.channelId)))
+})
+
+router.delete('/users/:id/favorites/:channelId', (req, res) => {
+  const ctx = getFavoritesContext(req, res)
+  if (!ctx) return
+  res.json(getChannelsByIds(removeFavorite(ctx.user.id, ctx.type, req.params.channelId)))
+})
+
+router.get('/users/:id/recently-watched', (req, res) => {
+  const ctx = getFavoritesContext(req, res)
+  if (!ctx) return
+  res.json(getChannelsByIds(getRecentlyWatchedIds(ctx.user.username)))
+})
+
 export default router
@@ -1,78 +1,97 @@
 import express from 'express'
 import path from 'node:path'
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs'
-import { gzipSync, gunzipSync } from 'node:zlib'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from 'node:fs'
 import db from '../db.js'
 import { runMigrations } from '../migrate.js'
+import { isValidCron } from '../cronExpression.js'
+import { syncJobs } from '../services/scheduler.js'
+import { setSettingsValues, refreshSettingsByPrefix } from '../settings-cache.js'
+import { invalidateAllPlaylistXmltvCache } from '../services/xmltvCache.js'
+import {
+  BACKUP_TABLES, BULKY_TABLES, RESTORE_ENTITIES,
+  buildBackup, encodeBackup, decodeBackup, describeBackup,
+  listBackups, createBackupFile, backupFilePath,
+  getBackupSettings, validateBackupSettings, backupSettingsValues,
+  planRestore, diffRestore, applyRestore,
+} from '../backups.js'
 
 const router = express.Router()
 
-const BACKUP_TABLES = [
-  'sources',
-  'playlists',
-  'playlist_channels',
-  'epg_mappings',
-  'settings',
-  'epg_site_channels',
-  'users',
-  'stream_history',
-  'admin_sessions',
-  'failed_streams',
-  'source_channels',
-  'epg_cache',
-  'hdhr_devices',
-  'composite_streams',
-  'composite_stream_sources',
-]
-
-// GET /api/backup — download a gzipped JSON bundle of all data
-router.get('/backup', (req, res) => {
-  const bundle = {
-    version: 2,
-    exportedAt: new Date().toISOString(),
-    schemaVersion: null,
-    tables: {},
-    schema: {},
-    files: {},
+// "a,b" query values or arrays from a JSON body
+function parseList(value) {
+  if (value == null || value === '') return []
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean)
+}
+
+/**
+ * Selective restore options — tables: ['epg_mappings'], entities: ['playlist:3']
+ * or [{ type, id }]; neither means a full restore. Works for query strings too.
+ */
+function parseRestoreOptions(input = {}) {
+  const tables = parseList(input.tables)
+  const entities = (Array.isArray(input.entities) ? input.entities : parseList(input.entities)).map(e => {
+    if (typeof e === 'object') return { type: e.type, id: e.id }
+    const [type, id] = String(e).split(':')
+    return { type, id }
+  })
+  const dryRun = input.dry_run === true || input.dry_run === '1' || input.dry_run === 'true'
+  return { selection: tables.length || entities.length ? { tables, entities } : null, dryRun }
+}
+
+// Restores the EPG files and merges .env keys that aren't set yet — full restores only
+function restoreFiles(bundle) {
+  const epgDir = path.join(process.env.DATA_DIR || '/data', 'epg')
+  mkdirSync(epgDir, { recursive: true })
+
+  for (const file of ['channels.xml', 'guide.xml']) {
+    if (bundle.files?.[file]) writeFileSync(path.join(epgDir, file), Buffer.from(bundle.files[file], 'base64'))
   }
 
-  try {
-    const migrationVersion = db.prepare('SELECT MAX(id) as version FROM migrations').get()
-    bundle.schemaVersion = migrationVersion?.version || 0
-  } catch {
-    bundle.schemaVersion = 0
+  if (bundle.files?.['.env']) {
+    const envPath = path.join(process.cwd(), '.env')
+    const restored = Buffer.from(bundle.files['.env'], 'base64').toString('utf8')
+    const existing = existsSync(envPath) ? readFileSync(envPath, 'utf8') : ''
+    const existingKeys = new Set(existing.split('\n').map(l => l.split('=')[0].trim()).filter(Boolean))
+    const newLines = restored.split('\n').filter(l => {
+      const key = l.split('=')[0].trim()
+      return key && !existingKeys.has(key)
+    })
+    if (newLines.length) {
+      writeFileSync(envPath, existing.trimEnd() + '\n' + newLines.join('\n') + '\n', 'utf8')
+    }
   }
+}
+
+// Shared by uploads and stored backups: dry-run preview, or restore and refresh caches
+async function restoreBundle(bundle, { selection, dryRun }, res) {
+  const { error, steps } = planRestore(bundle, selection)
+  if (error) return res.status(400).json({ error })
 
-  for (const table of BACKUP_TABLES) {
-    try {
-      bundle.tables[table] = db.prepare(`SELECT * FROM ${table}`).all()
-      const schema = db.prepare(`PRAGMA table_info(${table})`).all()
-      bundle.schema[table] = schema.map(col => ({
-        name: col.name,
-        type: col.type,
-        notnull: col.notnull,
-        dflt_value: col.dflt_value,
-        pk: col.pk,
-      }))
-    } catch {
-      bundle.tables[table] = []
-      bundle.schema[table] = []
+  if (dryRun) return res.json({ dry_run: true, changes: diffRestore(steps) })
+
+  const restored = applyRestore(steps)
+
+  if (bundle.schemaVersion !== undefined) {
+    const currentVersion = db.prepare('SELECT MAX(id) as version FROM migrations').get()?.version || 0
+    if (bundle.schemaVersion < currentVersion) {
+      await runMigrations(db)
     }
   }
+  if (!selection) restoreFiles(bundle)
 
-  const dataDir = process.env.DATA_DIR || '/data'
-  const epgDir = path.join(dataDir, 'epg')
-  const channelsXmlPath = path.join(epgDir, 'channels.xml')
-  const guideXmlPath = path.join(epgDir, 'guide.xml')
+  // Restored sources and playlists bring their own schedules
+  refreshSettingsByPrefix('')
+  invalidateAllPlaylistXmltvCache()
+  syncJobs()
 
-  if (existsSync(channelsXmlPath)) bundle.files['channels.xml'] = readFileSync(channelsXmlPath, 'base64')
-  if (existsSync(guideXmlPath)) bundle.files['guide.xml'] = readFileSync(guideXmlPath, 'base64')
-
-  const envPath = path.join(process.cwd(), '.env')
-  if (existsSync(envPath)) bundle.files['.env'] = readFileSync(envPath, 'base64')
+  console.log(`[restore] Restored ${Object.entries(restored).map(([t, n]) => `${n} ${t}`).join(', ')}`)
+  res.json({ ok: true, restored })
+}
 
+// GET /api/backup?exclude=source_channels,epg_cache — download a gzipped JSON bundle
+router.get('/backup', (req, res) => {
+  const compressed = encodeBackup(buildBackup({ exclude: parseList(req.query.exclude) }))
   const date = new Date().toISOString().slice(0, 10)
-  const compressed = gzipSync(Buffer.from(JSON.stringify(bundle)))
 
   res.setHeader('Content-Type', 'application/gzip')
   res.setHeader('Content-Disposition', `attachment; filename="m3u4prox-backup-${date}.json.gz"`)
@@ -80,103 +99,99 @@ router.get('/backup', (req, res) => {
   res.end(compressed)
 })
 
-// POST /api/restore — upload a gzipped JSON bundle and restore all data
+// POST /api/restore?tables=&entities=playlist:3&dry_run=1 — restore from an uploaded bundle
 router.post('/restore', express.raw({ type: 'application/gzip', limit: '500mb' }), async (req, res) => {
   try {
-    const bundle = JSON.parse(gunzipSync(req.body).toString('utf8'))
+    const bundle = decodeBackup(req.body)
+    if (!bundle) return res.status(400).json({ error: 'Invalid backup file' })
+    await restoreBundle(bundle, parseRestoreOptions(req.query), res)
+  } catch (e) {
+    console.error('[restore] Error:', e.message)
+    res.status(500).json({ error: e.message })
+  }
+})
 
-    if (!bundle.version || !bundle.tables) {
-      return res.status(400).json({ error: 'Invalid backup file' })
-    }
+// ── Stored backups (DATA_DIR/backups) ─────────────────────────────────────────
 
-    const order = [
-      'sources',
-      'epg_mappings',
-      'settings',
-      'playlists',
-      'playlist_channels',
-      'epg_site_channels',
-      'users',
-      'stream_history',
-      'admin_sessions',
-      'failed_streams',
-      'source_channels',
-      'epg_cache',
-      'hdhr_devices',
-      'composite_streams',
-      'composite_stream_sources',
-    ]
-
-    db.exec('PRAGMA foreign_keys = OFF')
-    const restore = db.transaction(() => {
-      for (const table of order) {
-        const rows = bundle.tables[table]
-        if (!rows?.length) continue
-
-        try {
-          db.prepare(`DELETE FROM ${table}`).run()
-
-          const currentSchema = db.prepare(`PRAGMA table_info(${table})`).all()
-          const currentColumns = new Set(currentSchema.map(col => col.name))
-
-          const backupColumns = Object.keys(rows[0])
-          const validColumns = backupColumns.filter(col => currentColumns.has(col))
-          if (validColumns.length === 0) continue
-
-          const stmt = db.prepare(
-            `INSERT OR REPLACE INTO ${table} (${validColumns.join(',')}) VALUES (${validColumns.map(() => '?').join(',')})`
-          )
-
-          for (const row of rows) {
-            stmt.run(validColumns.map(c => row[c]))
-          }
-        } catch (e) {
-          console.error(`[restore] Error restoring table ${table}:`, e.message)
-        }
-      }
-    })
+router.get('/backups', (req, res) => {
+  res.json({
+    backups:  listBackups(),
+    settings: getBackupSettings(),
+    tables:   BACKUP_TABLES,
+    bulky:    BULKY_TABLES,
+    entities: Object.keys(RESTORE_ENTITIES),
+  })
+})
+
+// POST /api/backups — write a backup now (same as the scheduled job)
+router.post('/backups', (req, res) => {
+  try {
+    res.json(createBackupFile())
+  } catch (e) {
+    console.error('[backup] Error:', e.message)
+    res.status(500).json({ error: e.message })
+  }
+})
 
-    restore()
-    db.exec('PRAGMA foreign_keys = ON')
+router.get('/backups/settings', (req, res) => {
+  res.json(getBackupSettings())
+})
 
-    if (bundle.schemaVersion !== undefined) {
-      const currentVersion = db.prepare('SELECT MAX(id) as version FROM migrations').get()?.version || 0
-      if (bundle.schemaVersion < currentVersion) {
-        await runMigrations(db)
-      }
-    }
+// PUT /api/backups/settings — { schedule, keep_daily, keep_weekly, exclude_tables }
+router.put('/backups/settings', (req, res) => {
+  const body = req.body || {}
+  if (body.schedule && !isValidCron(body.schedule)) return res.status(400).json({ error: 'Invalid cron expression' })
+  const invalid = validateBackupSettings(body)
+  if (invalid) return res.status(400).json({ error: invalid })
 
-    const dataDir = process.env.DATA_DIR || '/data'
-    const epgDir = path.join(dataDir, 'epg')
-    mkdirSync(epgDir, { recursive: true })
+  setSettingsValues(backupSettingsValues(body))
+  if (body.schedule !== undefined) syncJobs()
+  res.json(getBackupSettings())
+})
 
-    if (bundle.files?.['channels.xml']) {
-      writeFileSync(path.join(epgDir, 'channels.xml'), Buffer.from(bundle.files['channels.xml'], 'base64'))
-    }
-    if (bundle.files?.['guide.xml']) {
-      writeFileSync(path.join(epgDir, 'guide.xml'), Buffer.from(bundle.files['guide.xml'], 'base64'))
-    }
+function loadStoredBackup(req, res) {
+  const filePath = backupFilePath(req.params.name)
+  if (!filePath || !existsSync(filePath)) {
+    res.status(404).json({ error: 'Backup not found' })
+    return null
+  }
+  return filePath
+}
 
-    if (bundle.files?.['.env']) {
-      const envPath = path.join(process.cwd(), '.env')
-      const restored = Buffer.from(bundle.files['.env'], 'base64').toString('utf8')
-      const existing = existsSync(envPath) ? readFileSync(envPath, 'utf8') : ''
-      const existingKeys = new Set(existing.split('\n').map(l => l.split('=')[0].trim()).filter(Boolean))
-      const newLines = restored.split('\n').filter(l => {
-        const key = l.split('=')[0].trim()
-        return key && !existingKeys.has(key)
-      })
-      if (newLines.length) {
-        writeFileSync(envPath, existing.trimEnd() + '\n' + newLines.join('\n') + '\n', 'utf8')
-      }
-    }
+router.get('/backups/:name', (req, res) => {
+  const filePath = loadStoredBackup(req, res)
+  if (!filePath) return
+  res.download(filePath, req.params.name)
+})
 
-    const counts = Object.fromEntries(order.map(t => [t, bundle.tables[t]?.length || 0]))
-    res.json({ ok: true, restored: counts })
+// GET /api/backups/:name/contents — table counts and the entities a selective restore can pick
+router.get('/backups/:name/contents', (req, res) => {
+  const filePath = loadStoredBackup(req, res)
+  if (!filePath) return
+  const bundle = decodeBackup(readFileSync(filePath))
+  if (!bundle) return res.status(422).json({ error: 'Backup file is damaged' })
+  res.json(describeBackup(bundle))
+})
+
+// POST /api/backups/:name/restore — { tables, entities, dry_run }; an empty selection restores everything
+router.post('/backups/:name/restore', async (req, res) => {
+  const filePath = loadStoredBackup(req, res)
+  if (!filePath) return
+  try {
+    const bundle = decodeBackup(readFileSync(filePath))
+    if (!bundle) return res.status(422).json({ error: 'Backup file is damaged' })
+    await restoreBundle(bundle, parseRestoreOptions(req.body || {}), res)
   } catch (e) {
     console.error('[restore] Error:', e.message)
     res.status(500).json({ error: e.message })
   }
 })
 
+router.delete('/backups/:name', (req, res) => {
+  const filePath = loadStoredBackup(req, res)
+  if (!filePath) return
+  unlinkSync(filePath)
+  res.json({ ok: true })
+})
+
 export default router
@@ -0,0 +1,86 @@
+import express from 'express'
+import db from '../db.js'
+import { invalidatePlaylistXmltvCache } from '../services/xmltvCache.js'
+import {
+  assignChannelNumbers,
+  getNumberingConfig,
+  normalizeNumberingConfig,
+  setLockedNumbers,
+  resetAutomaticNumbers,
+} from '../channelNumbers.js'
+
+const router = express.Router()
+
+function getLivePlaylist(id, res) {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(id)
+  if (!playlist) {
+    res.status(404).json({ error: 'Playlist not found' })
+    return null
+  }
+  if (playlist.playlist_type !== 'live') {
+    res.status(400).json({ error: 'Only live playlists have channel numbers' })
+    return null
+  }
+  return playlist
+}
+
+// Numbers just (re)assigned, with the playlist's numbering settings
+function numbersResponse(playlistId) {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId)
+  const { channels, collisions, overflow } = assignChannelNumbers(playlistId)
+  invalidatePlaylistXmltvCache(playlistId)
+  return {
+    config: getNumberingConfig(playlist),
+    channels: channels.map(ch => ({
+      id: ch.ids[0],
+      tvg_name: ch.name,
+      group_title: ch.group,
+      number: ch.number,
+      locked: ch.locked,
+      variants: ch.ids.length,
+    })),
+    collisions,
+    overflow,
+  }
+}
+
+router.get('/playlists/:id/numbers', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  res.json(numbersResponse(playlist.id))
+})
+
+// Body: { start, blocks: [{ group, start, end }], from_source }
+router.put('/playlists/:id/numbering', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  const [error, config] = normalizeNumberingConfig(req.body)
+  if (error) return res.status(400).json({ error })
+
+  db.prepare('UPDATE playlists SET channel_number_start = ?, channel_number_blocks = ?, channel_number_from_source = ? WHERE id = ?')
+    .run(config.start, config.blocks.length ? JSON.stringify(config.blocks) : null, config.from_source ? 1 : 0, playlist.id)
+  console.log(`[numbers] Playlist ${playlist.id}: start ${config.start}, ${config.blocks.length} block(s)`)
+  res.json(numbersResponse(playlist.id))
+})
+
+// Lock numbers by hand. Body: { numbers: { [playlistChannelId]: "5" | "5.1" | null } } — null unlocks
+router.put('/playlists/:id/numbers', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  const numbers = req.body?.numbers
+  if (!numbers || typeof numbers !== 'object' || Array.isArray(numbers)) return res.status(400).json({ error: 'numbers required' })
+  const error = setLockedNumbers(playlist.id, numbers)
+  if (error) return res.status(400).json({ error })
+  res.json(numbersResponse(playlist.id))
+})
+
+// Forget the automatic numbers and number the playlist afresh in its current order (locked numbers stay)
+router.post('/playlists/:id/numbers/renumber', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  const cleared = resetAutomaticNumbers(playlist.id)
+  console.log(`[numbers] Playlist ${playlist.id}: renumbering (${cleared} automatic number(s) cleared)`)
+  res.json(numbersResponse(playlist.id))
+})
+
+export default router
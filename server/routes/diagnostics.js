@@ -1,5 +1,7 @@
 import express from 'express'
 import db from '../db.js'
+import { runHealthCheck, healthState, getHealthCheckSampleSize } from '../healthCheck.js'
+import { getSettingValue } from '../settings-cache.js'
 
 const router = express.Router()
 
@@ -69,6 +71,59 @@ router.delete('/diagnostics/dead-channels', (req, res) => {
   res.json({ ok: true })
 })
 
+// ── Channel health checks ─────────────────────────────────────────────────────
+router.get('/diagnostics/health', (req, res) => {
+  const sources = db.prepare(`
+    SELECT s.id AS source_id, s.name, s.max_streams,
+           COUNT(DISTINCT pc.url) AS channels,
+           COUNT(DISTINCT CASE WHEN h.status = 'ok' THEN h.url END) AS ok,
+           COUNT(DISTINCT CASE WHEN h.status = 'dead' THEN h.url END) AS dead,
+           MAX(h.last_checked) AS last_checked
+    FROM sources s
+    JOIN playlist_channels pc ON pc.source_id = s.id AND COALESCE(pc.content_type, 'live') = 'live'
+    LEFT JOIN channel_health h ON h.url = pc.url
+    WHERE s.category != 'epg' OR s.category IS NULL
+    GROUP BY s.id
+    ORDER BY s.name
+  `).all()
+  res.json({
+    ...healthState,
+    schedule: getSettingValue('health_check_schedule', ''),
+    sample_size: getHealthCheckSampleSize(),
+    sources,
+  })
+})
+
+router.get('/diagnostics/health/channels', (req, res) => {
+  const { source_id, status } = req.query
+  const limit = Math.min(parseInt(req.query.limit || '200', 10) || 200, 1000)
+  const where = []
+  const params = []
+  if (source_id) { where.push('h.source_id = ?'); params.push(source_id) }
+  if (status) { where.push('h.status = ?'); params.push(status) }
+  const rows = db.prepare(`
+    SELECT h.*, (SELECT tvg_name FROM playlist_channels pc WHERE pc.url = h.url LIMIT 1) AS tvg_name
+    FROM channel_health h
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY h.consecutive_failures DESC, h.last_checked DESC
+    LIMIT ?
+  `).all(...params, limit)
+  res.json(rows)
+})
+
+router.get('/diagnostics/health/history', (req, res) => {
+  if (!req.query.url) return res.status(400).json({ error: 'url required' })
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500)
+  res.json(db.prepare('SELECT * FROM channel_health_checks WHERE url = ? ORDER BY id DESC LIMIT ?').all(req.query.url, limit))
+})
+
+router.post('/diagnostics/health/run', (req, res) => {
+  if (healthState.inProgress) return res.json({ ok: true, already: true, message: 'Health check already in progress' })
+  const sourceId = req.body?.source_id ? Number(req.body.source_id) : null
+  res.json({ ok: true, message: 'Health check started' })
+  runHealthCheck({ sourceId }).catch(e => console.error('[health] Error:', e.message))
+})
+
 router.get('/diagnostics/vpn', async (req, res) => {
   try {
     const { execFile } = await import('node:child_process')
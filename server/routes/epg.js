@@ -2,13 +2,23 @@ import express from 'express'
 import path from 'node:path'
 import { existsSync, statSync, readFileSync, writeFileSync } from 'node:fs'
 import db from '../db.js'
-import { GUIDE_XML, EPG_DIR, runGrab, grabState } from '../epgGrab.js'
-import { syncEpgSites, getLastSynced, getSiteList } from '../epgSync.js'
-import { enrichGuide, enrichState } from '../epgEnrich.js'
+import { GUIDE_XML, EPG_DIR, grabState } from '../epgGrab.js'
+import { getLastSynced, getSiteList } from '../epgSync.js'
+import { enrichState } from '../epgEnrich.js'
+import { enqueueJob, findActiveJob, getQueueJob, listQueueJobs } from '../services/jobQueue.js'
 import {
   invalidatePlaylistXmltvCache,
   invalidateAllPlaylistXmltvCache,
 } from '../services/xmltvCache.js'
+import {
+  getEpgList,
+  loadPrecedence,
+  getChannelPrecedence,
+  setChannelPrecedence,
+  clearChannelPrecedence,
+  getMergedProgrammes,
+} from '../epgMerge.js'
+import { syncJobs } from '../services/scheduler.js'
 
 const CHANNELS_XML = path.join(EPG_DIR, 'channels.xml')
 
@@ -54,53 +64,6 @@ router.delete('/epg-mappings/by-playlist/:playlist_id', (req, res) => {
 })
 
 // ── EPG Auto-match ─────────────────────────────────────────────────────────────
-// In-memory EPG channel cache — rebuilt when EPG data changes
-let _epgListCache = null
-let _epgListCacheKey = null
-
-function getEpgList() {
-  const cacheRows = db.prepare(`
-    SELECT source_id, last_fetched FROM epg_cache WHERE content IS NOT NULL ORDER BY last_fetched DESC
-  `).all()
-  const cacheKey = cacheRows.map(r => `${r.source_id}:${r.last_fetched}`).join('|')
-  if (_epgListCache && _epgListCacheKey === cacheKey) return _epgListCache
-
-  const fullRows = db.prepare(`
-    SELECT ec.content, ec.source_id, s.name AS source_name
-    FROM epg_cache ec JOIN sources s ON s.id = ec.source_id
-    WHERE ec.content IS NOT NULL ORDER BY ec.last_fetched DESC
-  `).all()
-
-  const epgList = []
-  const epgSeen = new Set()
-  const channelRegex = /<channel[^>]*>(.*?)<\/channel>/gs
-  for (const cacheRow of fullRows) {
-    if (!cacheRow.content) continue
-    for (const match of cacheRow.content.matchAll(channelRegex)) {
-      const block = match[0]
-      const inner = match[1]
-      const idMatch = block.match(/id="([^"]*)"/)
-      if (!idMatch) continue
-      const currentId = idMatch[1]
-      if (epgSeen.has(currentId)) continue
-      const nameMatch = inner.match(/<display-name[^>]*>([^<]+)<\/display-name>/)
-      const currentName = nameMatch ? nameMatch[1].trim() : ''
-      const iconMatch = inner.match(/<icon\s[^>]*src="([^"]*)"/)
-      const currentIcon = iconMatch ? iconMatch[1] : ''
-      if (currentId && currentName) {
-        epgSeen.add(currentId)
-        epgList.push({ id: currentId, name: currentName, icon: currentIcon, source_name: cacheRow.source_name, source_id: cacheRow.source_id })
-      }
-    }
-  }
-  _epgListCache = epgList
-  _epgListCacheKey = cacheKey
-  return epgList
-}
-
-// Invalidate EPG cache when EPG data is refreshed
-export function invalidateEpgCache() { _epgListCache = null; _epgListCacheKey = null }
-
 // Dice coefficient similarity — fast, good for channel name matching
 function diceSimilarity(a, b) {
   const normalize = s => s.toLowerCase().replace(/[^a-z0-9]/g, '')
@@ -338,42 +301,25 @@ router.post('/epg-mappings/bulk', (req, res) => {
   res.json({ ok: true, count: valid.length })
 })
 
-// Track in-progress sync so we don't double-run
-let syncInProgress = false
-let syncLog = []
-
-// Trigger a sync (non-blocking — streams progress via syncLog)
-async function runSync() {
-  if (syncInProgress) return { already: true }
-  syncInProgress = true
-  syncLog = []
-  try {
-    const result = await syncEpgSites(db, {
-      onProgress: (msg) => { syncLog.push(msg); if (syncLog.length > 100) syncLog.shift() }
-    })
-    return result
-  } finally {
-    syncInProgress = false
-  }
-}
-
-// Sync status
+// Sync status — the log is the running sync's, or else the last one's
 router.get('/epg/sites/sync/status', (req, res) => {
+  const active = findActiveJob('epg-sync')
+  const latest = active || listQueueJobs({ type: 'epg-sync', limit: 1 })[0]
   res.json({
-    inProgress:  syncInProgress,
+    inProgress:  !!active,
+    job:         latest || null,
     lastSynced:  getLastSynced(db),
     totalSites:  db.prepare('SELECT COUNT(DISTINCT site) as c FROM epg_site_channels').get().c,
     totalChannels: db.prepare('SELECT COUNT(*) as c FROM epg_site_channels').get().c,
-    log:         syncLog.slice(-20),
+    log:         latest ? getQueueJob(latest.id).log.slice(-20) : [],
   })
 })
 
-// Trigger a sync
-router.post('/epg/sites/sync', async (req, res) => {
-  if (syncInProgress) return res.json({ ok: true, already: true, message: 'Sync already in progress' })
-  // Start async, respond immediately
-  res.json({ ok: true, message: 'Sync started' })
-  runSync().catch(e => console.error('[epg-sync] Error:', e.message))
+// Trigger a sync (runs on the job queue, respond immediately)
+router.post('/epg/sites/sync', (req, res) => {
+  const job = enqueueJob('epg-sync')
+  if (job.deduplicated) return res.json({ ok: true, already: true, job, message: 'Sync already in progress' })
+  res.json({ ok: true, job, message: 'Sync started' })
 })
 
 // List all sites from DB
@@ -520,11 +466,11 @@ router.post('/logos/bulk', (req, res) => {
   res.json({ ok: true, updated })
 })
 
-// Trigger EPG grab
-router.post('/epg/grab', async (req, res) => {
-  if (grabState.running) return res.json({ ok: true, already: true, message: 'Grab already in progress' })
-  res.json({ ok: true, message: 'Grab started' })
-  runGrab(db).catch(e => console.error('[epg-grab] Error:', e.message))
+// Trigger EPG grab (runs on the job queue)
+router.post('/epg/grab', (req, res) => {
+  const job = enqueueJob('epg-grab')
+  if (job.deduplicated) return res.json({ ok: true, already: true, job, message: 'Grab already in progress' })
+  res.json({ ok: true, job, message: 'Grab started' })
 })
 
 // Get grab status
@@ -535,19 +481,19 @@ router.get('/epg/grab/status', (req, res) => {
     const s = statSync(GUIDE_XML)
     guideInfo = { size: s.size, mtime: s.mtime }
   }
-  res.json({ ...grabState, guide: guideInfo })
+  res.json({ ...grabState, guide: guideInfo, job: findActiveJob('epg-grab') })
 })
 
-// Trigger TMDB enrichment
-router.post('/epg/enrich', async (req, res) => {
-  if (enrichState.running) return res.json({ ok: true, already: true, message: 'Enrichment already in progress' })
-  res.json({ ok: true, message: 'Enrichment started' })
-  enrichGuide(db).catch(e => console.error('[epg-enrich] Error:', e.message))
+// Trigger TMDB enrichment (runs on the job queue)
+router.post('/epg/enrich', (req, res) => {
+  const job = enqueueJob('epg-enrich')
+  if (job.deduplicated) return res.json({ ok: true, already: true, job, message: 'Enrichment already in progress' })
+  res.json({ ok: true, job, message: 'Enrichment started' })
 })
 
 // Get enrichment status
 router.get('/epg/enrich/status', (req, res) => {
-  res.json(enrichState)
+  res.json({ ...enrichState, job: findActiveJob('epg-enrich') })
 })
 
 // Note: /guide.xml is served at ROOT level in index.js, not under /api
@@ -559,6 +505,80 @@ router.get('/epg/sources', (req, res) => {
   res.json(sources)
 })
 
+// ── EPG source precedence ─────────────────────────────────────────────────────
+// The global order is sources.priority; a channel can override it. Precedence
+// is keyed on the guide's channel id, so mapped source ids count as aliases.
+function getEpgAliases(channelId) {
+  return db.prepare('SELECT source_tvg_id FROM epg_mappings WHERE target_tvg_id = ?').all(channelId).map(r => r.source_tvg_id)
+}
+
+function getEpgSourcesByPriority() {
+  return db.prepare("SELECT id, name, priority FROM sources WHERE category = 'epg' ORDER BY COALESCE(priority, 999), id").all()
+}
+
+function describePrecedence(channelId) {
+  const sources = new Map(getEpgSourcesByPriority().map(s => [s.id, s]))
+  const ids = [channelId, ...getEpgAliases(channelId)]
+  const counts = new Map(db.prepare(`
+    SELECT source_id, COUNT(*) AS n FROM epg_programmes
+    WHERE channel_id IN (${ids.map(() => '?').join(',')}) GROUP BY source_id
+  `).all(...ids).map(r => [r.source_id, r.n]))
+  return {
+    channel_id: channelId,
+    custom: !!getChannelPrecedence(channelId),
+    order: loadPrecedence().orderFor(channelId)
+      .filter(id => sources.has(id))
+      .map(id => ({ ...sources.get(id), programmes: counts.get(id) || 0 })),
+  }
+}
+
+router.get('/epg/precedence', (req, res) => {
+  const channelId = String(req.query.channel_id || '').trim()
+  if (channelId) return res.json(describePrecedence(channelId))
+  const overrides = db.prepare('SELECT channel_id, source_ids, updated_at FROM epg_channel_precedence ORDER BY channel_id').all()
+    .map(r => ({ ...r, source_ids: getChannelPrecedence(r.channel_id) }))
+  res.json({ sources: getEpgSourcesByPriority(), overrides })
+})
+
+router.put('/epg/precedence', (req, res) => {
+  const channelId = String(req.body.channel_id || '').trim()
+  const { source_ids } = req.body
+  if (!channelId) return res.status(400).json({ error: 'channel_id required' })
+  if (!Array.isArray(source_ids) || !source_ids.length) return res.status(400).json({ error: 'source_ids must be a non-empty array' })
+  const ids = source_ids.map(Number)
+  const epgIds = new Set(getEpgSourcesByPriority().map(s => s.id))
+  const unknown = ids.filter(id => !epgIds.has(id))
+  if (unknown.length) return res.status(400).json({ error: `Not EPG sources: ${unknown.join(', ')}` })
+  if (new Set(ids).size !== ids.length) return res.status(400).json({ error: 'source_ids contains duplicates' })
+
+  setChannelPrecedence(channelId, ids)
+  invalidateAllPlaylistXmltvCache()
+  res.json(describePrecedence(channelId))
+})
+
+router.delete('/epg/precedence', (req, res) => {
+  const channelId = String(req.query.channel_id || '').trim()
+  if (!channelId) return res.status(400).json({ error: 'channel_id required' })
+  if (clearChannelPrecedence(channelId)) invalidateAllPlaylistXmltvCache()
+  res.json(describePrecedence(channelId))
+})
+
+// Merged guide for one channel, as the XMLTV outputs serve it
+router.get('/epg/programmes', (req, res) => {
+  const channelId = String(req.query.channel_id || '').trim()
+  if (!channelId) return res.status(400).json({ error: 'channel_id required' })
+  const sourceNames = new Map(getEpgSourcesByPriority().map(s => [s.id, s.name]))
+  const { showMap, epMap } = getEnrichmentMaps()
+  const programmes = getMergedProgrammes(channelId, getEpgAliases(channelId)).map(p => ({
+    ...applyEnrichment(parseProgBlock(p.raw), showMap, epMap),
+    source_id: p.source_id,
+    source_name: sourceNames.get(p.source_id) || null,
+    gap_fill: !!p.gap_fill,
+    clipped: p.clipped,
+  }))
+  res.json(programmes)
+})
+
 // Get channels.xml content
 router.get('/epg/channels-xml', (req, res) => {
   try {
@@ -628,45 +648,15 @@ router.get('/epg/selected-channels', (req, res) => {
   }
 })
 
-// Get channel IDs from locally cached EPG sources (epg_cache table)
+// Get channel IDs from locally cached EPG sources (epg_channels table)
 router.get('/epg/cached-channels', (req, res) => {
-  const rows = db.prepare(`
-    SELECT ec.source_id, ec.content, s.name as source_name
-    FROM epg_cache ec
+  const channels = db.prepare(`
+    SELECT ec.channel_id AS id, ec.name, ec.source_id, s.name AS source_name
+    FROM epg_channels ec
     JOIN sources s ON s.id = ec.source_id
-    WHERE ec.content IS NOT NULL
-    ORDER BY s.name
+    WHERE ec.name != ''
+    ORDER BY s.name, ec.rowid
   `).all()
-
-  const channels = []
-  for (const row of rows) {
-    const lines = row.content.split('\n')
-    let currentId = null
-    let currentName = null
-
-    for (const line of lines) {
-      const trimmed = line.trim()
-      if (trimmed.startsWith('<channel')) {
-        const idMatch = trimmed.match(/id="([^"]*)"/)
-        if (idMatch) currentId = idMatch[1]
-      } else if (trimmed.startsWith('<display-name')) {
-        const nameMatch = trimmed.match(/>([^<]*)</)
-        if (nameMatch) currentName = nameMatch[1]
-      } else if (trimmed === '</channel>') {
-        if (currentId && currentName) {
-          channels.push({
-            id: currentId,
-            name: currentName,
-            source_id: row.source_id,
-            source_name: row.source_name
-          })
-        }
-        currentId = null
-        currentName = null
-      }
-    }
-  }
-
   res.json(channels)
 })
 
@@ -674,15 +664,17 @@ router.get('/epg/cached-channels', (req, res) => {
 router.post('/epg/sources/from-scraper', (req, res) => {
   const proto = req.protocol || 'http'
   const host = req.headers['x-forwarded-host'] || req.headers.host
-  const url = `${proto}://${host}/guide.xml`
+  // ?source=grabber: the raw grabber output, not the merged guide built from this very source
+  const url = `${proto}://${host}/guide.xml?source=grabber`
 
-  const existing = db.prepare('SELECT id FROM sources WHERE url LIKE ? AND category = ?').get('%/guide.xml', 'epg')
+  const existing = db.prepare('SELECT id FROM sources WHERE url LIKE ? AND category = ?').get('%/guide.xml%', 'epg')
   if (existing) {
     return res.json({ ok: true, id: existing.id, created: false, message: 'EPG source already exists' })
   }
   const result = db.prepare(
     "INSERT INTO sources (name, type, url, category, refresh_cron) VALUES ('EPG Grabber (guide.xml)', 'epg', ?, 'epg', '0 4 * * *')"
   ).run(url)
+  syncJobs()
   res.json({ ok: true, id: result.lastInsertRowid, created: true })
 })
 
@@ -691,56 +683,33 @@ router.get('/epg/search-cached', (req, res) => {
   const { q, source_id } = req.query
   if (!q) return res.json([])
 
-  const pattern = `%${q.toLowerCase()}%`
-  let sql = `
-    WITH channels AS (
-      SELECT
-        source_id,
-        content
-      FROM epg_cache
-      WHERE content IS NOT NULL
-      ${source_id ? 'AND source_id = ?' : ''}
-    )
-    SELECT * FROM channels
-  `
-  const rows = source_id ? db.prepare(sql).all(source_id) : db.prepare(sql).all()
+  const rows = db.prepare(`
+    SELECT ec.source_id, ec.channel_id, ec.name, ec.icon, s.name AS source_name
+    FROM epg_channels ec JOIN sources s ON s.id = ec.source_id
+    WHERE ec.name != '' ${source_id ? 'AND ec.source_id = ?' : ''}
+    ORDER BY ec.source_id, ec.rowid
+  `).all(...(source_id ? [source_id] : []))
+
+  // Build search variants: raw, prefix-stripped, space-stripped
+  const qLower = q.toLowerCase()
+  const variants = [qLower]
+  const stripped = qLower.replace(/^(us|usa|uk|ca|au|fr|de|es|it|nl):\s*/i, '').trim()
+  if (stripped && stripped !== qLower) variants.push(stripped)
+  const noSpaces = qLower.replace(/\s+/g, '')
+  if (noSpaces !== qLower) variants.push(noSpaces)
 
   const results = []
-  const channelRegex = /<channel[^>]*>(.*?)<\/channel>/gs
   for (const row of rows) {
-    const sourceName = db.prepare('SELECT name FROM sources WHERE id = ?').get(row.source_id)?.name || 'Unknown'
-    for (const match of row.content.matchAll(channelRegex)) {
-      const block = match[0]
-      const inner = match[1]
-      const idMatch = block.match(/id="([^"]*)"/)
-      if (!idMatch) continue
-      const currentId = idMatch[1]
-      const nameMatch = inner.match(/<display-name[^>]*>([^<]+)<\/display-name>/)
-      const currentName = nameMatch ? nameMatch[1].trim() : ''
-      const iconMatch = inner.match(/<icon\s[^>]*src="([^"]*)"/)
-      const currentIcon = iconMatch ? iconMatch[1] : ''
-      const qLower = q.toLowerCase()
-      const nameLower = currentName.toLowerCase()
-      const idLower = currentId.toLowerCase()
-
-      // Build search variants: raw, prefix-stripped, space-stripped
-      const variants = [qLower]
-      const stripped = qLower.replace(/^(us|usa|uk|ca|au|fr|de|es|it|nl):\s*/i, '').trim()
-      if (stripped && stripped !== qLower) variants.push(stripped)
-      const noSpaces = qLower.replace(/\s+/g, '')
-      if (noSpaces !== qLower) variants.push(noSpaces)
-
-      const isMatch = variants.some(v => nameLower.includes(v) || idLower.includes(v))
-
-      if (currentId && currentName && isMatch) {
-        results.push({
-          id: currentId,
-          name: currentName,
-          logo: currentIcon,
-          source_id: row.source_id,
-          source_name: sourceName
-        })
-      }
+    const nameLower = row.name.toLowerCase()
+    const idLower = row.channel_id.toLowerCase()
+    if (variants.some(v => nameLower.includes(v) || idLower.includes(v))) {
+      results.push({
+        id: row.channel_id,
+        name: row.name,
+        logo: row.icon || '',
+        source_id: row.source_id,
+        source_name: row.source_name
+      })
     }
   }
 
@@ -903,30 +872,17 @@ router.get('/epg/guide-grid', async (req, res) => {
     programmes: []
   }))
 
-  const epgIds = mappedChannels.map(ch => ch.epg_id)
-  const wantedIds = new Set(epgIds)
-
-  // Get programmes from EPG cache
-  const cacheRows = db.prepare('SELECT content FROM epg_cache WHERE content IS NOT NULL').all()
+  // Merged programmes per EPG id (see epgMerge.js), clipped to the window
   const { showMap, epMap } = getEnrichmentMaps()
-
-  const progRe = /<programme\b[\s\S]*?<\/programme>/g
-  for (const row of cacheRows) {
-    progRe.lastIndex = 0
-    let m
-    while ((m = progRe.exec(row.content)) !== null) {
-      const prog = parseProgBlock(m[0])
-      if (!prog.channel || !wantedIds.has(prog.channel)) continue
-      if (!prog.start || !prog.stop) continue
-      const pStart = new Date(prog.start)
-      const pStop = new Date(prog.stop)
-      if (pStop <= from || pStart >= to) continue
-
-      const ch = channelList.find(c => c.id === prog.channel)
-      if (ch) {
-        ch.programmes.push(applyEnrichment(prog, showMap, epMap))
-      }
+  const precedence = loadPrecedence()
+  const programmesById = new Map()
+  for (const ch of channelList) {
+    if (!programmesById.has(ch.id)) {
+      programmesById.set(ch.id, getMergedProgrammes(ch.id, [], precedence)
+        .filter(p => p.stop_ms > from.getTime() && p.start_ms < to.getTime())
+        .map(p => applyEnrichment(parseProgBlock(p.raw), showMap, epMap)))
     }
+    ch.programmes = programmesById.get(ch.id)
   }
 
   // Sort programmes by start time
@@ -0,0 +1,36 @@
+import express from 'express'
+import { liveEvents } from '../liveEvents.js'
+import { jobEvents } from '../services/jobQueue.js'
+
+const router = express.Router()
+
+const HEARTBEAT_INTERVAL = 25_000
+
+// GET /api/events — Server-Sent Events for the dashboard pages: stream session
+// start/stop/stats, EPG grab log lines and job queue events (see liveEvents.js)
+router.get('/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+  res.write('retry: 5000\n\n')
+  send('hello', { time: new Date().toISOString() })
+
+  const onEvent = ({ event, data }) => send(event, data)
+  const onJob = ({ event, job }) => send(`job.${event}`, job)
+  liveEvents.on('event', onEvent)
+  jobEvents.on('job', onJob)
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    liveEvents.off('event', onEvent)
+    jobEvents.off('job', onJob)
+  })
+})
+
+export default router
@@ -1,15 +1,38 @@
 import express from 'express'
 import db from '../db.js'
-import { startDeviceServer, restartDeviceServer, stopDeviceServer } from '../hdhr.js'
+import { startDeviceServer, restartDeviceServer, stopDeviceServer, getDeviceChannels, getTunersInUse } from '../hdhr.js'
+import { getTranscodeProfile } from '../transcodeProfiles.js'
 
 const router = express.Router()
 
+function parseJson(value, fallback) {
+  try { return value ? JSON.parse(value) : fallback } catch { return fallback }
+}
+
+function optionalNumber(value) {
+  return value === '' || value == null ? null : Number(value)
+}
+
+// Validates the lineup and transcode options of a create/update body; returns [error, values]
+function lineupOptions(body) {
+  const channelStart = optionalNumber(body.channel_start)
+  const channelEnd = optionalNumber(body.channel_end)
+  if (channelStart != null && (!Number.isInteger(channelStart) || channelStart < 1)) return ['channel_start must be a positive whole number']
+  if (channelEnd != null && (!Number.isInteger(channelEnd) || channelEnd < 1)) return ['channel_end must be a positive whole number']
+  if (channelStart != null && channelEnd != null && channelEnd < channelStart) return ['channel_end must not be below channel_start']
+  const groups = Array.isArray(body.group_filter) ? body.group_filter.filter(g => typeof g === 'string') : []
+  const profileId = optionalNumber(body.transcode_profile_id)
+  if (profileId != null && !getTranscodeProfile(profileId)) return ['transcode_profile_id does not exist']
+  return [null, { channelStart, channelEnd, groupFilter: groups.length ? JSON.stringify(groups) : null, profileId }]
+}
+
 // ── HDHomeRun virtual device management ───────────────────────────────────────
 router.get('/hdhr/virtual-devices', (req, res) => {
   const rows = db.prepare(`
-    SELECT d.*, p.name AS playlist_name
+    SELECT d.*, p.name AS playlist_name, tp.name AS transcode_profile_name
     FROM hdhr_devices d
     LEFT JOIN playlists p ON p.id = d.playlist_id
+    LEFT JOIN transcode_profiles tp ON tp.id = d.transcode_profile_id
     ORDER BY d.port
   `).all()
 
@@ -23,6 +46,9 @@ router.get('/hdhr/virtual-devices', (req, res) => {
 
     return {
       ...d,
+      group_filter: parseJson(d.group_filter, []),
+      channel_map: parseJson(d.channel_map, {}),
+      tuners_in_use: getTunersInUse(d.id),
       plex_url: deviceBase,
       discover_url: `${deviceBase}/discover.json`,
       lineup_url: `${deviceBase}/lineup.json`,
@@ -35,14 +61,18 @@ router.get('/hdhr/virtual-devices', (req, res) => {
 router.post('/hdhr/virtual-devices', async (req, res) => {
   const { name, playlist_id, port, tuner_count, active } = req.body
   if (!port) return res.status(400).json({ error: 'port required' })
+  const [optionsError, options] = lineupOptions(req.body)
+  if (optionsError) return res.status(400).json({ error: optionsError })
 
   const existing = db.prepare('SELECT id FROM hdhr_devices WHERE port = ?').get(port)
   if (existing) return res.status(409).json({ error: `Port ${port} is already in use` })
 
   try {
-    const result = db.prepare(
-      'INSERT INTO hdhr_devices (name, playlist_id, port, tuner_count, active) VALUES (?, ?, ?, ?, ?)'
-    ).run(name || 'M3U Tuner', playlist_id || null, Number(port), Number(tuner_count) || 4, active === false ? 0 : 1)
+    const result = db.prepare(`
+      INSERT INTO hdhr_devices (name, playlist_id, port, tuner_count, active, channel_start, channel_end, group_filter, transcode_profile_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(name || 'M3U Tuner', playlist_id || null, Number(port), Number(tuner_count) || 4, active === false ? 0 : 1,
+      options.channelStart, options.channelEnd, options.groupFilter, options.profileId)
 
     await startDeviceServer(result.lastInsertRowid)
     res.json({ ok: true, id: result.lastInsertRowid })
@@ -55,14 +85,22 @@ router.put('/hdhr/virtual-devices/:id', async (req, res) => {
   const { name, playlist_id, port, tuner_count, active } = req.body
   const existing = db.prepare('SELECT * FROM hdhr_devices WHERE id = ?').get(req.params.id)
   if (!existing) return res.status(404).json({ error: 'Device not found' })
+  const [optionsError, options] = lineupOptions(req.body)
+  if (optionsError) return res.status(400).json({ error: optionsError })
 
   const portConflict = db.prepare('SELECT id FROM hdhr_devices WHERE port = ? AND id != ?').get(port, req.params.id)
   if (portConflict) return res.status(409).json({ error: `Port ${port} is already in use` })
 
   try {
-    db.prepare(
-      'UPDATE hdhr_devices SET name=?, playlist_id=?, port=?, tuner_count=?, active=? WHERE id=?'
-    ).run(name || 'M3U Tuner', playlist_id || null, Number(port), Number(tuner_count) || 4, active === false ? 0 : 1, req.params.id)
+    // Channel overrides refer to the old playlist's channels, so they go when it changes
+    const channelMap = (playlist_id || null) === existing.playlist_id ? existing.channel_map : null
+    db.prepare(`
+      UPDATE hdhr_devices
+      SET name=?, playlist_id=?, port=?, tuner_count=?, active=?, channel_start=?, channel_end=?, group_filter=?, channel_map=?,
+          transcode_profile_id=?
+      WHERE id=?
+    `).run(name || 'M3U Tuner', playlist_id || null, Number(port), Number(tuner_count) || 4, active === false ? 0 : 1,
+      options.channelStart, options.channelEnd, options.groupFilter, channelMap, options.profileId, req.params.id)
 
     await restartDeviceServer(Number(req.params.id))
     res.json({ ok: true })
@@ -71,6 +109,57 @@ router.put('/hdhr/virtual-devices/:id', async (req, res) => {
   }
 })
 
+// GET /api/hdhr/virtual-devices/:id/lineup — the device's numbered lineup, for the channel number editor
+router.get('/hdhr/virtual-devices/:id/lineup', (req, res) => {
+  const device = db.prepare('SELECT * FROM hdhr_devices WHERE id = ?').get(req.params.id)
+  if (!device) return res.status(404).json({ error: 'Device not found' })
+  const overrides = parseJson(device.channel_map, {})
+  res.json(getDeviceChannels(device).map(ch => ({
+    id: ch.id,
+    name: ch.tvg_name,
+    group_title: ch.group_title || null,
+    guide_number: ch.guide_number,
+    is_composite: !!ch.is_composite,
+    override: ch.is_composite ? null : (overrides[ch.id] ?? null),
+  })))
+})
+
+// PUT /api/hdhr/virtual-devices/:id/channel-map — { channel_map: { channelId: guideNumber } }
+router.put('/hdhr/virtual-devices/:id/channel-map', (req, res) => {
+  const device = db.prepare('SELECT id FROM hdhr_devices WHERE id = ?').get(req.params.id)
+  if (!device) return res.status(404).json({ error: 'Device not found' })
+
+  const channelMap = {}
+  const used = new Map()
+  for (const [channelId, value] of Object.entries(req.body.channel_map || {})) {
+    const number = String(value ?? '').trim()
+    if (!number) continue
+    if (!/^\d+(\.\d+)?$/.test(number)) return res.status(400).json({ error: `Invalid channel number "${number}"` })
+    if (used.has(number)) return res.status(400).json({ error: `Channel number ${number} is used twice` })
+    used.set(number, channelId)
+    channelMap[channelId] = number
+  }
+
+  db.prepare('UPDATE hdhr_devices SET channel_map = ? WHERE id = ?')
+    .run(Object.keys(channelMap).length ? JSON.stringify(channelMap) : null, device.id)
+  res.json({ ok: true, overrides: Object.keys(channelMap).length })
+})
+
+// GET /api/hdhr/playlists/:playlistId/groups — group titles for a device's group filter
+router.get('/hdhr/playlists/:playlistId/groups', (req, res) => {
+  const rows = db.prepare(`
+    SELECT COALESCE(group_title, '') AS group_title, COUNT(*) AS count
+    FROM playlist_channels
+    WHERE playlist_id = ?
+    GROUP BY COALESCE(group_title, '')
+    ORDER BY MIN(sort_order), group_title
+  `).all(req.params.playlistId)
+  // Composite streams are listed in the lineup under their own group
+  const composites = db.prepare('SELECT COUNT(*) AS n FROM composite_streams WHERE playlist_id = ? AND active = 1').get(req.params.playlistId).n
+  if (composites) rows.push({ group_title: 'Composite', count: composites })
+  res.json(rows)
+})
+
 router.delete('/hdhr/virtual-devices/:id', async (req, res) => {
   try {
     await stopDeviceServer(Number(req.params.id))
@@ -0,0 +1,62 @@
+import express from 'express'
+import { listQueueJobs, getQueueJob, getQueueStats, cancelJob, clearJobHistory, jobEvents } from '../services/jobQueue.js'
+
+const router = express.Router()
+
+const HEARTBEAT_INTERVAL = 25_000
+
+// GET /api/jobs?type=&status=&limit= — job history, newest first, plus per-type queue state
+router.get('/jobs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500)
+  res.json({
+    types: getQueueStats(),
+    jobs: listQueueJobs({ type: req.query.type || null, status: req.query.status || null, limit }),
+  })
+})
+
+// GET /api/jobs/events — Server-Sent Events: a "snapshot" of the active jobs,
+// then "queued", "started", "progress" and "finished" events as they happen
+router.get('/jobs/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+  res.write('retry: 5000\n\n')
+  const active = [...listQueueJobs({ status: 'running' }), ...listQueueJobs({ status: 'queued' })]
+  send('snapshot', { types: getQueueStats(), jobs: active })
+
+  const onJob = ({ event, job }) => send(event, job)
+  jobEvents.on('job', onJob)
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    jobEvents.off('job', onJob)
+  })
+})
+
+// GET /api/jobs/:id — one job including its log
+router.get('/jobs/:id', (req, res) => {
+  const job = getQueueJob(req.params.id)
+  if (!job) return res.status(404).json({ error: 'Job not found' })
+  res.json(job)
+})
+
+// POST /api/jobs/:id/cancel — a queued job is dropped, a running one is asked to stop
+router.post('/jobs/:id/cancel', (req, res) => {
+  const job = cancelJob(req.params.id)
+  if (job) return res.json({ ok: true, job })
+  if (!getQueueJob(req.params.id)) return res.status(404).json({ error: 'Job not found' })
+  res.status(409).json({ error: 'Job has already finished' })
+})
+
+// DELETE /api/jobs — clear the history of finished jobs
+router.delete('/jobs', (req, res) => {
+  res.json({ ok: true, deleted: clearJobHistory() })
+})
+
+export default router
@@ -0,0 +1,116 @@
+import express from 'express'
+import db from '../db.js'
+import { getActiveFfmpegSessions } from '../ffmpeg-streamer.js'
+import { getActiveSessions } from '../streamer.js'
+import { getActiveVodSessions } from '../vod-streamer.js'
+import { getBaseUrl, getUserLivePlaylistIds, getUserVodPlaylistIds } from '../xtream.js'
+import { FAVORITE_TYPES, getFavoriteIds, addFavorite, removeFavorite, getRecentlyWatchedIds, getChannelsByIds } from '../favorites.js'
+
+const router = express.Router()
+
+// ── Personal page ─────────────────────────────────────────────────────────────
+// Every route acts on the signed-in account (req.session.user_id, see admin-auth.js)
+function currentUser(req, res) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.user_id)
+  if (!user) res.status(404).json({ error: 'Account not found' })
+  return user
+}
+
+function favoriteType(req, res) {
+  const type = req.query.type || 'itv'
+  if (!FAVORITE_TYPES.includes(type)) {
+    res.status(400).json({ error: `type must be one of ${FAVORITE_TYPES.join(', ')}` })
+    return null
+  }
+  return type
+}
+
+function playlistNames(ids) {
+  if (!ids.length) return []
+  return db.prepare(`SELECT id, name FROM playlists WHERE id IN (${ids.map(() => '?').join(',')})`).all(...ids)
+}
+
+// GET /api/me — account details and the URLs to set up an IPTV app (password not included)
+router.get('/me', (req, res) => {
+  const user = currentUser(req, res)
+  if (!user) return
+
+  const base = getBaseUrl(req)
+  const name = encodeURIComponent(user.username)
+  const active = [...getActiveSessions(), ...getActiveFfmpegSessions(), ...getActiveVodSessions()]
+    .filter(s => s.username === user.username).length
+  const profile = user.transcode_profile_id
+    ? db.prepare('SELECT name FROM transcode_profiles WHERE id = ?').get(user.transcode_profile_id)
+    : null
+
+  res.json({
+    username:          user.username,
+    role:              user.role || 'user',
+    expires_at:        user.expires_at,
+    max_connections:   user.max_connections,
+    active_streams:    active,
+    last_connected_at: user.last_connected_at,
+    transcode_profile: profile?.name || null,
+    playlists:         playlistNames(getUserLivePlaylistIds(user)),
+    vod_playlists:     playlistNames(getUserVodPlaylistIds(user)),
+    connection: {
+      server:     base,
+      player_api: `${base}/xtream/player_api.php`,
+      m3u:        `${base}/xtream/get.php?username=${name}&password={password}&type=m3u_plus&output=ts`,
+      xmltv:      `${base}/xtream/xmltv.php?username=${name}&password={password}`,
+    },
+  })
+})
+
+// GET /api/me/channels?q= — live channels the account can watch, for adding favorites
+router.get('/me/channels', (req, res) => {
+  const user = currentUser(req, res)
+  if (!user) return
+  const playlistIds = getUserLivePlaylistIds(user)
+  if (!playlistIds.length) return res.json([])
+
+  const q = String(req.query.q || '').trim()
+  res.json(db.prepare(`
+    SELECT id, tvg_name, tvg_logo, group_title, content_type
+    FROM playlist_channels
+    WHERE playlist_id IN (${playlistIds.map(() => '?').join(',')})
+      AND COALESCE(content_type, 'live') = 'live'
+      ${q ? 'AND tvg_name LIKE ?' : ''}
+    ORDER BY sort_order, tvg_name
+    LIMIT 50
+  `).all(...playlistIds, ...(q ? [`%${q}%`] : [])))
+})
+
+router.get('/me/favorites', (req, res) => {
+  const user = currentUser(req, res)
+  const type = user && favoriteType(req, res)
+  if (!type) return
+  res.json(getChannelsByIds(getFavoriteIds(user.id, type)))
+})
+
+router.post('/me/favorites/:channelId', (req, res) => {
+  const user = currentUser(req, res)
+  const type = user && favoriteType(req, res)
+  if (!type) return
+  const channel = db.prepare('SELECT playlist_id FROM playlist_channels WHERE id = ?').get(req.params.channelId)
+  const allowed = type === 'itv' ? getUserLivePlaylistIds(user) : getUserVodPlaylistIds(user)
+  if (!channel || !allowed.includes(Number(channel.playlist_id))) {
+    return res.status(404).json({ error: 'Channel not found' })
+  }
+  res.json(getChannelsByIds(addFavorite(user.id, type, req.params.channelId)))
+})
+
+router.delete('/me/favorites/:channelId', (req, res) => {
+  const user = currentUser(req, res)
+  const type = user && favoriteType(req, res)
+  if (!type) return
+  res.json(getChannelsByIds(removeFavorite(user.id, type, req.params.channelId)))
+})
+
+router.get('/me/recently-watched', (req, res) => {
+  const user = currentUser(req, res)
+  if (!user) return
+  res.json(getChannelsByIds(getRecentlyWatchedIds(user.username)))
+})
+
+export default router
@@ -4,11 +4,22 @@ import { invalidatePlaylistXmltvCache } from '../services/xmltvCache.js'
 
 const router = express.Router()
 
-// Delete a single channel from a playlist
+// Delete a single channel from a playlist — in a smart playlist it's pinned out,
+// otherwise the next evaluation would bring it back
 router.delete('/playlist-channels/:id', (req, res) => {
-  const row = db.prepare('SELECT playlist_id FROM playlist_channels WHERE id = ?').get(req.params.id)
+  const row = db.prepare(`
+    SELECT pc.playlist_id, pc.source_id, pc.url, pc.tvg_name, p.smart_rules
+    FROM playlist_channels pc JOIN playlists p ON p.id = pc.playlist_id
+    WHERE pc.id = ?
+  `).get(req.params.id)
   const r = db.prepare('DELETE FROM playlist_channels WHERE id = ?').run(req.params.id)
   if (!r.changes) return res.status(404).json({ error: 'Channel not found' })
+  if (row?.smart_rules) {
+    db.prepare(`
+      INSERT INTO playlist_smart_pins (playlist_id, source_id, url, tvg_name, action) VALUES (?, ?, ?, ?, 'exclude')
+      ON CONFLICT(playlist_id, url) DO UPDATE SET action = 'exclude'
+    `).run(row.playlist_id, row.source_id, row.url, row.tvg_name)
+  }
   if (row?.playlist_id) invalidatePlaylistXmltvCache(row.playlist_id)
   res.json({ ok: true })
 })
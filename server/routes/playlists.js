@@ -1,10 +1,16 @@
 import express from 'express'
-import cron from 'node-cron'
 import { existsSync, readFileSync } from 'node:fs'
 import crypto from 'node:crypto'
 import db from '../db.js'
+import { isValidCron } from '../cronExpression.js'
 import { buildM3U, writeM3U } from '../m3uBuilder.js'
+import { syncPlaylistChannelOptions } from '../channelOptions.js'
+import { applySmartPlaylist } from '../smartPlaylists.js'
+import { withChannelNumbers } from '../channelNumbers.js'
 import { GUIDE_XML } from '../epgGrab.js'
+import { applyDeadChannelPolicy, DEAD_CHANNEL_ACTIONS } from '../healthCheck.js'
+import { getPrecedenceSignature } from '../epgMerge.js'
+import { syncJobs } from '../services/scheduler.js'
 import {
   getPlaylistXmltvCache,
   setPlaylistXmltvCache,
@@ -28,6 +34,7 @@ function buildPlaylistXmltvSignature(playlistId, channels, epgMappings, cacheRow
       custom_logo: ch.custom_logo || '',
       group_title: ch.group_title || '',
       sort_order: ch.sort_order ?? null,
+      channel_number: ch.channel_number ?? null,
       epg_source_id: ch.epg_source_id ?? null,
       source_id: ch.source_id ?? null,
       url: ch.url || '',
@@ -40,12 +47,13 @@ function buildPlaylistXmltvSignature(playlistId, channels, epgMappings, cacheRow
       channel_count: row.channel_count || 0,
       content_len: row.content_len || 0,
     })),
+    precedence: getPrecedenceSignature(),
   }
 
   return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex')
 }
 
-function getRelevantEpgSources(channels, epgMappings) {
+function getRelevantEpgSources(channels) {
   const explicitSourceIds = new Set(
     channels
       .map(ch => ch.epg_source_id ? Number(ch.epg_source_id) : null)
@@ -54,39 +62,13 @@ function getRelevantEpgSources(channels, epgMappings) {
 
   if (explicitSourceIds.size) return [...explicitSourceIds]
 
-  const localGuideSource = db.prepare(`
-    SELECT id
-    FROM sources
-    WHERE category = 'epg'
-      AND (
-        name = 'EPG Grabber (guide.xml)'
-        OR url LIKE '%/guide.xml'
-      )
-    ORDER BY id DESC
-    LIMIT 1
-  `).get()
-
-  if (localGuideSource) {
-    return [localGuideSource.id]
-  }
-
-  const allCachedSourceIds = db.prepare(`
+  // Every EPG source with programmes — the merge (epgMerge.js) picks per channel
+  return db.prepare(`
     SELECT source_id
     FROM epg_cache
-    WHERE content IS NOT NULL
+    WHERE programme_count > 0
     ORDER BY last_fetched DESC
   `).all().map(r => r.source_id)
-
-  if (allCachedSourceIds.length === 1) return allCachedSourceIds
-
-  const mappedSourceIds = new Set(
-    epgMappings
-      .filter(row => channels.some(ch => ch.tvg_id === row.source_tvg_id || ch.custom_tvg_id === row.source_tvg_id))
-      .map(() => localGuideSource?.id)
-      .filter(Number.isFinite)
-  )
-
-  return mappedSourceIds.size ? [...mappedSourceIds] : allCachedSourceIds
 }
 
 // ── Playlists ─────────────────────────────────────────────────────────────────
@@ -132,27 +114,71 @@ router.get('/playlists', (req, res) => {
   res.json(playlists)
 })
 
+// Returns an error message for invalid dead channel settings, or null
+function validateDeadChannelSettings({ dead_channel_action, dead_channel_threshold }) {
+  if (dead_channel_action !== undefined && !DEAD_CHANNEL_ACTIONS.includes(dead_channel_action)) {
+    return `dead_channel_action must be one of ${DEAD_CHANNEL_ACTIONS.join(', ')}`
+  }
+  if (dead_channel_threshold !== undefined && !(parseInt(dead_channel_threshold, 10) >= 1)) {
+    return 'dead_channel_threshold must be at least 1'
+  }
+  return null
+}
+
+// Smart playlists are filled by their rules; hand edits go through pins (routes/smart-playlists.js)
+function rejectSmartPlaylist(playlistId, res) {
+  const playlist = db.prepare('SELECT smart_rules FROM playlists WHERE id = ?').get(playlistId)
+  if (!playlist?.smart_rules) return false
+  res.status(409).json({ error: 'This is a smart playlist — its channels come from its rules. Pin channels in or out instead.' })
+  return true
+}
+
+// output_path is a file the server writes on every build, so only admins may
+// choose it; other roles can save a playlist as long as they leave it unchanged
+function rejectOutputPathChange(req, res, current = null) {
+  if (req.session?.role === 'admin') return false
+  if ((req.body.output_path || null) === (current || null)) return false
+  res.status(403).json({ error: 'Only admins can set the output path' })
+  return true
+}
+
 router.post('/playlists', (req, res) => {
-  const { name, source_id, output_path, schedule, playlist_type } = req.body
+  const { name, source_id, output_path, schedule, playlist_type, dead_channel_action = 'none', dead_channel_threshold = 3, auto_add_new_channels } = req.body
   if (!name) return res.status(400).json({ error: 'name required' })
+  if (rejectOutputPathChange(req, res)) return
+  if (schedule && !isValidCron(schedule)) return res.status(400).json({ error: 'Invalid cron expression' })
+  const invalid = validateDeadChannelSettings(req.body)
+  if (invalid) return res.status(400).json({ error: invalid })
   const result = db.prepare(
-    'INSERT INTO playlists (name, source_id, output_path, schedule, playlist_type) VALUES (?, ?, ?, ?, ?)'
-  ).run(name, source_id || null, output_path || null, schedule || '0 */6 * * *', playlist_type || 'live')
+    'INSERT INTO playlists (name, source_id, output_path, schedule, playlist_type, dead_channel_action, dead_channel_threshold, auto_add_new_channels) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+  ).run(name, source_id || null, output_path || null, schedule || '0 */6 * * *', playlist_type || 'live', dead_channel_action, parseInt(dead_channel_threshold, 10), auto_add_new_channels ? 1 : 0)
+  syncJobs()
   res.json(db.prepare('SELECT * FROM playlists WHERE id = ?').get(result.lastInsertRowid))
 })
 
 router.put('/playlists/:id', (req, res) => {
-  const { name, source_id, output_path, schedule, playlist_type } = req.body
+  const { name, source_id, output_path, schedule, playlist_type, dead_channel_action, dead_channel_threshold, auto_add_new_channels } = req.body
+  const existing = db.prepare('SELECT output_path FROM playlists WHERE id = ?').get(req.params.id)
+  if (rejectOutputPathChange(req, res, existing?.output_path)) return
+  if (schedule && !isValidCron(schedule)) return res.status(400).json({ error: 'Invalid cron expression' })
+  const invalid = validateDeadChannelSettings(req.body)
+  if (invalid) return res.status(400).json({ error: invalid })
   db.prepare(
     'UPDATE playlists SET name=?, source_id=?, output_path=?, schedule=?, playlist_type=? WHERE id=?'
   ).run(name, source_id || null, output_path || null, schedule || '0 */6 * * *', playlist_type || 'live', req.params.id)
+  // Older clients don't send the dead channel or auto-add settings; keep the stored values then
+  db.prepare(
+    'UPDATE playlists SET dead_channel_action = COALESCE(?, dead_channel_action), dead_channel_threshold = COALESCE(?, dead_channel_threshold), auto_add_new_channels = COALESCE(?, auto_add_new_channels) WHERE id = ?'
+  ).run(dead_channel_action ?? null, dead_channel_threshold !== undefined ? parseInt(dead_channel_threshold, 10) : null, auto_add_new_channels !== undefined ? (auto_add_new_channels ? 1 : 0) : null, req.params.id)
   invalidatePlaylistXmltvCache(req.params.id)
+  syncJobs()
   res.json(db.prepare('SELECT * FROM playlists WHERE id = ?').get(req.params.id))
 })
 
 router.delete('/playlists/:id', (req, res) => {
   db.prepare('DELETE FROM playlists WHERE id = ?').run(req.params.id)
   invalidatePlaylistXmltvCache(req.params.id)
+  syncJobs()
   res.json({ ok: true })
 })
 
@@ -177,8 +203,9 @@ router.post('/playlists/cleanup-orphans', (req, res) => {
 // PATCH schedule only — used by the scheduler UI
 router.patch('/playlists/:id/schedule', (req, res) => {
   const { schedule } = req.body
-  if (schedule && !cron.validate(schedule)) return res.status(400).json({ error: 'Invalid cron expression' })
+  if (schedule && !isValidCron(schedule)) return res.status(400).json({ error: 'Invalid cron expression' })
   db.prepare('UPDATE playlists SET schedule = ? WHERE id = ?').run(schedule || null, req.params.id)
+  syncJobs()
   res.json({ ok: true })
 })
 
@@ -187,7 +214,7 @@ router.get('/playlists/schedules', (req, res) => {
   const playlists = db.prepare('SELECT id, name, schedule, last_built, output_path, (SELECT COUNT(*) FROM playlist_channels WHERE playlist_id = playlists.id) as channel_count FROM playlists ORDER BY name').all()
   res.json(playlists.map(p => ({
     ...p,
-    schedule_valid: p.schedule ? cron.validate(p.schedule) : false,
+    schedule_valid: p.schedule ? isValidCron(p.schedule) : false,
   })))
 })
 
@@ -309,6 +336,7 @@ router.get('/playlists/:id/selection', (req, res) => {
 router.put('/playlists/:id/channels', (req, res) => {
   const { channels } = req.body // array of channel objects
   if (!Array.isArray(channels)) return res.status(400).json({ error: 'channels must be array' })
+  if (rejectSmartPlaylist(req.params.id, res)) return
   const insert = db.prepare(
     'INSERT INTO playlist_channels (playlist_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, custom_tvg_id, sort_order, source_id, epg_source_id, content_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
   )
@@ -320,6 +348,7 @@ router.put('/playlists/:id/channels', (req, res) => {
     })
   })
   replaceAll(req.params.id, channels)
+  syncPlaylistChannelOptions({ playlistId: req.params.id })
   invalidatePlaylistXmltvCache(req.params.id)
   res.json({ ok: true, count: channels.length })
 })
@@ -329,6 +358,7 @@ router.put('/playlists/:id/channels', (req, res) => {
 router.put('/playlists/:id/channels-by-groups', (req, res) => {
   const { sourceId, groups, overrides = {} } = req.body
   if (!groups || typeof groups !== 'object') return res.status(400).json({ error: 'groups required' })
+  if (rejectSmartPlaylist(req.params.id, res)) return
 
   const insert = db.prepare(
     'INSERT INTO playlist_channels (playlist_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, custom_tvg_id, sort_order, source_id, epg_source_id, content_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
@@ -387,6 +417,7 @@ router.put('/playlists/:id/channels-by-groups', (req, res) => {
   })
 
   const count = replaceAll(req.params.id)
+  syncPlaylistChannelOptions({ playlistId: req.params.id })
   invalidatePlaylistXmltvCache(req.params.id)
   res.json({ ok: true, count })
 })
@@ -407,6 +438,8 @@ router.put('/playlists/:id/group-order', (req, res) => {
   const { order } = req.body
   if (!Array.isArray(order)) return res.status(400).json({ error: 'order must be array' })
   db.prepare('UPDATE playlists SET group_order = ? WHERE id = ?').run(JSON.stringify(order), req.params.id)
+  // Smart playlists sort by group order when they're set to
+  applySmartPlaylist(req.params.id)
   invalidatePlaylistXmltvCache(req.params.id)
   res.json({ ok: true })
 })
@@ -458,6 +491,7 @@ router.post('/playlists/:id/build', async (req, res) => {
     seen.add(ch.normalized_name)
     return true
   })
+  channels = withChannelNumbers(applyDeadChannelPolicy(channels, playlist), playlist.id)
 
   const epgRows = db.prepare('SELECT * FROM epg_mappings').all()
   const epgMap = new Map(epgRows.map(r => [r.source_tvg_id, r.target_tvg_id]))
@@ -549,6 +583,7 @@ router.get('/playlists/:id/m3u', async (req, res) => {
     // No group order - sort by channel number globally
     channels = [...channels].sort((a, b) => (a.sort_order || 9999) - (b.sort_order || 9999))
   }
+  channels = withChannelNumbers(applyDeadChannelPolicy(channels, playlist), playlist.id)
 
   // Append composite streams assigned to this playlist
   const composites = db.prepare(`
@@ -668,6 +703,7 @@ router.get('/playlists/:id/xmltv', async (req, res) => {
     if (a.sort_order !== b.sort_order) return a.sort_order - b.sort_order
     return a.id - b.id
   })
+  withChannelNumbers(channels, playlist.id)
 
   const mappedChannels = channels.filter(ch => ch.epg_id && ch.epg_id.trim())
   const compress = req.query.compress === 'true'
@@ -681,7 +717,7 @@ router.get('/playlists/:id/xmltv', async (req, res) => {
     return res.send(`<?xml version="1.0" encoding="UTF-8"?>\n<tv generator-info-name="m3u4prox"></tv>`)
   }
 
-  const relevantSourceIds = getRelevantEpgSources(mappedChannels, epgMappings)
+  const relevantSourceIds = getRelevantEpgSources(mappedChannels)
   const cacheRows = relevantSourceIds.length ? relevantSourceIds.map(id => ({ source_id: id, channel_count: 0 })) : []
 
   const proto  = req.headers['x-forwarded-proto'] || req.protocol
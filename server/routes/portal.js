@@ -1,60 +1,542 @@
+/**
+ * MAG / Stalker portal emulation
+ *
+ * Set-top boxes identify themselves by MAC address (the `mac` cookie, or ?mac=),
+ * which is mapped to a users row via users.mac_address. `handshake` issues a
+ * token that the box sends back as `Authorization: Bearer <token>`; the token is
+ * also embedded in stream links:
+ *
+ *   /portal.php, /server/load.php, /stalker_portal/server/load.php   (API)
+ *   /portal/live/:token/:id.ts
+ *   /portal/movie/:token/:id.ext
+ *   /portal/series/:token/:id.ext
+ *
+ * Catalogue, EPG and stream delivery reuse the Xtream builders in xtream.js, so
+ * both APIs serve the same playlists. ?username=&password= is still accepted
+ * for the favorites actions.
+ */
+
 import { Router } from 'express'
+import { randomBytes } from 'node:crypto'
 import db from '../db.js'
+import { getFavoriteIds, setFavoriteIds, addFavorite, removeFavorite } from '../favorites.js'
+import { loadPrecedence, mergeProgrammes } from '../epgMerge.js'
+import {
+  getBaseUrl, getEpgMap, getTargetEpgId, getLiveEpgListings, lookupUser,
+  getUserLiveChannels, getUserVodPlaylistIds, getMovieChannels, getSeriesChannels,
+  buildCategories, buildStreams, buildVodCategories, buildVodStreams,
+  buildSeriesCategories, buildSeriesList, buildSeriesInfo,
+  streamLiveToUser, streamVodToUser,
+} from '../xtream.js'
 
 const router = Router()
 
-// Helper to lookup user by username/password
-async function lookupUser(username, password) {
-  return db.prepare('SELECT * FROM users WHERE username = ? AND password = ?').get(username, password)
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000
+const MAX_PAGE_ITEMS = 14
+const MAC_RE = /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/
+
+// Accepts 00:1a:79:..., 00-1A-79-... or 001A79...; returns AA:BB:CC:DD:EE:FF or null
+export function normalizeMac(value) {
+  if (!value) return null
+  const hex = String(value).toUpperCase().replace(/[^0-9A-F]/g, '')
+  if (hex.length !== 12) return null
+  const mac = hex.match(/.{2}/g).join(':')
+  return MAC_RE.test(mac) ? mac : null
+}
+
+// ── Sessions ──────────────────────────────────────────────────────────────────
+function getMacFromRequest(req) {
+  const cookies = Object.fromEntries(
+    String(req.headers.cookie || '').split(';')
+      .map(part => part.trim().split('='))
+      .filter(([k]) => k)
+      .map(([k, ...v]) => [k, decodeURIComponent(v.join('='))])
+  )
+  return normalizeMac(cookies.mac || req.query.mac)
 }
 
-// MAG Portal API - Favorites
-router.get('/portal.php', async (req, res) => {
-  const { type, action, username, password } = req.query
+function getBearerToken(req) {
+  const header = req.headers.authorization || ''
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : ''
+}
 
-  // Auth check
-  if (!username || !password) {
-    return res.json({ js: { error: 'Authentication required' } })
+function isUsable(user) {
+  return user && user.active && !(user.expires_at && new Date(user.expires_at) < new Date())
+}
+
+function getUserByMac(mac) {
+  if (!mac) return null
+  const user = db.prepare('SELECT * FROM users WHERE mac_address = ?').get(mac)
+  return isUsable(user) ? user : null
+}
+
+function createSession(user, mac) {
+  db.prepare("DELETE FROM portal_sessions WHERE datetime(expires_at) <= datetime('now')").run()
+  const token = randomBytes(16).toString('hex').toUpperCase()
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  db.prepare('INSERT INTO portal_sessions (token, user_id, mac_address, expires_at) VALUES (?, ?, ?, ?)')
+    .run(token, user.id, mac, expiresAt)
+  db.prepare(`UPDATE users SET last_connected_at = datetime('now') WHERE id = ?`).run(user.id)
+  return token
+}
+
+function getSessionUser(token) {
+  if (!token) return null
+  const user = db.prepare(`
+    SELECT u.* FROM portal_sessions ps
+    JOIN users u ON u.id = ps.user_id
+    WHERE ps.token = ? AND datetime(ps.expires_at) > datetime('now')
+  `).get(token)
+  if (!isUsable(user)) return null
+  user.portalToken = token
+  return user
+}
+
+// Resolve the caller: bearer token first, then username/password (legacy favorites calls)
+async function authenticate(req) {
+  const user = getSessionUser(getBearerToken(req))
+  if (user) return user
+  const { username, password } = req.query
+  if (username && password) return lookupUser(username, password)
+  return null
+}
+
+// ── Response builders ─────────────────────────────────────────────────────────
+function paginate(items, page) {
+  const p = Math.max(1, parseInt(page, 10) || 1)
+  return {
+    total_items:    items.length,
+    max_page_items: MAX_PAGE_ITEMS,
+    selected_item:  0,
+    cur_page:       p,
+    data:           items.slice((p - 1) * MAX_PAGE_ITEMS, p * MAX_PAGE_ITEMS),
   }
+}
 
-  const user = await lookupUser(username, password)
-  if (!user) {
-    return res.json({ js: { error: 'Invalid credentials' } })
+function toGenres(categories) {
+  return [
+    { id: '*', title: 'All', alias: '*', censored: 0 },
+    ...categories.map(c => ({ id: c.category_id, title: c.category_name, alias: c.category_name, censored: 0 })),
+  ]
+}
+
+// Token-authenticated boxes get portal links; username/password callers get the
+// same /live, /movie and /series URLs the Xtream API hands out
+function streamLink(base, user, kind, id, extension) {
+  if (user.portalToken) return `ffmpeg ${base}/portal/${kind}/${user.portalToken}/${id}.${extension}`
+  const creds = `${encodeURIComponent(user.username)}/${encodeURIComponent(user.xtreamPassword).replace(/%24/g, '$')}`
+  return `ffmpeg ${base}/${kind}/${creds}/${id}.${extension}`
+}
+
+// The id is the last path segment of any link we handed out, regardless of token
+function parseLinkId(cmd) {
+  return String(cmd || '').match(/\/(\d+)(?:\.\w+)?\s*$/)?.[1] || null
+}
+
+function parseMeta(meta) {
+  if (!meta) return {}
+  if (typeof meta === 'object') return meta
+  try { return JSON.parse(meta) } catch { return {} }
+}
+
+function formatPortalDate(date) {
+  return new Date(date).toISOString().slice(0, 19).replace('T', ' ')
+}
+
+function toStalkerProgramme(entry, channelId) {
+  const start = new Date(entry.start)
+  const stop  = new Date(entry.stop)
+  const startTs = Math.floor(start.getTime() / 1000)
+  const stopTs  = Math.floor(stop.getTime() / 1000)
+  return {
+    id:              `${channelId}_${startTs}`,
+    ch_id:           String(channelId),
+    time:            formatPortalDate(start),
+    time_to:         formatPortalDate(stop),
+    duration:        stopTs - startTs,
+    name:            entry.title || '',
+    descr:           entry.desc || '',
+    real_id:         `${channelId}_${startTs}`,
+    start_timestamp: startTs,
+    stop_timestamp:  stopTs,
+    t_time:          formatPortalDate(start).slice(11, 16),
+    t_time_to:       formatPortalDate(stop).slice(11, 16),
+    mark_memo:       0,
+    mark_archive:    0,
+    mark_rec:        0,
+  }
+}
+
+// XMLTV-style "YYYYMMDDHHmmss +0000" or ISO → Date
+function parseProgrammeDate(value) {
+  const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*([+-]\d{4})?/)
+  if (!m) return new Date(value)
+  const [, y, mo, d, h, mi, s, tz = '+0000'] = m
+  return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${tz.slice(0, 3)}:${tz.slice(3)}`)
+}
+
+// Bulk guide for get_epg_info — one query against epg_programmes instead of
+// scanning the XMLTV cache once per channel
+function getEpgInfo(channels, epgMap, hours) {
+  const from = Date.now()
+  const to   = from + hours * 3600 * 1000
+  const byEpgId = new Map()
+  for (const ch of channels) {
+    const epgId = getTargetEpgId(ch, epgMap)
+    if (!epgId) continue
+    if (!byEpgId.has(epgId)) byEpgId.set(epgId, [])
+    byEpgId.get(epgId).push(ch.id)
+  }
+  const data = {}
+  const ids = [...byEpgId.keys()]
+  if (!ids.length) return data
+
+  const rowsByEpgId = new Map()
+  for (const row of db.prepare(`
+    SELECT source_id, channel_id, start, stop, title, desc FROM epg_programmes
+    WHERE channel_id IN (${ids.map(() => '?').join(',')})
+  `).iterate(...ids)) {
+    if (!rowsByEpgId.has(row.channel_id)) rowsByEpgId.set(row.channel_id, [])
+    rowsByEpgId.get(row.channel_id).push(row)
+  }
+  const precedence = loadPrecedence()
+  const rows = [...rowsByEpgId].flatMap(([epgId, list]) => mergeProgrammes(list, precedence.orderFor(epgId)))
+  for (const row of rows) {
+    const start = parseProgrammeDate(row.start)
+    const stop  = parseProgrammeDate(row.stop)
+    if (stop.getTime() < from || start.getTime() > to) continue
+    for (const chId of byEpgId.get(row.channel_id)) {
+      if (!data[chId]) data[chId] = []
+      data[chId].push(toStalkerProgramme({ ...row, start, stop }, chId))
+    }
   }
+  for (const list of Object.values(data)) list.sort((a, b) => a.start_timestamp - b.start_timestamp)
+  return data
+}
+
+// Series seasons are listed as VOD items; their cmd encodes the season and
+// create_link picks the episode from the `series` parameter
+function encodeSeasonCmd(seriesId, season) {
+  return Buffer.from(JSON.stringify({ type: 'series', series_id: seriesId, season_num: season })).toString('base64')
+}
 
-  // Handle favorites actions
-  if (type === 'itv' || type === 'vod' || type === 'series') {
-    if (action === 'set_fav') {
-      const favCh = req.query.fav_ch || ''
+function decodeSeasonCmd(cmd) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cmd || ''), 'base64').toString('utf8'))
+    return data?.type === 'series' ? data : null
+  } catch {
+    return null
+  }
+}
 
-      // Store favorites as comma-separated string
-      const stmt = db.prepare(`
-        INSERT INTO user_favorites (user_id, content_type, channel_ids, updated_at)
-        VALUES (?, ?, ?, strftime('%s', 'now'))
-        ON CONFLICT(user_id, content_type)
-        DO UPDATE SET channel_ids = excluded.channel_ids, updated_at = excluded.updated_at
-      `)
+// ── Handlers per type ─────────────────────────────────────────────────────────
+function handleStb(req, res, action) {
+  switch (action) {
+    case 'handshake': {
+      const mac  = getMacFromRequest(req)
+      const user = getUserByMac(mac)
+      if (!user) {
+        console.log(`[portal] Handshake rejected for MAC ${mac || '(none)'}`)
+        return res.json({ js: { error: 'Unknown MAC address' } })
+      }
+      console.log(`[portal] Handshake from ${mac} (${user.username})`)
+      return res.json({ js: { token: createSession(user, mac), random: randomBytes(20).toString('hex') } })
+    }
+    default:
+      return null
+  }
+}
 
-      stmt.run(user.id, type, favCh)
+function handleProfile(req, res, action, user) {
+  switch (action) {
+    case 'get_profile':
+      return res.json({ js: {
+        id:                    user.id,
+        name:                  user.username,
+        login:                 user.username,
+        mac:                   user.mac_address || '',
+        status:                0,
+        blocked:               '0',
+        stb_type:              req.query.stb_type || 'MAG250',
+        locale:                'en_GB.utf8',
+        fav_itv_on:            0,
+        play_in_preview_by_ok: true,
+        watchdog_timeout:      120,
+        expire_billing_date:   user.expires_at || '0000-00-00 00:00:00',
+        timeslot:              0,
+      } })
+    case 'do_auth':
+      return res.json({ js: true })
+    case 'get_localization':
+      return res.json({ js: {} })
+    case 'get_modules':
+      return res.json({ js: { all_modules: ['tv', 'vclub', 'sclub'], switchable_modules: [], disabled_modules: [], restricted_modules: [] } })
+    case 'log':
+    case 'set_played':
+      return res.json({ js: true })
+    case 'get_events':
+      return res.json({ js: { data: { msgs: 0, id: 0, event: '' } } })
+    case 'get_main_info':
+      return res.json({ js: {
+        mac:   user.mac_address || '',
+        phone: user.expires_at ? formatPortalDate(user.expires_at) : 'Unlimited',
+        fname: user.username,
+      } })
+    default:
+      return null
+  }
+}
 
+function handleFavorites(req, res, type, action, user) {
+  switch (action) {
+    case 'set_fav':
+      if (req.query.fav_ch !== undefined) setFavoriteIds(user.id, type, req.query.fav_ch || '')
+      else if (req.query.video_id) addFavorite(user.id, type, parseInt(req.query.video_id, 10))
+      return res.json({ js: { success: true } })
+    case 'del_fav':
+      if (req.query.video_id) removeFavorite(user.id, type, req.query.video_id)
       return res.json({ js: { success: true } })
+    case 'get_fav_ids':
+      return res.json({ js: getFavoriteIds(user.id, type).join(',') })
+    default:
+      return null
+  }
+}
+
+function handleItv(req, res, action, user, base) {
+  const channels = getUserLiveChannels(user)
+  const epgMap   = getEpgMap()
+  const favIds   = new Set(getFavoriteIds(user.id, 'itv'))
+
+  const toChannel = s => ({
+    id:                String(s.stream_id),
+    name:              s.name,
+    number:            String(s.num),
+    cmd:               streamLink(base, user, 'live', s.stream_id, 'ts'),
+    logo:              s.stream_icon,
+    tv_genre_id:       s.category_id,
+    xmltv_id:          s.epg_channel_id,
+    use_http_tmp_link: 0,
+    censored:          0,
+    status:            1,
+    archive:           0,
+    fav:               favIds.has(s.stream_id) ? 1 : 0,
+  })
+  const listChannels = () => buildStreams(channels, base, epgMap, null).map(toChannel)
+
+  switch (action) {
+    case 'get_genres':
+      return res.json({ js: toGenres(buildCategories(channels)) })
+
+    case 'get_all_channels': {
+      const data = listChannels()
+      return res.json({ js: { total_items: data.length, max_page_items: data.length, data } })
+    }
+
+    case 'get_all_fav_channels': {
+      const data = listChannels().filter(c => c.fav)
+      return res.json({ js: { total_items: data.length, max_page_items: data.length, data } })
+    }
+
+    case 'get_ordered_list': {
+      const { genre, fav, sortby, search } = req.query
+      let data = listChannels()
+      if (genre && genre !== '*') data = data.filter(c => c.tv_genre_id === String(genre))
+      if (fav === '1') data = data.filter(c => c.fav)
+      if (search) data = data.filter(c => c.name.toLowerCase().includes(String(search).toLowerCase()))
+      if (sortby === 'name') data = [...data].sort((a, b) => a.name.localeCompare(b.name))
+      return res.json({ js: paginate(data, req.query.p) })
+    }
+
+    case 'create_link': {
+      const id = parseLinkId(req.query.cmd)
+      if (!id || !channels.some(ch => String(ch.id) === id)) return res.json({ js: { error: 'Channel not found' } })
+      return res.json({ js: { id, cmd: streamLink(base, user, 'live', id, 'ts') } })
+    }
+
+    case 'get_short_epg': {
+      const ch = channels.find(c => String(c.id) === String(req.query.ch_id))
+      if (!ch) return res.json({ js: [] })
+      const size = Math.min(parseInt(req.query.size, 10) || 4, 50)
+      return res.json({ js: getLiveEpgListings(ch, epgMap, size).map(entry => toStalkerProgramme(entry, ch.id)) })
+    }
+
+    case 'get_epg_info': {
+      const hours = Math.min(parseInt(req.query.period, 10) || 3, 48)
+      return res.json({ js: { data: getEpgInfo(channels, epgMap, hours) } })
+    }
+
+    default:
+      return handleFavorites(req, res, 'itv', action, user)
+  }
+}
+
+function handleVod(req, res, action, user, base) {
+  const movies = getMovieChannels(getUserVodPlaylistIds(user))
+  const favIds = new Set(getFavoriteIds(user.id, 'vod'))
+
+  switch (action) {
+    case 'get_categories':
+      return res.json({ js: toGenres(buildVodCategories(movies)) })
+
+    case 'get_ordered_list': {
+      const { category, fav, sortby, search } = req.query
+      let data = buildVodStreams(movies, base, null).map((s, idx) => {
+        const meta = parseMeta(movies[idx].meta)
+        return {
+          id:             String(s.stream_id),
+          name:           s.name,
+          o_name:         s.name,
+          description:    meta.plot || meta.description || '',
+          screenshot_uri: s.stream_icon,
+          category_id:    s.category_id,
+          genres_str:     meta.genre || '',
+          year:           meta.year || meta.releasedate || '',
+          director:       meta.director || '',
+          actors:         meta.cast || meta.actors || '',
+          rating_imdb:    s.rating,
+          cmd:            streamLink(base, user, 'movie', s.stream_id, s.container_extension),
+          hd:             1,
+          censored:       0,
+          has_files:      0,
+          is_series:      0,
+          fav:            favIds.has(s.stream_id) ? 1 : 0,
+        }
+      })
+      if (category && category !== '*') data = data.filter(v => v.category_id === String(category))
+      if (fav === '1') data = data.filter(v => v.fav)
+      if (search) data = data.filter(v => v.name.toLowerCase().includes(String(search).toLowerCase()))
+      if (sortby === 'name') data = [...data].sort((a, b) => a.name.localeCompare(b.name))
+      return res.json({ js: paginate(data, req.query.p) })
+    }
+
+    case 'create_link': {
+      if (decodeSeasonCmd(req.query.cmd)) return null // episode links are resolved by the series handler
+      const id = parseLinkId(req.query.cmd)
+      const movie = id ? movies.find(m => String(m.id) === id) : null
+      if (!movie) return res.json({ js: { error: 'Video not found' } })
+      const extension = buildVodStreams([movie], base, null)[0].container_extension
+      return res.json({ js: { id, cmd: streamLink(base, user, 'movie', id, extension) } })
     }
 
-    if (action === 'get_fav_ids') {
-      const row = db.prepare(`
-        SELECT channel_ids
-        FROM user_favorites
-        WHERE user_id = ? AND content_type = ?
-      `).get(user.id, type)
+    default:
+      return handleFavorites(req, res, 'vod', action, user)
+  }
+}
+
+async function handleSeries(req, res, action, user, base) {
+  const episodes = getSeriesChannels(getUserVodPlaylistIds(user))
+  const favIds   = new Set(getFavoriteIds(user.id, 'series'))
+
+  switch (action) {
+    case 'get_categories':
+      return res.json({ js: toGenres(buildSeriesCategories(episodes)) })
+
+    case 'get_ordered_list': {
+      const { category, movie_id, fav, search } = req.query
 
-      const favIds = row?.channel_ids || ''
+      // Inside a series: one item per season, episodes listed in `series`
+      if (movie_id) {
+        const seriesId = parseInt(String(movie_id).split(':')[0], 10)
+        const info = await buildSeriesInfo(seriesId, episodes, base, null, null)
+        const data = (info.seasons || []).map(season => ({
+          id:             `${seriesId}:${season.season_number}`,
+          name:           season.name,
+          o_name:         season.name,
+          screenshot_uri: season.cover || '',
+          description:    info.info?.plot || '',
+          series:         (info.episodes[String(season.season_number)] || []).map(ep => ep.episode_num),
+          cmd:            encodeSeasonCmd(seriesId, season.season_number),
+          is_season:      1,
+          censored:       0,
+        }))
+        return res.json({ js: paginate(data, req.query.p) })
+      }
 
-      return res.json({ js: favIds })
+      let data = buildSeriesList(episodes).map(s => ({
+        id:             s.series_id,
+        name:           s.name,
+        o_name:         s.name,
+        description:    s.plot,
+        screenshot_uri: s.cover,
+        category_id:    s.category_id,
+        genres_str:     s.genre,
+        year:           s.releaseDate,
+        director:       s.director,
+        actors:         s.cast,
+        rating_imdb:    s.rating,
+        is_series:      1,
+        censored:       0,
+        fav:            favIds.has(Number(s.series_id)) ? 1 : 0,
+      }))
+      if (category && category !== '*') data = data.filter(s => s.category_id === String(category))
+      if (fav === '1') data = data.filter(s => s.fav)
+      if (search) data = data.filter(s => s.name.toLowerCase().includes(String(search).toLowerCase()))
+      return res.json({ js: paginate(data, req.query.p) })
     }
+
+    case 'create_link': {
+      const season = decodeSeasonCmd(req.query.cmd)
+      const episodeNum = parseInt(req.query.series, 10)
+      if (!season || !episodeNum) return res.json({ js: { error: 'Episode not found' } })
+      const info = await buildSeriesInfo(season.series_id, episodes, base, null, null)
+      const ep = (info.episodes[String(season.season_num)] || []).find(e => e.episode_num === episodeNum)
+      if (!ep) return res.json({ js: { error: 'Episode not found' } })
+      return res.json({ js: { id: ep.id, cmd: streamLink(base, user, 'series', ep.id, ep.container_extension) } })
+    }
+
+    default:
+      return handleFavorites(req, res, 'series', action, user)
+  }
+}
+
+// ── Portal API ────────────────────────────────────────────────────────────────
+const handlePortal = async (req, res) => {
+  const { type, action } = req.query
+
+  if (type === 'stb' && action === 'handshake') return handleStb(req, res, action)
+
+  const user = await authenticate(req)
+  if (!user) {
+    // A stale bearer token makes the box handshake again
+    if (getBearerToken(req)) return res.status(401).json({ js: { error: 'Authorization failed' } })
+    return res.json({ js: { error: 'Authentication required' } })
+  }
+  const base = getBaseUrl(req)
+
+  let handled = null
+  if (type === 'stb' || type === 'account_info' || type === 'watchdog') {
+    handled = handleProfile(req, res, action, user)
+  } else if (type === 'itv') {
+    handled = handleItv(req, res, action, user, base)
+  } else if (type === 'vod') {
+    handled = handleVod(req, res, action, user, base)
+    if (!handled && action === 'create_link') handled = await handleSeries(req, res, action, user, base)
+  } else if (type === 'series') {
+    handled = await handleSeries(req, res, action, user, base)
   }
+  if (handled) return
 
   // Default response for unsupported actions
   return res.json({ js: { error: 'Unsupported action' } })
-})
+}
+
+router.get('/portal.php', handlePortal)
+router.get('/server/load.php', handlePortal)
+router.get('/stalker_portal/server/load.php', handlePortal)
+
+// ── Stream links ──────────────────────────────────────────────────────────────
+function streamRoute(deliver) {
+  return async (req, res) => {
+    const user = getSessionUser(req.params.token)
+    if (!user) return res.status(401).send('Unauthorized')
+    const channelId = String(req.params.id).replace(/\.\w+$/, '')
+    await deliver(req, res, user, channelId)
+  }
+}
+
+router.get('/portal/live/:token/:id', streamRoute(streamLiveToUser))
+router.get('/portal/movie/:token/:id', streamRoute((req, res, user, id) => streamVodToUser(req, res, user, id)))
+router.get('/portal/series/:token/:id', streamRoute((req, res, user, id) => streamVodToUser(req, res, user, id, 'Series')))
 
 export default router
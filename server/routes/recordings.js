@@ -0,0 +1,102 @@
+import express from 'express'
+import db from '../db.js'
+import {
+  createRecordingRule, deleteRecordingRule, deleteRecording, stopRecording,
+  getChannelEpgId, getActiveRecordings, getDefaultPadding,
+} from '../dvr.js'
+import { setSettingValue } from '../settings-cache.js'
+
+const router = express.Router()
+
+// ── Recordings ────────────────────────────────────────────────────────────────
+router.get('/recordings', (req, res) => {
+  const { status } = req.query
+  const rows = status
+    ? db.prepare('SELECT * FROM recordings WHERE status = ? ORDER BY start_at DESC').all(status)
+    : db.prepare('SELECT * FROM recordings ORDER BY start_at DESC').all()
+  const active = new Map(getActiveRecordings().map(r => [r.id, r]))
+  res.json(rows.map(r => ({ ...r, bytes_recorded: active.get(r.id)?.bytes ?? null })))
+})
+
+// POST /api/recordings
+// Body: { channel_id, programme_id? | start, type: 'once'|'series', padding_before?, padding_after? }
+// channel_id is the playlist channel to record from; the programme is looked up in
+// epg_programmes by id, or by the channel's EPG id and start time (as the guide grid sends it)
+router.post('/recordings', (req, res) => {
+  const { channel_id, programme_id, start, type = 'once', padding_before, padding_after } = req.body || {}
+  if (!channel_id) return res.status(400).json({ error: 'channel_id required' })
+  if (!['once', 'series'].includes(type)) return res.status(400).json({ error: "type must be 'once' or 'series'" })
+
+  const channel = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channel_id)
+  if (!channel) return res.status(404).json({ error: 'Channel not found' })
+  if (channel.content_type === 'movie' || channel.content_type === 'series') {
+    return res.status(400).json({ error: 'Only live channels can be recorded' })
+  }
+
+  let programme = null
+  if (programme_id) {
+    programme = db.prepare('SELECT * FROM epg_programmes WHERE id = ?').get(programme_id)
+  } else if (start) {
+    const startMs = new Date(start).getTime()
+    const epgId = getChannelEpgId(channel)
+    programme = db.prepare('SELECT * FROM epg_programmes WHERE channel_id = ?').all(epgId)
+      .find(p => new Date(p.start).getTime() === startMs) || null
+  } else {
+    return res.status(400).json({ error: 'programme_id or start required' })
+  }
+  if (!programme) return res.status(404).json({ error: 'Programme not found in EPG' })
+  if (new Date(programme.stop).getTime() <= Date.now()) {
+    return res.status(400).json({ error: 'Programme has already ended' })
+  }
+
+  const rule = createRecordingRule(programme, channel, {
+    type,
+    paddingBefore: padding_before !== undefined ? parseInt(padding_before, 10) || 0 : undefined,
+    paddingAfter:  padding_after !== undefined ? parseInt(padding_after, 10) || 0 : undefined,
+  })
+  const recordings = db.prepare('SELECT * FROM recordings WHERE rule_id = ? ORDER BY start_at').all(rule.id)
+  res.json({ rule, recordings })
+})
+
+router.post('/recordings/:id/stop', (req, res) => {
+  if (!stopRecording(req.params.id)) return res.status(404).json({ error: 'Recording is not in progress' })
+  res.json({ ok: true })
+})
+
+router.delete('/recordings/:id', (req, res) => {
+  if (!deleteRecording(req.params.id)) return res.status(404).json({ error: 'Recording not found' })
+  res.json({ ok: true })
+})
+
+// ── Rules ─────────────────────────────────────────────────────────────────────
+router.get('/recording-rules', (req, res) => {
+  const rules = db.prepare(`
+    SELECT rr.*, pc.tvg_name as channel_name,
+           (SELECT COUNT(*) FROM recordings r WHERE r.rule_id = rr.id AND r.status = 'scheduled') as scheduled_count
+    FROM recording_rules rr
+    LEFT JOIN playlist_channels pc ON pc.id = rr.channel_id
+    ORDER BY rr.created_at DESC
+  `).all()
+  res.json(rules)
+})
+
+router.delete('/recording-rules/:id', (req, res) => {
+  if (!deleteRecordingRule(req.params.id)) return res.status(404).json({ error: 'Rule not found' })
+  res.json({ ok: true })
+})
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+router.get('/recordings/settings', (req, res) => {
+  const { before, after } = getDefaultPadding()
+  res.json({ padding_before: before, padding_after: after })
+})
+
+router.put('/recordings/settings', (req, res) => {
+  const { padding_before, padding_after } = req.body || {}
+  if (padding_before !== undefined) setSettingValue('dvr_padding_before', String(Math.max(0, parseInt(padding_before, 10) || 0)))
+  if (padding_after !== undefined) setSettingValue('dvr_padding_after', String(Math.max(0, parseInt(padding_after, 10) || 0)))
+  const { before, after } = getDefaultPadding()
+  res.json({ padding_before: before, padding_after: after })
+})
+
+export default router
@@ -0,0 +1,36 @@
+import express from 'express'
+import { listJobs, getJob, getJobRuns, runJob, updateJobSettings, getServerTimezone } from '../services/scheduler.js'
+
+const router = express.Router()
+
+// GET /api/scheduler/jobs — every registered job with next/last run
+router.get('/scheduler/jobs', (req, res) => {
+  res.json({ timezone: getServerTimezone(), jobs: listJobs() })
+})
+
+router.get('/scheduler/jobs/:id/runs', (req, res) => {
+  if (!getJob(req.params.id)) return res.status(404).json({ error: 'Job not found' })
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500)
+  res.json(getJobRuns(req.params.id, limit))
+})
+
+// PUT /api/scheduler/jobs/:id — { timezone: string|null, catch_up: boolean }
+router.put('/scheduler/jobs/:id', (req, res) => {
+  if (!getJob(req.params.id)) return res.status(404).json({ error: 'Job not found' })
+  try {
+    res.json(updateJobSettings(req.params.id, req.body || {}))
+  } catch (e) {
+    res.status(400).json({ error: e.message })
+  }
+})
+
+// POST /api/scheduler/jobs/:id/run — start the job now; it keeps running in the background
+router.post('/scheduler/jobs/:id/run', (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) return res.status(404).json({ error: 'Job not found' })
+  if (job.running) return res.status(409).json({ error: 'Job is already running' })
+  runJob(job.id, 'manual').catch(() => {})
+  res.status(202).json({ ok: true, job: getJob(job.id) })
+})
+
+export default router
@@ -1,6 +1,8 @@
 import express from 'express'
 import db from '../db.js'
-import { startContentUpdateScheduler, startEpgGrabCron, startEnrichCron } from '../services/scheduler.js'
+import { syncJobs, isValidTimezone, SCHEDULE_SETTING_KEYS } from '../services/scheduler.js'
+import { enqueueJob, waitForJob } from '../services/jobQueue.js'
+import { isValidCron } from '../cronExpression.js'
 import { getSettingsByPrefix, setSettingsValues } from '../settings-cache.js'
 
 const router = express.Router()
@@ -36,20 +38,17 @@ router.get('/settings', (req, res) => {
 })
 
 router.put('/settings', (req, res) => {
+  const tz = req.body?.scheduler_timezone
+  if (tz && !isValidTimezone(tz)) return res.status(400).json({ error: `Unknown timezone: ${tz}` })
+  const badSchedule = SCHEDULE_SETTING_KEYS.find(key => key.endsWith('_schedule') && req.body?.[key] && !isValidCron(req.body[key]))
+  if (badSchedule) return res.status(400).json({ error: `Invalid cron expression for ${badSchedule}` })
+
   setSettingsValues(req.body)
 
-  // Restart cron jobs if schedules changed
-  if ('epg_grab_schedule' in req.body) {
-    console.log('[settings] EPG grab schedule updated, restarting cron...')
-    startEpgGrabCron()
-  }
-  if ('epg_enrich_schedule' in req.body) {
-    console.log('[settings] TMDB enrichment schedule updated, restarting cron...')
-    startEnrichCron()
-  }
-  if ('live_refresh_schedule' in req.body || 'movie_refresh_schedule' in req.body || 'series_refresh_schedule' in req.body) {
-    console.log('[settings] Content update schedules changed, restarting scheduler...')
-    startContentUpdateScheduler()
+  // Reschedule jobs if schedules or the server timezone changed
+  if (SCHEDULE_SETTING_KEYS.some(key => key in req.body)) {
+    console.log('[settings] Schedules updated, resyncing scheduler...')
+    syncJobs()
   }
 
   res.json({ ok: true })
@@ -65,7 +64,9 @@ router.get('/vod/settings', (req, res) => {
 router.get('/vod/languages', async (req, res) => {
   try {
     // Fetch from STRM scanner
-    const response = await fetch(`http://localhost:${process.env.PORT || 3005}/api/strm/languages`)
+    const response = await fetch(`http://localhost:${process.env.PORT || 3005}/api/strm/languages`, {
+      headers: { 'x-admin-token': req.headers['x-admin-token'] || '' },
+    })
     const data = await response.json()
 
     // Get current settings
@@ -91,7 +92,9 @@ router.get('/vod/languages', async (req, res) => {
 // GET /api/vod/genres - Get genres for VOD settings UI (NFO + generic fallback)
 router.get('/vod/genres', async (req, res) => {
   try {
-    const response = await fetch(`http://localhost:${process.env.PORT || 3005}/api/strm/genres`)
+    const response = await fetch(`http://localhost:${process.env.PORT || 3005}/api/strm/genres`, {
+      headers: { 'x-admin-token': req.headers['x-admin-token'] || '' },
+    })
     const data = await response.json()
     const vodSettings = getVodSettings()
 
@@ -221,49 +224,20 @@ router.post('/strm/export/:playlistId', async (req, res) => {
   const hostIp = process.env.HOST_IP || req.get('host')
   const baseUrl = `http://${hostIp}:3005`
 
-  // Get or create jellyfin user for STRM authentication
-  let jellyfinUser = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
-  let jellyfinPassword = db.prepare('SELECT value FROM settings WHERE key = ?').get('jellyfin_strm_password')?.value
-
-  if (!jellyfinUser) {
-    console.log('[strm] Creating default "jellyfin" user for STRM authentication')
-    // Generate random secure password
-    const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789!@#$%^&*'
-    jellyfinPassword = Array.from({ length: 32 }, () => chars[Math.floor(Math.random() * chars.length)]).join('')
-
-    const { hashPassword } = await import('../auth.js')
-    const hashed = await hashPassword(jellyfinPassword)
-    db.prepare(
-      `INSERT INTO users (username, password, max_connections, active, notes)
-       VALUES (?, ?, ?, ?, ?)`
-    ).run('jellyfin', hashed, 0, 1, 'Auto-created for Jellyfin STRM files')
-
-    // Store password in settings for retrieval
-    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('jellyfin_strm_password', jellyfinPassword)
-
-    jellyfinUser = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
-    console.log('[strm] Created jellyfin user with random password (stored in settings)')
-  }
-
-  if (!jellyfinPassword) {
-    jellyfinPassword = db.prepare('SELECT value FROM settings WHERE key = ?').get('jellyfin_strm_password')?.value || 'jellyfin'
+  // Exports run one at a time on the job queue
+  const job = await waitForJob(enqueueJob('strm-export', { playlist_id: playlist.id, base_url: baseUrl }).id)
+  if (job.status !== 'success') {
+    console.error('[strm] Export failed:', job.error || job.status)
+    return res.status(job.status === 'cancelled' ? 409 : 500).json({ error: job.error || 'Export was cancelled', job_id: job.id })
   }
 
-  try {
-    const { exportVodToStrm } = await import('../strm-exporter.js')
-    const stats = await exportVodToStrm(playlistId, baseUrl, jellyfinUser.username, jellyfinPassword)
-
-    db.prepare("UPDATE playlists SET last_built = datetime('now') WHERE id = ?").run(playlistId)
-
-    res.json({
-      success: true,
-      stats,
-      message: `Exported ${stats.created + stats.updated} STRM files`
-    })
-  } catch (e) {
-    console.error('[strm] Export failed:', e)
-    res.status(500).json({ error: e.message })
-  }
+  const stats = job.result
+  res.json({
+    success: true,
+    stats,
+    job_id: job.id,
+    message: `Exported ${stats.created + stats.updated} STRM files`
+  })
 })
 
 router.post('/strm/export-all', async (req, res) => {
@@ -286,41 +260,16 @@ router.post('/strm/export-all', async (req, res) => {
   let totalDeleted = 0
   let totalErrors = 0
 
-  // Get or create jellyfin user for STRM authentication
-  let jellyfinUser = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
-  let jellyfinPassword = db.prepare('SELECT value FROM settings WHERE key = ?').get('jellyfin_strm_password')?.value
-
-  if (!jellyfinUser) {
-    console.log('[strm] Creating default "jellyfin" user for STRM authentication')
-    // Generate random secure password
-    const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789!@#$%^&*'
-    jellyfinPassword = Array.from({ length: 32 }, () => chars[Math.floor(Math.random() * chars.length)]).join('')
-
-    const { hashPassword } = await import('../auth.js')
-    const hashed = await hashPassword(jellyfinPassword)
-    db.prepare(
-      `INSERT INTO users (username, password, max_connections, active, notes)
-       VALUES (?, ?, ?, ?, ?)`
-    ).run('jellyfin', hashed, 0, 1, 'Auto-created for Jellyfin STRM files')
-
-    // Store password in settings for retrieval
-    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('jellyfin_strm_password', jellyfinPassword)
-
-    jellyfinUser = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
-    console.log('[strm] Created jellyfin user with random password (stored in settings)')
-  }
-
-  if (!jellyfinPassword) {
-    jellyfinPassword = db.prepare('SELECT value FROM settings WHERE key = ?').get('jellyfin_strm_password')?.value || 'jellyfin'
-  }
-
-  for (const playlist of vodPlaylists) {
-    try {
-      const { exportVodToStrm } = await import('../strm-exporter.js')
-      const stats = await exportVodToStrm(playlist.id, baseUrl, jellyfinUser.username, jellyfinPassword)
-
-      db.prepare("UPDATE playlists SET last_built = datetime('now') WHERE id = ?").run(playlist.id)
+  // Queue every export up front; the queue runs them one at a time
+  const queued = vodPlaylists.map(playlist => ({
+    playlist,
+    job: enqueueJob('strm-export', { playlist_id: playlist.id, base_url: baseUrl }),
+  }))
 
+  for (const { playlist, job: queuedJob } of queued) {
+    const job = await waitForJob(queuedJob.id)
+    if (job.status === 'success') {
+      const stats = job.result
       totalCreated += stats.created
       totalUpdated += stats.updated
       totalDeleted += stats.deleted
@@ -335,13 +284,14 @@ router.post('/strm/export-all', async (req, res) => {
       })
 
       console.log(`[strm] Exported playlist "${playlist.name}": ${stats.created} created, ${stats.updated} updated`)
-    } catch (e) {
-      console.error(`[strm] Export failed for "${playlist.name}":`, e.message)
+    } else {
+      const error = job.error || 'Export was cancelled'
+      console.error(`[strm] Export failed for "${playlist.name}":`, error)
       results.push({
         playlistId: playlist.id,
         playlistName: playlist.name,
         success: false,
-        error: e.message
+        error
       })
       totalErrors++
     }
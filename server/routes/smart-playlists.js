@@ -0,0 +1,152 @@
+import express from 'express'
+import db from '../db.js'
+import { invalidatePlaylistXmltvCache } from '../services/xmltvCache.js'
+import {
+  normalizeSmartRules,
+  parseSmartRules,
+  evaluateSmartPlaylist,
+  applySmartPlaylist,
+  listSmartPins,
+  ORDER_KEYS,
+  QUALITIES,
+  HEALTH_STATES,
+} from '../smartPlaylists.js'
+
+const router = express.Router()
+
+const PREVIEW_LIMIT = 500
+const SEARCH_LIMIT = 50
+
+function getLivePlaylist(id, res) {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(id)
+  if (!playlist) {
+    res.status(404).json({ error: 'Playlist not found' })
+    return null
+  }
+  if (playlist.playlist_type !== 'live') {
+    res.status(400).json({ error: 'Only live playlists can be smart playlists' })
+    return null
+  }
+  return playlist
+}
+
+function reapply(playlistId) {
+  const result = applySmartPlaylist(playlistId)
+  if (result) invalidatePlaylistXmltvCache(playlistId)
+  return result
+}
+
+// Rules, pins and the values the rule editor offers
+router.get('/playlists/:id/smart', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  res.json({
+    rules: parseSmartRules(playlist.smart_rules),
+    evaluated_at: playlist.smart_evaluated_at,
+    pins: listSmartPins(playlist.id),
+    options: { order: ORDER_KEYS, quality: QUALITIES, health: HEALTH_STATES },
+  })
+})
+
+// Save the rules (null turns the playlist back into a hand-picked one, keeping its channels) and apply them
+router.put('/playlists/:id/smart', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  const [error, rules] = normalizeSmartRules(req.body?.rules)
+  if (error) return res.status(400).json({ error })
+
+  db.prepare('UPDATE playlists SET smart_rules = ? WHERE id = ?').run(rules ? JSON.stringify(rules) : null, playlist.id)
+  const result = rules ? reapply(playlist.id) : null
+  res.json({ ok: true, rules, ...result })
+})
+
+// What the given (unsaved) rules would select, compared to the current channels
+// Body: { rules, search } — the stored rules when omitted; search finds
+// live channels the rules leave out, to pin them in
+router.post('/playlists/:id/smart/preview', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  let rules = parseSmartRules(playlist.smart_rules)
+  if (req.body?.rules !== undefined) {
+    const [error, normalized] = normalizeSmartRules(req.body.rules)
+    if (error) return res.status(400).json({ error })
+    rules = normalized
+  }
+  if (!rules) return res.status(400).json({ error: 'rules required' })
+
+  const { channels, excludedByRules } = evaluateSmartPlaylist(playlist, rules)
+  const current = new Set(db.prepare('SELECT url FROM playlist_channels WHERE playlist_id = ?').all(playlist.id).map(r => r.url))
+  const selected = new Set(channels.map(ch => ch.url))
+
+  const groups = new Map()
+  for (const ch of channels) groups.set(ch.group_title || '', (groups.get(ch.group_title || '') || 0) + 1)
+
+  res.json({
+    total: channels.length,
+    added: channels.filter(ch => !current.has(ch.url)).length,
+    removed: [...current].filter(url => !selected.has(url)).length,
+    excluded_by_rules: excludedByRules,
+    groups: [...groups].map(([group, count]) => ({ group, count })),
+    search_results: req.body?.search ? searchUnselected(String(req.body.search), selected) : [],
+    channels: channels.slice(0, PREVIEW_LIMIT).map(ch => ({
+      id: ch.id,
+      url: ch.url,
+      tvg_name: ch.tvg_name,
+      tvg_logo: ch.tvg_logo,
+      group_title: ch.group_title,
+      tvg_chno: ch.tvg_chno,
+      quality: ch.quality,
+      source_id: ch.source_id,
+      source_name: ch.source_name,
+      health: ch.health,
+      pinned: ch.pinned,
+      in_playlist: current.has(ch.url),
+    })),
+  })
+})
+
+function searchUnselected(search, selected) {
+  return db.prepare(`
+    SELECT sc.url, sc.tvg_name, sc.group_title, sc.source_id, s.name AS source_name
+    FROM source_channels sc JOIN sources s ON s.id = sc.source_id
+    WHERE COALESCE(sc.content_type, 'live') = 'live' AND sc.tvg_name LIKE ?
+    ORDER BY sc.tvg_name LIMIT ?
+  `).all(`%${search}%`, SEARCH_LIMIT + selected.size).filter(ch => !selected.has(ch.url)).slice(0, SEARCH_LIMIT)
+}
+
+// Re-evaluate now instead of waiting for the next source refresh
+router.post('/playlists/:id/smart/apply', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  if (!playlist.smart_rules) return res.status(400).json({ error: 'Not a smart playlist' })
+  res.json({ ok: true, ...reapply(playlist.id) })
+})
+
+// Pin a source channel in or out. Body: { url, action: 'include' | 'exclude' }
+router.post('/playlists/:id/smart/pins', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  const { url, action } = req.body || {}
+  if (!url) return res.status(400).json({ error: 'url required' })
+  if (action !== 'include' && action !== 'exclude') return res.status(400).json({ error: "action must be 'include' or 'exclude'" })
+
+  const channel = db.prepare('SELECT source_id, tvg_name FROM source_channels WHERE url = ? LIMIT 1').get(url)
+  if (!channel) return res.status(404).json({ error: 'Channel not found' })
+  db.prepare(`
+    INSERT INTO playlist_smart_pins (playlist_id, source_id, url, tvg_name, action) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(playlist_id, url) DO UPDATE SET action = excluded.action, tvg_name = excluded.tvg_name
+  `).run(playlist.id, channel.source_id, url, channel.tvg_name, action)
+  const result = reapply(playlist.id)
+  res.json({ ok: true, pins: listSmartPins(playlist.id), ...result })
+})
+
+router.delete('/playlists/:id/smart/pins/:pinId', (req, res) => {
+  const playlist = getLivePlaylist(req.params.id, res)
+  if (!playlist) return
+  const r = db.prepare('DELETE FROM playlist_smart_pins WHERE id = ? AND playlist_id = ?').run(req.params.pinId, playlist.id)
+  if (!r.changes) return res.status(404).json({ error: 'Pin not found' })
+  const result = reapply(playlist.id)
+  res.json({ ok: true, pins: listSmartPins(playlist.id), ...result })
+})
+
+export default router
@@ -1,8 +1,12 @@
 import express from 'express'
 import db from '../db.js'
-import { refreshSourceCache } from '../services/sourceManager.js'
+import { isValidCron } from '../cronExpression.js'
+import { enqueueJob, waitForJob } from '../services/jobQueue.js'
 import { getCached, setCache } from '../services/cache.js'
 import { invalidateAllPlaylistXmltvCache, invalidatePlaylistsForSource } from '../services/xmltvCache.js'
+import { syncJobs } from '../services/scheduler.js'
+import { normalizeHeaderInput } from '../channelOptions.js'
+import { listRefreshHistory, getRefreshHistoryEntry, latestRefreshBySource } from '../refreshHistory.js'
 
 const router = express.Router()
 
@@ -22,7 +26,10 @@ router.get('/sources', (req, res) => {
   const epgCounts = db.prepare('SELECT source_id, channel_count FROM epg_cache').all()
   const epgCountMap = new Map(epgCounts.map(r => [r.source_id, r.channel_count]))
 
+  const latestRefresh = latestRefreshBySource()
+
   for (const s of sources) {
+    s.last_refresh = latestRefresh.get(s.id) || null
     if (s.category === 'epg') {
       s.channel_count = epgCountMap.get(s.id) || 0
     } else {
@@ -33,19 +40,26 @@ router.get('/sources', (req, res) => {
 })
 
 router.post('/sources', (req, res) => {
-  const { name, type, url, username, password, refresh_cron, category, max_streams, force_ts_extension } = req.body
+  const { name, type, url, username, password, refresh_cron, category, max_streams, priority, force_ts_extension, http_headers } = req.body
   if (!name || !url) return res.status(400).json({ error: 'name, url required' })
+  if (refresh_cron && !isValidCron(refresh_cron)) return res.status(400).json({ error: 'Invalid cron expression' })
+  const [headersError, headersJson] = normalizeHeaderInput(http_headers)
+  if (headersError) return res.status(400).json({ error: headersError })
   const cat = category || 'playlist'
   const typ = cat === 'epg' ? 'epg' : (type || 'm3u')
   const result = db.prepare(
-    'INSERT INTO sources (name, type, url, username, password, refresh_cron, category, max_streams, force_ts_extension) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
-  ).run(name, typ, url, username || null, password || null, refresh_cron || '0 */6 * * *', cat, Number(max_streams) || 0, force_ts_extension ? 1 : 0)
+    'INSERT INTO sources (name, type, url, username, password, refresh_cron, category, max_streams, priority, force_ts_extension, http_headers) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  ).run(name, typ, url, username || null, password || null, refresh_cron || '0 */6 * * *', cat, Number(max_streams) || 0, Number(priority) || 999, force_ts_extension ? 1 : 0, headersJson)
   invalidateAllPlaylistXmltvCache()
+  syncJobs()
   res.json(db.prepare('SELECT * FROM sources WHERE id = ?').get(result.lastInsertRowid))
 })
 
 router.put('/sources/:id', (req, res) => {
-  const { name, type, url, username, password, refresh_cron, category, max_streams, priority, cleanup_rules, skip_rules, force_ts_extension } = req.body
+  const { name, type, url, username, password, refresh_cron, category, max_streams, priority, cleanup_rules, skip_rules, force_ts_extension, http_headers } = req.body
+  if (refresh_cron && !isValidCron(refresh_cron)) return res.status(400).json({ error: 'Invalid cron expression' })
+  const [headersError, headersJson] = normalizeHeaderInput(http_headers)
+  if (headersError) return res.status(400).json({ error: headersError })
   const cat = category || 'playlist'
   const typ = cat === 'epg' ? 'epg' : (type || 'm3u')
   const cleanupRulesJson = cleanup_rules ? JSON.stringify(cleanup_rules) : null
@@ -53,24 +67,46 @@ router.put('/sources/:id', (req, res) => {
   db.prepare(
     'UPDATE sources SET name=?, type=?, url=?, username=?, password=?, refresh_cron=?, category=?, max_streams=?, priority=?, cleanup_rules=?, skip_rules=?, force_ts_extension=? WHERE id=?'
   ).run(name, typ, url, username || null, password || null, refresh_cron || '0 */6 * * *', cat, Number(max_streams) || 0, Number(priority) || 999, cleanupRulesJson, skipRulesJson, force_ts_extension ? 1 : 0, req.params.id)
+  // Left alone when the client doesn't send it
+  if (http_headers !== undefined) db.prepare('UPDATE sources SET http_headers = ? WHERE id = ?').run(headersJson, req.params.id)
   invalidatePlaylistsForSource(req.params.id)
+  syncJobs()
   res.json(db.prepare('SELECT * FROM sources WHERE id = ?').get(req.params.id))
 })
 
 router.delete('/sources/:id', (req, res) => {
   db.prepare('DELETE FROM sources WHERE id = ?').run(req.params.id)
   invalidatePlaylistsForSource(req.params.id)
+  syncJobs()
   res.json({ ok: true })
 })
 
-// Refresh a source — fetch live, store to DB cache
+// GET /api/sources/:id/refresh-history?limit=&before=&changed=1 — what each refresh changed, newest first
+router.get('/sources/:id/refresh-history', (req, res) => {
+  const { limit, before, changed } = req.query
+  res.json(listRefreshHistory(req.params.id, { limit, before, changed: changed === '1' || changed === 'true' }))
+})
+
+// GET /api/sources/:id/refresh-history/:entryId — one refresh with the names of the changed channels and groups
+router.get('/sources/:id/refresh-history/:entryId', (req, res) => {
+  const entry = getRefreshHistoryEntry(req.params.id, req.params.entryId)
+  if (!entry) return res.status(404).json({ error: 'Refresh not found' })
+  res.json(entry)
+})
+
+// Refresh a source — fetch live, store to DB cache. Runs on the job queue; waits
+// for the result unless ?wait=0, which answers 202 with the queued job
 router.post('/sources/:id/refresh', async (req, res) => {
-  try {
-    const count = await refreshSourceCache(req.params.id)
-    res.json({ ok: true, count })
-  } catch (e) {
-    res.status(502).json({ error: e.message })
-  }
+  const source = db.prepare('SELECT id FROM sources WHERE id = ?').get(req.params.id)
+  if (!source) return res.status(404).json({ error: 'Source not found' })
+
+  const queued = enqueueJob('source-refresh', { source_id: source.id })
+  if (req.query.wait === '0') return res.status(202).json({ ok: true, job: queued })
+
+  const job = await waitForJob(queued.id)
+  if (job.status === 'success') return res.json({ ok: true, count: job.result?.channels ?? 0, job_id: job.id })
+  if (job.status === 'cancelled') return res.status(409).json({ error: 'Refresh was cancelled', job_id: job.id })
+  res.status(502).json({ error: job.error, job_id: job.id })
 })
 
 // Get groups across ALL sources (prefixed with source name to avoid collisions)
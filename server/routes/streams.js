@@ -2,9 +2,12 @@ import express from 'express'
 import { join } from 'node:path'
 import db from '../db.js'
 import { connectClient, getActiveSessions, killSession } from '../streamer.js'
-import { connectFfmpegClient, connectVlcClient, getActiveFfmpegSessions, getStreamBufferMode, killFfmpegSession } from '../ffmpeg-streamer.js'
+import { connectFfmpegClient, connectTranscodeClient, connectVlcClient, getActiveFfmpegSessions, getStreamBufferMode, killFfmpegSession } from '../ffmpeg-streamer.js'
+import { getUserTranscodeProfile } from '../transcodeProfiles.js'
 import { getActiveVodSessions, killVodSession } from '../vod-streamer.js'
 import { getCompositeSession } from '../composite-streamer.js'
+import { getHlsSession, getRunningHlsSession, killHlsSession, HLS_PLAYLIST_NAME, HLS_SEGMENT_PATTERN } from '../hls-streamer.js'
+import { isRecordingUrl, sendRecording } from '../dvr.js'
 
 const router = express.Router()
 
@@ -27,7 +30,9 @@ router.options('/stream/:channelId', (req, res) => {
 })
 
 // GET /stream/:channelId  — proxy upstream IPTV stream, reuse for multiple clients (direct stream)
-router.get('/stream/:channelId', async (req, res) => {
+// Also served by the HDHomeRun device servers once a tuner is free (see hdhr.js), which
+// set req.transcodeProfile to the device's profile; otherwise the named user's profile applies
+export async function streamChannel(req, res) {
   const { channelId } = req.params
   const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
   if (!row) return res.status(404).send('Channel not found')
@@ -38,12 +43,19 @@ router.get('/stream/:channelId', async (req, res) => {
   try {
     // If it's a VOD channel, use direct stream proxying (no buffering/hls conversion)
     if (row.content_type === 'movie' || row.content_type === 'series') {
-      const source = row.source_id ? db.prepare('SELECT force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
+      if (isRecordingUrl(row.url)) return sendRecording(row.url, res)
+      const source = row.source_id ? db.prepare('SELECT id, force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
       const { connectVodClient } = await import('../vod-streamer.js')
       await connectVodClient(channelId, row.url, row.tvg_name, req, res, username, source)
       return
     }
 
+    const profile = req.transcodeProfile !== undefined ? req.transcodeProfile : getUserTranscodeProfile(username)
+    if (profile) {
+      await connectTranscodeClient(channelId, row.url, row.tvg_name, res, row.source_id || null, username, profile)
+      return
+    }
+
     // Live TV — use shared buffer
     const streamBufferMode = getStreamBufferMode()
     if (streamBufferMode === 'ffmpeg') {
@@ -61,6 +73,47 @@ router.get('/stream/:channelId', async (req, res) => {
     console.error(`[stream] Error proxying channel ${channelId}:`, err)
     if (!res.headersSent) res.status(502).send(err.message)
   }
+}
+
+router.get('/stream/:channelId', streamChannel)
+
+// ── Live HLS ──────────────────────────────────────────────────────────────────
+// GET /hls/:channelId/index.m3u8  — rolling HLS playlist for a live channel, one segmenter shared by all viewers
+router.get('/hls/:channelId/index.m3u8', async (req, res) => {
+  const { channelId } = req.params
+  const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
+  if (!row) return res.status(404).send('Channel not found')
+  if (row.content_type === 'movie' || row.content_type === 'series') {
+    return res.status(400).send('HLS output is only available for live channels')
+  }
+
+  const username = req.username || req.query.username || 'anonymous'
+
+  try {
+    const session = await getHlsSession(row, username)
+    session.trackViewer(`${req.ip}:${username}`)
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.sendFile(join(session.outputPath, HLS_PLAYLIST_NAME))
+  } catch (err) {
+    console.error(`[hls] Failed to serve playlist for channel ${channelId}:`, err.message)
+    if (!res.headersSent) res.status(502).send(err.message)
+  }
+})
+
+// GET /hls/:channelId/:segment  — segments of a running HLS session (never starts one)
+router.get('/hls/:channelId/:segment', (req, res) => {
+  const { channelId, segment } = req.params
+  if (!HLS_SEGMENT_PATTERN.test(segment)) return res.status(400).send('Invalid segment name')
+
+  const session = getRunningHlsSession(channelId)
+  if (!session) return res.status(404).send('No active HLS session for this channel')
+
+  res.setHeader('Content-Type', 'video/mp2t')
+  res.sendFile(join(session.outputPath, segment), err => {
+    if (err && !res.headersSent) res.status(404).send('Segment not found')
+  })
 })
 
 // ── Player page ───────────────────────────────────────────────────────────────
@@ -238,7 +291,7 @@ router.get('/stream-web/:channelId', async (req, res) => {
     console.log(`[stream-web] Connecting upstream stream to FFmpeg stdin...`)
 
     if (row.content_type === 'movie' || row.content_type === 'series') {
-      const source = row.source_id ? db.prepare('SELECT force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
+      const source = row.source_id ? db.prepare('SELECT id, force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
       const { connectVodClient } = await import('../vod-streamer.js')
       await connectVodClient(channelId, row.url, row.tvg_name, req, ffmpegWrapper, username, source)
     } else {
@@ -372,6 +425,7 @@ router.delete('/:channelId', (req, res) => {
   killSession(req.params.channelId)
   killFfmpegSession(req.params.channelId)
   killVodSession(req.params.channelId)
+  killHlsSession(req.params.channelId)
   res.json({ ok: true })
 })
 
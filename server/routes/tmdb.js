@@ -3,23 +3,6 @@ import db from '../db.js'
 
 const router = express.Router()
 
-// Helper to parse programme block from XMLTV
-function parseProgBlock(block) {
-  const channelMatch = block.match(/channel="([^"]*)"/)
-  const titleMatch = block.match(/<title[^>]*>([^<]+)<\/title>/)
-  const startMatch = block.match(/start="([^"]*)"/)
-  const stopMatch = block.match(/stop="([^"]*)"/)
-  const episodeMatch = block.match(/<episode-num[^>]*>([^<]+)<\/episode-num>/)
-  
-  return {
-    channel: channelMatch ? channelMatch[1] : null,
-    title: titleMatch ? titleMatch[1].trim() : null,
-    start: startMatch ? startMatch[1] : null,
-    stop: stopMatch ? stopMatch[1] : null,
-    episode: episodeMatch ? episodeMatch[1] : null,
-  }
-}
-
 // ── TMDB Match Corrector ──────────────────────────────────────────────────────
 router.get('/tmdb/titles/:playlistId', async (req, res) => {
   try {
@@ -48,8 +31,6 @@ router.get('/tmdb/titles/:playlistId', async (req, res) => {
       return res.json({ titles: [], total: 0, stats: { matched: 0, not_found: 0, unmatched: 0, blocked: 0 } })
     }
 
-    const cacheRows = db.prepare('SELECT content FROM epg_cache WHERE content IS NOT NULL').all()
-
     const tvgIdToChannels = new Map()
     const excludedChannels = new Set()
 
@@ -75,47 +56,44 @@ router.get('/tmdb/titles/:playlistId', async (req, res) => {
     const titleChannels = new Map()
     const titleRuntimes = new Map()
     const titleEpisodes = new Map()
-    const progRe = /<programme\b[^>]*>[\s\S]*?<\/programme>/g
     let matchedProgs = 0
     let skippedNewsAndSports = 0
 
-    for (const row of cacheRows) {
-      progRe.lastIndex = 0
-      let m
-      while ((m = progRe.exec(row.content)) !== null) {
-        const prog = parseProgBlock(m[0])
-
-        if (prog.channel && excludedChannels.has(prog.channel)) {
-          skippedNewsAndSports++
-          continue
-        }
+    const progRows = db.prepare(`
+      SELECT channel_id AS channel, start, stop, title, episode_num AS episode
+      FROM epg_programmes
+      WHERE title IS NOT NULL AND channel_id IN (${[...epgIds].map(() => '?').join(',')})
+    `).iterate(...epgIds)
 
-        if (prog.title && prog.channel && epgIds.has(prog.channel)) {
-          matchedProgs++
-          titleCounts.set(prog.title, (titleCounts.get(prog.title) || 0) + 1)
-
-          if (prog.start && prog.stop && !titleRuntimes.has(prog.title)) {
-            const startTime = new Date(prog.start)
-            const stopTime = new Date(prog.stop)
-            const runtimeMinutes = Math.round((stopTime - startTime) / 1000 / 60)
-            if (runtimeMinutes > 0) {
-              titleRuntimes.set(prog.title, runtimeMinutes)
-            }
-          }
+    for (const prog of progRows) {
+      if (excludedChannels.has(prog.channel)) {
+        skippedNewsAndSports++
+        continue
+      }
 
-          if (prog.episode && !titleEpisodes.has(prog.title)) {
-            titleEpisodes.set(prog.title, prog.episode)
-          }
+      matchedProgs++
+      titleCounts.set(prog.title, (titleCounts.get(prog.title) || 0) + 1)
 
-          if (!titleChannels.has(prog.title)) {
-            titleChannels.set(prog.title, new Set())
-          }
-          const channelInfos = tvgIdToChannels.get(prog.channel) || []
-          for (const chInfo of channelInfos) {
-            titleChannels.get(prog.title).add(JSON.stringify(chInfo))
-          }
+      if (!titleRuntimes.has(prog.title)) {
+        const startTime = new Date(prog.start)
+        const stopTime = new Date(prog.stop)
+        const runtimeMinutes = Math.round((stopTime - startTime) / 1000 / 60)
+        if (runtimeMinutes > 0) {
+          titleRuntimes.set(prog.title, runtimeMinutes)
         }
       }
+
+      if (prog.episode && !titleEpisodes.has(prog.title)) {
+        titleEpisodes.set(prog.title, prog.episode)
+      }
+
+      if (!titleChannels.has(prog.title)) {
+        titleChannels.set(prog.title, new Set())
+      }
+      const channelInfos = tvgIdToChannels.get(prog.channel) || []
+      for (const chInfo of channelInfos) {
+        titleChannels.get(prog.title).add(JSON.stringify(chInfo))
+      }
     }
 
     const enrichmentData = db.prepare('SELECT * FROM tmdb_enrichment').all()
@@ -0,0 +1,133 @@
+import express from 'express'
+import db from '../db.js'
+import { setSettingValue } from '../settings-cache.js'
+import { getActiveFfmpegSessions, getTranscodeLoad } from '../ffmpeg-streamer.js'
+import {
+  AUDIO_CODECS, VIDEO_CODECS, X264_PRESETS,
+  getDefaultTranscodeBudget, getTranscodeBudget, isPassthrough, transcodeCost, validateTranscodeProfile,
+} from '../transcodeProfiles.js'
+
+const router = express.Router()
+
+function optionalInt(value) {
+  return value === '' || value == null ? null : Number(value)
+}
+
+function profileFromBody(body) {
+  return {
+    name:          String(body.name || '').trim(),
+    video_codec:   body.video_codec || 'h264',
+    max_height:    optionalInt(body.max_height),
+    video_bitrate: optionalInt(body.video_bitrate),
+    preset:        body.preset || 'veryfast',
+    audio_codec:   body.audio_codec || 'aac',
+    audio_bitrate: optionalInt(body.audio_bitrate),
+  }
+}
+
+function toProfile(row, sessions) {
+  return {
+    ...row,
+    passthrough: isPassthrough(row),
+    cost: isPassthrough(row) ? 0 : transcodeCost(row),
+    active_sessions: sessions.filter(s => s.profileId === row.id).length,
+  }
+}
+
+function getProfile(id) {
+  const row = db.prepare(`
+    SELECT tp.*,
+           (SELECT COUNT(*) FROM users u WHERE u.transcode_profile_id = tp.id) AS user_count,
+           (SELECT COUNT(*) FROM hdhr_devices d WHERE d.transcode_profile_id = tp.id) AS device_count
+    FROM transcode_profiles tp WHERE tp.id = ?
+  `).get(id)
+  return row ? toProfile(row, getActiveFfmpegSessions()) : null
+}
+
+function sendNameConflict(res, e) {
+  if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'A profile with that name already exists' })
+  res.status(500).json({ error: e.message })
+}
+
+// GET /api/transcode-profiles/settings — CPU budget for concurrent transcodes and what's in use now
+router.get('/transcode-profiles/settings', (req, res) => {
+  res.json({
+    cpu_budget: getTranscodeBudget(),
+    default_cpu_budget: getDefaultTranscodeBudget(),
+    cpu_in_use: Math.round(getTranscodeLoad() * 100) / 100,
+    video_codecs: VIDEO_CODECS,
+    audio_codecs: AUDIO_CODECS,
+    presets: X264_PRESETS,
+  })
+})
+
+// PUT /api/transcode-profiles/settings — { cpu_budget } in cores; empty resets to the default
+router.put('/transcode-profiles/settings', (req, res) => {
+  const raw = req.body?.cpu_budget
+  if (raw === '' || raw == null) {
+    setSettingValue('transcode_cpu_budget', null)
+  } else {
+    const budget = parseFloat(raw)
+    if (!(budget > 0 && budget <= 256)) return res.status(400).json({ error: 'cpu_budget must be between 0 and 256 cores' })
+    setSettingValue('transcode_cpu_budget', String(budget))
+  }
+  res.json({ cpu_budget: getTranscodeBudget(), default_cpu_budget: getDefaultTranscodeBudget() })
+})
+
+router.get('/transcode-profiles', (req, res) => {
+  const rows = db.prepare(`
+    SELECT tp.*,
+           (SELECT COUNT(*) FROM users u WHERE u.transcode_profile_id = tp.id) AS user_count,
+           (SELECT COUNT(*) FROM hdhr_devices d WHERE d.transcode_profile_id = tp.id) AS device_count
+    FROM transcode_profiles tp ORDER BY tp.name
+  `).all()
+  const sessions = getActiveFfmpegSessions()
+  res.json(rows.map(row => toProfile(row, sessions)))
+})
+
+router.post('/transcode-profiles', (req, res) => {
+  const profile = profileFromBody(req.body || {})
+  const error = validateTranscodeProfile(profile)
+  if (error) return res.status(400).json({ error })
+  try {
+    const result = db.prepare(`
+      INSERT INTO transcode_profiles (name, video_codec, max_height, video_bitrate, preset, audio_codec, audio_bitrate)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(profile.name, profile.video_codec, profile.max_height, profile.video_bitrate, profile.preset, profile.audio_codec, profile.audio_bitrate)
+    res.json(getProfile(result.lastInsertRowid))
+  } catch (e) {
+    sendNameConflict(res, e)
+  }
+})
+
+// Running sessions keep the settings they started with; new viewers get the updated profile
+router.put('/transcode-profiles/:id', (req, res) => {
+  const existing = db.prepare('SELECT * FROM transcode_profiles WHERE id = ?').get(req.params.id)
+  if (!existing) return res.status(404).json({ error: 'Profile not found' })
+  const profile = profileFromBody({ ...existing, ...req.body })
+  const error = validateTranscodeProfile(profile)
+  if (error) return res.status(400).json({ error })
+  try {
+    db.prepare(`
+      UPDATE transcode_profiles
+      SET name = ?, video_codec = ?, max_height = ?, video_bitrate = ?, preset = ?, audio_codec = ?, audio_bitrate = ?
+      WHERE id = ?
+    `).run(profile.name, profile.video_codec, profile.max_height, profile.video_bitrate, profile.preset, profile.audio_codec, profile.audio_bitrate, existing.id)
+    res.json(getProfile(existing.id))
+  } catch (e) {
+    sendNameConflict(res, e)
+  }
+})
+
+// Users and devices on a deleted profile fall back to passthrough
+router.delete('/transcode-profiles/:id', (req, res) => {
+  const remove = db.transaction((id) => {
+    db.prepare('UPDATE users SET transcode_profile_id = NULL WHERE transcode_profile_id = ?').run(id)
+    db.prepare('UPDATE hdhr_devices SET transcode_profile_id = NULL WHERE transcode_profile_id = ?').run(id)
+    return db.prepare('DELETE FROM transcode_profiles WHERE id = ?').run(id).changes
+  })
+  if (!remove(req.params.id)) return res.status(404).json({ error: 'Profile not found' })
+  res.json({ ok: true })
+})
+
+export default router
@@ -0,0 +1,88 @@
+import express from 'express'
+import db from '../db.js'
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS, getChannelDropPercent, sendTestNotification } from '../notifications.js'
+import { setSettingValue } from '../settings-cache.js'
+
+const router = express.Router()
+
+function toWebhook(row) {
+  let events = []
+  try { events = JSON.parse(row.events || '[]') } catch {}
+  return { ...row, events, enabled: !!row.enabled }
+}
+
+// Returns an error message, or null when the body is valid
+function validateWebhook({ name, url, format, events }) {
+  if (!name || !url) return 'name and url required'
+  let protocol
+  try { protocol = new URL(url).protocol } catch {}
+  if (protocol !== 'http:' && protocol !== 'https:') return 'url must be an absolute http(s) URL'
+  if (format && !WEBHOOK_FORMATS.includes(format)) return `format must be one of ${WEBHOOK_FORMATS.join(', ')}`
+  if (events !== undefined && (!Array.isArray(events) || events.some(e => !WEBHOOK_EVENTS[e]))) {
+    return 'events must be an array of known event names'
+  }
+  return null
+}
+
+router.get('/webhooks/events', (req, res) => {
+  res.json(Object.entries(WEBHOOK_EVENTS).map(([id, label]) => ({ id, label })))
+})
+
+router.get('/webhooks/settings', (req, res) => {
+  res.json({ channel_drop_percent: getChannelDropPercent() })
+})
+
+router.put('/webhooks/settings', (req, res) => {
+  const pct = parseInt(req.body?.channel_drop_percent, 10)
+  if (!(pct > 0 && pct <= 100)) return res.status(400).json({ error: 'channel_drop_percent must be between 1 and 100' })
+  setSettingValue('webhook_channel_drop_percent', String(pct))
+  res.json({ channel_drop_percent: getChannelDropPercent() })
+})
+
+router.get('/webhooks', (req, res) => {
+  const rows = db.prepare(`
+    SELECT w.*,
+           (SELECT status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_status
+    FROM webhooks w ORDER BY w.name
+  `).all()
+  res.json(rows.map(toWebhook))
+})
+
+router.post('/webhooks', (req, res) => {
+  const error = validateWebhook(req.body || {})
+  if (error) return res.status(400).json({ error })
+  const { name, url, format = 'generic', events = [], token = null, enabled = true } = req.body
+  const result = db.prepare('INSERT INTO webhooks (name, url, format, events, token, enabled) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(name, url, format, JSON.stringify(events), token || null, enabled ? 1 : 0)
+  res.json(toWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(result.lastInsertRowid)))
+})
+
+router.put('/webhooks/:id', (req, res) => {
+  const existing = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(req.params.id)
+  if (!existing) return res.status(404).json({ error: 'Webhook not found' })
+  const merged = { ...toWebhook(existing), ...req.body }
+  const error = validateWebhook(merged)
+  if (error) return res.status(400).json({ error })
+  db.prepare('UPDATE webhooks SET name = ?, url = ?, format = ?, events = ?, token = ?, enabled = ? WHERE id = ?')
+    .run(merged.name, merged.url, merged.format, JSON.stringify(merged.events), merged.token || null, merged.enabled ? 1 : 0, existing.id)
+  res.json(toWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(existing.id)))
+})
+
+router.delete('/webhooks/:id', (req, res) => {
+  const { changes } = db.prepare('DELETE FROM webhooks WHERE id = ?').run(req.params.id)
+  if (!changes) return res.status(404).json({ error: 'Webhook not found' })
+  res.json({ ok: true })
+})
+
+router.post('/webhooks/:id/test', async (req, res) => {
+  const hook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(req.params.id)
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' })
+  res.json(await sendTestNotification(hook))
+})
+
+router.get('/webhooks/:id/deliveries', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500)
+  res.json(db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?').all(req.params.id, limit))
+})
+
+export default router
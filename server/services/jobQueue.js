@@ -0,0 +1,417 @@
+/**
+ * Background job queue
+ *
+ * - Long-running tasks (source refreshes, EPG grabs, TMDB enrichment, EPG site
+ *   sync, STRM exports) are run through here, whether started from the UI or
+ *   by the scheduler
+ * - Every job type has its own concurrency limit; jobs over the limit wait in
+ *   the order they were queued
+ * - Enqueuing a job identical to one that is queued or running (same type and
+ *   params) returns that job instead of adding another
+ * - Jobs run with an AbortSignal: cancelling a queued job drops it, cancelling
+ *   a running one aborts the signal and the task stops at its next check
+ * - Every job is recorded in background_jobs; state changes and progress are
+ *   published on jobEvents, which GET /api/jobs/events streams to the UI
+ */
+
+import { EventEmitter } from 'node:events'
+import db from '../db.js'
+import { refreshSourceCache, getLastRefreshChanges } from './sourceManager.js'
+import { runGrab } from '../epgGrab.js'
+import { enrichGuide } from '../epgEnrich.js'
+import { syncEpgSites } from '../epgSync.js'
+import { exportVodToStrm } from '../strm-exporter.js'
+import { hashPassword } from '../auth.js'
+import { getSettingValue, setSettingValue } from '../settings-cache.js'
+
+const LOG_LINES = 200
+const HISTORY_LIMIT = 500
+const PROGRESS_THROTTLE = 250
+
+// ── Job types ─────────────────────────────────────────────────────────────────
+function sourceName(id) {
+  return db.prepare('SELECT name FROM sources WHERE id = ?').get(id)?.name ?? `#${id}`
+}
+
+function playlistName(id) {
+  return db.prepare('SELECT name FROM playlists WHERE id = ?').get(id)?.name ?? `#${id}`
+}
+
+// type → { concurrency, label(params), run(params, task) }
+// task = { signal, log(message), progress(done, total) }
+const JOB_TYPES = {
+  'source-refresh': {
+    concurrency: 2,
+    label: ({ source_id }) => `Refresh source "${sourceName(source_id)}"`,
+    run: async ({ source_id, content_types }, task) => ({
+      channels: await refreshSourceCache(source_id, { contentTypes: content_types, signal: task.signal, onProgress: task.log }),
+      changes: getLastRefreshChanges(source_id),
+    }),
+  },
+  'epg-grab': {
+    concurrency: 1,
+    label: () => 'EPG grab',
+    run: (_, task) => runGrab({ signal: task.signal, onProgress: task.log, onStep: task.progress }),
+  },
+  'epg-enrich': {
+    concurrency: 1,
+    label: () => 'TMDB enrichment',
+    run: (_, task) => enrichGuide(null, { signal: task.signal, onProgress: task.log, onStep: task.progress }),
+  },
+  'epg-sync': {
+    concurrency: 1,
+    label: () => 'EPG site sync',
+    run: (_, task) => syncEpgSites(db, { signal: task.signal, onProgress: task.log }),
+  },
+  'strm-export': {
+    concurrency: 1,
+    label: ({ playlist_id }) => `Export STRM files for "${playlistName(playlist_id)}"`,
+    run: async ({ playlist_id, base_url }, task) => {
+      const { username, password } = await getStrmCredentials()
+      const stats = await exportVodToStrm(playlist_id, base_url, username, password, { signal: task.signal, onProgress: task.log })
+      db.prepare("UPDATE playlists SET last_built = datetime('now') WHERE id = ?").run(playlist_id)
+      return stats
+    },
+  },
+}
+
+// STRM files authenticate as the "jellyfin" user, created on first export
+async function getStrmCredentials() {
+  let user = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
+  let password = getSettingValue('jellyfin_strm_password')
+
+  if (!user) {
+    console.log('[strm] Creating default "jellyfin" user for STRM authentication')
+    const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789!@#$%^&*'
+    password = Array.from({ length: 32 }, () => chars[Math.floor(Math.random() * chars.length)]).join('')
+    const hashed = await hashPassword(password)
+    db.prepare(
+      `INSERT INTO users (username, password, max_connections, active, notes)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run('jellyfin', hashed, 0, 1, 'Auto-created for Jellyfin STRM files')
+    setSettingValue('jellyfin_strm_password', password)
+    user = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
+  }
+
+  return { username: user.username, password: password || 'jellyfin' }
+}
+
+// ── State ─────────────────────────────────────────────────────────────────────
+export const jobEvents = new EventEmitter()
+jobEvents.setMaxListeners(0)
+
+const queued = []          // jobs waiting for a slot, oldest first
+const running = new Map()  // id → job
+const waiters = new Map()  // id → [resolve]
+
+function dedupeKey(type, params) {
+  const sorted = Object.keys(params).sort().map(k => [k, params[k]])
+  return `${type}:${JSON.stringify(sorted)}`
+}
+
+function toJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    label: job.label,
+    params: job.params,
+    trigger: job.trigger,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    result: job.result,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    duration_ms: job.duration_ms,
+  }
+}
+
+function parseJson(value, fallback = null) {
+  try { return value ? JSON.parse(value) : fallback } catch { return fallback }
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    label: row.label,
+    params: parseJson(row.params, {}),
+    trigger: row.trigger,
+    status: row.status,
+    progress: row.progress_total != null ? { done: row.progress_done, total: row.progress_total } : null,
+    message: row.message,
+    result: parseJson(row.result),
+    error: row.error,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    duration_ms: row.duration_ms,
+  }
+}
+
+function publish(event, job) {
+  jobEvents.emit('job', { event, job: toJob(job) })
+}
+
+function activeJobs() {
+  return [...running.values(), ...queued]
+}
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+function persist(job) {
+  db.prepare(`
+    UPDATE background_jobs SET status = ?, progress_done = ?, progress_total = ?, message = ?,
+      result = ?, error = ?, log = ?, started_at = ?, finished_at = ?, duration_ms = ?
+    WHERE id = ?
+  `).run(
+    job.status, job.progress?.done ?? null, job.progress?.total ?? null, job.message,
+    job.result == null ? null : JSON.stringify(job.result), job.error,
+    job.log.length ? JSON.stringify(job.log) : null,
+    job.started_at, job.finished_at, job.duration_ms, job.id,
+  )
+}
+
+function pruneHistory() {
+  db.prepare(`
+    DELETE FROM background_jobs WHERE status NOT IN ('queued', 'running') AND id NOT IN (
+      SELECT id FROM background_jobs ORDER BY id DESC LIMIT ?
+    )
+  `).run(HISTORY_LIMIT)
+}
+
+// ── Queue ─────────────────────────────────────────────────────────────────────
+/**
+ * Queue a job.
+ *
+ * @param {string} type - one of JOB_TYPES
+ * @param {Object} [params]
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'manual', 'schedule' or 'catch-up'
+ * @returns {Object} the job; deduplicated is true when an identical job was
+ *   already queued or running and that one is returned instead
+ */
+export function enqueueJob(type, params = {}, { trigger = 'manual' } = {}) {
+  const def = JOB_TYPES[type]
+  if (!def) throw new Error(`Unknown job type: ${type}`)
+
+  const key = dedupeKey(type, params)
+  const existing = activeJobs().find(j => j.key === key)
+  if (existing) return { ...toJob(existing), deduplicated: true }
+
+  const createdAt = new Date().toISOString()
+  const label = def.label(params)
+  const id = Number(db.prepare(`
+    INSERT INTO background_jobs (type, dedupe_key, label, params, trigger, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'queued', ?)
+  `).run(type, key, label, JSON.stringify(params), trigger, createdAt).lastInsertRowid)
+
+  const job = {
+    id, type, key, label, params, trigger,
+    status: 'queued',
+    progress: null,
+    message: null,
+    result: null,
+    error: null,
+    log: [],
+    created_at: createdAt,
+    started_at: null,
+    finished_at: null,
+    duration_ms: null,
+    controller: new AbortController(),
+    progressTimer: null,
+  }
+  queued.push(job)
+  console.log(`[jobs] Queued #${id} ${label}`)
+  publish('queued', job)
+  pump()
+  return { ...toJob(job), deduplicated: false }
+}
+
+function runningCount(type) {
+  let n = 0
+  for (const job of running.values()) if (job.type === type) n++
+  return n
+}
+
+function pump() {
+  for (let i = 0; i < queued.length; i++) {
+    const job = queued[i]
+    if (runningCount(job.type) >= JOB_TYPES[job.type].concurrency) continue
+    queued.splice(i--, 1)
+    start(job)
+  }
+}
+
+function start(job) {
+  running.set(job.id, job)
+  job.status = 'running'
+  job.started_at = new Date().toISOString()
+  persist(job)
+  console.log(`[jobs] Started #${job.id} ${job.label}`)
+  publish('started', job)
+
+  const task = {
+    signal: job.controller.signal,
+    log: (message) => {
+      job.log.push(`${new Date().toISOString().slice(11, 19)} ${message}`)
+      if (job.log.length > LOG_LINES) job.log.shift()
+      job.message = message
+      scheduleProgress(job)
+    },
+    progress: (done, total) => {
+      job.progress = { done, total }
+      scheduleProgress(job)
+    },
+  }
+
+  Promise.resolve()
+    .then(() => JOB_TYPES[job.type].run(job.params, task))
+    .then(
+      result => finish(job, 'success', result ?? null, null),
+      err => finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed', null, err.message),
+    )
+}
+
+// Progress events are coalesced so chatty tasks don't flood the event stream
+function scheduleProgress(job) {
+  if (job.progressTimer) return
+  job.progressTimer = setTimeout(() => {
+    job.progressTimer = null
+    if (job.status === 'running') publish('progress', job)
+  }, PROGRESS_THROTTLE)
+}
+
+function finish(job, status, result, error) {
+  clearTimeout(job.progressTimer)
+  running.delete(job.id)
+  job.status = status
+  job.result = result
+  job.error = status === 'cancelled' ? null : error
+  if (status === 'cancelled') job.message = 'Cancelled'
+  job.finished_at = new Date().toISOString()
+  if (job.started_at) job.duration_ms = Date.parse(job.finished_at) - Date.parse(job.started_at)
+  persist(job)
+  pruneHistory()
+
+  const took = job.duration_ms != null ? ` in ${Math.round(job.duration_ms / 1000)}s` : ''
+  if (status === 'failed') console.error(`[jobs] #${job.id} ${job.label} failed${took}:`, error)
+  else console.log(`[jobs] #${job.id} ${job.label}: ${status}${took}`)
+  publish('finished', job)
+
+  for (const resolve of waiters.get(job.id) || []) resolve(toJob(job))
+  waiters.delete(job.id)
+  pump()
+}
+
+/**
+ * Cancel a queued or running job.
+ * @returns {Object|null} the job, or null when it isn't queued or running
+ */
+export function cancelJob(id) {
+  id = Number(id)
+  const index = queued.findIndex(j => j.id === id)
+  if (index !== -1) {
+    const [job] = queued.splice(index, 1)
+    job.controller.abort()
+    finish(job, 'cancelled', null, null)
+    return toJob(job)
+  }
+
+  const job = running.get(id)
+  if (!job) return null
+  if (!job.controller.signal.aborted) {
+    console.log(`[jobs] Cancelling #${job.id} ${job.label}`)
+    job.controller.abort()
+    job.message = 'Cancelling…'
+    publish('progress', job)
+  }
+  return toJob(job)
+}
+
+/**
+ * Resolves with the job once it has finished (whatever its status).
+ */
+export function waitForJob(id) {
+  id = Number(id)
+  if (!activeJobs().some(j => j.id === id)) return Promise.resolve(getQueueJob(id))
+  return new Promise(resolve => {
+    if (!waiters.has(id)) waiters.set(id, [])
+    waiters.get(id).push(resolve)
+  })
+}
+
+/**
+ * Queue a job and wait for it. Resolves with the task's result; rejects when
+ * the job fails or is cancelled.
+ */
+export async function runQueued(type, params = {}, options = {}) {
+  const queuedJob = enqueueJob(type, params, options)
+  const job = await waitForJob(queuedJob.id)
+  if (job.status === 'cancelled') throw new Error('Cancelled')
+  if (job.status !== 'success') throw new Error(job.error || `Job ${job.status}`)
+  return job.result
+}
+
+// ── Listing ───────────────────────────────────────────────────────────────────
+/**
+ * @param {number} id
+ * @returns {Object|null} the job with its log lines
+ */
+export function getQueueJob(id) {
+  id = Number(id)
+  const live = activeJobs().find(j => j.id === id)
+  if (live) return { ...toJob(live), log: [...live.log] }
+  const row = db.prepare('SELECT * FROM background_jobs WHERE id = ?').get(id)
+  return row ? { ...rowToJob(row), log: parseJson(row.log, []) } : null
+}
+
+/**
+ * Newest first. Jobs that are queued or running carry their live progress.
+ */
+export function listQueueJobs({ type, status, limit = 100 } = {}) {
+  const where = []
+  const args = []
+  if (type) { where.push('type = ?'); args.push(type) }
+  if (status) { where.push('status = ?'); args.push(status) }
+  const rows = db.prepare(`
+    SELECT * FROM background_jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC LIMIT ?
+  `).all(...args, limit)
+  const live = new Map(activeJobs().map(j => [j.id, j]))
+  return rows.map(row => live.has(row.id) ? toJob(live.get(row.id)) : rowToJob(row))
+}
+
+// The running (or else first queued) job of a type, e.g. to show on its page
+export function findActiveJob(type) {
+  const job = [...running.values()].find(j => j.type === type) || queued.find(j => j.type === type)
+  return job ? toJob(job) : null
+}
+
+export function getQueueStats() {
+  return Object.entries(JOB_TYPES).map(([type, def]) => ({
+    type,
+    concurrency: def.concurrency,
+    running: runningCount(type),
+    queued: queued.filter(j => j.type === type).length,
+  }))
+}
+
+export function clearJobHistory() {
+  return db.prepare("DELETE FROM background_jobs WHERE status NOT IN ('queued', 'running')").run().changes
+}
+
+// ── Startup ───────────────────────────────────────────────────────────────────
+/**
+ * Jobs that were queued or running when the server stopped never finished.
+ * Needs the background_jobs table, so call it after migrations.
+ */
+export function startJobQueue() {
+  const now = new Date().toISOString()
+  const { changes } = db.prepare(`
+    UPDATE background_jobs SET status = 'failed', error = 'Interrupted by server restart', finished_at = ?
+    WHERE status IN ('queued', 'running')
+  `).run(now)
+  if (changes) console.log(`[jobs] Marked ${changes} interrupted job(s) as failed`)
+}
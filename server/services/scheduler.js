@@ -1,233 +1,478 @@
+/**
+ * Central job scheduler
+ *
+ * - Every recurring job (EPG grab, enrichment, health check, content refresh,
+ *   backups, per-source refresh_cron, per-playlist schedule) is registered here
+ * - Jobs run in the server timezone (setting scheduler_timezone), unless a job
+ *   has its own timezone override in scheduler_jobs
+ * - Every run is recorded in job_runs with its trigger, duration and result
+ * - Long-running work (source refreshes, EPG grab/enrichment, STRM exports) is
+ *   handed to the job queue, so it shares its limits with runs from the UI
+ * - The next run time of each job is persisted; on startup, jobs whose next
+ *   run passed while the server was down are caught up once
+ */
+
 import db from '../db.js'
-import cron from 'node-cron'
-import { refreshSourceCache } from './sourceManager.js'
 import { buildM3U, writeM3U } from '../m3uBuilder.js'
-import { exportVodToStrm } from '../strm-exporter.js'
-import { hashPassword } from '../auth.js'
-import { runGrab, grabState } from '../epgGrab.js'
-import { enrichGuide } from '../epgEnrich.js'
-import { getSettingValue, setSettingValue } from '../settings-cache.js'
-
-let liveRefreshCronJob = null
-let movieRefreshCronJob = null
-let seriesRefreshCronJob = null
-let epgGrabCronJob = null
-let enrichCronJob = null
-
-export function startEpgGrabCron() {
-  if (epgGrabCronJob) epgGrabCronJob.stop()
-  const schedule = getSettingValue('epg_grab_schedule') || '0 23 * * *'
-  if (!schedule) {
-    console.log('[startup] EPG grab schedule disabled')
-    return
-  }
-  console.log(`[startup] Configuring EPG grab cron with schedule: ${schedule}`)
-  if (cron.validate(schedule)) {
-    epgGrabCronJob = cron.schedule(schedule, () => {
-      console.log(`[cron] Running daily EPG grab at ${new Date().toISOString()}…`)
-      runGrab({ onProgress: (msg) => console.log(`[cron-epg] ${msg}`) })
-        .then(async () => {
-          console.log(`[cron] EPG grab completed successfully at ${new Date().toISOString()}`)
-          const epgSources = db.prepare("SELECT * FROM sources WHERE category = 'epg'").all()
-          // Refresh all EPG sources sequentially
-          for (const s of epgSources) {
-            try {
-              console.log(`[cron] Refreshing EPG source "${s.name}"...`)
-              await refreshSourceCache(s.id)
-              console.log(`[cron] Successfully refreshed EPG source "${s.name}"`)
-            } catch (err) {
-              console.error(`[cron] Error refreshing EPG source "${s.name}":`, err.message)
-            }
-          }
-        })
-        .catch(e => console.error('[cron] EPG grab error:', e.message))
-    }, {
-      scheduled: true,
-      timezone: "Africa/Johannesburg"
-    })
-  } else {
-    console.error(`[startup] Invalid EPG grab cron schedule: ${schedule}`)
+import { runQueued } from './jobQueue.js'
+import { getSettingValue, refreshSettingValue } from '../settings-cache.js'
+import { runHealthCheck, applyDeadChannelPolicy } from '../healthCheck.js'
+import { isValidCron, nextCronRun } from '../cronExpression.js'
+import { createBackupFile, DEFAULT_BACKUP_SCHEDULE } from '../backups.js'
+
+const RUN_HISTORY_PER_JOB = 100
+const CATCH_UP_DELAY = 60_000
+// Timers are re-armed at least this often so clock changes are picked up
+const MAX_TIMER_DELAY = 60 * 60_000
+
+// Settings keys that hold job schedules — changing any of them resyncs the jobs
+export const SCHEDULE_SETTING_KEYS = [
+  'scheduler_timezone',
+  'epg_grab_schedule',
+  'epg_enrich_schedule',
+  'health_check_schedule',
+  'live_refresh_schedule',
+  'movie_refresh_schedule',
+  'series_refresh_schedule',
+  'backup_schedule',
+]
+
+// id → { id, name, category, schedule, timezone, run, nextRun, timer, running, error }
+const jobs = new Map()
+
+// ── Timezone ──────────────────────────────────────────────────────────────────
+export function isValidTimezone(tz) {
+  if (!tz) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz })
+    return true
+  } catch {
+    return false
   }
 }
 
-export function startEnrichCron() {
-  if (enrichCronJob) enrichCronJob.stop()
-  const schedule = getSettingValue('epg_enrich_schedule') || '0 2 * * *'
-  if (!schedule) {
-    console.log('[startup] TMDB enrichment schedule disabled')
+export function getServerTimezone() {
+  const configured = getSettingValue('scheduler_timezone')
+  if (isValidTimezone(configured)) return configured
+  if (isValidTimezone(process.env.TZ)) return process.env.TZ
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+// ── Job definitions ───────────────────────────────────────────────────────────
+function builtinJobs() {
+  return [
+    {
+      id: 'epg-grab',
+      name: 'EPG grab',
+      category: 'epg',
+      schedule: getSettingValue('epg_grab_schedule') || '0 23 * * *',
+      run: runEpgGrabJob,
+    },
+    {
+      id: 'epg-enrich',
+      name: 'TMDB enrichment',
+      category: 'epg',
+      schedule: getSettingValue('epg_enrich_schedule') || '0 2 * * *',
+      run: ({ trigger }) => runQueued('epg-enrich', {}, { trigger }),
+    },
+    {
+      id: 'health-check',
+      name: 'Channel health check',
+      category: 'health',
+      schedule: getSettingValue('health_check_schedule') || '',
+      run: () => runHealthCheck(),
+    },
+    {
+      id: 'live-refresh',
+      name: 'Live TV refresh',
+      category: 'content',
+      schedule: getSettingValue('live_refresh_schedule') || '0 */6 * * *',
+      run: runLiveRefreshJob,
+    },
+    {
+      id: 'movie-refresh',
+      name: 'Movies refresh',
+      category: 'content',
+      schedule: getSettingValue('movie_refresh_schedule') || '0 4 * * 0',
+      run: ({ trigger }) => runVodRefreshJob('movie', trigger),
+    },
+    {
+      id: 'series-refresh',
+      name: 'Series refresh',
+      category: 'content',
+      schedule: getSettingValue('series_refresh_schedule') || '0 4 * * *',
+      run: ({ trigger }) => runVodRefreshJob('series', trigger),
+    },
+    {
+      id: 'backup',
+      name: 'Backup',
+      category: 'maintenance',
+      // An empty schedule turns scheduled backups off
+      schedule: getSettingValue('backup_schedule', DEFAULT_BACKUP_SCHEDULE),
+      run: () => createBackupFile(),
+    },
+  ]
+}
+
+// Playlist sources are refreshed by the Live TV / Movies / Series jobs; an EPG
+// source's own refresh_cron decides when it is fetched
+function sourceJobs() {
+  return db.prepare("SELECT id, name, refresh_cron FROM sources WHERE category = 'epg' ORDER BY id").all()
+    .map(s => ({
+      id: `source-refresh:${s.id}`,
+      name: `Refresh EPG source "${s.name}"`,
+      category: 'source',
+      schedule: s.refresh_cron || '',
+      run: ({ trigger }) => runQueued('source-refresh', { source_id: s.id }, { trigger }),
+    }))
+}
+
+// Only live playlists with an output file have something to build
+function playlistJobs() {
+  return db.prepare(`
+    SELECT id, name, schedule FROM playlists
+    WHERE output_path IS NOT NULL AND output_path != '' AND COALESCE(playlist_type, 'live') = 'live'
+    ORDER BY id
+  `).all()
+    .map(p => ({
+      id: `playlist-build:${p.id}`,
+      name: `Build playlist "${p.name}"`,
+      category: 'playlist',
+      schedule: p.schedule || '',
+      run: () => ({ channels: buildPlaylistFile(p.id) }),
+    }))
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+function getOverrides() {
+  return new Map(db.prepare('SELECT * FROM scheduler_jobs').all().map(r => [r.job_id, r]))
+}
+
+function persistNextRun(job) {
+  const next = job.nextRun?.toISOString() || null
+  db.prepare(`
+    INSERT INTO scheduler_jobs (job_id, next_run_at) VALUES (?, ?)
+    ON CONFLICT(job_id) DO UPDATE SET next_run_at = excluded.next_run_at
+  `).run(job.id, next)
+}
+
+function unschedule(job) {
+  clearTimeout(job.timer)
+  job.timer = null
+  job.nextRun = null
+}
+
+function armTimer(job) {
+  clearTimeout(job.timer)
+  if (!job.nextRun) return
+  const delay = Math.min(Math.max(job.nextRun.getTime() - Date.now(), 0), MAX_TIMER_DELAY)
+  job.timer = setTimeout(() => onTimer(job), delay)
+}
+
+function onTimer(job) {
+  if (jobs.get(job.id) !== job || !job.nextRun) return
+  if (Date.now() < job.nextRun.getTime()) return armTimer(job)
+  const due = job.nextRun
+  job.nextRun = nextCronRun(job.schedule, job.timezone, due)
+  armTimer(job)
+  if (job.running) {
+    console.log(`[scheduler] ${job.name} is still running — skipping the ${due.toISOString()} run`)
+    persistNextRun(job)
     return
   }
-  console.log(`[startup] Configuring TMDB enrichment cron with schedule: ${schedule}`)
-  if (cron.validate(schedule)) {
-    enrichCronJob = cron.schedule(schedule, () => {
-      console.log(`[cron] Running TMDB enrichment at ${new Date().toISOString()}…`)
-      enrichGuide(null)
-        .then(() => {
-          console.log(`[cron] TMDB enrichment completed at ${new Date().toISOString()}`)
-        })
-        .catch(e => console.error('[cron] Enrichment error:', e.message))
-    }, {
-      scheduled: true,
-      timezone: "Africa/Johannesburg"
-    })
-  } else {
-    console.error(`[startup] Invalid enrichment cron schedule: ${schedule}`)
+  runJob(job.id, 'schedule').catch(() => {})
+}
+
+function schedule(job) {
+  unschedule(job)
+  job.error = null
+  if (!job.schedule) return
+  if (!isValidCron(job.schedule)) {
+    job.error = `Invalid cron expression: ${job.schedule}`
+    console.error(`[scheduler] ${job.name}: ${job.error}`)
+    return
   }
+  job.nextRun = nextCronRun(job.schedule, job.timezone)
+  armTimer(job)
 }
 
-export function startContentUpdateScheduler() {
-  // Stop existing jobs
-  if (liveRefreshCronJob) liveRefreshCronJob.stop()
-  if (movieRefreshCronJob) movieRefreshCronJob.stop()
-  if (seriesRefreshCronJob) seriesRefreshCronJob.stop()
-
-  const getLiveSchedule = () => getSettingValue('live_refresh_schedule') || '0 */6 * * *'
-  const getMovieSchedule = () => getSettingValue('movie_refresh_schedule') || '0 4 * * 0'
-  const getSeriesSchedule = () => getSettingValue('series_refresh_schedule') || '0 4 * * *'
-  const getAutoExportStrm = () => getSettingValue('auto_export_strm') === '1'
-
-  // Live TV refresh schedule (applies to all sources)
-  const liveSchedule = getLiveSchedule()
-  if (cron.validate(liveSchedule)) {
-    liveRefreshCronJob = cron.schedule(liveSchedule, async () => {
-      console.log(`[cron] Running Live TV refresh at ${new Date().toISOString()}`)
-
-      // Refresh all sources (Xtream: Live only, M3U: all content)
-      const sources = db.prepare('SELECT * FROM sources WHERE category = ?').all('playlist')
-      for (const source of sources) {
-        try {
-          console.log(`[cron] Refreshing Live TV for "${source.name}"`)
-
-          if (source.type === 'xtream') {
-            // For Xtream: Only refresh Live TV
-            await refreshSourceWithContentTypes(source.id, { refreshLive: true, refreshMovies: false, refreshSeries: false })
-          } else {
-            // For M3U: Refresh all content (treated as Live TV)
-            await refreshSourceCache(source.id)
-          }
-        } catch (e) {
-          console.error(`[cron] Failed to refresh Live TV for "${source.name}":`, e.message)
-        }
-      }
+/**
+ * Bring the registry in line with the current settings, sources and playlists.
+ * Jobs whose schedule or timezone did not change keep their timer.
+ */
+export function syncJobs() {
+  const serverTz = getServerTimezone()
+  const overrides = getOverrides()
+  const wanted = [...builtinJobs(), ...sourceJobs(), ...playlistJobs()]
+  const wantedIds = new Set(wanted.map(j => j.id))
 
-      // Build M3U files for Live playlists with output_path
-      const livePlaylists = db.prepare('SELECT * FROM playlists WHERE playlist_type = ? AND output_path IS NOT NULL').all('live')
-      for (const p of livePlaylists) {
-        try {
-          const channels = db.prepare('SELECT * FROM playlist_channels WHERE playlist_id = ? ORDER BY sort_order, id').all(p.id)
-          const epgRows = db.prepare('SELECT * FROM epg_mappings').all()
-          const epgMap = new Map(epgRows.map(r => [r.source_tvg_id, r.target_tvg_id]))
-          const content = buildM3U(channels, epgMap)
-          writeM3U(p.output_path, content)
-          db.prepare("UPDATE playlists SET last_built = datetime('now') WHERE id = ?").run(p.id)
-          console.log(`[cron] Built Live M3U "${p.name}" -> ${p.output_path}`)
-        } catch (e) {
-          console.error(`[cron] Failed to build M3U for "${p.name}":`, e.message)
-        }
-      }
-    }, { scheduled: true, timezone: "Africa/Johannesburg" })
-    console.log(`[startup] Scheduled Live TV refresh: ${liveSchedule}`)
+  for (const [id, job] of jobs) {
+    if (wantedIds.has(id)) continue
+    unschedule(job)
+    jobs.delete(id)
   }
 
-  // Movies refresh schedule (Xtream sources only)
-  const movieSchedule = getMovieSchedule()
-  if (cron.validate(movieSchedule)) {
-    movieRefreshCronJob = cron.schedule(movieSchedule, async () => {
-      console.log(`[cron] Running Movies refresh at ${new Date().toISOString()}`)
-
-      const xtreamSources = db.prepare('SELECT * FROM sources WHERE type = ? AND category = ?').all('xtream', 'playlist')
-      for (const source of xtreamSources) {
-        try {
-          console.log(`[cron] Refreshing Movies for "${source.name}"`)
-          await refreshSourceWithContentTypes(source.id, { refreshLive: false, refreshMovies: true, refreshSeries: false })
-        } catch (e) {
-          console.error(`[cron] Failed to refresh Movies for "${source.name}":`, e.message)
-        }
+  for (const def of wanted) {
+    const override = overrides.get(def.id)
+    const timezone = isValidTimezone(override?.timezone) ? override.timezone : serverTz
+    const job = jobs.get(def.id)
+    if (job) {
+      const changed = job.schedule !== def.schedule || job.timezone !== timezone
+      Object.assign(job, def, { timezone })
+      if (changed) {
+        schedule(job)
+        persistNextRun(job)
       }
+      continue
+    }
+    const created = { ...def, timezone, nextRun: null, timer: null, running: false, error: null }
+    jobs.set(def.id, created)
+    schedule(created)
+    persistNextRun(created)
+  }
+}
 
-      // Auto-export STRM files if enabled
-      if (getAutoExportStrm()) {
-        await exportVodStrmFiles('movie')
-      }
-    }, { scheduled: true, timezone: "Africa/Johannesburg" })
-    console.log(`[startup] Scheduled Movies refresh: ${movieSchedule}`)
+// ── Running ───────────────────────────────────────────────────────────────────
+function summarize(result) {
+  if (result === undefined || result === null) return null
+  return JSON.stringify(result)
+}
+
+/**
+ * Run a job now and record the run.
+ * @param {string} id
+ * @param {'schedule'|'manual'|'catch-up'} trigger
+ * @returns {Promise<Object>} the finished job_runs row
+ */
+export async function runJob(id, trigger = 'manual') {
+  const job = jobs.get(id)
+  if (!job) throw new Error('Job not found')
+  if (job.running) {
+    throw new Error('Job is already running')
   }
 
-  // Series refresh schedule (Xtream sources only)
-  const seriesSchedule = getSeriesSchedule()
-  if (cron.validate(seriesSchedule)) {
-    seriesRefreshCronJob = cron.schedule(seriesSchedule, async () => {
-      console.log(`[cron] Running Series refresh at ${new Date().toISOString()}`)
-
-      const xtreamSources = db.prepare('SELECT * FROM sources WHERE type = ? AND category = ?').all('xtream', 'playlist')
-      for (const source of xtreamSources) {
-        try {
-          console.log(`[cron] Refreshing Series for "${source.name}"`)
-          await refreshSourceWithContentTypes(source.id, { refreshLive: false, refreshMovies: false, refreshSeries: true })
-        } catch (e) {
-          console.error(`[cron] Failed to refresh Series for "${source.name}":`, e.message)
-        }
-      }
+  job.running = true
+  const startedAt = Date.now()
+  const runId = db.prepare(`
+    INSERT INTO job_runs (job_id, trigger, status, started_at) VALUES (?, ?, 'running', ?)
+  `).run(id, trigger, new Date(startedAt).toISOString()).lastInsertRowid
+  console.log(`[scheduler] Running ${job.name} (${trigger})`)
 
-      // Auto-export STRM files if enabled
-      if (getAutoExportStrm()) {
-        await exportVodStrmFiles('series')
-      }
-    }, { scheduled: true, timezone: "Africa/Johannesburg" })
-    console.log(`[startup] Scheduled Series refresh: ${seriesSchedule}`)
+  let status = 'success'
+  let result = null
+  let error = null
+  try {
+    result = await job.run({ trigger })
+    // The underlying task was already running (e.g. started from its own page)
+    if (result?.already || result?.skipped) status = 'skipped'
+  } catch (e) {
+    status = 'failed'
+    error = e.message
+    console.error(`[scheduler] ${job.name} failed:`, e.message)
+  } finally {
+    job.running = false
   }
+
+  const duration = Date.now() - startedAt
+  db.prepare(`
+    UPDATE job_runs SET status = ?, finished_at = ?, duration_ms = ?, result = ?, error = ? WHERE id = ?
+  `).run(status, new Date().toISOString(), duration, summarize(result), error, runId)
+  db.prepare(`
+    DELETE FROM job_runs WHERE job_id = ? AND id NOT IN (
+      SELECT id FROM job_runs WHERE job_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(id, id, RUN_HISTORY_PER_JOB)
+  if (jobs.get(id) === job) persistNextRun(job)
+
+  console.log(`[scheduler] ${job.name} finished: ${status} in ${Math.round(duration / 1000)}s`)
+  return db.prepare('SELECT * FROM job_runs WHERE id = ?').get(runId)
 }
 
-// Helper function to refresh source with specific content types
-async function refreshSourceWithContentTypes(sourceId, refreshOptions) {
-  const source = db.prepare('SELECT * FROM sources WHERE id = ?').get(sourceId)
-  if (!source || source.type !== 'xtream') {
-    throw new Error('Invalid source or not Xtream type')
-  }
+// ── Registry API ──────────────────────────────────────────────────────────────
+function toRun(row) {
+  if (!row) return null
+  let result = null
+  try { result = row.result ? JSON.parse(row.result) : null } catch {}
+  return { ...row, result }
+}
 
-  // Temporarily modify refreshSourceCache to accept refresh options
-  // Store options in a way refreshSourceCache can access them
-  global.currentRefreshOptions = refreshOptions
-  await refreshSourceCache(sourceId)
-  delete global.currentRefreshOptions
+export function listJobs() {
+  const overrides = getOverrides()
+  const lastRun = db.prepare('SELECT * FROM job_runs WHERE job_id = ? ORDER BY id DESC LIMIT 1')
+  return [...jobs.values()].map(job => {
+    const override = overrides.get(job.id)
+    return {
+      id: job.id,
+      name: job.name,
+      category: job.category,
+      schedule: job.schedule,
+      enabled: !!job.nextRun,
+      error: job.error,
+      timezone: job.timezone,
+      timezone_override: override?.timezone || null,
+      catch_up: override ? !!override.catch_up : true,
+      running: job.running,
+      next_run: job.nextRun?.toISOString() || null,
+      last_run: toRun(lastRun.get(job.id)),
+    }
+  })
 }
 
-// Helper function to export STRM files for VOD playlists
-async function exportVodStrmFiles(contentType) {
-  console.log(`[cron] Auto-exporting STRM files for ${contentType} playlists`)
+export function getJob(id) {
+  return listJobs().find(j => j.id === id) || null
+}
+
+export function getJobRuns(id, limit = 50) {
+  return db.prepare('SELECT * FROM job_runs WHERE job_id = ? ORDER BY id DESC LIMIT ?').all(id, limit).map(toRun)
+}
+
+/**
+ * Set a job's timezone override (null follows the server timezone) and whether
+ * runs missed during downtime are caught up.
+ */
+export function updateJobSettings(id, { timezone, catch_up }) {
+  if (!jobs.has(id)) throw new Error('Job not found')
+  if (timezone && !isValidTimezone(timezone)) throw new Error(`Unknown timezone: ${timezone}`)
+  const current = getOverrides().get(id)
+  db.prepare(`
+    INSERT INTO scheduler_jobs (job_id, timezone, catch_up) VALUES (?, ?, ?)
+    ON CONFLICT(job_id) DO UPDATE SET timezone = excluded.timezone, catch_up = excluded.catch_up
+  `).run(
+    id,
+    timezone === undefined ? current?.timezone || null : timezone || null,
+    catch_up === undefined ? (current ? current.catch_up : 1) : (catch_up ? 1 : 0),
+  )
+  syncJobs()
+  return getJob(id)
+}
+
+// ── Startup ───────────────────────────────────────────────────────────────────
+/**
+ * Register all jobs and catch up runs missed while the server was down.
+ * Needs the scheduler tables, so call it after migrations.
+ */
+export function startScheduler() {
+  refreshSettingValue('scheduler_timezone')
+
+  // Runs cut off by a restart never finished
+  db.prepare(`
+    UPDATE job_runs SET status = 'failed', error = 'Interrupted by server restart', finished_at = ?
+    WHERE status = 'running'
+  `).run(new Date().toISOString())
+
+  // Read the persisted next run times before syncJobs replaces them
+  const before = getOverrides()
+  syncJobs()
+  console.log(`[scheduler] ${[...jobs.values()].filter(j => j.nextRun).length} jobs scheduled (timezone ${getServerTimezone()})`)
+
+  const now = Date.now()
+  const lastStart = db.prepare('SELECT MAX(started_at) AS last FROM job_runs WHERE job_id = ?')
+  const missed = [...jobs.values()].filter(job => {
+    const saved = before.get(job.id)
+    if (!job.nextRun || !saved?.next_run_at || saved.catch_up === 0) return false
+    const due = Date.parse(saved.next_run_at)
+    if (!(due < now)) return false
+    const last = lastStart.get(job.id).last
+    return !last || Date.parse(last) < due
+  })
+  if (!missed.length) return
+
+  console.log(`[scheduler] Catching up ${missed.length} missed job(s) in ${CATCH_UP_DELAY / 1000}s: ${missed.map(j => j.name).join(', ')}`)
+  setTimeout(async () => {
+    for (const job of missed) {
+      if (!jobs.has(job.id)) continue
+      await runJob(job.id, 'catch-up').catch(() => {})
+    }
+  }, CATCH_UP_DELAY)
+}
+
+// ── Job bodies ────────────────────────────────────────────────────────────────
+// Refresh sources through the job queue; returns how many failed
+async function refreshSources(sources, trigger, contentTypes = null) {
+  const results = await Promise.allSettled(sources.map(s =>
+    runQueued('source-refresh', contentTypes ? { source_id: s.id, content_types: contentTypes } : { source_id: s.id }, { trigger })
+  ))
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') console.error(`[cron] Error refreshing source "${sources[i].name}":`, r.reason.message)
+  })
+  return results.filter(r => r.status === 'rejected').length
+}
+
+async function runEpgGrabJob({ trigger }) {
+  const result = await runQueued('epg-grab', {}, { trigger })
 
-  const vodPlaylists = db.prepare('SELECT * FROM playlists WHERE playlist_type = ?').all('vod')
-
-  // Get or create jellyfin user
-  let jellyfinUser = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
-  let jellyfinPassword = getSettingValue('jellyfin_strm_password')
-
-  if (!jellyfinUser) {
-    const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789!@#$%^&*'
-    jellyfinPassword = Array.from({ length: 32 }, () => chars[Math.floor(Math.random() * chars.length)]).join('')
-    const hashed = await hashPassword(jellyfinPassword)
-    db.prepare(
-      `INSERT INTO users (username, password, max_connections, active, notes)
-       VALUES (?, ?, ?, ?, ?)`
-    ).run('jellyfin', hashed, 0, 1, 'Auto-created for Jellyfin STRM files')
-    setSettingValue('jellyfin_strm_password', jellyfinPassword)
-    jellyfinUser = db.prepare('SELECT * FROM users WHERE username = ?').get('jellyfin')
+  console.log(`[cron] EPG grab completed successfully at ${new Date().toISOString()}`)
+  // Then refresh every EPG source
+  const epgSources = db.prepare("SELECT id, name FROM sources WHERE category = 'epg'").all()
+  const failed = await refreshSources(epgSources, trigger)
+  return { ...result, sources: epgSources.length, failed_sources: failed }
+}
+
+// Writes a live playlist's M3U to its output_path; returns the channel count
+function buildPlaylistFile(playlistId) {
+  const p = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId)
+  if (!p?.output_path) throw new Error('Playlist has no output path')
+  const channels = applyDeadChannelPolicy(
+    db.prepare('SELECT * FROM playlist_channels WHERE playlist_id = ? ORDER BY sort_order, id').all(p.id), p)
+  const epgRows = db.prepare('SELECT * FROM epg_mappings').all()
+  const epgMap = new Map(epgRows.map(r => [r.source_tvg_id, r.target_tvg_id]))
+  const content = buildM3U(channels, epgMap)
+  writeM3U(p.output_path, content)
+  db.prepare("UPDATE playlists SET last_built = datetime('now') WHERE id = ?").run(p.id)
+  console.log(`[cron] Built Live M3U "${p.name}" -> ${p.output_path}`)
+  return channels.length
+}
+
+// Xtream sources refresh Live TV only, M3U sources everything (it's all live)
+async function runLiveRefreshJob({ trigger }) {
+  const sources = db.prepare('SELECT id, name, type FROM sources WHERE category = ?').all('playlist')
+  const liveOnly = { refreshLive: true, refreshMovies: false, refreshSeries: false }
+  const failed = await refreshSources(sources.filter(s => s.type === 'xtream'), trigger, liveOnly)
+    + await refreshSources(sources.filter(s => s.type !== 'xtream'), trigger)
+
+  // Build M3U files for Live playlists with output_path
+  const livePlaylists = db.prepare('SELECT id, name FROM playlists WHERE playlist_type = ? AND output_path IS NOT NULL').all('live')
+  for (const p of livePlaylists) {
+    try {
+      buildPlaylistFile(p.id)
+    } catch (e) {
+      console.error(`[cron] Failed to build M3U for "${p.name}":`, e.message)
+    }
   }
 
-  if (!jellyfinPassword) {
-    jellyfinPassword = 'jellyfin'
+  if (failed && failed === sources.length) throw new Error(`All ${failed} sources failed to refresh`)
+  return { sources: sources.length, failed, playlists_built: livePlaylists.length }
+}
+
+// Movies / Series refresh (Xtream sources only)
+async function runVodRefreshJob(contentType, trigger) {
+  const options = { refreshLive: false, refreshMovies: contentType === 'movie', refreshSeries: contentType === 'series' }
+  const xtreamSources = db.prepare('SELECT id, name FROM sources WHERE type = ? AND category = ?').all('xtream', 'playlist')
+  const failed = await refreshSources(xtreamSources, trigger, options)
+
+  // Auto-export STRM files if enabled
+  if (getSettingValue('auto_export_strm') === '1') {
+    await exportVodStrmFiles(contentType, trigger)
   }
 
+  if (failed && failed === xtreamSources.length) throw new Error(`All ${failed} sources failed to refresh`)
+  return { sources: xtreamSources.length, failed }
+}
+
+// Export STRM files for every VOD playlist
+async function exportVodStrmFiles(contentType, trigger) {
+  console.log(`[cron] Auto-exporting STRM files for ${contentType} playlists`)
+
+  const vodPlaylists = db.prepare('SELECT id, name FROM playlists WHERE playlist_type = ?').all('vod')
   const hostIp = process.env.HOST_IP || 'localhost'
   const baseUrl = `http://${hostIp}:3005`
 
-  for (const playlist of vodPlaylists) {
+  await Promise.all(vodPlaylists.map(async playlist => {
     try {
-      const stats = await exportVodToStrm(playlist.id, baseUrl, jellyfinUser.username, jellyfinPassword)
-      db.prepare("UPDATE playlists SET last_built = datetime('now') WHERE id = ?").run(playlist.id)
+      const stats = await runQueued('strm-export', { playlist_id: playlist.id, base_url: baseUrl }, { trigger })
       console.log(`[cron] Exported STRM for "${playlist.name}": ${stats.created} created, ${stats.updated} updated`)
     } catch (e) {
       console.error(`[cron] Failed to export STRM for "${playlist.name}":`, e.message)
     }
-  }
+  }))
 }
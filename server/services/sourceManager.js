@@ -1,10 +1,18 @@
-import { readFileSync, existsSync } from 'node:fs'
+import { createReadStream, existsSync } from 'node:fs'
+import { Readable } from 'node:stream'
 import db from '../db.js'
 import { GUIDE_XML } from '../epgGrab.js'
 import { fetchAndParseM3U, fetchXtreamChannels, shouldSkipByRules } from '../m3uBuilder.js'
+import { syncPlaylistChannelOptions, parseJsonObject } from '../channelOptions.js'
+import { channelStableKey, reconcileChannels } from '../channelIdentity.js'
+import { createRefreshDiff, noteChange, recordRefreshHistory, autoAddNewChannels } from '../refreshHistory.js'
+import { applySmartPlaylistsForSource } from '../smartPlaylists.js'
 import { clearCache } from './cache.js'
 import { getVodSettings } from '../routes/settings.js'
 import { invalidateAllPlaylistXmltvCache, invalidatePlaylistsForSource } from './xmltvCache.js'
+import { notify, getChannelDropPercent } from '../notifications.js'
+import { parseXmltv } from '../xmltvParser.js'
+import { parseXmltvTime } from '../epgMerge.js'
 
 const DEFAULT_DETECTED_GENRES = ['Action', 'Comedy', 'Drama', 'Documentary', 'Horror', 'Romance', 'Sci-Fi', 'Thriller']
 const EVENT_LOOP_YIELD_INTERVAL = 250
@@ -173,6 +181,11 @@ async function buildPreparedChannelArrays(channelArrays, cleanupRules, skipRules
         quality,
         normalizedName,
         metaJson: ch.meta ? JSON.stringify(ch.meta) : null,
+        httpHeaders: ch.http_headers || null,
+        streamOptions: ch.stream_options || null,
+        tvgChno: ch.tvg_chno || null,
+        catchupJson: ch.catchup ? JSON.stringify(ch.catchup) : null,
+        stableKey: channelStableKey({ streamId: ch.stream_id, url: ch.url, tvgId: ch.tvg_id, normalizedName }),
       })
     }
 
@@ -185,15 +198,265 @@ async function buildPreparedChannelArrays(channelArrays, cleanupRules, skipRules
   }
 }
 
-export async function refreshSourceCache(sourceId) {
+// Per-source refresh outcomes since startup, exposed on /metrics
+const refreshStats = new Map()
+
+export function getSourceRefreshStats() {
+  return [...refreshStats.entries()].map(([sourceId, stats]) => ({ sourceId, ...stats }))
+}
+
+function recordRefresh(sourceId, durationMs, error) {
+  const stats = refreshStats.get(sourceId) || {
+    runs: 0, failures: 0, totalSeconds: 0, lastSeconds: 0, lastSuccessAt: null, lastFailureAt: null,
+  }
+  stats.runs++
+  stats.lastSeconds = durationMs / 1000
+  stats.totalSeconds += stats.lastSeconds
+  if (error) {
+    stats.failures++
+    stats.lastFailureAt = Date.now()
+  } else {
+    stats.lastSuccessAt = Date.now()
+  }
+  refreshStats.set(sourceId, stats)
+}
+
+// Channel changes of the latest refresh per source, see reconcileSourceChannels()
+const lastRefreshChanges = new Map()
+
+export function getLastRefreshChanges(sourceId) {
+  return lastRefreshChanges.get(Number(sourceId)) || null
+}
+
+/**
+ * Match the incoming channels to the stored ones by stable identity (see
+ * channelIdentity.js) and move every renamed URL in place — in source_channels,
+ * in playlist_channels and in the health history — before the URL-keyed upsert
+ * runs, so rotated provider tokens keep IDs, playlist entries and overrides.
+ * Only content types being replaced are compared. Runs inside the refresh
+ * transaction and records what changed in a refresh diff (refreshHistory.js).
+ */
+function reconcileSourceChannels(sid, preparedArrays, refreshedContentTypes) {
+  const selectStored = db.prepare(`
+    SELECT id, url, tvg_id, tvg_name, group_title, normalized_name, stable_key
+    FROM source_channels WHERE source_id = ? AND COALESCE(content_type, 'live') = ?
+  `)
+  const moveSourceChannel = db.prepare('UPDATE source_channels SET url = ? WHERE id = ?')
+  const movePlaylistChannels = db.prepare('UPDATE playlist_channels SET url = ? WHERE url = ? AND (source_id = ? OR source_id IS NULL)')
+  const moveSmartPins = db.prepare('UPDATE OR IGNORE playlist_smart_pins SET url = ? WHERE url = ? AND (source_id = ? OR source_id IS NULL)')
+  const moveHealth = db.prepare('UPDATE OR IGNORE channel_health SET url = ? WHERE url = ?')
+  const moveHealthChecks = db.prepare('UPDATE channel_health_checks SET url = ? WHERE url = ?')
+  // Channel numbers follow the channel (channelNumbers.js); a renamed channel keeps its
+  // number unless another source channel still goes by the old name
+  const moveNumberKey = db.prepare('UPDATE OR IGNORE playlist_channel_numbers SET channel_key = ? WHERE channel_key = ?')
+  const nameInUse = db.prepare('SELECT 1 FROM source_channels WHERE normalized_name = ? AND id != ? LIMIT 1')
+
+  const diff = createRefreshDiff()
+  for (const { contentType, channels } of preparedArrays) {
+    // Live lists that came back empty aren't pruned, so there's nothing to compare
+    if (contentType === 'live' && (!refreshedContentTypes.live || !channels.length)) continue
+    if (contentType === 'movie' && !refreshedContentTypes.movies) continue
+    if (contentType === 'series' && !refreshedContentTypes.series) continue
+
+    const storedRows = selectStored.all(sid, contentType)
+    const { matches, added, removed } = reconcileChannels(storedRows, channels)
+    for (const ch of added) {
+      noteChange(diff, 'added', { name: ch.cleanedName, group: ch.groupTitle })
+      diff.addedChannels.push({ url: ch.url, groupTitle: ch.groupTitle, contentType })
+    }
+    for (const row of removed) noteChange(diff, 'removed', { name: row.tvg_name, group: row.group_title || '' })
+
+    const storedGroups = new Set(storedRows.map(r => r.group_title || ''))
+    const incomingGroups = new Set(channels.map(ch => ch.groupTitle || ''))
+    for (const group of incomingGroups) if (!storedGroups.has(group)) noteChange(diff, 'groups_added', group)
+    for (const group of storedGroups) if (!incomingGroups.has(group)) noteChange(diff, 'groups_removed', group)
+
+    for (const { stored, incoming } of matches) {
+      const urlChanged = stored.url !== incoming.url
+      const renamed = stored.tvg_name !== incoming.cleanedName
+      const regrouped = (stored.group_title || '') !== (incoming.groupTitle || '')
+      if (urlChanged || renamed || regrouped) diff.counts.changed++
+      if (renamed) noteChange(diff, 'renamed', { from: stored.tvg_name, to: incoming.cleanedName, group: incoming.groupTitle })
+      if (regrouped) noteChange(diff, 'regrouped', { name: incoming.cleanedName, from: stored.group_title || '', to: incoming.groupTitle })
+      if (stored.normalized_name && incoming.normalizedName && stored.normalized_name !== incoming.normalizedName && !nameInUse.get(stored.normalized_name, stored.id)) {
+        moveNumberKey.run(`name:${incoming.normalizedName}`, `name:${stored.normalized_name}`)
+      }
+      if (!urlChanged) continue
+
+      noteChange(diff, 'url_changed', { name: incoming.cleanedName, group: incoming.groupTitle })
+      moveSourceChannel.run(incoming.url, stored.id)
+      diff.counts.playlist_channels_relinked += movePlaylistChannels.run(incoming.url, stored.url, sid).changes
+      moveSmartPins.run(incoming.url, stored.url, sid)
+      moveHealth.run(incoming.url, stored.url)
+      moveHealthChecks.run(incoming.url, stored.url)
+      moveNumberKey.run(`url:${incoming.url}`, `url:${stored.url}`)
+    }
+  }
+  return diff
+}
+
+const countSourceChannelsStmt = db.prepare('SELECT COUNT(*) AS n FROM source_channels WHERE source_id = ?')
+
+/**
+ * Fetch a source and store its channels (or guide) in the DB.
+ *
+ * @param {number|string} sourceId
+ * @param {Object} [options]
+ * @param {Object} [options.contentTypes] - Xtream only: { refreshLive, refreshMovies, refreshSeries }, all by default
+ * @param {AbortSignal} [options.signal] - aborts the download; nothing is written once aborted
+ * @param {Function} [options.onProgress] - (message) => void
+ * @returns {Promise<number>} channel count
+ */
+export async function refreshSourceCache(sourceId, options = {}) {
+  const startedAt = Date.now()
+  const source = db.prepare('SELECT id, name, category FROM sources WHERE id = ?').get(sourceId)
+  const before = source ? countSourceChannelsStmt.get(source.id).n : 0
+  try {
+    const result = await runSourceRefresh(sourceId, options)
+    recordRefresh(Number(sourceId), Date.now() - startedAt, null)
+
+    if (source && source.category !== 'epg' && before > 0) {
+      const after = countSourceChannelsStmt.get(source.id).n
+      const dropPercent = Math.round((1 - after / before) * 100)
+      if (dropPercent >= getChannelDropPercent()) {
+        notify('source.channel_drop', { source_id: source.id, source: source.name, before, after, drop_percent: dropPercent })
+      }
+    }
+    return result
+  } catch (e) {
+    recordRefresh(Number(sourceId), Date.now() - startedAt, e)
+    if (source) notify('source.refresh_failed', { source_id: source.id, source: source.name, error: e.message })
+    throw e
+  }
+}
+
+// ── EPG ingest ────────────────────────────────────────────────────────────────
+const EPG_IDLE_TIMEOUT = 30_000
+const EPG_INSERT_BATCH = 2000
+
+// Response body as a byte stream; aborts when no data arrives for EPG_IDLE_TIMEOUT,
+// so large guides can take as long as they need to download
+async function fetchEpgStream(url, signal) {
+  const controller = new AbortController()
+  const idle = setTimeout(() => controller.abort(), EPG_IDLE_TIMEOUT)
+  let resp
+  try {
+    resp = await fetch(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; M3UManager/1.0)' },
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
+    })
+  } catch (e) {
+    clearTimeout(idle)
+    throw e
+  }
+  if (!resp.ok) {
+    clearTimeout(idle)
+    throw new Error(`HTTP ${resp.status} fetching EPG from ${url}`)
+  }
+  return (async function* () {
+    try {
+      for await (const chunk of Readable.fromWeb(resp.body)) {
+        idle.refresh()
+        yield chunk
+      }
+    } finally {
+      clearTimeout(idle)
+    }
+  })()
+}
+
+/**
+ * Stream an XMLTV document into epg_channels / epg_programmes. Programmes are
+ * staged in a temp table and swapped in with one transaction at the end, so
+ * readers keep the previous guide until the new one is complete.
+ */
+async function ingestEpg(source, input, { signal, onProgress } = {}) {
+  db.exec(`
+    CREATE TEMP TABLE IF NOT EXISTS epg_programmes_staging (
+      source_id INTEGER, channel_id TEXT, start TEXT, stop TEXT,
+      title TEXT, desc TEXT, icon TEXT, episode_num TEXT, raw TEXT
+    )
+  `)
+  const clearStaging = db.prepare('DELETE FROM temp.epg_programmes_staging WHERE source_id = ?')
+  const insertStaged = db.prepare(`
+    INSERT INTO temp.epg_programmes_staging (source_id, channel_id, start, stop, title, desc, icon, episode_num, raw)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `)
+  const stageBatch = db.transaction(rows => {
+    for (const p of rows) insertStaged.run(source.id, p.channel, p.start, p.stop, p.title, p.desc, p.icon, p.episode, p.raw)
+  })
+
+  const channels = new Map()
+  let batch = []
+  let programmes = 0
+  let invalid = 0
+  clearStaging.run(source.id)
+
+  try {
+    const result = await parseXmltv(input, {
+      onChannel: ch => { if (!channels.has(ch.id)) channels.set(ch.id, ch) },
+      onProgramme: p => {
+        const start = parseXmltvTime(p.start)
+        const stop = parseXmltvTime(p.stop)
+        if (!Number.isFinite(start) || !Number.isFinite(stop)) { invalid++; return }
+        batch.push({ ...p, start: new Date(start).toISOString(), stop: new Date(stop).toISOString() })
+        programmes++
+        if (batch.length >= EPG_INSERT_BATCH) {
+          signal?.throwIfAborted()
+          stageBatch(batch)
+          batch = []
+          if (programmes % (EPG_INSERT_BATCH * 25) === 0) onProgress?.(`${programmes} programmes read…`)
+        }
+      },
+    })
+    signal?.throwIfAborted()
+    stageBatch(batch)
+
+    if (!channels.size && !programmes) {
+      throw new Error('No XMLTV channels or programmes found')
+    }
+    if (result.errors || invalid) {
+      console.log(`[source] EPG "${source.name}": skipped ${result.errors} malformed tags and ${invalid} programmes without valid times`)
+    }
+
+    const insertChannel = db.prepare('INSERT INTO epg_channels (source_id, channel_id, name, icon, raw) VALUES (?, ?, ?, ?, ?)')
+    db.transaction(() => {
+      db.prepare('DELETE FROM epg_programmes WHERE source_id = ?').run(source.id)
+      db.prepare(`
+        INSERT INTO epg_programmes (source_id, channel_id, start, stop, title, desc, icon, episode_num, raw)
+        SELECT source_id, channel_id, start, stop, title, desc, icon, episode_num, raw
+        FROM temp.epg_programmes_staging WHERE source_id = ?
+      `).run(source.id)
+      db.prepare('DELETE FROM epg_channels WHERE source_id = ?').run(source.id)
+      for (const ch of channels.values()) insertChannel.run(source.id, ch.id, ch.name, ch.icon, ch.raw)
+      db.prepare(`
+        INSERT INTO epg_cache (source_id, content, channel_count, programme_count, last_fetched)
+        VALUES (?, NULL, ?, ?, datetime('now'))
+        ON CONFLICT(source_id) DO UPDATE SET
+          content = NULL,
+          channel_count = excluded.channel_count,
+          programme_count = excluded.programme_count,
+          last_fetched = excluded.last_fetched
+      `).run(source.id, channels.size, programmes)
+      db.prepare("UPDATE sources SET last_fetched = datetime('now') WHERE id = ?").run(source.id)
+    })()
+  } finally {
+    clearStaging.run(source.id)
+  }
+
+  return { channels: channels.size, programmes }
+}
+
+async function runSourceRefresh(sourceId, { contentTypes, signal, onProgress } = {}) {
   const source = db.prepare('SELECT * FROM sources WHERE id = ?').get(sourceId)
   if (!source) throw new Error('Source not found')
+  const log = (msg) => onProgress?.(msg)
 
-  // EPG source — read guide.xml from disk (our own output) or fetch remote URL
+  // EPG source — stream guide.xml from disk (our own output) or the remote URL
   if (source.category === 'epg') {
-    let content
+    let input
     // If the URL points to ourselves, read from disk directly to avoid circular HTTP
-    const selfHosts = ['localhost', '127.0.0.1', '0.0.0.0']
+    const selfHosts = ['localhost', '127.0.0.1', '0.0.0.0', process.env.HOST_IP].filter(Boolean)
     let isLocal = false
     try { isLocal = selfHosts.some(h => new URL(source.url).hostname === h) } catch {}
 
@@ -201,69 +464,15 @@ export async function refreshSourceCache(sourceId) {
       if (!existsSync(GUIDE_XML)) {
         throw new Error('guide.xml not yet generated — run an EPG grab first from the EPG Scraper page')
       }
-      content = readFileSync(GUIDE_XML, 'utf8')
+      input = createReadStream(GUIDE_XML)
     } else {
-      const resp = await fetch(source.url, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; M3UManager/1.0)' },
-        signal: AbortSignal.timeout(30_000),
-      })
-      if (!resp.ok) throw new Error(`HTTP ${resp.status} fetching EPG from ${source.url}`)
-      content = await resp.text()
+      log(`Downloading ${source.url}`)
+      input = await fetchEpgStream(source.url, signal)
     }
 
-    const channelCount = (content.match(/<channel /g) || []).length
-    db.prepare(`
-      INSERT INTO epg_cache (source_id, content, channel_count, last_fetched)
-      VALUES (?, ?, ?, datetime('now'))
-      ON CONFLICT(source_id) DO UPDATE SET
-        content = excluded.content,
-        channel_count = excluded.channel_count,
-        last_fetched = excluded.last_fetched
-    `).run(source.id, content, channelCount)
-    db.prepare("UPDATE sources SET last_fetched = datetime('now') WHERE id = ?").run(source.id)
-    console.log(`[source] Refreshed EPG "${source.name}" — ${channelCount} channels`)
-
-    // Extract all programmes and insert into epg_programmes for fast lookup
-    const { parseProgBlock } = await import('../epgEnrich.js')
-    db.transaction(() => {
-      db.prepare('DELETE FROM epg_programmes WHERE source_id = ?').run(source.id)
-      
-      const insertProg = db.prepare(`
-        INSERT INTO epg_programmes (source_id, channel_id, start, stop, title, desc, icon, episode_num, raw)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `)
-      
-      let currentPos = 0
-      let progCount = 0
-      while (true) {
-        const startIdx = content.indexOf('<programme ', currentPos)
-        if (startIdx === -1) break
-        
-        const endIdx = content.indexOf('</programme>', startIdx)
-        if (endIdx === -1) break
-        
-        currentPos = endIdx + 12
-        
-        const raw = content.substring(startIdx, currentPos)
-        const prog = parseProgBlock(raw)
-        
-        if (prog && prog.channel) {
-          insertProg.run(
-            source.id,
-            prog.channel,
-            prog.start || '',
-            prog.stop || '',
-            prog.title || null,
-            prog.desc || null,
-            prog.icon || null,
-            prog.episode || null,
-            raw
-          )
-          progCount++
-        }
-      }
-      console.log(`[source] Parsed and stored ${progCount} programmes into epg_programmes`)
-    })()
+    const { channels, programmes } = await ingestEpg(source, input, { signal, onProgress })
+    log(`Stored ${channels} channels and ${programmes} programmes`)
+    console.log(`[source] Refreshed EPG "${source.name}" — ${channels} channels, ${programmes} programmes`)
 
     invalidatePlaylistsForSource(source.id)
 
@@ -271,7 +480,7 @@ export async function refreshSourceCache(sourceId) {
     clearCache()
 
     // Note: Enrichment is now only run manually or after cron grab completes (not after every source refresh)
-    return channelCount
+    return channels
   }
 
   // Playlist source — fetch channels and store to source_channels
@@ -300,14 +509,15 @@ export async function refreshSourceCache(sourceId) {
   let refreshedContentTypes = { live: false, movies: false, series: false }
 
   if (source.type === 'xtream') {
-    // For Xtream sources, use refresh options from global scheduler or default to all
-    const refreshOptions = global.currentRefreshOptions || {
+    // For Xtream sources, refresh the requested content types (all by default)
+    const refreshOptions = contentTypes || {
       refreshLive: true,
       refreshMovies: true,
       refreshSeries: true
     }
 
-    channels = await fetchXtreamChannels(source.url, source.username, source.password, skipRules, refreshOptions)
+    log('Fetching Xtream catalogue…')
+    channels = await fetchXtreamChannels(source.url, source.username, source.password, skipRules, { ...refreshOptions, headers: parseJsonObject(source.http_headers) })
     isXtream = true
 
     // Track which content types were refreshed
@@ -316,9 +526,11 @@ export async function refreshSourceCache(sourceId) {
     refreshedContentTypes.series = refreshOptions.refreshSeries
   } else {
     // M3U sources: fetch all content, treat as live TV
-    channels = await fetchAndParseM3U(source.url)
+    log(`Downloading ${source.url}`)
+    channels = await fetchAndParseM3U(source.url, signal, parseJsonObject(source.http_headers))
     refreshedContentTypes.live = true
   }
+  signal?.throwIfAborted()
 
   let channelArrays = []
   if (isXtream) {
@@ -332,11 +544,14 @@ export async function refreshSourceCache(sourceId) {
   }
 
   const vodSettings = getVodSettings()
+  log('Applying cleanup and skip rules…')
   const { preparedChannelArrays, detectedGenres } = await buildPreparedChannelArrays(channelArrays, cleanupRules, skipRules, vodSettings, source.name)
+  signal?.throwIfAborted()
+  log('Storing channels…')
 
   const insert = db.prepare(
-    `INSERT INTO source_channels (source_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, quality, normalized_name, meta, content_type)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `INSERT INTO source_channels (source_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, quality, normalized_name, meta, content_type, http_headers, stream_options, tvg_chno, catchup, stable_key)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
      ON CONFLICT(source_id, url) DO UPDATE SET
        tvg_id = excluded.tvg_id,
        tvg_name = excluded.tvg_name,
@@ -346,14 +561,20 @@ export async function refreshSourceCache(sourceId) {
        quality = excluded.quality,
        normalized_name = excluded.normalized_name,
        meta = excluded.meta,
-       content_type = excluded.content_type`
+       content_type = excluded.content_type,
+       http_headers = excluded.http_headers,
+       stream_options = excluded.stream_options,
+       tvg_chno = excluded.tvg_chno,
+       catchup = excluded.catchup,
+       stable_key = excluded.stable_key`
   )
   const update = db.prepare(
-    'UPDATE source_channels SET tvg_id = ?, tvg_name = ?, tvg_logo = ?, group_title = ?, raw_extinf = ?, quality = ?, normalized_name = ?, meta = ?, content_type = ? WHERE source_id = ? AND url = ?'
+    'UPDATE source_channels SET tvg_id = ?, tvg_name = ?, tvg_logo = ?, group_title = ?, raw_extinf = ?, quality = ?, normalized_name = ?, meta = ?, content_type = ?, http_headers = ?, stream_options = ?, tvg_chno = ?, catchup = ?, stable_key = ? WHERE source_id = ? AND url = ?'
   )
   const renamePlaylistChannels = db.prepare('UPDATE playlist_channels SET tvg_name = ? WHERE url = ?')
   const replace = db.transaction((sid, preparedArrays, refreshedContentTypes = { live: true, movies: true, series: true }, detectedGenreValues = DEFAULT_DETECTED_GENRES) => {
     // No longer delete VOD content - UPDATE by URL to preserve IDs for all content types
+    const diff = reconcileSourceChannels(sid, preparedArrays, refreshedContentTypes)
 
     // Track all URLs by content type for stale deletion
     const allLiveTvUrls = new Set()
@@ -380,6 +601,11 @@ export async function refreshSourceCache(sourceId) {
           ch.normalizedName,
           ch.metaJson,
           contentType,
+          ch.httpHeaders,
+          ch.streamOptions,
+          ch.tvgChno,
+          ch.catchupJson,
+          ch.stableKey,
           sid,
           ch.url
         )
@@ -397,7 +623,12 @@ export async function refreshSourceCache(sourceId) {
             ch.quality,
             ch.normalizedName,
             ch.metaJson,
-            contentType
+            contentType,
+            ch.httpHeaders,
+            ch.streamOptions,
+            ch.tvgChno,
+            ch.catchupJson,
+            ch.stableKey
           )
         }
 
@@ -653,9 +884,9 @@ export async function refreshSourceCache(sourceId) {
           }
         }
 
-        // Live playlists: DO NOT auto-add new channels from source
-        // Only update existing selections and delete stale ones
-        // User must manually add channels via Channel Browser
+        // Live playlists: only update existing selections and delete stale ones here
+        // New channels are added via Channel Browser, or below by autoAddNewChannels()
+        // for playlists that opted in and applySmartPlaylistsForSource() for smart ones
 
         if (updatedCount > 0 || deletedCount > 0) {
           console.log(`[source] Synced Live playlist ${playlist_id}: ~${updatedCount} updated, -${deletedCount} deleted`)
@@ -663,6 +894,12 @@ export async function refreshSourceCache(sourceId) {
       }
     }
 
+    autoAddNewChannels(sid, diff)
+    applySmartPlaylistsForSource(sid)
+
+    // Playlist rows carry the source's headers and player options for the streamers
+    syncPlaylistChannelOptions({ sourceId: sid })
+
     // Update last_fetched timestamps for content types that were refreshed
     const updates = []
     if (refreshedContentTypes.live) updates.push("last_live_fetch = datetime('now')")
@@ -672,15 +909,19 @@ export async function refreshSourceCache(sourceId) {
     if (updates.length > 0) {
       db.prepare(`UPDATE sources SET ${updates.join(', ')}, last_fetched = datetime('now') WHERE id = ?`).run(sid)
     }
+    return diff
   })
-  replace(source.id, preparedChannelArrays, refreshedContentTypes, detectedGenres)
+  const diff = replace(source.id, preparedChannelArrays, refreshedContentTypes, detectedGenres)
 
   // Calculate total channel count
   const totalCount = isXtream
     ? (channels.live?.length || 0) + (channels.movies?.length || 0) + (channels.series?.length || 0)
     : channels.length
 
-  console.log(`[source] Refreshed "${source.name}" — ${totalCount} channels`)
+  const changes = diff.counts
+  lastRefreshChanges.set(source.id, changes)
+  recordRefreshHistory(source.id, totalCount, diff)
+  console.log(`[source] Refreshed "${source.name}" — ${totalCount} channels (+${changes.added} added, -${changes.removed} removed, ~${changes.changed} changed, ${changes.url_changed} URLs moved, ${changes.playlist_channels_relinked} playlist entries relinked${changes.auto_added ? `, ${changes.auto_added} auto-added to playlists` : ''})`)
 
   // Clear channel cache to prevent stale group/channel data
   clearCache()
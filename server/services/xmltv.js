@@ -1,4 +1,5 @@
 import { getEnrichmentMaps, parseProgBlock, applyEnrichment } from '../epgEnrich.js'
+import { loadPrecedence, mergeProgrammes } from '../epgMerge.js'
 
 // Helper function to escape XML special characters
 export function escapeXml(str) {
@@ -29,9 +30,9 @@ function normalizeCategory(groupTitle) {
 
 function buildChannelXml(ch, hostUrl) {
   const displayName = ch.tvg_name || ch.name || 'Unknown'
-  const channelNumber = Number.isFinite(Number(ch.sort_order)) && Number(ch.sort_order) >= 0
+  const channelNumber = ch.channel_number ?? (Number.isFinite(Number(ch.sort_order)) && Number(ch.sort_order) >= 0
     ? String(Number(ch.sort_order) + 1)
-    : ''
+    : '')
   const logo = ch.custom_logo || ch.tvg_logo || ''
   const groupTitle = ch.group_title || ''
   const channelId = ch.epg_id
@@ -41,6 +42,7 @@ function buildChannelXml(ch, hostUrl) {
   if (channelNumber) {
     xml += `\n    <display-name>${escapeXml(`${channelNumber} ${displayName}`)}</display-name>`
     xml += `\n    <channel-number>${escapeXml(channelNumber)}</channel-number>`
+    xml += `\n    <lcn>${escapeXml(channelNumber)}</lcn>`
   }
   if (logo) {
     const proxyLogoUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(logo)}`
@@ -58,6 +60,70 @@ function buildChannelXml(ch, hostUrl) {
   return xml
 }
 
+// Rewrite a programme for the output guide: target channel id, TMDB enrichment,
+// proxied icons and the channel's group as category
+function renderProgramme(row, targetEpgId, groupTitle, hostUrl, showMap, epMap) {
+  let progContent = row.raw
+
+  if (targetEpgId && targetEpgId !== row.channel_id) {
+    progContent = progContent.replace(`channel="${row.channel_id}"`, `channel="${targetEpgId}"`)
+  }
+
+  const prog = parseProgBlock(progContent)
+  const enriched = applyEnrichment(prog, showMap, epMap)
+
+  const hasIcon = /<icon\b/.test(progContent)
+  const hasImage = /<image\b/.test(progContent)
+
+  let existingImageUrl = null
+  if (hasImage && !hasIcon) {
+    const imageMatch = progContent.match(/<image[^>]*>\s*([^<]+)\s*<\/image>/)
+    if (imageMatch) {
+      existingImageUrl = imageMatch[1].trim()
+      progContent = progContent.replace(/<image[^>]*>[\s\S]*?<\/image>/, '')
+    }
+  }
+
+  if (enriched.icon) {
+    const proxyUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(enriched.icon)}`
+    if (hasIcon) {
+      progContent = progContent.replace(/<icon\s+src="[^"]*"\s*\/>/, `<icon src="${escapeXml(proxyUrl)}" />`)
+    } else {
+      progContent = progContent.replace('</programme>', `  <icon src="${escapeXml(proxyUrl)}" />\n</programme>`)
+    }
+  } else if (existingImageUrl) {
+    const proxyUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(existingImageUrl)}`
+    progContent = progContent.replace('</programme>', `  <icon src="${escapeXml(proxyUrl)}" />\n</programme>`)
+  } else {
+    const iconMatch = progContent.match(/<icon\s+src="([^"]+)"\s*\/>/)
+    if (iconMatch) {
+      const originalUrl = iconMatch[1]
+      if (!originalUrl.startsWith('/api/logo') && !originalUrl.includes('/api/logo?url=')) {
+        const proxyUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(originalUrl)}`
+        progContent = progContent.replace(/<icon\s+src="([^"]+)"\s*\/>/, `<icon src="${escapeXml(proxyUrl)}" />`)
+      }
+    }
+  }
+
+  if (enriched.desc && !/<desc\b/.test(progContent)) {
+    progContent = progContent.replace('</programme>', `  <desc>${escapeXml(enriched.desc)}</desc>\n</programme>`)
+  }
+
+  if (enriched.episode && !/<episode-num\b/.test(progContent)) {
+    progContent = progContent.replace('</programme>', `  <episode-num system="xmltv_ns">${escapeXml(enriched.episode)}</episode-num>\n</programme>`)
+  }
+
+  if (groupTitle) {
+    progContent = progContent.replace('</programme>', `  <category lang="en">${escapeXml(groupTitle)}</category>\n</programme>`)
+    const normalizedCategory = normalizeCategory(groupTitle)
+    if (normalizedCategory && normalizedCategory.toLowerCase() !== groupTitle.trim().toLowerCase()) {
+      progContent = progContent.replace('</programme>', `  <category lang="en">${escapeXml(normalizedCategory)}</category>\n</programme>`)
+    }
+  }
+
+  return progContent
+}
+
 export async function* generateXmltv(db, mappedChannels, relevantSourceIds, hostUrl) {
   yield `<?xml version="1.0" encoding="UTF-8"?>\n`
   yield `<tv generator-info-name="m3u4prox">\n`
@@ -130,96 +196,57 @@ export async function* generateXmltv(db, mappedChannels, relevantSourceIds, host
     }
   })
 
-  // Query epg_programmes directly — only rows for wanted channel IDs, no blob scanning
+  // Query epg_programmes directly — only rows for wanted channel IDs, no blob
+  // scanning — and merge each channel's sources by precedence (see epgMerge.js)
   if (relevantSourceIds && relevantSourceIds.length > 0 && wantedIds.size > 0) {
     const t0 = Date.now()
     const { showMap, epMap } = getEnrichmentMaps()
     console.log(`[xmltv] getEnrichmentMaps: ${Date.now() - t0}ms (${showMap.size} shows)`)
 
+    const precedence = loadPrecedence()
+    const idsByEpgId = new Map()
+    for (const id of wantedIds) {
+      const epgId = idToEpgId[id]
+      if (!idsByEpgId.has(epgId)) idsByEpgId.set(epgId, [])
+      idsByEpgId.get(epgId).push(id)
+    }
+
     const srcParams = relevantSourceIds.map(() => '?').join(',')
-    const wantedIdsArr = Array.from(wantedIds)
-    const chunkSize = 500
+    const epgIds = Array.from(idsByEpgId.keys())
+    const chunkSize = 200
     let rowCount = 0
 
-    for (let i = 0; i < wantedIdsArr.length; i += chunkSize) {
-      const chunk = wantedIdsArr.slice(i, i + chunkSize)
+    for (let i = 0; i < epgIds.length; i += chunkSize) {
+      const chunkEpgIds = epgIds.slice(i, i + chunkSize)
+      const chunk = chunkEpgIds.flatMap(epgId => idsByEpgId.get(epgId))
       const chunkParams = chunk.map(() => '?').join(',')
 
       const stmt = db.prepare(`
-        SELECT channel_id, raw
+        SELECT source_id, channel_id, start, stop, raw
         FROM epg_programmes
         WHERE source_id IN (${srcParams})
           AND channel_id IN (${chunkParams})
       `)
 
+      const rowsByEpgId = new Map()
       for (const row of stmt.iterate(...relevantSourceIds, ...chunk)) {
-        const channelId = row.channel_id
-        let progContent = row.raw
-
-        const targetEpgId = idToEpgId[channelId]
-        if (targetEpgId && targetEpgId !== channelId) {
-          progContent = progContent.replace(`channel="${channelId}"`, `channel="${targetEpgId}"`)
-        }
-
-        const prog = parseProgBlock(progContent)
-        const enriched = applyEnrichment(prog, showMap, epMap)
-
-        const hasIcon = /<icon\b/.test(progContent)
-        const hasImage = /<image\b/.test(progContent)
-
-        let existingImageUrl = null
-        if (hasImage && !hasIcon) {
-          const imageMatch = progContent.match(/<image[^>]*>\s*([^<]+)\s*<\/image>/)
-          if (imageMatch) {
-            existingImageUrl = imageMatch[1].trim()
-            progContent = progContent.replace(/<image[^>]*>[\s\S]*?<\/image>/, '')
-          }
-        }
+        const epgId = idToEpgId[row.channel_id]
+        if (!rowsByEpgId.has(epgId)) rowsByEpgId.set(epgId, [])
+        rowsByEpgId.get(epgId).push(row)
+      }
 
-        if (enriched.icon) {
-          const proxyUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(enriched.icon)}`
-          if (hasIcon) {
-            progContent = progContent.replace(/<icon\s+src="[^"]*"\s*\/>/, `<icon src="${escapeXml(proxyUrl)}" />`)
-          } else {
-            progContent = progContent.replace('</programme>', `  <icon src="${escapeXml(proxyUrl)}" />\n</programme>`)
-          }
-        } else if (existingImageUrl) {
-          const proxyUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(existingImageUrl)}`
-          progContent = progContent.replace('</programme>', `  <icon src="${escapeXml(proxyUrl)}" />\n</programme>`)
-        } else {
-          const iconMatch = progContent.match(/<icon\s+src="([^"]+)"\s*\/>/)
-          if (iconMatch) {
-            const originalUrl = iconMatch[1]
-            if (!originalUrl.startsWith('/api/logo') && !originalUrl.includes('/api/logo?url=')) {
-              const proxyUrl = `${hostUrl}/api/logo?url=${encodeURIComponent(originalUrl)}`
-              progContent = progContent.replace(/<icon\s+src="([^"]+)"\s*\/>/, `<icon src="${escapeXml(proxyUrl)}" />`)
-            }
-          }
-        }
+      for (const targetEpgId of chunkEpgIds) {
+        const rows = rowsByEpgId.get(targetEpgId)
+        if (!rows) continue
 
-        if (enriched.desc && !/<desc\b/.test(progContent)) {
-          progContent = progContent.replace('</programme>', `  <desc>${escapeXml(enriched.desc)}</desc>\n</programme>`)
-        }
+        for (const prog of mergeProgrammes(rows, precedence.orderFor(targetEpgId))) {
+          yield renderProgramme(prog, targetEpgId, epgIdToGroupTitle[targetEpgId], hostUrl, showMap, epMap) + '\n'
 
-        if (enriched.episode && !/<episode-num\b/.test(progContent)) {
-          progContent = progContent.replace('</programme>', `  <episode-num system="xmltv_ns">${escapeXml(enriched.episode)}</episode-num>\n</programme>`)
-        }
-
-        const groupTitle = epgIdToGroupTitle[targetEpgId]
-        if (groupTitle) {
-          progContent = progContent.replace('</programme>', `  <category lang="en">${escapeXml(groupTitle)}</category>\n</programme>`)
-          const normalizedCategory = normalizeCategory(groupTitle)
-          if (normalizedCategory && normalizedCategory.toLowerCase() !== groupTitle.trim().toLowerCase()) {
-            progContent = progContent.replace('</programme>', `  <category lang="en">${escapeXml(normalizedCategory)}</category>\n</programme>`)
+          rowCount++
+          if (rowCount % 100 === 0) {
+            await new Promise(resolve => setImmediate(resolve))
           }
         }
-
-        yield progContent + '\n'
-
-        rowCount++
-        if (rowCount % 100 === 0) {
-          await new Promise(resolve => setImmediate(resolve))
-        }
       }
     }
   }
@@ -0,0 +1,287 @@
+/**
+ * Smart playlists — live playlists filled by rules instead of by hand
+ *
+ * - playlists.smart_rules holds { include, exclude, order }. include and exclude
+ *   are lists of conditions; a condition matches when all of its fields do:
+ *   sources (ids), group / name (case-insensitive regex), quality (UHD, FHD, HD,
+ *   SD, none), has_tvg_id, countries / languages and health (ok, dead, unchecked;
+ *   dead once the playlist's dead_channel_threshold is reached)
+ * - Countries and languages come from tvg-country / tvg-language, plus a
+ *   "UK:", "|UK|" or "[UK]" tag in front of the group or channel name
+ * - A live channel is in when it matches any include condition (no include
+ *   conditions: every live channel) and no exclude condition
+ * - Pins (playlist_smart_pins) force a channel in or out whatever the rules say
+ * - order lists the sort keys by precedence: group (the playlist's group order,
+ *   then A–Z), number (tvg-chno), name, source (source priority)
+ * - Applying keeps the playlist_channels rows of channels that stay, with their
+ *   EPG, tvg-id and logo overrides, so Xtream stream ids don't move
+ * - Every playlist source refresh re-applies the smart playlists it can affect
+ */
+
+import db from './db.js'
+import { syncPlaylistChannelOptions } from './channelOptions.js'
+
+export const ORDER_KEYS = ['group', 'number', 'name', 'source']
+export const QUALITIES = ['UHD', 'FHD', 'HD', 'SD', 'none']
+export const HEALTH_STATES = ['ok', 'dead', 'unchecked']
+const DEFAULT_ORDER = ['group', 'number', 'name']
+const CONDITION_FIELDS = ['sources', 'group', 'name', 'quality', 'has_tvg_id', 'countries', 'languages', 'health']
+
+// "UK: News", "|UK| News", "[UK] News", "UK | News"
+const TAG_PREFIX_RE = /^\s*(?:\|([A-Za-z]{2,3})\||\[([A-Za-z]{2,3})\]|([A-Z]{2,3})\s*[:|])/
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+
+function stringList(value) {
+  return (Array.isArray(value) ? value : [value]).map(v => String(v ?? '').trim()).filter(Boolean)
+}
+
+// Returns [error, condition] with empty fields dropped
+function normalizeCondition(input, where) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return [`${where} must be an object`, null]
+  const cond = {}
+  for (const [field, value] of Object.entries(input)) {
+    if (!CONDITION_FIELDS.includes(field)) return [`${where}: unknown field "${field}"`, null]
+    if (value === null || value === undefined || value === '') continue
+
+    if (field === 'group' || field === 'name') {
+      try { new RegExp(value, 'i') } catch (e) { return [`${where}: invalid ${field} regex — ${e.message}`, null] }
+      cond[field] = String(value)
+    } else if (field === 'sources') {
+      const ids = stringList(value).map(Number)
+      if (ids.some(id => !Number.isInteger(id))) return [`${where}: sources must be source ids`, null]
+      if (ids.length) cond.sources = ids
+    } else if (field === 'has_tvg_id') {
+      cond.has_tvg_id = Boolean(value)
+    } else {
+      const allowed = field === 'quality' ? QUALITIES : field === 'health' ? HEALTH_STATES : null
+      const list = stringList(value)
+      const bad = allowed && list.find(v => !allowed.includes(v))
+      if (bad) return [`${where}: ${field} must be one of ${allowed.join(', ')}`, null]
+      if (list.length) cond[field] = field === 'countries' ? list.map(v => v.toUpperCase()) : field === 'languages' ? list.map(v => v.toLowerCase()) : list
+    }
+  }
+  return [null, cond]
+}
+
+/**
+ * Validate smart rules from the API — returns [error, rules], rules null for
+ * null input (turns a playlist back into a hand-picked one).
+ */
+export function normalizeSmartRules(input) {
+  if (input === null || input === undefined) return [null, null]
+  let parsed = input
+  if (typeof input === 'string') {
+    try { parsed = JSON.parse(input) } catch { return ['rules must be a JSON object', null] }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return ['rules must be a JSON object', null]
+
+  const rules = { include: [], exclude: [], order: DEFAULT_ORDER }
+  for (const list of ['include', 'exclude']) {
+    const conditions = parsed[list] ?? []
+    if (!Array.isArray(conditions)) return [`${list} must be an array`, null]
+    for (const [i, input] of conditions.entries()) {
+      const [error, cond] = normalizeCondition(input, `${list}[${i}]`)
+      if (error) return [error, null]
+      // An empty exclude condition would drop everything, an empty include is "all channels"
+      if (Object.keys(cond).length) rules[list].push(cond)
+    }
+  }
+  if (parsed.order !== undefined) {
+    const order = stringList(parsed.order)
+    const bad = order.find(key => !ORDER_KEYS.includes(key))
+    if (bad) return [`order must only contain ${ORDER_KEYS.join(', ')}`, null]
+    rules.order = [...new Set(order)]
+  }
+  return [null, rules]
+}
+
+export function parseSmartRules(json) {
+  if (!json) return null
+  return normalizeSmartRules(json)[1]
+}
+
+function channelTags(ch) {
+  if (ch.tags) return ch.tags
+  const attr = (name) => ch.raw_extinf?.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'))?.[1] || ''
+  const split = (value) => value.split(/[,;]/).map(v => v.trim()).filter(Boolean)
+  const prefixes = [ch.group_title, ch.tvg_name]
+    .map(text => text?.match(TAG_PREFIX_RE))
+    .filter(Boolean)
+    .map(m => m[1] || m[2] || m[3])
+  ch.tags = {
+    countries: new Set([...split(attr('tvg-country')), ...prefixes].map(v => v.toUpperCase())),
+    languages: new Set([...split(attr('tvg-language')), ...prefixes].map(v => v.toLowerCase())),
+  }
+  return ch.tags
+}
+
+function compileCondition(cond) {
+  const tests = []
+  if (cond.sources) tests.push(ch => cond.sources.includes(ch.source_id))
+  if (cond.group) {
+    const re = new RegExp(cond.group, 'i')
+    tests.push(ch => re.test(ch.group_title || ''))
+  }
+  if (cond.name) {
+    const re = new RegExp(cond.name, 'i')
+    tests.push(ch => re.test(ch.tvg_name || ''))
+  }
+  if (cond.quality) tests.push(ch => cond.quality.includes(ch.quality || 'none'))
+  if (cond.has_tvg_id !== undefined) tests.push(ch => Boolean(ch.tvg_id) === cond.has_tvg_id)
+  if (cond.countries) tests.push(ch => cond.countries.some(c => channelTags(ch).countries.has(c)))
+  if (cond.languages) tests.push(ch => cond.languages.some(l => channelTags(ch).languages.has(l)))
+  if (cond.health) tests.push(ch => cond.health.includes(ch.health))
+  return ch => tests.every(test => test(ch))
+}
+
+export function listSmartPins(playlistId) {
+  return db.prepare('SELECT * FROM playlist_smart_pins WHERE playlist_id = ? ORDER BY action, tvg_name').all(playlistId)
+}
+
+// Live channels the rules can reach; limited to the named sources when every include condition names some
+function selectCandidates(rules, pins) {
+  const sourceIds = rules.include.length && rules.include.every(c => c.sources)
+    ? [...new Set([...rules.include.flatMap(c => c.sources), ...pins.filter(p => p.action === 'include').map(p => p.source_id)])].filter(id => id !== null)
+    : null
+  return db.prepare(`
+    SELECT sc.id, sc.source_id, sc.tvg_id, sc.tvg_name, sc.tvg_logo, sc.group_title, sc.url, sc.raw_extinf,
+           sc.quality, sc.tvg_chno, s.name AS source_name, COALESCE(s.priority, 999) AS source_priority,
+           h.consecutive_failures
+    FROM source_channels sc
+    JOIN sources s ON s.id = sc.source_id
+    LEFT JOIN channel_health h ON h.url = sc.url
+    WHERE COALESCE(sc.content_type, 'live') = 'live'
+      AND sc.group_title NOT LIKE 'Series:%' AND sc.group_title NOT LIKE 'Movie:%'
+      ${sourceIds ? `AND sc.source_id IN (${sourceIds.map(() => '?').join(',') || 'NULL'})` : ''}
+  `).all(...(sourceIds || []))
+}
+
+function channelNumber(ch) {
+  const n = parseFloat(ch.tvg_chno)
+  return Number.isFinite(n) ? n : Infinity
+}
+
+function comparator(order, groupOrder) {
+  const groupRank = new Map(groupOrder.map((g, i) => [g, i]))
+  const rank = ch => groupRank.get(ch.group_title || '') ?? groupOrder.length
+  const compare = {
+    group:  (a, b) => rank(a) - rank(b) || collator.compare(a.group_title || '', b.group_title || ''),
+    number: (a, b) => {
+      const na = channelNumber(a), nb = channelNumber(b)
+      return na === nb ? 0 : na < nb ? -1 : 1
+    },
+    name:   (a, b) => collator.compare(a.tvg_name || '', b.tvg_name || ''),
+    source: (a, b) => a.source_priority - b.source_priority,
+  }
+  const chain = order.map(key => compare[key])
+  return (a, b) => {
+    for (const cmp of chain) {
+      const result = cmp(a, b)
+      if (result) return result
+    }
+    return a.id - b.id
+  }
+}
+
+/**
+ * The channels a smart playlist would hold, in order.
+ * @param {Object} playlist - playlists row
+ * @param {Object} [rules] - normalized rules; the stored ones by default (preview passes unsaved ones)
+ * @returns {{ channels: Array, pins: Array, excludedByRules: number }}
+ */
+export function evaluateSmartPlaylist(playlist, rules = parseSmartRules(playlist.smart_rules)) {
+  const pins = listSmartPins(playlist.id)
+  if (!rules) return { channels: [], pins, excludedByRules: 0 }
+
+  const pinned = new Map(pins.map(p => [p.url, p.action]))
+  const include = rules.include.map(compileCondition)
+  const exclude = rules.exclude.map(compileCondition)
+  const threshold = playlist.dead_channel_threshold || 3
+
+  const channels = []
+  let excludedByRules = 0
+  for (const ch of selectCandidates(rules, pins)) {
+    ch.health = ch.consecutive_failures === null ? 'unchecked' : ch.consecutive_failures >= threshold ? 'dead' : 'ok'
+    const pin = pinned.get(ch.url)
+    if (pin === 'exclude') continue
+    if (pin !== 'include') {
+      if (include.length && !include.some(test => test(ch))) continue
+      if (exclude.some(test => test(ch))) {
+        excludedByRules++
+        continue
+      }
+    }
+    ch.pinned = pin === 'include'
+    channels.push(ch)
+  }
+
+  let groupOrder = []
+  try { groupOrder = JSON.parse(playlist.group_order || '[]') } catch {}
+  channels.sort(comparator(rules.order, Array.isArray(groupOrder) ? groupOrder : []))
+  return { channels, pins, excludedByRules }
+}
+
+/**
+ * Rewrite a smart playlist's channels from its rules and pins. Rows of channels
+ * that stay are updated in place; the caller invalidates the XMLTV cache.
+ * @returns {{ count: number, added: number, removed: number } | null} null for hand-picked playlists
+ */
+export function applySmartPlaylist(playlistId) {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId)
+  if (!playlist?.smart_rules) return null
+  const { channels } = evaluateSmartPlaylist(playlist)
+
+  const existing = new Map(db.prepare('SELECT id, url FROM playlist_channels WHERE playlist_id = ?').all(playlist.id).map(r => [r.url, r.id]))
+  const update = db.prepare(
+    'UPDATE playlist_channels SET tvg_id = ?, tvg_name = ?, tvg_logo = ?, group_title = ?, raw_extinf = ?, sort_order = ?, source_id = ? WHERE id = ?'
+  )
+  const insert = db.prepare(
+    'INSERT INTO playlist_channels (playlist_id, tvg_id, tvg_name, tvg_logo, group_title, url, raw_extinf, custom_tvg_id, sort_order, source_id, epg_source_id, content_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  )
+  const remove = db.prepare('DELETE FROM playlist_channels WHERE id = ?')
+
+  const result = db.transaction(() => {
+    let added = 0
+    channels.forEach((ch, i) => {
+      const id = existing.get(ch.url)
+      if (id) {
+        update.run(ch.tvg_id || '', ch.tvg_name, ch.tvg_logo || '', ch.group_title || '', ch.raw_extinf || '', i, ch.source_id, id)
+        existing.delete(ch.url)
+      } else {
+        insert.run(playlist.id, ch.tvg_id || '', ch.tvg_name, ch.tvg_logo || '', ch.group_title || '', ch.url, ch.raw_extinf || '', '', i, ch.source_id, null, 'live')
+        added++
+      }
+    })
+    for (const id of existing.values()) remove.run(id)
+    db.prepare("UPDATE playlists SET smart_evaluated_at = datetime('now') WHERE id = ?").run(playlist.id)
+    syncPlaylistChannelOptions({ playlistId: playlist.id })
+    return { count: channels.length, added, removed: existing.size }
+  })()
+
+  if (result.added || result.removed) {
+    console.log(`[smart] Playlist "${playlist.name}": ${result.count} channels (+${result.added}, -${result.removed})`)
+  }
+  return result
+}
+
+/**
+ * Re-apply the smart playlists a refresh of this source can change.
+ * Runs inside the refresh transaction.
+ * @returns {number} playlists applied
+ */
+export function applySmartPlaylistsForSource(sourceId) {
+  const playlists = db.prepare('SELECT id, smart_rules FROM playlists WHERE smart_rules IS NOT NULL').all()
+  let applied = 0
+  for (const { id, smart_rules } of playlists) {
+    const rules = parseSmartRules(smart_rules)
+    if (!rules) continue
+    const pinsSource = db.prepare('SELECT 1 FROM playlist_smart_pins WHERE playlist_id = ? AND source_id = ?').get(id, sourceId)
+    const namesSource = !rules.include.length || rules.include.some(c => !c.sources || c.sources.includes(Number(sourceId)))
+    const holdsSource = db.prepare('SELECT 1 FROM playlist_channels WHERE playlist_id = ? AND source_id = ? LIMIT 1').get(id, sourceId)
+    if (!namesSource && !pinsSource && !holdsSource) continue
+    applySmartPlaylist(id)
+    applied++
+  }
+  return applied
+}
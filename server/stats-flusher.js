@@ -7,7 +7,9 @@ const lastFlushedByChannel = new Map()
 
 export function flushSession(session) {
   const channelId = session.channelId
-  const lastFlushed = lastFlushedByChannel.get(channelId) || {
+  // Transcodes of a channel run beside its remux session, each with their own counters
+  const sessionKey = session.key ?? channelId
+  const lastFlushed = lastFlushedByChannel.get(sessionKey) || {
     bytesIn: session._lastFlushedBytesIn || 0,
     bytesOut: session._lastFlushedBytesOut || 0,
   }
@@ -32,7 +34,7 @@ export function flushSession(session) {
 
     session._lastFlushedBytesIn = currentBytesIn
     session._lastFlushedBytesOut = currentBytesOut
-    lastFlushedByChannel.set(channelId, {
+    lastFlushedByChannel.set(sessionKey, {
       bytesIn: currentBytesIn,
       bytesOut: currentBytesOut,
     })
@@ -3,6 +3,7 @@
  *
  * - One upstream connection per channel, shared across all clients
  * - Auto-reconnects on upstream drop (up to MAX_RECONNECTS times)
+ * - Fails over to the next-best variant of the channel when the upstream dies
  * - Enforces max_streams per source (from DB)
  */
 
@@ -10,9 +11,15 @@ import { EventEmitter } from 'node:events'
 import db from './db.js'
 import { getSettingValue } from './settings-cache.js'
 import { flushSession } from './stats-flusher.js'
+import { notify } from './notifications.js'
+import { abortProbesForSource, activeSessionCount } from './healthCheck.js'
+import { publish, streamEventData } from './liveEvents.js'
+import { getUpstreamHeaders } from './channelOptions.js'
 
 const MAX_RECONNECTS    = parseInt(process.env.STREAM_MAX_RECONNECTS || '5')
 const RECONNECT_DELAY   = parseInt(process.env.STREAM_RECONNECT_DELAY || '2000')
+const MAX_FAILOVERS     = parseInt(process.env.STREAM_MAX_FAILOVERS || '3')
+const STALL_TIMEOUT     = 30000 // 30 seconds without data = stalled
 
 // Helper: Check if buffer contains PES start code for video stream (0x00 0x00 0x01 + video stream ID 0xE0-0xEF)
 function hasPesStart(buf) {
@@ -69,6 +76,8 @@ class Session extends EventEmitter {
     this._lastFlushedBytesIn = 0
     this._lastFlushedBytesOut = 0
     this.reconnects   = 0
+    this.failovers    = 0
+    this._triedUrls   = new Set([upstreamUrl])
     this._lastBytes   = 0
     this._lastTick    = Date.now()
     this.bitrate      = 0  // bytes/sec, rolling
@@ -110,6 +119,7 @@ class Session extends EventEmitter {
     this.abortCtrl.abort()
     flushSession(this)
     sessions.delete(this.channelId)
+    publish('stream.stopped', streamEventData('live', this))
     // Record stream history if we have a username
     if (this.username) {
       try {
@@ -130,28 +140,148 @@ function checkMaxStreams(sourceId) {
   if (!sourceId) return null
   const source = db.prepare('SELECT max_streams FROM sources WHERE id = ?').get(sourceId)
   if (!source || !source.max_streams) return null
-  const active = [...sessions.values()].filter(s => s.sourceId === sourceId).length
+  const active = activeSessionCount(sourceId)
   if (active >= source.max_streams) {
     return `Source has reached its limit of ${source.max_streams} concurrent streams`
   }
   return null
 }
 
+// ── Failover ──────────────────────────────────────────────────────────────────
+function notifyStreamFailed(session) {
+  notify('stream.failed', {
+    channel_id: session.channelId,
+    channel:    session.channelName,
+    source_id:  session.sourceId,
+    reconnects: MAX_RECONNECTS,
+    failovers:  session.failovers,
+    clients:    session.clients.size,
+    reason:     session.failovers > 0 ? `no working variant after ${session.failovers} failover(s)` : '',
+  }, session.channelId)
+}
+
+// Record a dead upstream in failed_streams (read by /api/diagnostics/dead-channels)
+function recordFailedStream(session, error, httpStatus = null) {
+  try {
+    const row = db.prepare('SELECT playlist_id, group_title FROM playlist_channels WHERE id = ?').get(session.channelId)
+    const existing = db.prepare('SELECT id FROM failed_streams WHERE channel_id = ? AND url = ?').get(session.channelId, session.upstreamUrl)
+    if (existing) {
+      db.prepare(`
+        UPDATE failed_streams
+        SET fail_count = fail_count + 1, error = ?, http_status = ?, last_failed = datetime('now')
+        WHERE id = ?
+      `).run(error, httpStatus, existing.id)
+    } else {
+      db.prepare(`
+        INSERT INTO failed_streams (channel_id, playlist_id, tvg_name, group_title, url, error, http_status)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(session.channelId, row?.playlist_id || null, session.channelName, row?.group_title || null, session.upstreamUrl, error, httpStatus)
+    }
+  } catch (e) {
+    console.error(`[buffer-stream] Failed to record dead stream for "${session.channelName}":`, e.message)
+  }
+}
+
+// Find the next-best variant of the session's channel: other source_channels rows
+// sharing its normalized_name, ranked by source priority then quality (same order
+// as /playlists/:id/build uses for deduplication)
+function findNextVariant(session) {
+  const current = db.prepare(`
+    SELECT sc.normalized_name
+    FROM playlist_channels pc
+    JOIN source_channels sc ON sc.url = pc.url
+    WHERE pc.id = ?
+  `).get(session.channelId)
+  if (!current?.normalized_name) return null
+
+  const variants = db.prepare(`
+    SELECT
+      sc.url,
+      sc.source_id,
+      sc.tvg_name,
+      sc.quality,
+      COALESCE(s.priority, 999) as source_priority,
+      CASE sc.quality
+        WHEN 'UHD' THEN 1
+        WHEN 'FHD' THEN 2
+        WHEN 'HD' THEN 3
+        WHEN 'SD' THEN 4
+        ELSE 5
+      END as quality_order
+    FROM source_channels sc
+    JOIN sources s ON s.id = sc.source_id
+    WHERE sc.normalized_name = ?
+      AND COALESCE(sc.content_type, 'live') = 'live'
+    ORDER BY source_priority ASC, quality_order ASC, sc.id
+  `).all(current.normalized_name)
+
+  for (const variant of variants) {
+    if (session._triedUrls.has(variant.url)) continue
+    // Moving to another provider needs a free slot there; staying on the same one doesn't
+    if (variant.source_id !== session.sourceId && checkMaxStreams(variant.source_id)) continue
+    return variant
+  }
+  return null
+}
+
+// Switch the session to the next variant in place so connected clients keep
+// their response and just start receiving the new upstream's data.
+// Returns true if the pump should keep going.
+function failover(session, reason, httpStatus = null) {
+  recordFailedStream(session, reason, httpStatus)
+
+  if (session.dead || session.clients.size === 0) return false
+  if (session.failovers >= MAX_FAILOVERS) {
+    console.error(`[buffer-stream] Max failovers reached for "${session.channelName}" — giving up`)
+    return false
+  }
+
+  const variant = findNextVariant(session)
+  if (!variant) {
+    console.error(`[buffer-stream] No alternate variant available for "${session.channelName}" — giving up`)
+    return false
+  }
+
+  console.log(`[buffer-stream] Failing over "${session.channelName}" to "${variant.tvg_name}"${variant.quality ? ` (${variant.quality})` : ''} from source ${variant.source_id} — ${reason}`)
+
+  session._triedUrls.add(variant.url)
+  session.upstreamUrl = variant.url
+  session.sourceId    = variant.source_id
+  session.failovers++
+  session.reconnects  = 0
+
+  // The bridge buffer belongs to the old upstream; rebuild it from the new one's next keyframe
+  session._recentChunks = []
+  session._currentBufferSize = 0
+  session._rollingBufferStarted = false
+  return true
+}
+
 // ── Upstream pump with reconnect ──────────────────────────────────────────────
 async function pump(session) {
   while (!session.dead) {
+    // Per-attempt controller so the stall watchdog can drop this connection
+    // without tearing down the session itself
+    const attemptCtrl = new AbortController()
+    const onSessionAbort = () => attemptCtrl.abort()
+    session.abortCtrl.signal.addEventListener('abort', onSessionAbort)
+    let stalled = false
+
     try {
+      // Looked up per attempt, failover may have moved the session to another source
+      const headers = getUpstreamHeaders({ channelId: session.channelId, url: session.upstreamUrl, sourceId: session.sourceId })
       const upstream = await fetch(session.upstreamUrl, {
-        signal: session.abortCtrl.signal,
+        signal: attemptCtrl.signal,
         headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; M3UManager/1.0)',
           'Connection': 'keep-alive',
           'Accept': '*/*',
+          ...headers,
         },
       })
 
       if (!upstream.ok) {
         console.error(`[buffer-stream] Upstream ${upstream.status} for "${session.channelName}"`)
+        if (failover(session, `Upstream returned HTTP ${upstream.status}`, upstream.status)) continue
         break
       }
 
@@ -159,13 +289,13 @@ async function pump(session) {
 
       const reader = upstream.body.getReader()
       let lastDataTime = Date.now()
-      const STALL_TIMEOUT = 30000 // 30 seconds without data = stalled
 
       // Active watchdog to catch silent TCP hangs
       const watchdog = setInterval(() => {
         if (Date.now() - lastDataTime > STALL_TIMEOUT && !session.dead) {
-          console.error(`[buffer-stream] Watchdog triggered for "${session.channelName}": No data received for ${STALL_TIMEOUT/1000}s. Forcing reconnect...`)
-          try { session.abortCtrl.abort() } catch(e) {}
+          console.error(`[buffer-stream] Watchdog triggered for "${session.channelName}": No data received for ${STALL_TIMEOUT/1000}s. Failing over...`)
+          stalled = true
+          try { attemptCtrl.abort() } catch(e) {}
         }
       }, 5000)
 
@@ -173,11 +303,21 @@ async function pump(session) {
         while (true) {
           // Add timeout to detect stalled streams at the reader level
           const readPromise = reader.read()
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Stream stalled - no data received')), STALL_TIMEOUT)
-          )
-
-          const { done, value } = await Promise.race([readPromise, timeoutPromise])
+          let stallTimer
+          const timeoutPromise = new Promise((_, reject) => {
+            stallTimer = setTimeout(() => {
+              stalled = true
+              reject(new Error('Stream stalled - no data received'))
+            }, STALL_TIMEOUT)
+          })
+
+          let result
+          try {
+            result = await Promise.race([readPromise, timeoutPromise])
+          } finally {
+            clearTimeout(stallTimer)
+          }
+          const { done, value } = result
           if (done || session.dead) break
 
           lastDataTime = Date.now()
@@ -188,6 +328,7 @@ async function pump(session) {
           session.bitrate    = Math.round((session.bytesIn - session._lastBytes) / elapsed)
           session._lastBytes = session.bytesIn
           session._lastTick  = now
+          publish('stream.stats', streamEventData('live', session))
         }
 
         // Normal flow: Buffer logic for direct streaming
@@ -292,15 +433,25 @@ async function pump(session) {
       console.log(`[buffer-stream] Stream ended for "${session.channelName}" — reconnecting in ${RECONNECT_DELAY}ms…`)
       } finally {
         clearInterval(watchdog)
+        reader.cancel().catch(() => {})
       }
     } catch (e) {
-      if (e.name === 'AbortError' || session.dead) break
+      if (session.dead) break
+      if (stalled) {
+        if (failover(session, `Stream stalled - no data received for ${STALL_TIMEOUT/1000}s`)) continue
+        break
+      }
+      if (e.name === 'AbortError') break
       console.error(`[buffer-stream] Error for "${session.channelName}":`, e.message)
+    } finally {
+      session.abortCtrl.signal.removeEventListener('abort', onSessionAbort)
     }
 
     session.reconnects++
     if (session.reconnects > MAX_RECONNECTS) {
-      console.error(`[buffer-stream] Max reconnects reached for "${session.channelName}" — giving up`)
+      console.error(`[buffer-stream] Max reconnects reached for "${session.channelName}"`)
+      if (failover(session, `Max reconnects (${MAX_RECONNECTS}) reached`)) continue
+      notifyStreamFailed(session)
       break
     }
     if (session.clients.size === 0) break
@@ -372,6 +523,7 @@ export async function connectClient(channelId, upstreamUrl, channelName, res, so
   const bufferSecs = getBufferSeconds()
   console.log(`[buffer-stream] Starting m3u4prox buffer for "${channelName}" (buffer: ${bufferSecs}s)`)
 
+  if (sourceId) abortProbesForSource(sourceId)
   const session = new Session(channelId, upstreamUrl, channelName, sourceId, username, internalForComposite)
   sessions.set(channelId, session)
 
@@ -389,6 +541,7 @@ export async function connectClient(channelId, upstreamUrl, channelName, res, so
 
   session.on('chunk', onChunk)
   session.addClient(res)
+  publish('stream.started', streamEventData('live', session))
 
   res.on('close', () => {
     session.off('chunk', onChunk)
@@ -416,6 +569,7 @@ export function getActiveSessions() {
     bytesOut:           s.bytesOut,
     bitrate:            s.bitrate,
     reconnects:         s.reconnects,
+    failovers:          s.failovers,
     upstreamUrl:        s.upstreamUrl,
     isCompositeSource:  !!s.internalForComposite,
   }))
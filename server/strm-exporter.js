@@ -478,12 +478,22 @@ function scanExistingFiles(strmDir) {
   return map
 }
 
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteOrphans=true]
+ * @param {AbortSignal} [options.signal] - stops the export at the next yield; files already written stay
+ * @param {Function} [options.onProgress] - (message) => void
+ */
 export async function exportVodToStrm(playlistId, baseUrl, username, password, options = {}) {
-  const { deleteOrphans = true } = options
+  const { deleteOrphans = true, signal, onProgress } = options
   console.log(`[strm] Starting export for playlist ${playlistId} (deleteOrphans: ${deleteOrphans})`)
   let processedLoopItems = 0
 
   async function maybeYield() {
+    if (signal?.aborted) {
+      if (db.open) db.close()
+      signal.throwIfAborted()
+    }
     processedLoopItems++
     if (processedLoopItems % EVENT_LOOP_YIELD_INTERVAL === 0) {
       await yieldToEventLoop()
@@ -596,6 +606,7 @@ export async function exportVodToStrm(playlistId, baseUrl, username, password, o
 
   const existing = scanExistingFiles(strmDir)
   console.log(`[strm] Found ${existing.size} existing STRM files`)
+  onProgress?.(`Exporting ${channels.length} VOD entries (${existing.size} existing STRM files)…`)
   const processed = new Set()
   let stats = { created: 0, updated: 0, deleted: 0, errors: 0, skipped: 0, filtered: 0, directory: strmDir }
   const errorList = []
@@ -1105,6 +1116,7 @@ export async function exportVodToStrm(playlistId, baseUrl, username, password, o
   const deletedDirs = new Set()
   if (deleteOrphans) {
     console.log(`[strm] Checking for orphaned files to delete...`)
+    onProgress?.('Removing files no longer in the playlist…')
     for (const [existingKey, entry] of existing.entries()) {
       await maybeYield()
       if (!newContentKeys.has(existingKey)) {
@@ -1162,6 +1174,7 @@ export async function exportVodToStrm(playlistId, baseUrl, username, password, o
   db.close()
 
   console.log(`[strm] Export complete:`, stats)
+  onProgress?.(`Export complete: ${stats.created} created, ${stats.updated} updated, ${stats.deleted} deleted`)
 
   // Rebuild NFO index to pick up newly exported NFO files
   try {
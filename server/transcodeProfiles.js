@@ -0,0 +1,114 @@
+/**
+ * Transcoding profiles — named ffmpeg encodes for constrained clients
+ *
+ * - A profile is assigned to a user (Xtream, portal and /stream URLs) or to an
+ *   HDHomeRun device (everything tuned through it). No profile, or one that
+ *   copies both video and audio, means the normal buffer engine is used
+ * - Video is software x264 (or copied, or dropped for audio-only), audio is
+ *   AAC stereo or copied. max_height only ever scales down
+ * - Each profile has a CPU cost in "cores", roughly what x264 needs to keep up
+ *   in real time; ffmpeg-streamer.js refuses new transcodes once the running
+ *   ones would exceed the transcode_cpu_budget setting. Viewers on the same
+ *   channel and profile share one encode, which costs nothing extra
+ */
+
+import os from 'node:os'
+import db from './db.js'
+import { getSettingValue } from './settings-cache.js'
+
+export const VIDEO_CODECS = ['copy', 'h264', 'none']
+export const AUDIO_CODECS = ['copy', 'aac']
+export const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium']
+
+// Relative x264 cost per preset, veryfast = 1
+const PRESET_COST = { ultrafast: 0.5, superfast: 0.7, veryfast: 1, faster: 1.4, fast: 1.8, medium: 2.2 }
+// Sources with no max_height are assumed to be 1080p
+const ASSUMED_SOURCE_HEIGHT = 1080
+
+export function getTranscodeProfile(id) {
+  if (!id) return null
+  return db.prepare('SELECT * FROM transcode_profiles WHERE id = ?').get(id) || null
+}
+
+export function isPassthrough(profile) {
+  return profile.video_codec === 'copy' && profile.audio_codec === 'copy'
+}
+
+// The profile to transcode with, or null when streams should pass through untouched
+export function resolveTranscodeProfile(id) {
+  const profile = getTranscodeProfile(id)
+  return profile && !isPassthrough(profile) ? profile : null
+}
+
+export function getUserTranscodeProfile(username) {
+  if (!username) return null
+  const row = db.prepare('SELECT transcode_profile_id FROM users WHERE username = ?').get(username)
+  return resolveTranscodeProfile(row?.transcode_profile_id)
+}
+
+// Approximate CPU cores one running encode of this profile keeps busy (720p veryfast ≈ 1)
+export function transcodeCost(profile) {
+  if (profile.video_codec !== 'h264') return profile.audio_codec === 'aac' ? 0.1 : 0
+  const height = profile.max_height || ASSUMED_SOURCE_HEIGHT
+  const cost = (height / 720) ** 2 * (PRESET_COST[profile.preset] ?? 1)
+  return Math.round(Math.max(cost, 0.1) * 100) / 100
+}
+
+export function getDefaultTranscodeBudget() {
+  return Math.max(1, os.availableParallelism() - 1)
+}
+
+export function getTranscodeBudget() {
+  const value = parseFloat(getSettingValue('transcode_cpu_budget', ''))
+  return value > 0 ? value : getDefaultTranscodeBudget()
+}
+
+export function buildTranscodeArgs(profile, input) {
+  const args = ['-loglevel', 'error', '-i', input]
+
+  if (profile.video_codec === 'none') {
+    args.push('-map', '0:a:0', '-vn')
+  } else {
+    args.push('-map', '0:v:0', '-map', '0:a:0?')
+  }
+
+  if (profile.video_codec === 'h264') {
+    args.push('-c:v', 'libx264', '-preset', profile.preset || 'veryfast', '-tune', 'zerolatency', '-pix_fmt', 'yuv420p', '-g', '50')
+    if (profile.max_height) args.push('-vf', `scale=-2:'min(${profile.max_height},ih)'`)
+    if (profile.video_bitrate) {
+      const kbps = profile.video_bitrate
+      args.push('-b:v', `${kbps}k`, '-maxrate', `${kbps}k`, '-bufsize', `${kbps * 2}k`)
+    } else {
+      args.push('-crf', '23')
+    }
+  } else if (profile.video_codec === 'copy') {
+    args.push('-c:v', 'copy')
+  }
+
+  if (profile.audio_codec === 'aac') {
+    args.push('-c:a', 'aac', '-b:a', `${profile.audio_bitrate || 128}k`, '-ac', '2')
+  } else {
+    args.push('-c:a', 'copy')
+  }
+
+  args.push('-muxdelay', '0', '-muxpreload', '0', '-f', 'mpegts', 'pipe:1')
+  return args
+}
+
+// Returns an error message, or null when the profile is valid
+export function validateTranscodeProfile({ name, video_codec, max_height, video_bitrate, preset, audio_codec, audio_bitrate }) {
+  if (!name || !String(name).trim()) return 'name required'
+  if (!VIDEO_CODECS.includes(video_codec)) return `video_codec must be one of ${VIDEO_CODECS.join(', ')}`
+  if (!AUDIO_CODECS.includes(audio_codec)) return `audio_codec must be one of ${AUDIO_CODECS.join(', ')}`
+  if (preset && !X264_PRESETS.includes(preset)) return `preset must be one of ${X264_PRESETS.join(', ')}`
+  if (max_height != null && !(Number.isInteger(max_height) && max_height >= 144 && max_height <= 2160)) {
+    return 'max_height must be between 144 and 2160'
+  }
+  if (video_bitrate != null && !(Number.isInteger(video_bitrate) && video_bitrate >= 100 && video_bitrate <= 50000)) {
+    return 'video_bitrate must be between 100 and 50000 kbps'
+  }
+  if (audio_bitrate != null && !(Number.isInteger(audio_bitrate) && audio_bitrate >= 32 && audio_bitrate <= 512)) {
+    return 'audio_bitrate must be between 32 and 512 kbps'
+  }
+  return null
+}
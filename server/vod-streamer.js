@@ -9,6 +9,14 @@
 
 import { EventEmitter } from 'node:events'
 import { flushSession } from './stats-flusher.js'
+import { publish, streamEventData } from './liveEvents.js'
+import { getUpstreamHeaders } from './channelOptions.js'
+
+// Some VOD hosts refuse non-browser clients
+const VOD_DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Referer': 'https://pia.cx/',
+}
 
 const GRACE_PERIOD_MS = 500 // Keep connection alive 0.5s after last client disconnects
 
@@ -26,6 +34,9 @@ class VodSession extends EventEmitter {
     this.clients = new Set()
     this.startedAt = new Date()
     this.bytesOut = 0
+    this._lastBytes = 0
+    this._lastTick = Date.now()
+    this.bitrate = 0  // bytes/sec sent to clients, rolling
     this._lastFlushedBytesIn = 0
     this._lastFlushedBytesOut = 0
     this.dead = false
@@ -73,6 +84,7 @@ class VodSession extends EventEmitter {
 
     flushSession(this)
     vodSessions.delete(this.channelId)
+    publish('stream.stopped', streamEventData('vod', this))
     this.emit('dead')
   }
 }
@@ -109,11 +121,11 @@ export async function connectVodClient(channelId, upstreamUrl, channelName, req,
       console.log(`[vod] Stripping extension for provider redirect`)
     }
 
+    // Browser defaults, overridden by the source's and the channel's own headers
     const headers = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       'Accept': '*/*',
       'Connection': 'keep-alive',
-      'Referer': 'https://pia.cx/',
+      ...getUpstreamHeaders({ channelId, url: upstreamUrl, sourceId: source?.id, base: VOD_DEFAULT_HEADERS }),
     }
     // Only pass Accept-Encoding if client sent it; don't force identity
     const clientEncoding = req.get('accept-encoding')
@@ -181,13 +193,15 @@ export async function connectVodClient(channelId, upstreamUrl, channelName, req,
 
     // Create or get session for tracking
     let session = vodSessions.get(channelId)
-    if (!session) {
+    const isNew = !session
+    if (isNew) {
       session = new VodSession(channelId, upstreamUrl, channelName, username)
       vodSessions.set(channelId, session)
       console.log(`[vod] New session for "${channelName}"`)
     }
 
     session.addClient(res)
+    if (isNew) publish('stream.started', streamEventData('vod', session))
 
     // Stream the response
     const { Readable } = await import('node:stream')
@@ -197,6 +211,14 @@ export async function connectVodClient(channelId, upstreamUrl, channelName, req,
     readable.on('data', (chunk) => {
       bytesStreamed += chunk.length
       session.bytesOut += chunk.length
+      const now = Date.now()
+      const elapsed = (now - session._lastTick) / 1000
+      if (elapsed >= 1) {
+        session.bitrate = Math.round((session.bytesOut - session._lastBytes) / elapsed)
+        session._lastBytes = session.bytesOut
+        session._lastTick = now
+        publish('stream.stats', streamEventData('vod', session))
+      }
     })
 
     readable.on('error', (err) => {
@@ -230,6 +252,7 @@ export function getActiveVodSessions() {
     clients: s.clients.size,
     startedAt: s.startedAt,
     bytesOut: s.bytesOut,
+    bitrate: s.bitrate,
     upstreamUrl: s.upstreamUrl,
   }))
 }
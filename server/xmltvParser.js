@@ -0,0 +1,186 @@
+/**
+ * Streaming XMLTV parser
+ *
+ * - Reads any byte stream: gzip is detected from the magic bytes, the charset
+ *   from a BOM or the XML declaration (decoded with iconv-lite)
+ * - sax turns the text into events and only the <channel> or <programme>
+ *   currently being read is held in memory; CDATA sections count as text
+ * - Every element is handed to onChannel / onProgramme with its parsed fields
+ *   and a re-serialised UTF-8 XML block (what epg_programmes.raw stores)
+ * - Tolerant like the regex scanning it replaces: malformed markup is skipped
+ *   and counted, not fatal
+ */
+
+import sax from 'sax'
+import iconv from 'iconv-lite'
+import { createGunzip } from 'node:zlib'
+import { Readable } from 'node:stream'
+
+// ── Byte stream → decoded text chunks ─────────────────────────────────────────
+function isGzip(buf) {
+  return buf.length >= 2 && buf[0] === 0x1f && buf[1] === 0x8b
+}
+
+function detectEncoding(buf) {
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return 'utf8'
+  if (buf[0] === 0xff && buf[1] === 0xfe) return 'utf16le'
+  if (buf[0] === 0xfe && buf[1] === 0xff) return 'utf16be'
+  const declared = buf.subarray(0, 256).toString('latin1').match(/^\s*<\?xml[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/i)?.[1]
+  return declared && iconv.encodingExists(declared) ? declared : 'utf8'
+}
+
+// Reads at least `bytes` bytes ahead; chunks still yields everything from the start
+async function peek(iterable, bytes) {
+  const iterator = iterable[Symbol.asyncIterator]()
+  const parts = []
+  let length = 0
+  while (length < bytes) {
+    const next = await iterator.next()
+    if (next.done) break
+    parts.push(Buffer.from(next.value))
+    length += next.value.length
+  }
+  if (!length) return null
+  const head = Buffer.concat(parts)
+  async function* chunks() {
+    yield head
+    for (;;) {
+      const next = await iterator.next()
+      if (next.done) return
+      yield next.value
+    }
+  }
+  return { head, chunks: chunks() }
+}
+
+async function* decodeText(input) {
+  let peeked = await peek(input, 256)
+  if (!peeked) return
+  if (isGzip(peeked.head)) {
+    peeked = await peek(Readable.from(peeked.chunks).pipe(createGunzip()), 256)
+    if (!peeked) return
+  }
+
+  const decoder = iconv.getDecoder(detectEncoding(peeked.head))
+  for await (const chunk of peeked.chunks) {
+    const text = decoder.write(Buffer.from(chunk))
+    if (text) yield text
+  }
+  const tail = decoder.end()
+  if (tail) yield tail
+}
+
+// ── Elements ──────────────────────────────────────────────────────────────────
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function textOf(el) {
+  return el.children.filter(c => typeof c === 'string').join('').trim()
+}
+
+function findChild(el, name, predicate = () => true) {
+  return el.children.find(c => typeof c !== 'string' && c.name === name && predicate(c)) || null
+}
+
+function serialize(el, depth = 1) {
+  const pad = '  '.repeat(depth)
+  const attrs = Object.entries(el.attributes).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('')
+  const elements = el.children.filter(c => typeof c !== 'string')
+  const text = textOf(el)
+
+  if (!elements.length && !text) return `<${el.name}${attrs} />`
+  if (!elements.length) return `<${el.name}${attrs}>${escapeXml(text)}</${el.name}>`
+
+  const inner = elements.map(c => `${pad}  ${serialize(c, depth + 1)}`).join('\n')
+  return `<${el.name}${attrs}>\n${inner}\n${pad}</${el.name}>`
+}
+
+function toChannel(el) {
+  return {
+    id: el.attributes.id || '',
+    name: textOf(findChild(el, 'display-name') || { children: [] }),
+    icon: findChild(el, 'icon')?.attributes.src || null,
+    raw: serialize(el),
+  }
+}
+
+function toProgramme(el) {
+  const text = name => {
+    const child = findChild(el, name)
+    return child ? textOf(child) || null : null
+  }
+  const episode = findChild(el, 'episode-num', c => c.attributes.system === 'xmltv_ns') || findChild(el, 'episode-num')
+  return {
+    channel: el.attributes.channel || '',
+    start: el.attributes.start || '',
+    stop: el.attributes.stop || '',
+    title: text('title'),
+    desc: text('desc'),
+    icon: findChild(el, 'icon')?.attributes.src || null,
+    episode: episode ? textOf(episode) || null : null,
+    raw: serialize(el),
+  }
+}
+
+/**
+ * Parse an XMLTV document from a stream of bytes.
+ *
+ * @param {AsyncIterable<Buffer>} input - e.g. a file read stream or Readable.fromWeb(resp.body)
+ * @param {Object} handlers
+ * @param {Function} [handlers.onChannel] - ({ id, name, icon, raw }) => void
+ * @param {Function} [handlers.onProgramme] - ({ channel, start, stop, title, desc, icon, episode, raw }) => void
+ * @returns {Promise<{ channels: number, programmes: number, errors: number }>}
+ */
+export async function parseXmltv(input, { onChannel, onProgramme } = {}) {
+  const parser = sax.parser(false, { lowercase: true, trim: false, normalize: false })
+  const result = { channels: 0, programmes: 0, errors: 0 }
+  let stack = null
+  let failure = null
+
+  parser.onerror = () => {
+    result.errors++
+    parser.error = null
+  }
+  parser.onopentag = node => {
+    const el = { name: node.name, attributes: node.attributes, children: [] }
+    if (stack) {
+      stack[stack.length - 1].children.push(el)
+      stack.push(el)
+    } else if (node.name === 'channel' || node.name === 'programme') {
+      stack = [el]
+    }
+  }
+  parser.ontext = parser.oncdata = text => {
+    if (stack) stack[stack.length - 1].children.push(text)
+  }
+  parser.onclosetag = () => {
+    if (!stack) return
+    const el = stack.pop()
+    if (stack.length) return
+    stack = null
+    try {
+      if (el.name === 'channel') {
+        const channel = toChannel(el)
+        if (channel.id) { result.channels++; onChannel?.(channel) }
+      } else {
+        const programme = toProgramme(el)
+        if (programme.channel) { result.programmes++; onProgramme?.(programme) }
+      }
+    } catch (err) {
+      failure = err
+    }
+  }
+
+  for await (const text of decodeText(input)) {
+    parser.write(text)
+    if (failure) throw failure
+  }
+  parser.close()
+  if (failure) throw failure
+  return result
+}
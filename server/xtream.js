@@ -8,6 +8,8 @@
  *   /xtream/get.php?username=X&password=Y
  *   /xtream/xmltv.php?username=X&password=Y
  *   /xtream/:user/:pass/:channelId   (stream URL)
+ *   /timeshift/:user/:pass/:duration/:start/:id.ts   (catch-up)
+ *   /xtream/favorites?username=X&password=Y   (per-user favorites)
  *
  * Legacy per-playlist endpoints (/xtream/:pid/...) are kept for
  * backwards compatibility with the Settings page credential display.
@@ -19,7 +21,8 @@ import bcrypt from 'bcryptjs'
 import { randomUUID } from 'node:crypto'
 import { writeFileSync, existsSync, mkdirSync, readdirSync, readFileSync, statSync } from 'node:fs'
 import { join, basename } from 'node:path'
-import { connectFfmpegClient, connectVlcClient, getActiveFfmpegSessions, getStreamBufferMode } from './ffmpeg-streamer.js'
+import { connectFfmpegClient, connectTranscodeClient, connectVlcClient, getActiveFfmpegSessions, getStreamBufferMode } from './ffmpeg-streamer.js'
+import { resolveTranscodeProfile } from './transcodeProfiles.js'
 import { getActiveVodSessions } from './vod-streamer.js'
 import { networkInterfaces } from 'node:os'
 import { verifyPassword } from './auth.js'
@@ -28,6 +31,12 @@ import { findNfoForChannel } from './nfo-parser.js'
 import { getNfoFromIndex } from './nfo-index.js'
 import { generateXmltv } from './services/xmltv.js'
 import { streamToXmltvCache, getPlaylistXmltvCachePath } from './services/xmltvCache.js'
+import { isRecordingUrl, sendRecording, getExistingRecordingsPlaylistId } from './dvr.js'
+import { FAVORITE_TYPES, getFavoriteIds, setFavoriteIds, addFavorite, removeFavorite, getRecentlyWatchedIds, getChannelsByIds } from './favorites.js'
+import { notify } from './notifications.js'
+import { applyDeadChannelPolicy } from './healthCheck.js'
+import { withChannelNumbers } from './channelNumbers.js'
+import { getPrecedenceSignature, getMergedProgrammes } from './epgMerge.js'
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function getSetting(key, fallback = null) {
@@ -39,7 +48,7 @@ function setSetting(key, value) {
   db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, value)
 }
 
-function getBaseUrl(req) {
+export function getBaseUrl(req) {
   const proto = req.headers['x-forwarded-proto'] || req.protocol
   const host  = req.headers['x-forwarded-host']  || req.headers.host || ''
   // If request came in on localhost/127.0.0.1 but HOST_IP is set, use HOST_IP so
@@ -63,7 +72,7 @@ function getChannels(playlistId) {
       pc.id, pc.playlist_id, pc.tvg_id, pc.tvg_name, pc.tvg_logo, pc.group_title,
       pc.url, pc.raw_extinf, pc.custom_tvg_id, pc.sort_order, pc.source_id,
       pc.epg_source_id, pc.custom_logo, pc.content_type,
-      sc.normalized_name,
+      sc.normalized_name, sc.meta,
       COALESCE(s.priority, 999) as source_priority,
       CASE sc.quality
         WHEN 'UHD' THEN 1
@@ -93,7 +102,7 @@ function getChannels(playlistId) {
     return true
   })
 
-  const playlist = db.prepare('SELECT group_order FROM playlists WHERE id = ?').get(playlistId)
+  const playlist = db.prepare('SELECT group_order, dead_channel_action, dead_channel_threshold FROM playlists WHERE id = ?').get(playlistId)
   if (playlist?.group_order) {
     const order = JSON.parse(playlist.group_order)
     channels = [...channels].sort((a, b) => {
@@ -101,10 +110,10 @@ function getChannels(playlistId) {
       return (ai === -1 ? 9999 : ai) - (bi === -1 ? 9999 : bi) || a.sort_order - b.sort_order
     })
   }
-  return channels
+  return withChannelNumbers(applyDeadChannelPolicy(channels, playlist), playlistId)
 }
 
-function getEpgMap() {
+export function getEpgMap() {
   return new Map(
     db.prepare('SELECT source_tvg_id, target_tvg_id FROM epg_mappings').all()
       .map(r => [r.source_tvg_id, r.target_tvg_id])
@@ -124,12 +133,15 @@ function parseJsonIdList(value, fallback = null) {
   return []
 }
 
-function getUserLivePlaylistIds(user) {
+export function getUserLivePlaylistIds(user) {
   return parseJsonIdList(user.playlist_ids, user.playlist_id)
 }
 
-function getUserVodPlaylistIds(user) {
-  return parseJsonIdList(user.vod_playlist_ids, user.vod_playlist_id)
+// Users with any VOD playlist also see the DVR's Recordings playlist
+export function getUserVodPlaylistIds(user) {
+  const ids = parseJsonIdList(user.vod_playlist_ids, user.vod_playlist_id)
+  const recordingsId = ids.length ? getExistingRecordingsPlaylistId() : null
+  return recordingsId && !ids.includes(recordingsId) ? [...ids, recordingsId] : ids
 }
 
 function dedupeChannels(channels) {
@@ -142,7 +154,7 @@ function dedupeChannels(channels) {
   })
 }
 
-function getUserLiveChannels(user) {
+export function getUserLiveChannels(user) {
   const playlistIds = getUserLivePlaylistIds(user)
   return dedupeChannels(playlistIds.flatMap(id => getChannels(id)))
 }
@@ -184,7 +196,7 @@ function getMappedChannelsForPlaylistIds(playlistIds) {
       pc.sort_order, pc.id
   `).all(...playlistIds)
 
-  return dedupeChannels(allChannels)
+  return withChannelNumbers(dedupeChannels(allChannels))
     .filter(ch => ch.epg_id && ch.epg_id.trim())
     .sort((a, b) => (a.sort_order - b.sort_order) || (a.id - b.id))
 }
@@ -211,7 +223,9 @@ async function buildUserXmltv(user, baseUrl) {
     userId: user.id,
     channelCount: mappedChannels.length,
     epgIds: epgIds.sort(),
-    sourceIds: relevantSourceIds.sort()
+    numbers: mappedChannels.map(ch => ch.channel_number || ''),
+    sourceIds: relevantSourceIds.sort(),
+    precedence: getPrecedenceSignature()
   })
   const cacheKey = crypto.createHash('sha1').update(cachePayload).digest('hex')
   
@@ -224,7 +238,7 @@ async function buildUserXmltv(user, baseUrl) {
   return await streamToXmltvCache(`user_${user.id}`, cacheKey, generator, false, relevantSourceIds)
 }
 
-function getTargetEpgId(channel, epgMap) {
+export function getTargetEpgId(channel, epgMap) {
   return channel.custom_tvg_id || epgMap.get(channel.tvg_id) || channel.tvg_id || ''
 }
 
@@ -251,34 +265,14 @@ function getChannelNfoData(channelId) {
   }
 }
 
-function getLiveEpgListings(channel, epgMap, limit = 4) {
-  const wantedIds = new Set(getCandidateEpgIds(channel, epgMap))
-  const cacheRows = db.prepare('SELECT content FROM epg_cache WHERE content IS NOT NULL').all()
-  const { showMap, epMap } = getEnrichmentMaps()
+export function getLiveEpgListings(channel, epgMap, limit = 4, since = Date.now()) {
   const targetEpgId = getTargetEpgId(channel, epgMap)
-  const entries = []
-  const progRe = /<programme\b[^>]*channel="([^"]*)"[^>]*>[\s\S]*?<\/programme>/g
-
-  for (const row of cacheRows) {
-    progRe.lastIndex = 0
-    let match
-    while ((match = progRe.exec(row.content)) !== null) {
-      if (!wantedIds.has(match[1])) continue
-      let progContent = match[0]
-      if (targetEpgId && targetEpgId !== match[1]) {
-        progContent = progContent.replace(`channel="${match[1]}"`, `channel="${targetEpgId}"`)
-      }
-      const enriched = applyEnrichment(parseProgBlock(progContent), showMap, epMap)
-      if (!enriched.start || !enriched.stop) continue
-      entries.push(enriched)
-    }
-  }
+  const { showMap, epMap } = getEnrichmentMaps()
 
-  const now = Date.now()
-  return entries
-    .sort((a, b) => new Date(a.start) - new Date(b.start))
-    .filter(entry => new Date(entry.stop).getTime() >= now)
+  return getMergedProgrammes(targetEpgId, getCandidateEpgIds(channel, epgMap))
+    .filter(p => p.stop_ms >= since)
     .slice(0, limit)
+    .map(p => ({ ...applyEnrichment(parseProgBlock(p.raw), showMap, epMap), channel: targetEpgId || p.channel_id }))
 }
 
 function formatXtreamDate(date) {
@@ -306,20 +300,61 @@ function buildShortEpgResponse(channel, epgMap, limit = 4) {
 }
 
 function buildSimpleDataTableResponse(channel, epgMap) {
-  const listings = getLiveEpgListings(channel, epgMap, 12)
+  const archive = getArchiveInfo(channel)
+  const now = Date.now()
+  const archiveStart = archive ? now - archive.days * 24 * 60 * 60 * 1000 : now
+
+  // Past programmes inside the archive window, then the next 12 upcoming ones
+  const entries = getLiveEpgListings(channel, epgMap, Infinity, archiveStart)
+  const past = entries.filter(entry => new Date(entry.stop).getTime() < now)
+  const upcoming = entries.filter(entry => new Date(entry.stop).getTime() >= now).slice(0, 12)
+
   return {
-    epg_listings: listings.map((entry, index) => ({
-      id: String(index + 1),
-      title: entry.title || '',
-      description: entry.desc || '',
-      start: formatXtreamDate(entry.start),
-      end: formatXtreamDate(entry.stop),
-      start_timestamp: Math.floor(new Date(entry.start).getTime() / 1000),
-      stop_timestamp: Math.floor(new Date(entry.stop).getTime() / 1000),
-    }))
+    epg_listings: [...past, ...upcoming].map((entry, index) => {
+      const start = new Date(entry.start).getTime()
+      const stop = new Date(entry.stop).getTime()
+      return {
+        id: String(index + 1),
+        epg_id: String(index + 1),
+        title: entry.title || '',
+        lang: 'en',
+        description: entry.desc || '',
+        channel_id: entry.channel || getTargetEpgId(channel, epgMap),
+        start: formatXtreamDate(entry.start),
+        end: formatXtreamDate(entry.stop),
+        start_timestamp: Math.floor(start / 1000),
+        stop_timestamp: Math.floor(stop / 1000),
+        now_playing: now >= start && now <= stop ? 1 : 0,
+        has_archive: archive && stop < now && start >= archiveStart ? 1 : 0,
+      }
+    })
   }
 }
 
+// ── Catch-up ──────────────────────────────────────────────────────────────────
+function parseChannelMeta(meta) {
+  if (!meta) return null
+  if (typeof meta === 'object') return meta
+  try { return JSON.parse(meta) } catch { return null }
+}
+
+// Xtream providers report tv_archive per live stream; the flags are kept in
+// source_channels.meta when the source is refreshed
+function getArchiveInfo(channel) {
+  const meta = parseChannelMeta(channel.meta)
+  const days = parseInt(meta?.tv_archive_duration, 10) || 0
+  if (Number(meta?.tv_archive) !== 1 || days <= 0) return null
+  return { days, streamId: meta.stream_id ? String(meta.stream_id) : null }
+}
+
+// Xtream timeshift start times are "YYYY-MM-DD:HH-MM" in the provider's timezone
+const TIMESHIFT_START_RE = /^\d{4}-\d{2}-\d{2}:\d{2}-\d{2}$/
+
+function buildTimeshiftUpstreamUrl(source, streamId, duration, start) {
+  const base = source.url.replace(/\/$/, '')
+  return `${base}/timeshift/${source.username}/${source.password}/${duration}/${start}/${streamId}.ts`
+}
+
 function guessContainerExtension(url = '', fallback = 'ts') {
   const match = url.toLowerCase().match(/\.(mp4|mkv|avi|3gp|flv|wmv|mov|ts|m4v)(?:\?|$)/)
   return match ? match[1] : fallback
@@ -342,7 +377,7 @@ function touchLastConnected(username) {
   try { db.prepare(`UPDATE users SET last_connected_at = datetime('now') WHERE username = ?`).run(username) } catch {}
 }
 
-async function lookupUser(username, password) {
+export async function lookupUser(username, password) {
   const user = db.prepare('SELECT * FROM users WHERE username = ? AND active = 1').get(username)
   if (!user) return null
   if (!await verifyPassword(password, user.password)) return null
@@ -400,19 +435,43 @@ function getCreds(playlistId) {
   }
 }
 
+// ── Favorites / Recently watched ──────────────────────────────────────────────
+// Virtual live categories use fixed ids well above the sequential group ids
+const FAVORITES_CATEGORY_ID = '900001'
+const RECENT_CATEGORY_ID    = '900002'
+
+// Only channels the user can already see are included, in list order
+function getVirtualLiveCategories(user, channels) {
+  const byId = new Map(channels.map(ch => [ch.id, ch]))
+  const pick = ids => ids.map(id => byId.get(id)).filter(Boolean)
+  return [
+    { category_id: FAVORITES_CATEGORY_ID, category_name: 'Favorites',        channels: pick(getFavoriteIds(user.id, 'itv')) },
+    { category_id: RECENT_CATEGORY_ID,    category_name: 'Recently watched', channels: pick(getRecentlyWatchedIds(user.username)) },
+  ].filter(cat => cat.channels.length > 0)
+}
+
+function getUserFavoriteChannels(user, type) {
+  if (type === 'itv') return getUserLiveChannels(user)
+  const vodPlaylistIds = getUserVodPlaylistIds(user)
+  return type === 'series' ? getSeriesChannels(vodPlaylistIds) : getMovieChannels(vodPlaylistIds)
+}
+
 // ── Category / stream builders ────────────────────────────────────────────────
-function buildCategories(channels) {
+export function buildCategories(channels, virtualCategories = []) {
   const seen = new Map()
   let idx = 1
   for (const ch of channels) {
     const g = ch.group_title || 'Uncategorized'
     if (!seen.has(g)) seen.set(g, idx++)
   }
-  return [...seen.entries()].map(([name, id]) => ({
-    category_id:   String(id),
-    category_name: name,
-    parent_id:     0,
-  }))
+  return [
+    ...virtualCategories.map(cat => ({ category_id: cat.category_id, category_name: cat.category_name, parent_id: 0 })),
+    ...[...seen.entries()].map(([name, id]) => ({
+      category_id:   String(id),
+      category_name: name,
+      parent_id:     0,
+    })),
+  ]
 }
 
 function getVodChannels(playlistId) {
@@ -424,7 +483,7 @@ function getVodChannels(playlistId) {
   ).all(playlistId)
 }
 
-function getMovieChannels(playlistIds) {
+export function getMovieChannels(playlistIds) {
   if (!Array.isArray(playlistIds) || playlistIds.length === 0) return []
   const placeholders = playlistIds.map(() => '?').join(',')
   return db.prepare(
@@ -436,7 +495,7 @@ function getMovieChannels(playlistIds) {
   ).all(...playlistIds)
 }
 
-function getSeriesChannels(playlistIds) {
+export function getSeriesChannels(playlistIds) {
   if (!Array.isArray(playlistIds) || playlistIds.length === 0) return []
   const placeholders = playlistIds.map(() => '?').join(',')
   return db.prepare(
@@ -448,7 +507,7 @@ function getSeriesChannels(playlistIds) {
   ).all(...playlistIds)
 }
 
-function buildVodCategories(channels) {
+export function buildVodCategories(channels) {
   const seen = new Map()
   let idx = 1
   for (const ch of channels) {
@@ -464,7 +523,7 @@ function buildVodCategories(channels) {
   }))
 }
 
-function buildSeriesCategories(channels) {
+export function buildSeriesCategories(channels) {
   const seen = new Map()
   let idx = 1
   for (const ch of channels) {
@@ -480,7 +539,7 @@ function buildSeriesCategories(channels) {
   }))
 }
 
-function buildSeriesList(channels) {
+export function buildSeriesList(channels) {
   const cats = buildSeriesCategories(channels)
   const catMap = new Map(cats.map(c => [c.category_name, c.category_id]))
   // Group episodes by series name
@@ -553,7 +612,7 @@ let seriesListCache = null
 let seriesListCacheTime = 0
 const SERIES_LIST_CACHE_TTL = 5 * 60 * 1000 // 5 minutes
 
-async function buildSeriesInfo(seriesId, channels, base, username, password) {
+export async function buildSeriesInfo(seriesId, channels, base, username, password) {
   try {
     // Find all episodes for this series
     // seriesId is the index in the series list (1-based)
@@ -678,7 +737,7 @@ async function buildSeriesInfo(seriesId, channels, base, username, password) {
   }
 }
 
-function buildVodStreams(channels, base, user) {
+export function buildVodStreams(channels, base, user) {
   const cats   = buildVodCategories(channels)
   const catMap = new Map(cats.map(c => [c.category_name, c.category_id]))
 
@@ -713,14 +772,15 @@ function buildVodStreams(channels, base, user) {
   })
 }
 
-function buildStreams(channels, base, epgMap, user) {
+export function buildStreams(channels, base, epgMap, user, virtualCategories = []) {
   const groupIds = buildCategories(channels)
   const catMap   = new Map(groupIds.map(c => [c.category_name, c.category_id]))
 
-  return channels.map((ch, idx) => {
+  const streams = channels.map((ch, idx) => {
     const tvgId = epgMap.get(ch.tvg_id) || ch.custom_tvg_id || ch.tvg_id || ''
+    const archive = getArchiveInfo(ch)
     return {
-      num:           ch.sort_order > 0 ? ch.sort_order : idx + 1,
+      num:           ch.channel_number != null ? Number(ch.channel_number) : (ch.sort_order > 0 ? ch.sort_order : idx + 1),
       name:          ch.tvg_name,
       stream_type:   'live',
       stream_id:     ch.id,
@@ -731,11 +791,24 @@ function buildStreams(channels, base, epgMap, user) {
       category_id:   catMap.get(ch.group_title || 'Uncategorized') || '1',
       category_ids:  [catMap.get(ch.group_title || 'Uncategorized') || '1'],
       custom_sid:    user ? buildLiveStreamUrl(base, user, ch.id) : '',
-      tv_archive:    0,
+      tv_archive:    archive ? 1 : 0,
       direct_source: user ? buildLiveStreamUrl(base, user, ch.id) : '',
-      tv_archive_duration: 0,
+      tv_archive_duration: archive ? archive.days : 0,
     }
   })
+
+  // Virtual categories repeat their streams under the virtual category id, without
+  // a channel number (like the M3U entries) so number-sorted clients show no duplicates
+  const byId = new Map(streams.map(s => [s.stream_id, s]))
+  const virtualStreams = virtualCategories.flatMap(cat => cat.channels
+    .filter(ch => byId.has(ch.id))
+    .map(ch => ({
+      ...byId.get(ch.id),
+      num:          null,
+      category_id:  cat.category_id,
+      category_ids: [cat.category_id],
+    })))
+  return [...virtualStreams, ...streams]
 }
 
 // ── M3U builder for a user ────────────────────────────────────────────────────
@@ -746,17 +819,97 @@ function buildM3UForUser(user, base) {
   const epgMap   = getEpgMap()
   const epgUrl   = `${base}/xtream/xmltv.php?username=${encodeURIComponent(user.username)}&password=${encodeURIComponent(user.xtreamPassword || user.password).replace(/%24/g, '$')}`
   const lines    = [`#EXTM3U url-tvg="${epgUrl}"`]
-  channels.forEach((ch, idx) => {
+  const pushEntry = (ch, chno, groupTitle) => {
     const tvgId = epgMap.get(ch.tvg_id) || ch.custom_tvg_id || ch.tvg_id || ''
-    const chno  = ch.sort_order > 0 ? ch.sort_order : idx + 1
+    const num   = chno ? ` tvg-chno="${chno}"` : ''
     const logo  = ch.tvg_logo ? ` tvg-logo="${base}/api/logo?url=${encodeURIComponent(ch.tvg_logo)}"` : ''
-    const group = ch.group_title ? ` group-title="${ch.group_title}"` : ''
-    lines.push(`#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${ch.tvg_name}" tvg-chno="${chno}"${logo}${group},${ch.tvg_name}`)
+    const group = groupTitle ? ` group-title="${groupTitle}"` : ''
+    lines.push(`#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${ch.tvg_name}"${num}${logo}${group},${ch.tvg_name}`)
     lines.push(buildLiveStreamUrl(base, user, ch.id))
-  })
+  }
+  // Favorites / Recently watched entries come first and carry no channel number,
+  // so they don't collide with the real channel in number-based guides
+  for (const cat of getVirtualLiveCategories(user, channels)) {
+    for (const ch of cat.channels) pushEntry(ch, null, cat.category_name)
+  }
+  channels.forEach((ch, idx) => pushEntry(ch, ch.channel_number ?? (ch.sort_order > 0 ? ch.sort_order : idx + 1), ch.group_title))
   return lines.join('\n')
 }
 
+// ── Stream delivery for an authenticated user ────────────────────────────────
+// Sends a 429 and fires the connection-limit webhook when the user is at their limit
+function rejectOverLimit(res, user) {
+  const active = getActiveCons(user.username)
+  if (!(user.max_connections > 0 && active >= user.max_connections)) return false
+  notify('user.connection_limit', { username: user.username, active, max_connections: user.max_connections }, user.username)
+  res.status(429).send(`Stream limit reached (${user.max_connections} max)`)
+  return true
+}
+
+// Shared by the Xtream stream URLs and the MAG/Stalker portal (routes/portal.js)
+export async function streamLiveToUser(req, res, user, channelId) {
+  if (rejectOverLimit(res, user)) return
+
+  const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
+  if (!row) return res.status(404).send('Channel not found')
+
+  if (!hasPlaylistAccess(row, getUserLivePlaylistIds(user))) {
+    return res.status(403).send('Forbidden')
+  }
+
+  const profile = resolveTranscodeProfile(user.transcode_profile_id)
+  if (profile) {
+    await connectTranscodeClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username, profile)
+    return
+  }
+
+  const streamBufferMode = getStreamBufferMode()
+  if (streamBufferMode === 'ffmpeg') {
+    await connectFfmpegClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username)
+    return
+  }
+
+  if (streamBufferMode === 'vlc') {
+    await connectVlcClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username)
+    return
+  }
+
+  const { connectClient } = await import('./streamer.js')
+  await connectClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username)
+}
+
+export async function streamVodToUser(req, res, user, channelId, label = 'VOD') {
+  if (rejectOverLimit(res, user)) return
+
+  const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
+  if (!row) {
+    console.log(`[xtream] ${label} channel ${channelId} not found in database`)
+    return res.status(404).send('Channel not found')
+  }
+
+  const vodPlaylists = getUserVodPlaylistIds(user)
+  if (!hasPlaylistAccess(row, vodPlaylists)) {
+    console.log(`[xtream] ${label} access denied: channel playlist=${row.playlist_id}, user playlists=${JSON.stringify(vodPlaylists)}`)
+    return res.status(403).send('Forbidden')
+  }
+
+  console.log(`[xtream] Streaming ${label} ${channelId}: ${row.tvg_name}`)
+
+  if (isRecordingUrl(row.url)) return sendRecording(row.url, res)
+
+  const source = row.source_id ? db.prepare('SELECT id, force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
+  const { connectVodClient } = await import('./vod-streamer.js')
+  await connectVodClient(
+    channelId,
+    row.url,
+    row.tvg_name,
+    req,
+    res,
+    user.username,
+    source
+  )
+}
+
 // ── Route registration ────────────────────────────────────────────────────────
 export function registerXtreamRoutes(app) {
 
@@ -788,10 +941,10 @@ export function registerXtreamRoutes(app) {
 
     switch (action) {
       case 'get_live_categories':
-        return res.json(buildCategories(liveChans))
+        return res.json(buildCategories(liveChans, getVirtualLiveCategories(user, liveChans)))
 
       case 'get_live_streams': {
-        let streams = buildStreams(liveChans, base, epgMap, user)
+        let streams = buildStreams(liveChans, base, epgMap, user, getVirtualLiveCategories(user, liveChans))
         const catId = req.query.category_id || req.body?.category_id
         if (catId) streams = streams.filter(s => s.category_id === String(catId))
         return res.json(streams)
@@ -1056,6 +1209,69 @@ export function registerXtreamRoutes(app) {
     res.sendFile(cachePath)
   })
 
+  // ── User-based favorites ──────────────────────────────────────────────────
+  // Credentials come from the query string or JSON body, like player_api.php.
+  // ?type=itv|vod|series (default itv) selects which favorites list to use.
+  const favoritesAuth = async (req, res) => {
+    const u    = req.query.username || req.body?.username || ''
+    const p    = req.query.password || req.body?.password || ''
+    const type = req.query.type || req.body?.type || 'itv'
+    if (!FAVORITE_TYPES.includes(type)) {
+      res.status(400).json({ error: `type must be one of ${FAVORITE_TYPES.join(', ')}` })
+      return null
+    }
+    const user = await lookupUser(u, p)
+    if (!user) {
+      res.status(401).json({ error: 'Unauthorized' })
+      return null
+    }
+    return { user, type }
+  }
+
+  const favoritesResponse = (user, type) => {
+    const allowed = new Set(getUserFavoriteChannels(user, type).map(ch => ch.id))
+    const visible = ids => getChannelsByIds(ids.filter(id => allowed.has(id)))
+    return {
+      type,
+      favorites: visible(getFavoriteIds(user.id, type)),
+      recently_watched: type === 'itv' ? visible(getRecentlyWatchedIds(user.username)) : [],
+    }
+  }
+
+  app.get('/xtream/favorites', async (req, res) => {
+    const ctx = await favoritesAuth(req, res)
+    if (!ctx) return
+    res.json(favoritesResponse(ctx.user, ctx.type))
+  })
+
+  // Replace the whole list — body: { channel_ids: [...] }
+  app.put('/xtream/favorites', async (req, res) => {
+    const ctx = await favoritesAuth(req, res)
+    if (!ctx) return
+    const allowed = new Set(getUserFavoriteChannels(ctx.user, ctx.type).map(ch => ch.id))
+    const ids = (Array.isArray(req.body?.channel_ids) ? req.body.channel_ids : []).map(Number)
+    setFavoriteIds(ctx.user.id, ctx.type, ids.filter(id => allowed.has(id)))
+    res.json(favoritesResponse(ctx.user, ctx.type))
+  })
+
+  app.post('/xtream/favorites/:channelId', async (req, res) => {
+    const ctx = await favoritesAuth(req, res)
+    if (!ctx) return
+    const channelId = Number(req.params.channelId)
+    if (!getUserFavoriteChannels(ctx.user, ctx.type).some(ch => ch.id === channelId)) {
+      return res.status(404).json({ error: 'Channel not found' })
+    }
+    addFavorite(ctx.user.id, ctx.type, channelId)
+    res.json(favoritesResponse(ctx.user, ctx.type))
+  })
+
+  app.delete('/xtream/favorites/:channelId', async (req, res) => {
+    const ctx = await favoritesAuth(req, res)
+    if (!ctx) return
+    removeFavorite(ctx.user.id, ctx.type, req.params.channelId)
+    res.json(favoritesResponse(ctx.user, ctx.type))
+  })
+
   // ── API: server info for Settings page ───────────────────────────────────
   app.get('/api/xtream/server', (req, res) => {
     const base = getBaseUrl(req)
@@ -1124,37 +1340,7 @@ export function registerXtreamRoutes(app) {
       return res.status(401).send('Unauthorized')
     }
 
-    const active = getActiveCons(user.username)
-    if (user.max_connections > 0 && active >= user.max_connections) {
-      return res.status(429).send(`Stream limit reached (${user.max_connections} max)`)
-    }
-
-    const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
-    if (!row) {
-      console.log(`[xtream] VOD channel ${channelId} not found in database`)
-      return res.status(404).send('Channel not found')
-    }
-
-    const vodPlaylists = getUserVodPlaylistIds(user)
-    const hasAccess = hasPlaylistAccess(row, vodPlaylists)
-    if (!hasAccess) {
-      console.log(`[xtream] VOD access denied: channel playlist=${row.playlist_id}, user playlists=${JSON.stringify(vodPlaylists)}`)
-      return res.status(403).send('Forbidden')
-    }
-
-    console.log(`[xtream] Streaming VOD ${channelId}: ${row.tvg_name}`)
-
-    const source = row.source_id ? db.prepare('SELECT force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
-    const { connectVodClient } = await import('./vod-streamer.js')
-    await connectVodClient(
-      channelId,
-      row.url,
-      row.tvg_name,
-      req,
-      res,
-      user.username,
-      source
-    )
+    await streamVodToUser(req, res, user, channelId)
   })
 
   // ── Series Stream URL: /series/:user/:pass/:channelId.ext ─────────────────
@@ -1167,31 +1353,7 @@ export function registerXtreamRoutes(app) {
     const user = await lookupUser(decodeURIComponent(u), decodeURIComponent(p))
     if (!user) return res.status(401).send('Unauthorized')
 
-    const active = getActiveCons(user.username)
-    if (user.max_connections > 0 && active >= user.max_connections) {
-      return res.status(429).send(`Stream limit reached (${user.max_connections} max)`)
-    }
-
-    const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
-    if (!row) return res.status(404).send('Channel not found')
-
-    if (!hasPlaylistAccess(row, getUserVodPlaylistIds(user))) {
-      return res.status(403).send('Forbidden')
-    }
-
-    console.log(`[xtream] Streaming Series ${channelId}: ${row.tvg_name}`)
-
-    const source = row.source_id ? db.prepare('SELECT force_ts_extension FROM sources WHERE id = ?').get(row.source_id) : null
-    const { connectVodClient } = await import('./vod-streamer.js')
-    await connectVodClient(
-      channelId,
-      row.url,
-      row.tvg_name,
-      req,
-      res,
-      user.username,
-      source
-    )
+    await streamVodToUser(req, res, user, channelId, 'Series')
   })
 
   // ── Stream URL: /xtream/:user/:pass/:channelId and /live/:user/:pass/:channelId.ts ──
@@ -1201,33 +1363,78 @@ export function registerXtreamRoutes(app) {
     const user = await lookupUser(decodeURIComponent(u), decodeURIComponent(p))
     if (!user) return res.status(401).send('Unauthorized')
 
-    const active = getActiveCons(user.username)
-    if (user.max_connections > 0 && active >= user.max_connections) {
-      return res.status(429).send(`Stream limit reached (${user.max_connections} max)`)
+    await streamLiveToUser(req, res, user, channelId)
+  }
+
+  app.get('/xtream/:user/:pass/:channelId', handleLiveStream)
+  app.get('/live/:user/:pass/:channelId', handleLiveStream)
+
+  // ── Catch-up: forwarded to the upstream Xtream provider's archive ─────────
+  const handleTimeshift = async (req, res, { u, p, duration, start, streamId }) => {
+    const channelId = String(streamId || '').replace(/\.(ts|m3u8)$/i, '')
+    const minutes = parseInt(duration, 10)
+    if (!channelId || !Number.isFinite(minutes) || minutes <= 0 || !TIMESHIFT_START_RE.test(start || '')) {
+      return res.status(400).send('Invalid timeshift request')
     }
 
-    const row = db.prepare('SELECT * FROM playlist_channels WHERE id = ?').get(channelId)
+    const user = await lookupUser(u, p)
+    if (!user) return res.status(401).send('Unauthorized')
+
+    if (rejectOverLimit(res, user)) return
+
+    const row = db.prepare(`
+      SELECT pc.*, sc.meta,
+             s.type AS source_type, s.url AS source_url,
+             s.username AS source_username, s.password AS source_password
+      FROM playlist_channels pc
+      LEFT JOIN source_channels sc ON sc.url = pc.url
+      LEFT JOIN sources s ON s.id = COALESCE(pc.source_id, sc.source_id)
+      WHERE pc.id = ?
+    `).get(channelId)
     if (!row) return res.status(404).send('Channel not found')
 
     if (!hasPlaylistAccess(row, getUserLivePlaylistIds(user))) {
       return res.status(403).send('Forbidden')
     }
 
-    const streamBufferMode = getStreamBufferMode()
-    if (streamBufferMode === 'ffmpeg') {
-      await connectFfmpegClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username)
-      return
+    const archive = getArchiveInfo(row)
+    const upstreamStreamId = archive?.streamId || row.url.match(/\/live\/[^/]+\/[^/]+\/(\d+)(?:\.\w+)?$/)?.[1]
+    if (!archive || row.source_type !== 'xtream' || !upstreamStreamId) {
+      return res.status(404).send('Catch-up not available for this channel')
     }
 
-    if (streamBufferMode === 'vlc') {
-      await connectVlcClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username)
-      return
-    }
+    const upstreamUrl = buildTimeshiftUpstreamUrl(
+      { url: row.source_url, username: row.source_username, password: row.source_password },
+      upstreamStreamId, minutes, start
+    )
 
-    const { connectClient } = await import('./streamer.js')
-    await connectClient(channelId, row.url, row.tvg_name, res, row.source_id || null, user.username)
+    console.log(`[xtream] Timeshift "${row.tvg_name}" start=${start} duration=${minutes}m for ${user.username}`)
+
+    const { connectVodClient } = await import('./vod-streamer.js')
+    await connectVodClient(
+      `timeshift:${channelId}:${start}`,
+      upstreamUrl,
+      `${row.tvg_name} (catch-up ${start})`,
+      req,
+      res,
+      user.username,
+      row.source_id ? { id: row.source_id } : null
+    )
   }
 
-  app.get('/xtream/:user/:pass/:channelId', handleLiveStream)
-  app.get('/live/:user/:pass/:channelId', handleLiveStream)
+  app.get('/timeshift/:user/:pass/:duration/:start/:streamId', (req, res) => handleTimeshift(req, res, {
+    u:        decodeURIComponent(req.params.user),
+    p:        decodeURIComponent(req.params.pass),
+    duration: req.params.duration,
+    start:    req.params.start,
+    streamId: req.params.streamId,
+  }))
+
+  app.get('/streaming/timeshift.php', (req, res) => handleTimeshift(req, res, {
+    u:        req.query.username || '',
+    p:        req.query.password || '',
+    duration: req.query.duration,
+    start:    req.query.start,
+    streamId: req.query.stream,
+  }))
 }
@@ -1,23 +1,40 @@
 import { ref, computed } from 'vue'
 
 const TOKEN_KEY = 'admin_token'
+const ACCOUNT_KEY = 'admin_account'
 const token = ref(localStorage.getItem(TOKEN_KEY) || null)
+// { username, role } of the signed-in account; role is admin, editor, viewer or user
+const account = ref(JSON.parse(localStorage.getItem(ACCOUNT_KEY) || 'null'))
 
 export const isAuthenticated = computed(() => !!token.value)
+export const currentUsername = computed(() => account.value?.username || 'admin')
+export const currentRole = computed(() => account.value?.role || 'admin')
 
-export async function login(password) {
+function setSession(t, acc) {
+  token.value = t
+  account.value = acc
+  if (t) {
+    localStorage.setItem(TOKEN_KEY, t)
+    localStorage.setItem(ACCOUNT_KEY, JSON.stringify(acc))
+  } else {
+    localStorage.removeItem(TOKEN_KEY)
+    localStorage.removeItem(ACCOUNT_KEY)
+  }
+}
+
+// An empty username signs in with ADMIN_PASSWORD
+export async function login(username, password) {
   const r = await fetch('/api/admin/login', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ password }),
+    body: JSON.stringify({ username, password }),
   })
   if (!r.ok) {
     const d = await r.json()
     throw new Error(d.error || 'Login failed')
   }
-  const { token: t } = await r.json()
-  token.value = t
-  localStorage.setItem(TOKEN_KEY, t)
+  const { token: t, username: name, role } = await r.json()
+  setSession(t, { username: name, role })
 }
 
 export async function logout() {
@@ -25,8 +42,7 @@ export async function logout() {
     method: 'POST',
     headers: { 'x-admin-token': token.value || '' },
   }).catch(() => {})
-  token.value = null
-  localStorage.removeItem(TOKEN_KEY)
+  setSession(null, null)
 }
 
 export async function verifySession() {
@@ -35,7 +51,9 @@ export async function verifySession() {
     const r = await fetch('/api/admin/verify', {
       headers: { 'x-admin-token': token.value },
     })
-    if (!r.ok) { token.value = null; localStorage.removeItem(TOKEN_KEY); return false }
+    if (!r.ok) { setSession(null, null); return false }
+    const { username, role } = await r.json()
+    setSession(token.value, { username, role })
     return true
   } catch {
     return false
@@ -43,3 +61,21 @@ export async function verifySession() {
 }
 
 export function getToken() { return token.value }
+
+// Attach the admin token to every same-origin /api request. Pages call fetch()
+// directly as well as through useApi.js, so patching fetch covers both.
+// A 401 means the session expired server-side — drop it and show the login form.
+export function installAuthFetch() {
+  const nativeFetch = window.fetch.bind(window)
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input?.url || ''
+    const isApi = url.startsWith('/api/') || url.startsWith(`${location.origin}/api/`)
+    if (!isApi || !token.value) return nativeFetch(input, init)
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined))
+    headers.set('x-admin-token', token.value)
+    const res = await nativeFetch(input, { ...init, headers })
+    if (res.status === 401 && !url.includes('/api/admin/')) setSession(null, null)
+    return res
+  }
+}
@@ -66,7 +66,9 @@ export const api = {
   getSourceGroups:     (id)         => request('GET',    `/sources/${id}/groups`),
   getSourceChannels:   (id, group, limit, offset)  => request('GET',    `/sources/${id}/channels${buildQuery({ group, limit, offset })}`),
   getSourceChannelsAll: async (id, group) => fetchAllPages((limit, offset) => request('GET', `/sources/${id}/channels${buildQuery({ group, limit, offset })}`)),
-  refreshSource:       (id)         => request('POST',   `/sources/${id}/refresh`),
+  refreshSource:       (id, wait = true) => request('POST', `/sources/${id}/refresh${wait ? '' : '?wait=0'}`),
+  getSourceRefreshHistory: (id, params = {}) => request('GET', `/sources/${id}/refresh-history${buildQuery(params)}`),
+  getSourceRefreshEntry:   (id, entryId) => request('GET', `/sources/${id}/refresh-history/${entryId}`),
   getAllSourceGroups:   (playlistId) => request('GET',    `/sources/all/groups${playlistId ? `?playlist_id=${playlistId}` : ''}`),
   getAllSourceChannels: (group, limit, offset, sourceId) => request('GET', `/sources/all/channels${buildQuery({ group, limit, offset, source_id: sourceId })}`),
   getAllSourceChannelsAll: async (group, sourceId) => fetchAllPages((limit, offset) => request('GET', `/sources/all/channels${buildQuery({ group, limit, offset, source_id: sourceId })}`)),
@@ -86,6 +88,19 @@ export const api = {
   getSchedules:        ()           => request('GET',    '/playlists/schedules'),
   saveSchedule:        (id, schedule) => request('PATCH', `/playlists/${id}/schedule`, { schedule }),
 
+  // Smart playlists
+  getSmartPlaylist:     (id)                => request('GET',    `/playlists/${id}/smart`),
+  saveSmartRules:       (id, rules)         => request('PUT',    `/playlists/${id}/smart`, { rules }),
+  previewSmartRules:    (id, rules, search) => request('POST',   `/playlists/${id}/smart/preview`, { rules, search }),
+  applySmartPlaylist:   (id)                => request('POST',   `/playlists/${id}/smart/apply`),
+  pinSmartChannel:      (id, url, action)   => request('POST',   `/playlists/${id}/smart/pins`, { url, action }),
+  deleteSmartPin:       (id, pinId)         => request('DELETE', `/playlists/${id}/smart/pins/${pinId}`),
+  // Channel numbers
+  getChannelNumbers:    (id)                => request('GET',    `/playlists/${id}/numbers`),
+  saveNumbering:        (id, config)        => request('PUT',    `/playlists/${id}/numbering`, config),
+  setChannelNumbers:    (id, numbers)       => request('PUT',    `/playlists/${id}/numbers`, { numbers }),
+  renumberChannels:     (id)                => request('POST',   `/playlists/${id}/numbers/renumber`),
+
   // EPG Mappings
   getEpgMappings:      ()           => request('GET',    '/epg-mappings'),
   createEpgMapping:    (data)       => request('POST',   '/epg-mappings', data),
@@ -93,6 +108,9 @@ export const api = {
   autoMatchEpg:        (playlist_id) => request('GET',   `/epg-mappings/auto-match?playlist_id=${playlist_id}`),
   bulkCreateMappings:       (mappings)    => request('POST',   '/epg-mappings/bulk', { mappings }),
   clearPlaylistMappings:    (playlist_id) => request('DELETE', `/epg-mappings/by-playlist/${playlist_id}`),
+  getEpgPrecedence:         (channel_id)  => request('GET',    `/epg/precedence?channel_id=${encodeURIComponent(channel_id)}`),
+  setEpgPrecedence:         (channel_id, source_ids) => request('PUT', '/epg/precedence', { channel_id, source_ids }),
+  resetEpgPrecedence:       (channel_id)  => request('DELETE', `/epg/precedence?channel_id=${encodeURIComponent(channel_id)}`),
   patchChannelCustomTvgId: (id, custom_tvg_id) => request('PATCH', `/playlist-channels/${id}/custom-tvg-id`, { custom_tvg_id }),
   patchChannelCustomLogo:  (id, custom_logo)   => request('PATCH', `/playlist-channels/${id}/custom-logo`,   { custom_logo }),
   deletePlaylistChannel:   (id)               => request('DELETE', `/playlist-channels/${id}`),
@@ -110,6 +128,38 @@ export const api = {
   getSettings:         ()           => request('GET',    '/settings'),
   saveSettings:        (data)       => request('PUT',    '/settings', data),
   getHdhrStatus:       ()           => request('GET',    '/hdhr/status'),
+  getHdhrDeviceLineup: (id)         => request('GET',    `/hdhr/virtual-devices/${id}/lineup`),
+  saveHdhrChannelMap:  (id, map)    => request('PUT',    `/hdhr/virtual-devices/${id}/channel-map`, { channel_map: map }),
+  getHdhrPlaylistGroups: (playlistId) => request('GET',  `/hdhr/playlists/${playlistId}/groups`),
+
+  // Personal page (signed-in account)
+  getMe:                    ()         => request('GET',    '/me'),
+  getMyChannels:            (q)        => request('GET',    `/me/channels${buildQuery({ q })}`),
+  getMyFavorites:           ()         => request('GET',    '/me/favorites'),
+  addMyFavorite:            (id)       => request('POST',   `/me/favorites/${id}`),
+  removeMyFavorite:         (id)       => request('DELETE', `/me/favorites/${id}`),
+  getMyRecentlyWatched:     ()         => request('GET',    '/me/recently-watched'),
+
+  // Audit log
+  getAuditLog:              (params = {}) => request('GET', `/audit${buildQuery(params)}`),
+  getAuditEntry:            (id)       => request('GET',    `/audit/${id}`),
+  revertAuditEntry:         (id)       => request('POST',   `/audit/${id}/revert`),
+
+  // Transcoding profiles
+  getTranscodeProfiles:     ()         => request('GET',    '/transcode-profiles'),
+  createTranscodeProfile:   (data)     => request('POST',   '/transcode-profiles', data),
+  updateTranscodeProfile:   (id, data) => request('PUT',    `/transcode-profiles/${id}`, data),
+  deleteTranscodeProfile:   (id)       => request('DELETE', `/transcode-profiles/${id}`),
+  getTranscodeSettings:     ()         => request('GET',    '/transcode-profiles/settings'),
+  saveTranscodeSettings:    (data)     => request('PUT',    '/transcode-profiles/settings', data),
+
+  // Stored backups and selective restore
+  getBackups:               ()         => request('GET',    '/backups'),
+  createBackup:             ()         => request('POST',   '/backups'),
+  deleteBackup:             (name)     => request('DELETE', `/backups/${encodeURIComponent(name)}`),
+  getBackupContents:        (name)     => request('GET',    `/backups/${encodeURIComponent(name)}/contents`),
+  restoreBackup:            (name, opts) => request('POST', `/backups/${encodeURIComponent(name)}/restore`, opts),
+  saveBackupSettings:       (data)     => request('PUT',    '/backups/settings', data),
 
   // EPG Scraper — channels.xml management
   getChannelsXml:      ()           => request('GET',    '/epg/channels-xml'),
@@ -145,4 +195,37 @@ export const api = {
   stopCompositeStream:     (id)         => request('POST',   `/composite-streams/${id}/stop`),
   getActiveSessions:       ()           => request('GET',    '/composite-streams/sessions/active'),
   getLayoutPresets:        ()           => request('GET',    '/composite-streams/presets'),
+
+  // DVR
+  getRecordings:           (status)     => request('GET',    `/recordings${buildQuery({ status })}`),
+  createRecording:         (data)       => request('POST',   '/recordings', data),
+  stopRecording:           (id)         => request('POST',   `/recordings/${id}/stop`),
+  deleteRecording:         (id)         => request('DELETE', `/recordings/${id}`),
+  getRecordingRules:       ()           => request('GET',    '/recording-rules'),
+  deleteRecordingRule:     (id)         => request('DELETE', `/recording-rules/${id}`),
+  getRecordingSettings:    ()           => request('GET',    '/recordings/settings'),
+  saveRecordingSettings:   (data)       => request('PUT',    '/recordings/settings', data),
+
+  // Webhooks
+  getWebhooks:             ()           => request('GET',    '/webhooks'),
+  getWebhookEvents:        ()           => request('GET',    '/webhooks/events'),
+  createWebhook:           (data)       => request('POST',   '/webhooks', data),
+  updateWebhook:           (id, data)   => request('PUT',    `/webhooks/${id}`, data),
+  deleteWebhook:           (id)         => request('DELETE', `/webhooks/${id}`),
+  testWebhook:             (id)         => request('POST',   `/webhooks/${id}/test`),
+  getWebhookDeliveries:    (id)         => request('GET',    `/webhooks/${id}/deliveries`),
+  getWebhookSettings:      ()           => request('GET',    '/webhooks/settings'),
+  saveWebhookSettings:     (data)       => request('PUT',    '/webhooks/settings', data),
+
+  // Scheduler
+  getSchedulerJobs:        ()           => request('GET',    '/scheduler/jobs'),
+  getSchedulerJobRuns:     (id)         => request('GET',    `/scheduler/jobs/${encodeURIComponent(id)}/runs`),
+  updateSchedulerJob:      (id, data)   => request('PUT',    `/scheduler/jobs/${encodeURIComponent(id)}`, data),
+  runSchedulerJob:         (id)         => request('POST',   `/scheduler/jobs/${encodeURIComponent(id)}/run`),
+
+  // Background jobs
+  getJobs:                 (type)       => request('GET',    `/jobs${buildQuery({ type })}`),
+  getJob:                  (id)         => request('GET',    `/jobs/${id}`),
+  cancelJob:               (id)         => request('POST',   `/jobs/${id}/cancel`),
+  clearJobHistory:         ()           => request('DELETE', '/jobs'),
 }
@@ -0,0 +1,72 @@
+/**
+ * Server-Sent Events over fetch
+ *
+ * EventSource can't send the x-admin-token header, so the stream is read with
+ * fetch (which useAdmin.js patches to add it) and parsed here. When the
+ * connection drops it reconnects after the server's retry delay.
+ */
+
+const DEFAULT_RETRY = 5000
+
+/**
+ * @param {string} url - e.g. '/api/jobs/events'
+ * @param {Function} onEvent - (eventName, data) => void; JSON data is parsed
+ * @returns {Function} close the stream and stop reconnecting
+ */
+export function openEventStream(url, onEvent) {
+  let controller = null
+  let timer = null
+  let retry = DEFAULT_RETRY
+  let closed = false
+
+  function dispatch(block) {
+    let event = 'message'
+    const data = []
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) continue
+      const i = line.indexOf(':')
+      const field = i === -1 ? line : line.slice(0, i)
+      let value = i === -1 ? '' : line.slice(i + 1)
+      if (value.startsWith(' ')) value = value.slice(1)
+      if (field === 'event') event = value
+      else if (field === 'data') data.push(value)
+      else if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value)
+    }
+    if (!data.length) return
+    const text = data.join('\n')
+    let payload = text
+    try { payload = JSON.parse(text) } catch {}
+    onEvent(event, payload)
+  }
+
+  async function connect() {
+    controller = new AbortController()
+    try {
+      const res = await fetch(url, { headers: { Accept: 'text/event-stream' }, signal: controller.signal })
+      if (!res.ok) throw new Error(`${res.status}: ${res.statusText}`)
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+      let buffer = ''
+      for (;;) {
+        const { value, done } = await reader.read()
+        if (done) break
+        buffer += value.replace(/\r\n?/g, '\n')
+        let end
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          dispatch(buffer.slice(0, end))
+          buffer = buffer.slice(end + 2)
+        }
+      }
+    } catch (e) {
+      if (closed) return
+      console.warn(`[events] ${url} disconnected:`, e.message)
+    }
+    if (!closed) timer = setTimeout(connect, retry)
+  }
+
+  connect()
+  return () => {
+    closed = true
+    clearTimeout(timer)
+    controller?.abort()
+  }
+}
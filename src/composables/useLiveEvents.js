@@ -0,0 +1,43 @@
+/**
+ * Shared subscription to GET /api/events
+ *
+ * All mounted pages share one connection; it opens with the first subscriber
+ * and closes when the last one unmounts. After a reconnect handlers receive a
+ * 'reconnected' event so they can reload whatever they may have missed.
+ */
+
+import { onUnmounted } from 'vue'
+import { openEventStream } from './useEventStream.js'
+
+const handlers = new Set()
+let close = null
+let connectedOnce = false
+
+function dispatch(event, data) {
+  if (event === 'hello') {
+    if (!connectedOnce) { connectedOnce = true; return }
+    event = 'reconnected'
+  }
+  for (const handler of handlers) {
+    try { handler(event, data) } catch (e) { console.error('[events] Handler failed:', e) }
+  }
+}
+
+/**
+ * Call from a component's setup; the handler is removed when it unmounts.
+ * @param {Function} handler - (eventName, data) => void
+ */
+export function onLiveEvent(handler) {
+  handlers.add(handler)
+  if (!close) {
+    connectedOnce = false
+    close = openEventStream('/api/events', dispatch)
+  }
+  onUnmounted(() => {
+    handlers.delete(handler)
+    if (!handlers.size && close) {
+      close()
+      close = null
+    }
+  })
+}
@@ -1,7 +1,10 @@
 import { createApp } from 'vue'
 import './style.css'
 import App from './App.vue'
+import { installAuthFetch } from './composables/useAdmin.js'
 import VueVirtualScroller from 'vue-virtual-scroller'
 import 'vue-virtual-scroller/dist/vue-virtual-scroller.css'
 
+installAuthFetch()
+
 createApp(App).use(VueVirtualScroller).mount('#app')